@@ -0,0 +1,32 @@
+/**
+ * The error envelope every API endpoint returns
+ *
+ *   { success: false, error: "Goal not found", code: "NOT_FOUND", requestId: "..." }
+ *
+ * `error` is safe to show to the user; `code` is what clients should branch on. Feature-specific
+ * codes (e.g. `INVALID_CHALLENGE`, `QUOTA_EXCEEDED`) refine the generic ones below.
+ * `requestId` matches the `X-Request-Id` response header and the server logs.
+ */
+export const ERROR_CODES = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  INVALID_JSON: 'INVALID_JSON',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+} as const;
+
+export type ErrorCode = typeof ERROR_CODES[keyof typeof ERROR_CODES];
+
+export interface ErrorResponse<Code extends string = string, Details = unknown> {
+  success: false;
+  error: string;
+  code: Code;
+  details?: Details;
+  requestId?: string;
+}
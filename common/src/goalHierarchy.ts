@@ -0,0 +1,101 @@
+import { z } from 'zod';
+import type { GoalType } from './schemas/goals.js';
+
+/**
+ * Goal hierarchy
+ *
+ * A long-term goal breaks down into weekly milestones, and milestones into daily tasks:
+ *
+ *   longterm ─┬─ milestone ─┬─ daily
+ *             │             └─ daily
+ *             └─ daily
+ *
+ * Long-term goals are always roots, so a tree is at most three levels deep and can't loop.
+ */
+export const GOAL_PARENT_TYPES: Record<GoalType, readonly GoalType[]> = {
+  longterm: [],
+  milestone: ['longterm'],
+  daily: ['longterm', 'milestone'],
+};
+
+export const canNestGoal = (childType: GoalType, parentType: GoalType): boolean =>
+  GOAL_PARENT_TYPES[childType].includes(parentType);
+
+// The fields progress is computed from
+export interface ProgressGoal {
+  id: string;
+  parentId?: string | null;
+  completed: boolean;
+  targetValue?: number | null;
+  currentValue?: number | null;
+  // Already measured by the caller, e.g. a daily task from its completion log
+  progress?: number | null;
+}
+
+/**
+ * Progress of every goal, 0-1 by id, rolled up from the leaves:
+ * - a goal with `progress` set keeps it (capped to 0-1)
+ * - a completed goal is done, whatever its sub-goals say
+ * - a goal with sub-goals is the average of its sub-goals
+ * - a measurable goal is currentValue / targetValue (capped at 1), anything else 0
+ */
+export const rollUpProgress = (goals: readonly ProgressGoal[]): Map<string, number> => {
+  const children = new Map<string, ProgressGoal[]>();
+  for (const goal of goals) {
+    if (!goal.parentId) continue;
+    const siblings = children.get(goal.parentId) ?? [];
+    siblings.push(goal);
+    children.set(goal.parentId, siblings);
+  }
+
+  const progress = new Map<string, number>();
+  const visit = (goal: ProgressGoal): number => {
+    const known = progress.get(goal.id);
+    if (known !== undefined) return known;
+    // Placeholder so a corrupt, looping tree ends instead of recursing forever
+    progress.set(goal.id, 0);
+
+    let value = 0;
+    const subGoals = children.get(goal.id) ?? [];
+    if (goal.progress != null) {
+      value = Math.min(1, Math.max(0, goal.progress));
+    } else if (goal.completed) {
+      value = 1;
+    } else if (subGoals.length > 0) {
+      value = subGoals.reduce((sum, child) => sum + visit(child), 0) / subGoals.length;
+    } else if (goal.targetValue) {
+      value = Math.min(1, Math.max(0, (goal.currentValue ?? 0) / goal.targetValue));
+    }
+    progress.set(goal.id, value);
+    return value;
+  };
+
+  for (const goal of goals) visit(goal);
+  return progress;
+};
+
+/**
+ * Goal decomposition
+ *
+ * The service asks the LLM to fill `goalDecompositionSchema` (structured output) with a plan for a
+ * long-term goal: one milestone per week, each with a few daily tasks. Weeks are numbered; the
+ * service turns them into target dates and returns the plan for the user to review.
+ */
+const measurableTarget = {
+  targetValue: z.number().nullable()
+    .describe('Number that shows it is done, e.g. 10 for "run 10 km"; null if not measurable'),
+  unit: z.string().nullable().describe('Unit of targetValue, e.g. "km", "pages"; null if none'),
+};
+
+export const goalDecompositionSchema = z.object({
+  milestones: z.array(z.object({
+    week: z.number().int().describe('Week the milestone is due, starting at 1'),
+    text: z.string().describe('What is achieved by the end of that week, one short sentence'),
+    ...measurableTarget,
+    tasks: z.array(z.object({
+      text: z.string().describe('Something to do every day that week, a few words'),
+      ...measurableTarget,
+    })).describe('1-3 daily tasks'),
+  })),
+});
+export type GoalDecomposition = z.infer<typeof goalDecompositionSchema>;
@@ -15,3 +15,9 @@ export const formatDate = (date: Date): string => {
   const datePart = date.toISOString().split('T')[0];
   return datePart!;
 };
+
+export * from './errors.js';
+export * from './validation.js';
+export * from './onboarding.js';
+export * from './goalHierarchy.js';
+export * from './schemas/index.js';
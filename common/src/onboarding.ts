@@ -0,0 +1,93 @@
+import { z } from 'zod';
+
+/**
+ * Onboarding profile extraction
+ *
+ * The service asks the LLM to fill `onboardingExtractionSchema` (structured output / function
+ * calling) from the user's onboarding reply. Every field carries the model's confidence, 0-1;
+ * low-confidence fields are kept out of the profile or flagged for the user to check.
+ */
+
+export const PROFILE_GOAL_CATEGORIES = [
+  'fitness',
+  'health',
+  'learning',
+  'career',
+  'finance',
+  'relationships',
+  'mindfulness',
+  'creativity',
+  'productivity',
+  'other',
+] as const;
+export const profileGoalCategorySchema = z.enum(PROFILE_GOAL_CATEGORIES);
+export type ProfileGoalCategory = z.infer<typeof profileGoalCategorySchema>;
+
+// A goal as stored in AIMemory.goals ({ [year]: ProfileGoal[] })
+export interface ProfileGoal {
+  text: string;
+  category: ProfileGoalCategory;
+}
+
+export const EXTRACTION_CONFIDENCE_LEVELS = ['high', 'medium', 'low'] as const;
+export type ExtractionConfidence = typeof EXTRACTION_CONFIDENCE_LEVELS[number];
+
+const confidence = z.number().min(0).max(1)
+  .describe('How sure you are that the user actually said this, from 0 to 1');
+
+export const onboardingExtractionSchema = z.object({
+  isProfileAnswer: z.boolean()
+    .describe('True only if the message answers the onboarding questions (who they are, goals, coaching tone); false for small talk or a status update like "I\'m tired today"'),
+  name: z.object({
+    value: z.string().nullable().describe('The name the user goes by, or null if not stated'),
+    confidence,
+  }),
+  goals: z.array(z.object({
+    text: z.string().describe('One goal in the user\'s words, as a short imperative phrase'),
+    category: profileGoalCategorySchema,
+    confidence,
+  })).max(10).describe('Goals the user wants to work on; empty if none were stated'),
+  tone: z.object({
+    value: z.string().nullable().describe('How the user wants to be coached, e.g. "encouraging" or "firm", or null'),
+    confidence,
+  }),
+  constraints: z.array(z.object({
+    text: z.string().describe('A limitation to plan around, e.g. "bad knee" or "only free after 8pm"'),
+    confidence,
+  })).max(10).describe('Constraints on time, health, money or equipment; empty if none'),
+});
+export type OnboardingExtraction = z.infer<typeof onboardingExtractionSchema>;
+
+// Fields saved with a confidence below this are flagged for the user to double-check
+export const PROFILE_CONFIDENCE_SURE = 0.8;
+
+/**
+ * Confidence of each field saved to the profile (AIMemory.fieldConfidence), so the app can
+ * point out what to double-check. Guided onboarding ('onboarding') gives 1 to direct answers.
+ */
+export interface ProfileFieldConfidence {
+  source: 'llm' | 'regex' | 'onboarding';
+  summary?: number;
+  tone?: number;
+  goals?: Record<string, number>;
+  constraints?: Record<string, number>;
+}
+
+/**
+ * Guided onboarding
+ *
+ * The service walks new users through one question per step, skipping anything an earlier
+ * answer already covered, then asks them to confirm before saving the profile. Each chat reply
+ * during onboarding carries an OnboardingState; its quick replies are sent back as plain messages.
+ */
+
+export const ONBOARDING_STEPS = ['name', 'goals', 'schedule', 'tone', 'confirm', 'done'] as const;
+export type OnboardingStep = typeof ONBOARDING_STEPS[number];
+
+// Steps that collect a profile field (and can be skipped)
+export type OnboardingQuestion = Exclude<OnboardingStep, 'confirm' | 'done'>;
+
+export interface OnboardingState {
+  step: OnboardingStep;
+  quickReplies: string[];
+}
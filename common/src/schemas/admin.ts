@@ -0,0 +1,39 @@
+import { z } from 'zod';
+import { queryInt } from './shared.js';
+
+// Same values as ROLES in service/routes/authorization.js
+export const USER_ROLES = ['user', 'coach', 'admin'] as const;
+export const roleSchema = z.enum(USER_ROLES);
+export type Role = z.infer<typeof roleSchema>;
+
+// GET /api/admin/users
+export const adminUserSearchQuerySchema = z.object({
+  q: z.string().trim().optional(),
+  role: roleSchema.optional(),
+  status: z.enum(['active', 'disabled']).optional(),
+  limit: queryInt(50, { max: 200 }),
+  offset: queryInt(0, { min: 0, max: Number.MAX_SAFE_INTEGER }),
+});
+
+// PUT /api/admin/users/:id/role
+export const setRoleSchema = z.object({
+  role: roleSchema,
+});
+
+// POST /api/admin/users/:id/disable
+export const disableUserSchema = z.object({
+  reason: z.string().trim().max(500).optional(),
+});
+
+// DELETE /api/admin/cache
+export const clearCacheQuerySchema = z.object({
+  userId: z.string().optional(),
+});
+
+// GET /api/admin/audit
+export const adminAuditQuerySchema = z.object({
+  actorId: z.string().optional(),
+  action: z.string().optional(),
+  targetId: z.string().optional(),
+  take: queryInt(50, { max: 500 }),
+});
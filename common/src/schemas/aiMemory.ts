@@ -0,0 +1,54 @@
+import { z } from 'zod';
+import {
+  profileGoalCategorySchema,
+  type ExtractionConfidence,
+  type ProfileFieldConfidence,
+  type ProfileGoal,
+} from '../onboarding.js';
+
+// Free-form JSON the coach keeps about a user
+const jsonObject = z.record(z.unknown());
+const nonEmptyObject = (label: string) => jsonObject.refine(
+  value => Object.keys(value).length > 0,
+  `${label} data is required`,
+);
+
+// POST /api/ai-memory/:userId
+export const upsertAiMemorySchema = z.object({
+  summary: z.string().max(10000).nullable().optional(),
+  goals: jsonObject.nullable().optional(),
+  preferences: jsonObject.nullable().optional(),
+});
+export type UpsertAiMemoryInput = z.infer<typeof upsertAiMemorySchema>;
+
+// PATCH /api/ai-memory/:userId/goals - the whole body is the goals JSON
+export const aiMemoryGoalsSchema = nonEmptyObject('Goals');
+
+// PATCH /api/ai-memory/:userId/preferences - the whole body is the preferences JSON
+export const aiMemoryPreferencesSchema = nonEmptyObject('Preferences');
+
+// PUT /api/ai-memory/me - the whole profile as reviewed on the app's "What your coach knows" screen
+export const profileGoalSchema = z.object({
+  text: z.string().trim().min(1, 'Goal text is required').max(200),
+  category: profileGoalCategorySchema,
+});
+export const updateAiMemoryProfileSchema = z.object({
+  summary: z.string().trim().max(10000).nullable(),
+  // Goals grouped by year, e.g. { "2025": [...] }
+  goals: z.record(z.string().trim().min(1).max(50), z.array(profileGoalSchema).max(50)),
+  preferences: jsonObject,
+});
+export type UpdateAiMemoryProfileInput = z.infer<typeof updateAiMemoryProfileSchema>;
+
+// GET /api/ai-memory/me
+export interface AiMemoryProfile {
+  summary: string | null;
+  goals: Record<string, ProfileGoal[]>;
+  preferences: Record<string, unknown>;
+  extractionConfidence: ExtractionConfidence | null;
+  extractionWarnings: string[];
+  fieldConfidence: ProfileFieldConfidence | null;
+  extractedAt: string | null;
+  manuallyVerified: boolean;
+  lastSync: string;
+}
@@ -0,0 +1,76 @@
+import { z } from 'zod';
+import { requiredString, emailSchema, passwordSchema } from './shared.js';
+
+// POST /api/auth/register
+export const registerSchema = z.object({
+  email: emailSchema,
+  password: passwordSchema,
+  name: z.string().trim().max(100).optional(),
+});
+export type RegisterInput = z.infer<typeof registerSchema>;
+
+// POST /api/auth/login - no format checks, a wrong email is just a failed login
+export const loginSchema = z.object({
+  email: requiredString('Email'),
+  password: requiredString('Password'),
+});
+export type LoginInput = z.infer<typeof loginSchema>;
+
+// POST /api/auth/refresh, /api/auth/logout
+export const refreshTokenSchema = z.object({
+  refreshToken: requiredString('refreshToken'),
+});
+
+// POST /api/auth/forgot-password
+export const forgotPasswordSchema = z.object({
+  email: requiredString('Email'),
+});
+
+// POST /api/auth/reset-password
+export const resetPasswordSchema = z.object({
+  token: requiredString('Token'),
+  password: passwordSchema,
+});
+export type ResetPasswordInput = z.infer<typeof resetPasswordSchema>;
+
+// POST /api/auth/verify-email
+export const verifyEmailSchema = z.object({
+  token: requiredString('Token'),
+});
+
+// POST /api/auth/oauth/:provider
+export const oauthSignInSchema = z.object({
+  idToken: requiredString('idToken'),
+  nonce: z.string().optional(),
+  name: z.string().trim().max(100).optional(),
+});
+
+// POST /api/auth/identities/:provider
+export const linkIdentitySchema = z.object({
+  idToken: requiredString('idToken'),
+  nonce: z.string().optional(),
+});
+
+// A second factor: a code from the authenticator app or a recovery code
+const twoFactorProofFields = {
+  code: z.string().trim().regex(/^\d{6}$/, 'Code must be 6 digits').optional(),
+  recoveryCode: z.string().trim().min(1).optional(),
+};
+const hasProof = (proof: { code?: string | undefined; recoveryCode?: string | undefined }) =>
+  Boolean(proof.code || proof.recoveryCode);
+const proofRequired = { message: 'code or recoveryCode is required', path: ['code'] };
+
+// POST /api/auth/login/2fa
+export const twoFactorLoginSchema = z.object({
+  challengeToken: requiredString('challengeToken'),
+  ...twoFactorProofFields,
+}).refine(hasProof, proofRequired);
+export type TwoFactorLoginInput = z.infer<typeof twoFactorLoginSchema>;
+
+// POST /api/auth/2fa/enable, /api/auth/2fa/recovery-codes
+export const twoFactorCodeSchema = z.object({
+  code: twoFactorProofFields.code.unwrap(),
+});
+
+// POST /api/auth/2fa/disable
+export const twoFactorProofSchema = z.object(twoFactorProofFields).refine(hasProof, proofRequired);
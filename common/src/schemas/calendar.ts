@@ -0,0 +1,48 @@
+import { z } from 'zod';
+import { requiredString, dateOnlySchema, dateTimeSchema, timeOfDaySchema } from './shared.js';
+
+export const RECURRENCE_TYPES = ['daily', 'weekly', 'biweekly', 'monthly', 'yearly'] as const;
+export const recurrenceSchema = z.enum(RECURRENCE_TYPES);
+export type Recurrence = z.infer<typeof recurrenceSchema>;
+
+const weekdaysSchema = z.array(z.number().int().min(0).max(6), {
+  invalid_type_error: 'recurringDays must be an array of numbers 0-6 (e.g. [1,3,5] for Mon/Wed/Fri)',
+});
+
+// Days of the week (0 = Sunday), as an array or the JSON string the database stores
+export const recurringDaysSchema = z.union([
+  weekdaysSchema,
+  z.string().transform((value, ctx) => {
+    try {
+      return weekdaysSchema.parse(JSON.parse(value));
+    } catch {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'recurringDays must be a JSON array of numbers 0-6' });
+      return z.NEVER;
+    }
+  }),
+]);
+
+const eventFields = {
+  title: requiredString('Event title').max(200),
+  type: z.string().trim().min(1).max(50),
+  date: dateOnlySchema,
+  time: timeOfDaySchema.nullable().optional(),
+  description: z.string().max(2000).nullable().optional(),
+  recurring: recurrenceSchema.nullable().optional(),
+  recurringDays: recurringDaysSchema.nullable().optional(),
+  recurringEndDate: dateTimeSchema.nullable().optional(),
+};
+
+// POST /api/calendar
+export const createCalendarEventSchema = z.object({
+  ...eventFields,
+  type: eventFields.type.default('event'),
+});
+export type CreateCalendarEventInput = z.input<typeof createCalendarEventSchema>;
+
+// PUT /api/calendar/:id
+export const updateCalendarEventSchema = z.object({
+  ...eventFields,
+  completed: z.boolean(),
+}).partial();
+export type UpdateCalendarEventInput = z.input<typeof updateCalendarEventSchema>;
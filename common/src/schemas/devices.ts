@@ -0,0 +1,25 @@
+import { z } from 'zod';
+import { requiredString, queryInt } from './shared.js';
+
+export const DEVICE_PLATFORMS = ['ios', 'android'] as const;
+export const PUSH_PROVIDERS = ['apns', 'fcm'] as const;
+
+// POST /api/devices (provider defaults to the platform's)
+export const registerDeviceSchema = z.object({
+  token: requiredString('token'),
+  platform: z.enum(DEVICE_PLATFORMS),
+  provider: z.enum(PUSH_PROVIDERS).optional(),
+  appVersion: z.string().max(50).optional(),
+});
+export type RegisterDeviceInput = z.infer<typeof registerDeviceSchema>;
+
+// DELETE /api/devices
+export const unregisterDeviceSchema = z.object({
+  token: requiredString('token'),
+});
+
+// GET /api/notifications/preview
+export const notificationPreviewQuerySchema = z.object({
+  count: queryInt(5, { max: 20 }),
+  reminderId: z.string().optional(),
+});
@@ -0,0 +1,107 @@
+import { z } from 'zod';
+import { requiredString, dateTimeSchema, queryInt } from './shared.js';
+
+// "milestone" goals sit between a long-term goal and its daily tasks (see ../goalHierarchy.ts)
+export const GOAL_TYPES = ['daily', 'longterm', 'milestone'] as const;
+export const goalTypeSchema = z.enum(GOAL_TYPES, {
+  errorMap: () => ({ message: 'Goal type must be "daily", "longterm" or "milestone"' }),
+});
+export type GoalType = z.infer<typeof goalTypeSchema>;
+
+export const GOAL_PRIORITIES = ['low', 'medium', 'high'] as const;
+export const goalPrioritySchema = z.enum(GOAL_PRIORITIES);
+export type GoalPriority = z.infer<typeof goalPrioritySchema>;
+
+// Measurable target, e.g. 20 "km"
+const targetValueSchema = z.number().positive().max(1_000_000);
+const unitSchema = z.string().trim().min(1).max(20);
+
+// POST /api/goals
+export const createGoalSchema = z.object({
+  text: requiredString('Goal text').max(500),
+  category: z.string().trim().min(1).max(50).default('general'),
+  priority: goalPrioritySchema.default('medium'),
+  type: goalTypeSchema.default('daily'),
+  parentId: z.string().min(1).nullable().optional(),
+  targetDate: dateTimeSchema.nullable().optional(),
+  targetValue: targetValueSchema.nullable().optional(),
+  unit: unitSchema.nullable().optional(),
+});
+export type CreateGoalInput = z.input<typeof createGoalSchema>;
+
+// PUT /api/goals/:id
+export const updateGoalSchema = z.object({
+  text: requiredString('Goal text').max(500),
+  category: z.string().trim().min(1).max(50),
+  priority: goalPrioritySchema,
+  completed: z.boolean(),
+  type: goalTypeSchema,
+  lastCompletedDate: dateTimeSchema.nullable(),
+  parentId: z.string().min(1).nullable(),
+  targetDate: dateTimeSchema.nullable(),
+  targetValue: targetValueSchema.nullable(),
+  currentValue: z.number().min(0).max(1_000_000),
+  unit: unitSchema.nullable(),
+}).partial();
+export type UpdateGoalInput = z.infer<typeof updateGoalSchema>;
+
+// POST /api/goals/:id/decompose
+export const decomposeGoalSchema = z.object({
+  weeks: z.number().int().min(1).max(8).default(4),
+  notes: z.string().trim().max(500).optional(),
+});
+export type DecomposeGoalInput = z.input<typeof decomposeGoalSchema>;
+
+export const goalPlanTaskSchema = z.object({
+  text: requiredString('Task text').max(500),
+  targetValue: targetValueSchema.nullable().optional(),
+  unit: unitSchema.nullable().optional(),
+});
+export type GoalPlanTask = z.infer<typeof goalPlanTaskSchema>;
+
+export const goalPlanMilestoneSchema = z.object({
+  text: requiredString('Milestone text').max(500),
+  targetDate: dateTimeSchema.nullable().optional(),
+  targetValue: targetValueSchema.nullable().optional(),
+  unit: unitSchema.nullable().optional(),
+  tasks: z.array(goalPlanTaskSchema).max(7).default([]),
+});
+export type GoalPlanMilestone = z.infer<typeof goalPlanMilestoneSchema>;
+
+// POST /api/goals/:id/plan - the proposal from /decompose, as reviewed by the user
+export const acceptGoalPlanSchema = z.object({
+  milestones: z.array(goalPlanMilestoneSchema).min(1, 'A plan needs at least one milestone').max(12),
+  // Delete the goal's existing sub-goals first
+  replace: z.boolean().default(false),
+});
+export type AcceptGoalPlanInput = z.input<typeof acceptGoalPlanSchema>;
+
+// GET /api/goals/analytics/weekly and /analytics/categories
+export const goalAnalyticsQuerySchema = z.object({
+  weeks: queryInt(8, { max: 26 }),
+});
+export type GoalAnalyticsQuery = z.input<typeof goalAnalyticsQuerySchema>;
+
+// Days are "YYYY-MM-DD" in the user's time zone; weeks start on Monday
+
+// GET /api/goals/analytics/streaks - days in a row with a daily goal done
+export interface GoalStreaks {
+  current: number;
+  longest: number;
+  completedToday: boolean;
+  goals: { goalId: string; text: string; current: number; longest: number }[];
+}
+
+// GET /api/goals/analytics/weekly - daily goals done out of those that could have been, oldest week first
+export interface WeeklyCompletion {
+  weekStart: string;
+  completed: number;
+  possible: number;
+  rate: number | null;
+}
+
+// GET /api/goals/analytics/categories - completions per category per week, oldest week first
+export interface CategoryTrends {
+  weeks: string[];
+  categories: { category: string; counts: number[]; total: number; change: number }[];
+}
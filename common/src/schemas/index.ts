@@ -0,0 +1,13 @@
+// Request schemas for every endpoint that takes input, shared by the service
+// (validation middleware) and the mobile app (form checks and request types)
+export * from './shared.js';
+export * from './auth.js';
+export * from './users.js';
+export * from './messages.js';
+export * from './reminders.js';
+export * from './goals.js';
+export * from './calendar.js';
+export * from './aiMemory.js';
+export * from './devices.js';
+export * from './admin.js';
+export * from './usage.js';
@@ -0,0 +1,74 @@
+import { z } from 'zod';
+import { requiredString, queryInt, dateTimeSchema } from './shared.js';
+
+// Longest chat message accepted from a client
+export const MAX_MESSAGE_LENGTH = 4000;
+
+// POST /api/messages (admins may name another `userId`)
+export const createMessageSchema = z.object({
+  text: requiredString('Text').max(MAX_MESSAGE_LENGTH),
+  userId: z.string().optional(),
+});
+
+// GET /api/messages/user/:userId, /api/chat/history/:userId
+export const messageHistoryQuerySchema = z.object({
+  limit: queryInt(50, { max: 200 }),
+});
+
+// GET /api/messages/conversation/:userId
+export const conversationQuerySchema = z.object({
+  limit: queryInt(10, { max: 200 }),
+});
+
+// POST /api/chat - an empty message fetches the onboarding prompt
+export const chatMessageSchema = z.object({
+  message: z.string({ required_error: 'Message is required' }).max(MAX_MESSAGE_LENGTH),
+});
+export type ChatMessageInput = z.infer<typeof chatMessageSchema>;
+
+// POST /api/chat/stream
+export const chatStreamSchema = z.object({
+  message: requiredString('Message').max(MAX_MESSAGE_LENGTH),
+});
+
+// POST /api/chat/memory
+export const chatMemorySchema = z.object({
+  content: requiredString('Content').max(MAX_MESSAGE_LENGTH),
+});
+
+export const MESSAGE_SEARCH_MODES = ['keyword', 'semantic'] as const;
+
+// GET /api/messages/search - `cursor` is the opaque `nextCursor` of the previous page
+export const messageSearchQuerySchema = z.object({
+  q: requiredString('Search query').max(200),
+  mode: z.enum(MESSAGE_SEARCH_MODES).default('keyword'),
+  role: z.enum(['user', 'assistant']).optional(),
+  from: dateTimeSchema.optional(),
+  to: dateTimeSchema.optional(),
+  cursor: z.string().max(500).optional(),
+  limit: queryInt(20, { max: 50 }),
+}).refine(({ from, to }) => !from || !to || Date.parse(from) <= Date.parse(to), {
+  message: '"from" must not be after "to"',
+  path: ['from'],
+});
+export type MessageSearchQuery = z.infer<typeof messageSearchQuerySchema>;
+
+// One search hit; `highlights` are [start, end) offsets into `snippet.text`
+export interface MessageSearchResult {
+  id: string;
+  role: 'user' | 'assistant';
+  text: string;
+  createdAt: string;
+  snippet: { text: string; highlights: [number, number][] };
+  score: number;
+}
+
+export interface MessageSearchPage {
+  results: MessageSearchResult[];
+  nextCursor: string | null;
+}
+
+// GET /api/messages/:id/context
+export const messageContextQuerySchema = z.object({
+  span: queryInt(20, { max: 100 }),
+});
@@ -0,0 +1,41 @@
+import { z } from 'zod';
+import { requiredString, dateTimeSchema, queryBoolean, queryInt } from './shared.js';
+
+// Mirrors the RepeatType enum in service/prisma/schema.prisma
+export const REPEAT_TYPES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY', 'CUSTOM'] as const;
+export const repeatTypeSchema = z.enum(REPEAT_TYPES);
+export type RepeatType = z.infer<typeof repeatTypeSchema>;
+
+const reminderFields = {
+  title: requiredString('Title').max(200),
+  dueDate: dateTimeSchema,
+  repeatType: repeatTypeSchema.nullable().optional(),
+  repeatUntil: dateTimeSchema.nullable().optional(),
+  interval: z.number().int().min(1).max(365).nullable().optional(),
+};
+
+// POST /api/reminders (admins may name another `userId`)
+export const createReminderSchema = z.object({
+  ...reminderFields,
+  userId: z.string().optional(),
+});
+export type CreateReminderInput = z.infer<typeof createReminderSchema>;
+
+// PUT /api/reminders/:id
+export const updateReminderSchema = z.object(reminderFields).partial();
+export type UpdateReminderInput = z.infer<typeof updateReminderSchema>;
+
+// GET /api/reminders/user/:userId
+export const listRemindersQuerySchema = z.object({
+  includeCompleted: queryBoolean.optional(),
+});
+
+// GET /api/reminders/upcoming/:userId
+export const upcomingRemindersQuerySchema = z.object({
+  days: queryInt(7, { max: 365 }),
+});
+
+// GET /api/reminders/deliveries/:userId
+export const reminderDeliveriesQuerySchema = z.object({
+  take: queryInt(50, { max: 200 }),
+});
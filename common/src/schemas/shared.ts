@@ -0,0 +1,49 @@
+import { z } from 'zod';
+
+// Building blocks shared by the request schemas
+
+export const requiredString = (label: string) => z.string({ required_error: `${label} is required` })
+  .trim()
+  .min(1, `${label} is required`);
+
+export const idSchema = requiredString('id');
+
+// Calendar date without a time, e.g. "2025-11-20"
+export const dateOnlySchema = z.string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD')
+  .refine(value => !Number.isNaN(new Date(value).getTime()), 'Invalid date');
+
+// 24-hour time, e.g. "07:30"
+export const timeOfDaySchema = z.string()
+  .regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Use HH:mm (24-hour)');
+
+// Anything `new Date()` understands; kept as sent, the database layer converts it
+export const dateTimeSchema = z.string()
+  .refine(value => !Number.isNaN(Date.parse(value)), 'Invalid date/time');
+
+// IANA time zone, e.g. "Europe/Berlin"
+export const timeZoneSchema = z.string()
+  .min(1)
+  .max(64)
+  .refine((value) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    } catch {
+      return false;
+    }
+  }, 'Unknown time zone');
+
+export const emailSchema = requiredString('Email').email('Invalid email address');
+
+export const passwordSchema = z.string({ required_error: 'Password is required' })
+  .min(6, 'Password must be at least 6 characters long');
+
+/**
+ * Integer query parameter ("?limit=20") with a default and bounds
+ */
+export const queryInt = (fallback: number, { min = 1, max }: { min?: number; max: number }) =>
+  z.coerce.number().int().min(min).max(max).default(fallback);
+
+// "?includeCompleted=true"
+export const queryBoolean = z.enum(['true', 'false']).transform(value => value === 'true');
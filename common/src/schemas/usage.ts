@@ -0,0 +1,53 @@
+import { z } from 'zod';
+import { requiredString, queryInt } from './shared.js';
+
+// GET /api/usage/me, /api/usage/admin
+export const usageRangeQuerySchema = z.object({
+  period: z.enum(['daily', 'monthly']).default('daily'),
+  days: queryInt(30, { max: 366 }),
+  months: queryInt(12, { max: 24 }),
+  top: queryInt(10, { max: 100 }),
+});
+
+// Budget caps an admin can override per user (null = back to the default)
+export const USAGE_LIMIT_FIELDS = [
+  'dailyCostSoft',
+  'dailyCostHard',
+  'monthlyCostSoft',
+  'monthlyCostHard',
+  'dailyTokensSoft',
+  'dailyTokensHard',
+  'monthlyTokensSoft',
+  'monthlyTokensHard',
+] as const;
+export type UsageLimitField = typeof USAGE_LIMIT_FIELDS[number];
+
+const limitValue = z.number().finite().nonnegative().nullable().optional();
+
+// PUT /api/usage/admin/limits/:userId
+export const usageLimitsSchema = z.object(
+  Object.fromEntries(USAGE_LIMIT_FIELDS.map(field => [field, limitValue])) as Record<UsageLimitField, typeof limitValue>,
+).refine(
+  limits => USAGE_LIMIT_FIELDS.some(field => limits[field] !== undefined),
+  `Provide at least one of: ${USAGE_LIMIT_FIELDS.join(', ')}`,
+);
+
+// POST /api/routing/dry-run
+export const routingDryRunSchema = z.object({
+  message: requiredString('Message'),
+  userId: z.string().optional(),
+  context: z.object({
+    tier: z.string(),
+    budget: z.string(), // Budget status, e.g. "ok" or "soft"
+    historyLength: z.number().int().nonnegative(),
+    onboarded: z.boolean(),
+  }).partial().default({}),
+});
+
+// GET /api/routing/audit
+export const routingAuditQuerySchema = z.object({
+  userId: z.string().optional(),
+  ruleId: z.string().optional(),
+  take: queryInt(50, { max: 500 }),
+  days: queryInt(7, { max: 90 }),
+});
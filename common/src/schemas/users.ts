@@ -0,0 +1,16 @@
+import { z } from 'zod';
+import { emailSchema, timeZoneSchema } from './shared.js';
+
+// POST /api/users (admin)
+export const createUserSchema = z.object({
+  email: emailSchema,
+  name: z.string().trim().max(100).optional(),
+});
+
+// PUT /api/users/:id
+export const updateUserSchema = z.object({
+  name: z.string().trim().min(1, 'Name cannot be empty').max(100),
+  // Decides when the user's day starts: daily goal rollover, streaks
+  timezone: timeZoneSchema,
+}).partial();
+export type UpdateUserInput = z.infer<typeof updateUserSchema>;
@@ -0,0 +1,38 @@
+import type { ZodError, ZodIssue } from 'zod';
+import type { ErrorResponse } from './errors.js';
+
+/**
+ * The 400 body every endpoint returns for a request that fails its schema
+ *
+ * `details` has one entry per problem; `path` is the dotted field path inside `location`
+ * (e.g. `recurringDays.2` in the body), so forms can put the message next to the field.
+ */
+export interface ValidationIssue {
+  location: RequestLocation;
+  path: string;
+  message: string;
+}
+
+export interface ValidationErrorResponse extends ErrorResponse<'VALIDATION_ERROR', ValidationIssue[]> {
+  details: ValidationIssue[];
+}
+
+export type RequestLocation = 'body' | 'query' | 'params';
+
+export const formatIssuePath = (issue: Pick<ZodIssue, 'path'>): string => issue.path.join('.');
+
+export const toValidationIssues = (error: ZodError, location: RequestLocation): ValidationIssue[] =>
+  error.issues.map(issue => ({ location, path: formatIssuePath(issue), message: issue.message }));
+
+/**
+ * Field -> first message, for showing errors next to form inputs
+ * Works on a server ValidationErrorResponse or on a local `safeParse` failure.
+ */
+export const fieldErrors = (issues: Array<Pick<ValidationIssue, 'path' | 'message'>>): Record<string, string> => {
+  const errors: Record<string, string> = {};
+  for (const { path, message } of issues) {
+    const field = path || '_';
+    if (!(field in errors)) errors[field] = message;
+  }
+  return errors;
+};
@@ -0,0 +1,60 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  authFetch,
+  refreshSession,
+  saveSession,
+  setSessionExpiredHandler,
+} from '../src/utils/authSession';
+
+const jsonResponse = (status: number, body: unknown) =>
+  ({ status, ok: status < 400, json: async () => body }) as Response;
+
+const fetchMock = jest.fn();
+globalThis.fetch = fetchMock as unknown as typeof fetch;
+
+beforeEach(async () => {
+  fetchMock.mockReset();
+  await AsyncStorage.clear();
+  await saveSession({ token: 'old-access', refreshToken: 'refresh-1', expiresIn: 900 });
+});
+
+describe('authFetch', () => {
+  it('refreshes on 401 and retries with the new token', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(401, { code: 'TOKEN_EXPIRED' }))
+      .mockResolvedValueOnce(jsonResponse(200, { success: true, data: { token: 'new-access', refreshToken: 'refresh-2', expiresIn: 900 } }))
+      .mockResolvedValueOnce(jsonResponse(200, { success: true }));
+
+    const response = await authFetch('http://api/goals');
+
+    expect(response.status).toBe(200);
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe('Bearer old-access');
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ refreshToken: 'refresh-1' });
+    expect(fetchMock.mock.calls[2][1].headers.Authorization).toBe('Bearer new-access');
+    expect(await AsyncStorage.getItem('@refresh_token')).toBe('refresh-2');
+  });
+
+  it('shares one refresh between concurrent callers', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, { success: true, data: { token: 'new-access', refreshToken: 'refresh-2' } }));
+
+    const tokens = await Promise.all([refreshSession(), refreshSession(), refreshSession()]);
+
+    expect(tokens).toEqual(['new-access', 'new-access', 'new-access']);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('signs out when the refresh token is rejected', async () => {
+    const onExpired = jest.fn();
+    setSessionExpiredHandler(onExpired);
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(401, { code: 'TOKEN_EXPIRED' }))
+      .mockResolvedValueOnce(jsonResponse(401, { code: 'REFRESH_TOKEN_REUSED' }));
+
+    const response = await authFetch('http://api/goals');
+
+    expect(response.status).toBe(401);
+    expect(onExpired).toHaveBeenCalled();
+    expect(await AsyncStorage.getItem('@user_token')).toBeNull();
+    setSessionExpiredHandler(null);
+  });
+});
@@ -0,0 +1,29 @@
+import { parseSSE } from '../src/utils/chatStream';
+
+describe('parseSSE', () => {
+  it('parses complete events and keeps the incomplete tail', () => {
+    const buffer =
+      'event: start\ndata: {"userMessage":{"id":"1"}}\n\n' +
+      'event: token\ndata: {"token":"Hel"}\n\n' +
+      'event: token\ndata: {"tok';
+
+    const { events, rest } = parseSSE(buffer);
+
+    expect(events).toEqual([
+      { event: 'start', data: { userMessage: { id: '1' } } },
+      { event: 'token', data: { token: 'Hel' } },
+    ]);
+    expect(rest).toBe('event: token\ndata: {"tok');
+  });
+
+  it('resumes parsing once the rest of an event arrives', () => {
+    const first = parseSSE('event: token\ndata: {"tok');
+    const { events, rest } = parseSSE(first.rest + 'en":"lo"}\n\nevent: done\ndata: {"messageId":"m1","cancelled":false}\n\n');
+
+    expect(events).toEqual([
+      { event: 'token', data: { token: 'lo' } },
+      { event: 'done', data: { messageId: 'm1', cancelled: false } },
+    ]);
+    expect(rest).toBe('');
+  });
+});
@@ -0,0 +1,53 @@
+import type { AiMemoryProfile } from 'common';
+import { constraintKey, goalKey, lowConfidenceKeys, toProfileInput } from '../src/utils/coachMemory';
+
+const profile = (overrides: Partial<AiMemoryProfile> = {}): AiMemoryProfile => ({
+  summary: 'Alex',
+  goals: { 2025: [{ text: 'get fit', category: 'fitness' }, { text: 'learn Python', category: 'learning' }] },
+  preferences: { tone: 'supportive', constraints: ['bad knee'] },
+  extractionConfidence: 'medium',
+  extractionWarnings: [],
+  fieldConfidence: {
+    source: 'llm',
+    summary: 0.95,
+    goals: { 'get fit': 0.9, 'learn Python': 0.55 },
+    tone: 0.6,
+    constraints: { 'bad knee': 0.7 },
+  },
+  extractedAt: '2025-03-01T10:00:00.000Z',
+  manuallyVerified: false,
+  lastSync: '2025-03-01T10:00:00.000Z',
+  ...overrides,
+});
+
+describe('lowConfidenceKeys', () => {
+  it('flags fields the extraction was unsure about', () => {
+    expect([...lowConfidenceKeys(profile())].sort()).toEqual(
+      [constraintKey('bad knee'), goalKey('learn Python'), 'tone'].sort(),
+    );
+  });
+
+  it('flags nothing once the user has confirmed the profile', () => {
+    expect(lowConfidenceKeys(profile({ manuallyVerified: true })).size).toBe(0);
+    expect(lowConfidenceKeys(profile({ fieldConfidence: null })).size).toBe(0);
+  });
+});
+
+describe('toProfileInput', () => {
+  it('drops blank items and empty years', () => {
+    expect(
+      toProfileInput({
+        summary: '  ',
+        goals: {
+          2024: [{ text: ' ', category: 'other' }],
+          2025: [{ text: ' get fit ', category: 'fitness' }],
+        },
+        preferences: { tone: '', constraints: ['bad knee', ' '], reminders: { morning: true } },
+      }),
+    ).toEqual({
+      summary: null,
+      goals: { 2025: [{ text: 'get fit', category: 'fitness' }] },
+      preferences: { constraints: ['bad knee'], reminders: { morning: true } },
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import { averageRate, weekLabel } from '../src/utils/goalAnalytics';
+
+describe('weekLabel', () => {
+  it('shows the Monday as month/day', () => {
+    expect(weekLabel('2025-03-03')).toBe('3/3');
+    expect(weekLabel('2025-12-29')).toBe('12/29');
+  });
+});
+
+describe('averageRate', () => {
+  it('weighs weeks by how many chances they had', () => {
+    expect(
+      averageRate([
+        { weekStart: '2025-03-03', completed: 1, possible: 2, rate: 0.5 },
+        { weekStart: '2025-03-10', completed: 8, possible: 8, rate: 1 },
+        { weekStart: '2025-03-17', completed: 0, possible: 0, rate: null },
+      ]),
+    ).toBe(0.9);
+  });
+
+  it('is null without any daily goals', () => {
+    expect(averageRate([])).toBeNull();
+  });
+});
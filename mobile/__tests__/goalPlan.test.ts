@@ -0,0 +1,27 @@
+import { cleanPlan, formatProgress } from '../src/utils/goalPlan';
+
+describe('cleanPlan', () => {
+  it('trims text and drops blank tasks and milestones', () => {
+    expect(
+      cleanPlan([
+        {
+          text: ' Run 5 km ',
+          targetDate: '2025-03-10',
+          targetValue: 5,
+          unit: 'km',
+          tasks: [{ text: ' Jog 20 minutes ' }, { text: '  ' }],
+        },
+        { text: '', tasks: [{ text: 'Stretch' }] },
+      ]),
+    ).toEqual([
+      { text: 'Run 5 km', targetDate: '2025-03-10', targetValue: 5, unit: 'km', tasks: [{ text: 'Jog 20 minutes' }] },
+    ]);
+  });
+});
+
+describe('formatProgress', () => {
+  it('rounds to a whole percentage', () => {
+    expect(formatProgress(0.456)).toBe('46%');
+    expect(formatProgress(undefined)).toBe('0%');
+  });
+});
@@ -0,0 +1,34 @@
+import { splitSnippet } from '../src/utils/messageSearch';
+
+describe('splitSnippet', () => {
+  it('splits a snippet into plain and highlighted runs', () => {
+    const segments = splitSnippet({
+      text: 'my knee hurts after the run',
+      highlights: [[24, 27], [3, 7]],
+    });
+
+    expect(segments).toEqual([
+      { text: 'my ', highlighted: false },
+      { text: 'knee', highlighted: true },
+      { text: ' hurts after the ', highlighted: false },
+      { text: 'run', highlighted: true },
+    ]);
+  });
+
+  it('clamps overlapping and out-of-range highlights', () => {
+    const segments = splitSnippet({ text: 'pasta recipe', highlights: [[0, 5], [3, 8], [10, 40]] });
+
+    expect(segments).toEqual([
+      { text: 'pasta', highlighted: true },
+      { text: ' re', highlighted: true },
+      { text: 'ci', highlighted: false },
+      { text: 'pe', highlighted: true },
+    ]);
+  });
+
+  it('returns the whole text when nothing is highlighted', () => {
+    expect(splitSnippet({ text: 'no matches', highlights: [] })).toEqual([
+      { text: 'no matches', highlighted: false },
+    ]);
+  });
+});
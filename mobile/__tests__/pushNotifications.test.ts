@@ -0,0 +1,42 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { saveSession } from '../src/utils/authSession';
+import { unregisterPushNotifications } from '../src/utils/pushNotifications';
+
+const jsonResponse = (status: number, body: unknown) =>
+  ({ status, ok: status < 400, json: async () => body }) as Response;
+
+const fetchMock = jest.fn();
+globalThis.fetch = fetchMock as unknown as typeof fetch;
+
+beforeEach(async () => {
+  fetchMock.mockReset();
+  await AsyncStorage.clear();
+  await saveSession({ token: 'expired-access', refreshToken: 'refresh-1', expiresIn: 900 });
+  await AsyncStorage.setItem('@push_token', 'device-1');
+});
+
+describe('unregisterPushNotifications', () => {
+  it('refreshes an expired access token before removing the device', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(401, { code: 'TOKEN_EXPIRED' }))
+      .mockResolvedValueOnce(jsonResponse(200, { success: true, data: { token: 'new-access', refreshToken: 'refresh-2', expiresIn: 900 } }))
+      .mockResolvedValueOnce(jsonResponse(200, { success: true }));
+
+    await unregisterPushNotifications();
+
+    const [url, init] = fetchMock.mock.calls[2];
+    expect(url).toMatch(/\/api\/devices$/);
+    expect(init.method).toBe('DELETE');
+    expect(init.headers.Authorization).toBe('Bearer new-access');
+    expect(JSON.parse(init.body)).toEqual({ token: 'device-1' });
+    expect(await AsyncStorage.getItem('@push_token')).toBeNull();
+  });
+
+  it('keeps the push token when the service did not remove the device', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(500, { success: false }));
+
+    await unregisterPushNotifications();
+
+    expect(await AsyncStorage.getItem('@push_token')).toBe('device-1');
+  });
+});
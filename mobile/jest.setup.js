@@ -1,3 +1,5 @@
+/* eslint-env jest */
+
 // Mock AsyncStorage
 jest.mock('@react-native-async-storage/async-storage', () =>
   require('@react-native-async-storage/async-storage/jest/async-storage-mock')
@@ -52,4 +54,34 @@ jest.mock('@react-navigation/stack', () => ({
   }),
 }));
 
+// Mock push notification modules (native only)
+jest.mock('expo-device', () => ({ isDevice: false }));
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  setNotificationChannelAsync: jest.fn(),
+  getPermissionsAsync: jest.fn(async () => ({ status: 'denied' })),
+  requestPermissionsAsync: jest.fn(async () => ({ status: 'denied' })),
+  getDevicePushTokenAsync: jest.fn(),
+  AndroidImportance: { HIGH: 4 },
+}));
+
+// Mock Google/Apple sign-in modules (native only)
+jest.mock('expo-web-browser', () => ({ maybeCompleteAuthSession: jest.fn() }));
+
+jest.mock('expo-auth-session/providers/google', () => ({
+  useIdTokenAuthRequest: jest.fn(() => [null, null, jest.fn()]),
+}));
+
+jest.mock('expo-apple-authentication', () => ({
+  isAvailableAsync: jest.fn(async () => false),
+  signInAsync: jest.fn(),
+  AppleAuthenticationButton: 'AppleAuthenticationButton',
+  AppleAuthenticationScope: { FULL_NAME: 0, EMAIL: 1 },
+  AppleAuthenticationButtonType: { CONTINUE: 1 },
+  AppleAuthenticationButtonStyle: { BLACK: 2 },
+}));
+
+jest.mock('expo-crypto', () => ({ randomUUID: jest.fn(() => 'test-nonce') }));
+
 // Additional mocks can be added here as needed
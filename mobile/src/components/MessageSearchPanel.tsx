@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  ActivityIndicator,
+  StyleSheet,
+} from 'react-native';
+import type { MessageSearchResult } from 'common';
+import { searchMessages, splitSnippet } from '../utils/messageSearch';
+
+interface MessageSearchPanelProps {
+  onSelect: (result: MessageSearchResult) => void;
+}
+
+type SearchMode = 'keyword' | 'semantic';
+
+/**
+ * Search bar and results for the chat history. Tapping a result hands it to `onSelect`,
+ * which scrolls the conversation to that message.
+ */
+const MessageSearchPanel: React.FC<MessageSearchPanelProps> = ({ onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [mode, setMode] = useState<SearchMode>('keyword');
+  const [results, setResults] = useState<MessageSearchResult[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [hasSearched, setHasSearched] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const runSearch = async (searchMode: SearchMode = mode, cursor: string | null = null) => {
+    const trimmed = query.trim();
+    if (!trimmed) return;
+
+    setIsSearching(true);
+    setError(null);
+    try {
+      const page = await searchMessages(trimmed, { mode: searchMode, cursor });
+      setResults((prev) => (cursor ? [...prev, ...page.results] : page.results));
+      setNextCursor(page.nextCursor);
+      setHasSearched(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Search failed');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const switchMode = (next: SearchMode) => {
+    setMode(next);
+    if (hasSearched) runSearch(next);
+  };
+
+  const renderResult = ({ item }: { item: MessageSearchResult }) => (
+    <TouchableOpacity style={styles.result} onPress={() => onSelect(item)}>
+      <Text style={styles.resultMeta}>
+        {item.role === 'assistant' ? 'Coach' : 'You'} · {new Date(item.createdAt).toLocaleDateString()}
+      </Text>
+      <Text style={styles.resultText} numberOfLines={3}>
+        {splitSnippet(item.snippet).map((segment, index) => (
+          <Text key={index} style={segment.highlighted ? styles.highlight : undefined}>
+            {segment.text}
+          </Text>
+        ))}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <TextInput
+        style={styles.input}
+        placeholder="Search your conversation..."
+        placeholderTextColor="#666"
+        value={query}
+        onChangeText={setQuery}
+        onSubmitEditing={() => runSearch()}
+        returnKeyType="search"
+        autoFocus
+      />
+      <View style={styles.modes}>
+        {(['keyword', 'semantic'] as SearchMode[]).map((option) => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.mode, mode === option && styles.modeActive]}
+            onPress={() => switchMode(option)}
+          >
+            <Text style={styles.modeText}>{option === 'keyword' ? 'Exact words' : 'Similar meaning'}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {error && <Text style={styles.error}>{error}</Text>}
+
+      <FlatList
+        data={results}
+        renderItem={renderResult}
+        keyExtractor={(item) => item.id}
+        keyboardShouldPersistTaps="handled"
+        style={styles.results}
+        ListEmptyComponent={
+          hasSearched && !isSearching ? <Text style={styles.empty}>No matching messages</Text> : null
+        }
+        ListFooterComponent={
+          isSearching ? (
+            <ActivityIndicator color="#0066cc" style={styles.footer} />
+          ) : nextCursor ? (
+            <TouchableOpacity style={styles.footer} onPress={() => runSearch(mode, nextCursor)}>
+              <Text style={styles.loadMore}>Load more</Text>
+            </TouchableOpacity>
+          ) : null
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  input: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    color: '#fff',
+    fontSize: 15,
+  },
+  modes: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 10,
+  },
+  mode: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#1a1a1a',
+  },
+  modeActive: {
+    backgroundColor: '#0066cc',
+  },
+  modeText: {
+    color: '#fff',
+    fontSize: 13,
+  },
+  error: {
+    color: '#ff6b6b',
+    marginTop: 10,
+  },
+  results: {
+    flex: 1,
+    marginTop: 8,
+  },
+  result: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#1a1a1a',
+  },
+  resultMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 4,
+  },
+  resultText: {
+    fontSize: 15,
+    color: '#fff',
+  },
+  highlight: {
+    backgroundColor: '#665c00',
+    fontWeight: '600',
+  },
+  empty: {
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 24,
+  },
+  footer: {
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+  loadMore: {
+    color: '#0066cc',
+    fontWeight: '600',
+  },
+});
+
+export default MessageSearchPanel;
@@ -0,0 +1,65 @@
+import React from 'react';
+import { ScrollView, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+interface QuickRepliesProps {
+  replies: string[];
+  onSelect: (reply: string) => void;
+  disabled?: boolean;
+}
+
+/**
+ * Tappable answer chips above the chat input (guided onboarding). A tapped chip is sent
+ * as the user's message.
+ */
+const QuickReplies: React.FC<QuickRepliesProps> = ({ replies, onSelect, disabled = false }) => {
+  if (replies.length === 0) return null;
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      {replies.map((reply) => (
+        <TouchableOpacity
+          key={reply}
+          style={[styles.chip, disabled && styles.chipDisabled]}
+          onPress={() => onSelect(reply)}
+          disabled={disabled}
+        >
+          <Text style={styles.chipText}>{reply}</Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 0,
+  },
+  content: {
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#0066cc',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  chipDisabled: {
+    opacity: 0.5,
+  },
+  chipText: {
+    color: '#0066cc',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default QuickReplies;
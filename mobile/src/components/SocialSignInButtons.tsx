@@ -0,0 +1,212 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import * as Google from 'expo-auth-session/providers/google';
+import * as WebBrowser from 'expo-web-browser';
+import * as AppleAuthentication from 'expo-apple-authentication';
+import * as Crypto from 'expo-crypto';
+import {
+  GOOGLE_IOS_CLIENT_ID,
+  GOOGLE_ANDROID_CLIENT_ID,
+  GOOGLE_WEB_CLIENT_ID,
+} from '@env';
+import { useAuth } from '../context/AuthContext';
+
+// Closes the browser popup when Google redirects back to the app
+WebBrowser.maybeCompleteAuthSession();
+
+// The Google hook throws without a client ID for the current platform, so only render when there is one
+const googleClientId = Platform.select({
+  ios: GOOGLE_IOS_CLIENT_ID,
+  android: GOOGLE_ANDROID_CLIENT_ID,
+  default: GOOGLE_WEB_CLIENT_ID,
+});
+
+interface ProviderButtonProps {
+  onResult: (result: { success: boolean; error?: string }) => void;
+  disabled: boolean;
+  setBusy: (busy: boolean) => void;
+}
+
+const GoogleSignInButton: React.FC<ProviderButtonProps> = ({ onResult, disabled, setBusy }) => {
+  const { signInWithProvider } = useAuth();
+  const [request, response, promptAsync] = Google.useIdTokenAuthRequest({
+    iosClientId: GOOGLE_IOS_CLIENT_ID,
+    androidClientId: GOOGLE_ANDROID_CLIENT_ID,
+    webClientId: GOOGLE_WEB_CLIENT_ID,
+  });
+
+  // Sign in once per Google response: the callbacks change on every parent render (setBusy
+  // re-renders it), so the effect reads the latest ones from a ref instead of depending on them
+  const callbacks = useRef({ signInWithProvider, onResult, setBusy });
+  callbacks.current = { signInWithProvider, onResult, setBusy };
+
+  useEffect(() => {
+    if (response?.type !== 'success') return;
+
+    const idToken = response.params.id_token;
+    callbacks.current.setBusy(true);
+    callbacks.current.signInWithProvider('google', idToken).then(result => {
+      callbacks.current.setBusy(false);
+      callbacks.current.onResult(result);
+    });
+  }, [response]);
+
+  return (
+    <TouchableOpacity
+      style={[styles.button, styles.googleButton]}
+      onPress={() => promptAsync()}
+      disabled={!request || disabled}
+    >
+      <Text style={styles.googleText}>Continue with Google</Text>
+    </TouchableOpacity>
+  );
+};
+
+const AppleSignInButton: React.FC<ProviderButtonProps> = ({ onResult, disabled, setBusy }) => {
+  const { signInWithProvider } = useAuth();
+
+  const handlePress = async () => {
+    if (disabled) return;
+    try {
+      // Apple echoes the nonce in the ID token; the server checks it to stop token replay
+      const nonce = Crypto.randomUUID();
+      const credential = await AppleAuthentication.signInAsync({
+        requestedScopes: [
+          AppleAuthentication.AppleAuthenticationScope.FULL_NAME,
+          AppleAuthentication.AppleAuthenticationScope.EMAIL,
+        ],
+        nonce,
+      });
+      if (!credential.identityToken) {
+        onResult({ success: false, error: 'Apple did not return an identity token' });
+        return;
+      }
+
+      // Apple only shares the name on the very first sign-in, and never in the token
+      const name = [credential.fullName?.givenName, credential.fullName?.familyName]
+        .filter(Boolean)
+        .join(' ');
+
+      setBusy(true);
+      const result = await signInWithProvider('apple', credential.identityToken, {
+        nonce,
+        name: name || undefined,
+      });
+      setBusy(false);
+      onResult(result);
+    } catch (error: any) {
+      if (error?.code === 'ERR_REQUEST_CANCELED') return;
+      console.error('Sign in with Apple error:', error);
+      onResult({ success: false, error: 'Could not sign in with Apple' });
+    }
+  };
+
+  return (
+    <AppleAuthentication.AppleAuthenticationButton
+      buttonType={AppleAuthentication.AppleAuthenticationButtonType.CONTINUE}
+      buttonStyle={AppleAuthentication.AppleAuthenticationButtonStyle.BLACK}
+      cornerRadius={8}
+      style={styles.appleButton}
+      onPress={handlePress}
+    />
+  );
+};
+
+/**
+ * "Continue with Google / Apple" buttons for the sign-in and sign-up screens.
+ * On success AuthContext stores the session and the navigator switches to the app.
+ */
+const SocialSignInButtons: React.FC = () => {
+  const [isBusy, setBusy] = useState(false);
+  const [appleAvailable, setAppleAvailable] = useState(false);
+
+  useEffect(() => {
+    if (Platform.OS !== 'ios') return;
+    AppleAuthentication.isAvailableAsync()
+      .then(setAppleAvailable)
+      .catch(() => setAppleAvailable(false));
+  }, []);
+
+  const handleResult = (result: { success: boolean; error?: string }) => {
+    if (!result.success) {
+      Alert.alert('Error', result.error || 'Sign in failed');
+    }
+  };
+
+  if (!googleClientId && !appleAvailable) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.divider}>
+        <View style={styles.line} />
+        <Text style={styles.dividerText}>or</Text>
+        <View style={styles.line} />
+      </View>
+
+      {appleAvailable && (
+        <AppleSignInButton onResult={handleResult} disabled={isBusy} setBusy={setBusy} />
+      )}
+      {googleClientId ? (
+        <GoogleSignInButton onResult={handleResult} disabled={isBusy} setBusy={setBusy} />
+      ) : null}
+
+      {isBusy && <ActivityIndicator style={styles.spinner} color="#007AFF" />}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  divider: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  line: {
+    flex: 1,
+    height: 1,
+    backgroundColor: '#ddd',
+  },
+  dividerText: {
+    marginHorizontal: 12,
+    fontSize: 14,
+    color: '#666',
+  },
+  button: {
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  googleButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  googleText: {
+    color: '#333',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  appleButton: {
+    height: 50,
+    marginBottom: 12,
+  },
+  spinner: {
+    marginTop: 8,
+  },
+});
+
+export default SocialSignInButtons;
@@ -0,0 +1,307 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  Image,
+} from 'react-native';
+import { SERVICE_URL } from '@env';
+import { authFetch } from '../utils/authSession';
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+}
+
+interface TwoFactorSetup {
+  secret: string;
+  otpauthUri: string;
+  qrCode: string; // PNG data URL
+}
+
+// POST to /api/auth/2fa/* and unwrap { success, data }, throwing the server's message on failure
+const post2fa = async (path: string, body: object = {}) => {
+  const response = await authFetch(`${SERVICE_URL}/api/auth/2fa${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Request failed');
+  }
+  return data.data;
+};
+
+/**
+ * Profile "Security" section: turn two-factor authentication on (scan QR, confirm a code,
+ * save recovery codes) or off (with a current code or a recovery code).
+ */
+const TwoFactorSection: React.FC = () => {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [isDisabling, setIsDisabling] = useState(false);
+  const [code, setCode] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await authFetch(`${SERVICE_URL}/api/auth/2fa`);
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setStatus(data.data);
+      }
+    } catch (error) {
+      console.error('Error loading two-factor status:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  // Run a request with the busy spinner; errors are shown as an alert
+  const run = async (action: () => Promise<void>) => {
+    try {
+      setIsBusy(true);
+      await action();
+    } catch (error) {
+      Alert.alert('Error', (error as Error).message);
+    } finally {
+      setIsBusy(false);
+      setCode('');
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setRecoveryCodes(null);
+    setSetup(await post2fa('/setup'));
+  });
+
+  const handleEnable = () => run(async () => {
+    const data = await post2fa('/enable', { code: code.trim() });
+    setSetup(null);
+    setRecoveryCodes(data.recoveryCodes);
+    await loadStatus();
+  });
+
+  const handleDisable = () => run(async () => {
+    // Six digits is an app code; anything else is taken as a recovery code
+    const proof = /^\d{6}$/.test(code.trim()) ? { code: code.trim() } : { recoveryCode: code.trim() };
+    await post2fa('/disable', proof);
+    setIsDisabling(false);
+    setRecoveryCodes(null);
+    await loadStatus();
+  });
+
+  const handleRegenerate = () => run(async () => {
+    const data = await post2fa('/recovery-codes', { code: code.trim() });
+    setRecoveryCodes(data.recoveryCodes);
+    await loadStatus();
+  });
+
+  const cancel = () => {
+    setSetup(null);
+    setIsDisabling(false);
+    setCode('');
+  };
+
+  const renderCodeInput = (placeholder: string) => (
+    <TextInput
+      style={styles.input}
+      placeholder={placeholder}
+      placeholderTextColor="#666"
+      value={code}
+      onChangeText={setCode}
+      autoCapitalize="none"
+      editable={!isBusy}
+    />
+  );
+
+  const renderButton = (label: string, onPress: () => void, style = styles.primaryButton) => (
+    <TouchableOpacity
+      style={[styles.button, style, isBusy && styles.buttonDisabled]}
+      onPress={onPress}
+      disabled={isBusy}
+    >
+      {isBusy ? <ActivityIndicator size="small" color="#fff" /> : <Text style={styles.buttonText}>{label}</Text>}
+    </TouchableOpacity>
+  );
+
+  if (!status) {
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Security</Text>
+        <ActivityIndicator color="#0066cc" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Security</Text>
+
+      <View style={styles.infoRow}>
+        <Text style={styles.infoLabel}>Two-factor authentication</Text>
+        <Text style={[styles.infoValue, status.enabled && styles.enabled]}>
+          {status.enabled ? 'On' : 'Off'}
+        </Text>
+      </View>
+
+      {recoveryCodes && (
+        <View style={styles.card}>
+          <Text style={styles.hint}>
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+            phone. They won't be shown again.
+          </Text>
+          {recoveryCodes.map(recoveryCode => (
+            <Text key={recoveryCode} selectable style={styles.code}>{recoveryCode}</Text>
+          ))}
+        </View>
+      )}
+
+      {!status.enabled && !setup && renderButton('Set Up Two-Factor Authentication', handleStartSetup)}
+
+      {setup && (
+        <View style={styles.card}>
+          <Text style={styles.hint}>Scan this QR code with an authenticator app, then enter the 6-digit code it shows.</Text>
+          <Image source={{ uri: setup.qrCode }} style={styles.qrCode} />
+          <Text style={styles.hint}>Or enter this key manually:</Text>
+          <Text selectable style={styles.code}>{setup.secret}</Text>
+          {renderCodeInput('123456')}
+          {renderButton('Verify and Turn On', handleEnable)}
+          <TouchableOpacity onPress={cancel}>
+            <Text style={styles.link}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {status.enabled && !isDisabling && (
+        <>
+          <Text style={styles.hint}>{status.recoveryCodesRemaining} recovery codes left.</Text>
+          {renderCodeInput('Code from your app')}
+          {renderButton('New Recovery Codes', handleRegenerate)}
+          <TouchableOpacity onPress={() => { setIsDisabling(true); setCode(''); }}>
+            <Text style={styles.link}>Turn off two-factor authentication</Text>
+          </TouchableOpacity>
+        </>
+      )}
+
+      {status.enabled && isDisabling && (
+        <View style={styles.card}>
+          <Text style={styles.hint}>Enter a code from your app or a recovery code to turn two-factor authentication off.</Text>
+          {renderCodeInput('123456 or xxxxx-xxxxx')}
+          {renderButton('Turn Off', handleDisable, styles.dangerButton)}
+          <TouchableOpacity onPress={cancel}>
+            <Text style={styles.link}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  section: {
+    marginBottom: 24,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+    marginBottom: 16,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#1a1a1a',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    marginBottom: 12,
+  },
+  infoLabel: {
+    fontSize: 14,
+    color: '#999',
+  },
+  infoValue: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: '500',
+  },
+  enabled: {
+    color: '#34C759',
+  },
+  card: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#999',
+    marginBottom: 12,
+  },
+  code: {
+    fontSize: 16,
+    color: '#fff',
+    fontFamily: 'Courier',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  qrCode: {
+    width: 200,
+    height: 200,
+    alignSelf: 'center',
+    marginBottom: 12,
+    backgroundColor: '#fff',
+  },
+  input: {
+    backgroundColor: '#000',
+    borderWidth: 1,
+    borderColor: '#333',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    color: '#fff',
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  button: {
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  primaryButton: {
+    backgroundColor: '#0066cc',
+  },
+  dangerButton: {
+    backgroundColor: '#FF3B30',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  link: {
+    fontSize: 14,
+    color: '#0066cc',
+    textAlign: 'center',
+  },
+});
+
+export default TwoFactorSection;
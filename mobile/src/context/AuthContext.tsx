@@ -1,25 +1,73 @@
 import React, { createContext, useContext, useEffect, useState, ReactNode } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { SERVICE_URL } from '@env';
+import {
+  registerForPushNotifications,
+  unregisterPushNotifications,
+} from '../utils/pushNotifications';
+import { syncTimeZone } from '../utils/timeZone';
+import {
+  ACCESS_TOKEN_KEY,
+  REFRESH_TOKEN_KEY,
+  authFetch,
+  clearSession,
+  saveSession,
+  setSessionExpiredHandler,
+  SessionTokens,
+} from '../utils/authSession';
 
 interface User {
   id: string;
   email: string;
   name: string;
+  timezone?: string;
 }
 
 interface AuthContextType {
   user: User | null;
   isLoading: boolean;
+  twoFactorChallenge: TwoFactorChallenge | null;
   signIn: (email: string, password: string) => Promise<boolean>;
+  completeTwoFactor: (code: string, options?: { recoveryCode?: boolean }) => Promise<TwoFactorResult>;
+  cancelTwoFactor: () => void;
   signUp: (email: string, password: string, name: string) => Promise<boolean>;
   signOut: () => Promise<void>;
+  signOutAllDevices: () => Promise<boolean>;
+  signInWithProvider: (
+    provider: IdentityProvider,
+    idToken: string,
+    options?: { nonce?: string; name?: string },
+  ) => Promise<SocialSignInResult>;
+  requestPasswordReset: (email: string) => Promise<boolean>;
+  resetPassword: (token: string, password: string) => Promise<PasswordResetResult>;
   updateUser: (updatedUser: Partial<User>) => void;
 }
 
+export type IdentityProvider = 'google' | 'apple';
+
+export interface SocialSignInResult {
+  success: boolean;
+  error?: string;
+}
+
+// Password (or Google/Apple) accepted, but the account has 2FA on and a code is still needed
+export interface TwoFactorChallenge {
+  challengeToken: string;
+  expiresAt: number;
+}
+
+export interface TwoFactorResult {
+  success: boolean;
+  error?: string;
+}
+
+export interface PasswordResetResult {
+  success: boolean;
+  error?: string;
+}
+
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
-const STORAGE_KEY = '@user_token';
 const USER_KEY = '@user_data';
 
 interface AuthProviderProps {
@@ -29,43 +77,54 @@ interface AuthProviderProps {
 export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const [user, setUser] = useState<User | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  // Lives here rather than in SignInScreen: the auth screens unmount while isLoading is set
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState<TwoFactorChallenge | null>(null);
 
   useEffect(() => {
+    // Refresh failed for good (signed out elsewhere, token revoked): back to sign-in
+    setSessionExpiredHandler(() => {
+      AsyncStorage.removeItem(USER_KEY);
+      setUser(null);
+    });
     checkAuthState();
+    return () => setSessionExpiredHandler(null);
   }, []);
 
   const checkAuthState = async () => {
     try {
-      const token = await AsyncStorage.getItem(STORAGE_KEY);
+      const hasSession = await AsyncStorage.getItem(REFRESH_TOKEN_KEY)
+        || await AsyncStorage.getItem(ACCESS_TOKEN_KEY);
       
-      if (token) {
-        // Validate token with backend
-        const response = await fetch(`${SERVICE_URL}/api/auth/me`, {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-          },
-        });
+      if (hasSession) {
+        // Validate token with backend (refreshes it first if it expired)
+        const response = await authFetch(`${SERVICE_URL}/api/auth/me`);
         
         if (response.ok) {
           const data = await response.json();
           if (data.success) {
             setUser(data.data);
+            // The device may have moved time zones since last launch
+            syncTimeZone(data.data.timezone);
+            // Re-register in case the push token rotated since last launch
+            registerForPushNotifications();
           } else {
             // Token is invalid, clear storage
-            await AsyncStorage.removeItem(STORAGE_KEY);
+            await clearSession();
             await AsyncStorage.removeItem(USER_KEY);
           }
         } else {
-          // Token is invalid, clear storage
-          await AsyncStorage.removeItem(STORAGE_KEY);
+          // Session can't be restored, clear storage
+          await clearSession();
           await AsyncStorage.removeItem(USER_KEY);
         }
       }
     } catch (error) {
+      // Network error: stay signed in with the cached profile, tokens refresh once back online
       console.error('Error checking auth state:', error);
-      // Clear storage on error
-      await AsyncStorage.removeItem(STORAGE_KEY);
-      await AsyncStorage.removeItem(USER_KEY);
+      const cachedUser = await AsyncStorage.getItem(USER_KEY);
+      if (cachedUser) {
+        setUser(JSON.parse(cachedUser));
+      }
     } finally {
       setIsLoading(false);
     }
@@ -92,13 +151,13 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       console.log('Login response received:', data);
       
       if (response.ok && data.success) {
-        const { user: userData, token } = data.data;
-        
-        // Store token and user data
-        await AsyncStorage.setItem(STORAGE_KEY, token);
-        await AsyncStorage.setItem(USER_KEY, JSON.stringify(userData));
+        if (data.data.twoFactorRequired) {
+          // SignInScreen switches to asking for the authenticator code
+          setTwoFactorChallenge(toChallenge(data.data));
+          return true;
+        }
         
-        setUser(userData);
+        await startSession(data.data);
         return true;
       }
       
@@ -119,6 +178,61 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  // Store tokens and user data for a completed sign-in
+  const startSession = async ({ user: userData, ...tokens }: { user: User } & SessionTokens) => {
+    await saveSession(tokens);
+    await AsyncStorage.setItem(USER_KEY, JSON.stringify(userData));
+    
+    setTwoFactorChallenge(null);
+    setUser(userData);
+    syncTimeZone(userData.timezone);
+    // Don't block sign-in on the permission prompt
+    registerForPushNotifications();
+  };
+
+  const toChallenge = ({ challengeToken, expiresIn }: { challengeToken: string; expiresIn: number }) => ({
+    challengeToken,
+    expiresAt: Date.now() + expiresIn * 1000,
+  });
+
+  // Second sign-in step: a code from the authenticator app, or one of the recovery codes
+  const completeTwoFactor = async (
+    code: string,
+    options: { recoveryCode?: boolean } = {},
+  ): Promise<TwoFactorResult> => {
+    if (!twoFactorChallenge || twoFactorChallenge.expiresAt <= Date.now()) {
+      setTwoFactorChallenge(null);
+      return { success: false, error: 'Sign-in timed out. Please sign in again.' };
+    }
+
+    try {
+      const response = await fetch(`${SERVICE_URL}/api/auth/login/2fa`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          challengeToken: twoFactorChallenge.challengeToken,
+          ...(options.recoveryCode ? { recoveryCode: code.trim() } : { code: code.replace(/\s/g, '') }),
+        }),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        await startSession(data.data);
+        return { success: true };
+      }
+
+      if (data.code === 'INVALID_CHALLENGE') {
+        setTwoFactorChallenge(null);
+      }
+      return { success: false, error: data.error || 'Invalid code' };
+    } catch (error) {
+      console.error('Two-factor sign in error:', error);
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  };
+
+  const cancelTwoFactor = () => setTwoFactorChallenge(null);
+
   const signUp = async (email: string, password: string, name: string): Promise<boolean> => {
     try {
       setIsLoading(true);
@@ -139,13 +253,15 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       const data = await response.json();
       
       if (response.ok && data.success) {
-        const { user: userData, token } = data.data;
+        const { user: userData, token, refreshToken, expiresIn } = data.data;
         
-        // Store token and user data
-        await AsyncStorage.setItem(STORAGE_KEY, token);
+        // Store tokens and user data
+        await saveSession({ token, refreshToken, expiresIn });
         await AsyncStorage.setItem(USER_KEY, JSON.stringify(userData));
         
         setUser(userData);
+        syncTimeZone(userData.timezone);
+        registerForPushNotifications();
         return true;
       }
       
@@ -164,33 +280,130 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  // Exchange a Google/Apple ID token for our own session (same tokens as a password sign-in).
+  // The server creates the account on first use, or links it to an existing verified email.
+  const signInWithProvider = async (
+    provider: IdentityProvider,
+    idToken: string,
+    options: { nonce?: string; name?: string } = {},
+  ): Promise<SocialSignInResult> => {
+    try {
+      const response = await fetch(`${SERVICE_URL}/api/auth/oauth/${provider}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ idToken, ...options }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        console.error(`Sign in with ${provider} failed:`, data.error || response.status);
+        return { success: false, error: data.error || `Could not sign in with ${provider}` };
+      }
+
+      if (data.data.twoFactorRequired) {
+        setTwoFactorChallenge(toChallenge(data.data));
+        return { success: true };
+      }
+
+      await startSession(data.data);
+      return { success: true };
+    } catch (error) {
+      console.error(`Sign in with ${provider} network error:`, error);
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  };
+
+  // Mail a reset code. The server answers the same for unknown emails,
+  // so true only means the request went through.
+  const requestPasswordReset = async (email: string): Promise<boolean> => {
+    try {
+      const response = await fetch(`${SERVICE_URL}/api/auth/forgot-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email }),
+      });
+      return response.ok;
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      return false;
+    }
+  };
+
+  // Set a new password with the mailed code. All sessions are revoked, so the user signs in again.
+  const resetPassword = async (token: string, password: string): Promise<PasswordResetResult> => {
+    try {
+      const response = await fetch(`${SERVICE_URL}/api/auth/reset-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: token.trim(), password }),
+      });
+      const data = await response.json();
+      return response.ok && data.success
+        ? { success: true }
+        : { success: false, error: data.error || 'Could not reset password' };
+    } catch (error) {
+      console.error('Password reset error:', error);
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  };
+
+  // Forget the session on this device
+  const clearLocalSession = async () => {
+    await clearSession();
+    await AsyncStorage.removeItem(USER_KEY);
+    setUser(null);
+  };
+
   const signOut = async (): Promise<void> => {
     try {
-      const token = await AsyncStorage.getItem(STORAGE_KEY);
-      
-      if (token) {
-        // Call logout endpoint (optional - mainly for server-side session management)
+      // Stop push notifications to this device for this account, while the session still works
+      await unregisterPushNotifications();
+
+      const refreshToken = await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+      if (refreshToken) {
+        // Revoke the session so the refresh token can't be used again
         try {
           await fetch(`${SERVICE_URL}/api/auth/logout`, {
             method: 'POST',
             headers: {
-              'Authorization': `Bearer ${token}`,
+              'Content-Type': 'application/json',
             },
+            body: JSON.stringify({ refreshToken }),
           });
         } catch (logoutError) {
           console.log('Logout API call failed, proceeding with local cleanup');
         }
       }
       
-      // Clear local storage
-      await AsyncStorage.removeItem(STORAGE_KEY);
-      await AsyncStorage.removeItem(USER_KEY);
-      setUser(null);
+      await clearLocalSession();
     } catch (error) {
       console.error('Sign out error:', error);
     }
   };
 
+  // Revoke every session of this account (all phones/tablets), then sign out here
+  const signOutAllDevices = async (): Promise<boolean> => {
+    try {
+      // Before the sessions are revoked, or the request can't be authenticated
+      await unregisterPushNotifications();
+
+      const response = await authFetch(`${SERVICE_URL}/api/auth/logout-all`, {
+        method: 'POST',
+      });
+      
+      if (!response.ok) {
+        console.error('Sign out of all devices failed:', response.status);
+        return false;
+      }
+      
+      await clearLocalSession();
+      return true;
+    } catch (error) {
+      console.error('Sign out of all devices error:', error);
+      return false;
+    }
+  };
+
   const updateUser = (updatedUser: Partial<User>) => {
     if (user) {
       const newUser = { ...user, ...updatedUser };
@@ -205,9 +418,16 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const value: AuthContextType = {
     user,
     isLoading,
+    twoFactorChallenge,
     signIn,
+    completeTwoFactor,
+    cancelTwoFactor,
     signUp,
     signOut,
+    signOutAllDevices,
+    signInWithProvider,
+    requestPasswordReset,
+    resetPassword,
     updateUser,
   };
 
@@ -5,16 +5,22 @@ import { useAuth } from '../context/AuthContext';
 import HomeScreen from '../screens/HomeScreen';
 import ProfileScreen from '../screens/ProfileScreen';
 import ChatScreen from '../screens/ChatScreen';
+import CoachMemoryScreen from '../screens/CoachMemoryScreen';
+import GoalPlanScreen from '../screens/GoalPlanScreen';
 import SignInScreen from '../screens/SignInScreen';
 import SignUpScreen from '../screens/SignUpScreen';
+import ForgotPasswordScreen from '../screens/ForgotPasswordScreen';
 import LoadingScreen from '../screens/LoadingScreen';
 
 export type RootStackParamList = {
   Home: undefined;
   Profile: undefined;
   Chat: undefined;
+  CoachMemory: undefined;
+  GoalPlan: { goalId: string; goalText: string; hasPlan: boolean };
   SignIn: undefined;
   SignUp: undefined;
+  ForgotPassword: undefined;
 };
 
 const Stack = createStackNavigator<RootStackParamList>();
@@ -27,6 +33,7 @@ const AuthStack = () => (
   >
     <Stack.Screen name="SignIn" component={SignInScreen} />
     <Stack.Screen name="SignUp" component={SignUpScreen} />
+    <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
   </Stack.Navigator>
 );
 
@@ -39,6 +46,8 @@ const AppStack = () => (
     <Stack.Screen name="Home" component={HomeScreen} />
     <Stack.Screen name="Profile" component={ProfileScreen} />
     <Stack.Screen name="Chat" component={ChatScreen} />
+    <Stack.Screen name="CoachMemory" component={CoachMemoryScreen} />
+    <Stack.Screen name="GoalPlan" component={GoalPlanScreen} />
   </Stack.Navigator>
 );
 
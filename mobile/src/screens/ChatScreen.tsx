@@ -11,11 +11,21 @@ import {
   Platform,
   ActivityIndicator,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  createCalendarEventSchema,
+  createGoalSchema,
+  type MessageSearchResult,
+  type OnboardingState,
+} from "common";
+import { authFetch, getAccessToken } from "../utils/authSession";
 import { StackScreenProps } from "@react-navigation/stack";
 import { RootStackParamList } from "../navigation/AppNavigator";
 import { useAuth } from "../context/AuthContext";
 import { SERVICE_URL } from "@env";
+import { streamChatMessage } from "../utils/chatStream";
+import { fetchMessageContext } from "../utils/messageSearch";
+import MessageSearchPanel from "../components/MessageSearchPanel";
+import QuickReplies from "../components/QuickReplies";
 
 type ChatScreenProps = StackScreenProps<RootStackParamList, "Chat">;
 
@@ -24,8 +34,21 @@ interface Message {
   text: string;
   sender: "user" | "bot";
   timestamp: string;
+  createdAt?: string; // ISO time of messages loaded from the server
 }
 
+// Server message (a Message row) in chat format
+const toChatMessage = (msg: any): Message => ({
+  id: msg.id || String(msg.createdAt),
+  text: msg.text,
+  sender: msg.role === "assistant" ? "bot" : "user",
+  timestamp: new Date(msg.createdAt).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  }),
+  createdAt: new Date(msg.createdAt).toISOString(),
+});
+
 interface Suggestion {
   type: "goal" | "event";
   text: string;
@@ -44,7 +67,20 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
     context: string;
   } | null>(null);
   const [shouldGenerateSuggestion, setShouldGenerateSuggestion] = useState(false);
+  const [streamingMessageId, setStreamingMessageId] = useState<string | null>(null);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState<string | null>(null);
+  // Guided onboarding step and its quick-reply chips (null once onboarding is over)
+  const [onboarding, setOnboarding] = useState<OnboardingState | null>(null);
   const flatListRef = useRef<FlatList>(null);
+  // Set while jumping to a search hit, so the next messages change doesn't scroll to the end
+  const skipAutoScrollRef = useRef(false);
+  const cancelStreamRef = useRef<(() => void) | null>(null);
+
+  // Stop any in-flight stream when leaving the screen
+  useEffect(() => {
+    return () => cancelStreamRef.current?.();
+  }, []);
 
   // Load conversation history on screen mount
   useEffect(() => {
@@ -53,6 +89,10 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
 
   // Scroll to bottom when messages change
   useEffect(() => {
+    if (skipAutoScrollRef.current) {
+      skipAutoScrollRef.current = false;
+      return;
+    }
     if (messages.length > 0 && flatListRef.current) {
       // Use setTimeout to ensure the list has rendered
       setTimeout(() => {
@@ -69,12 +109,6 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
           console.log('⚠️ No user ID for suggestion');
           return;
         }
-        
-        const token = await AsyncStorage.getItem("@user_token");
-        if (!token) {
-          console.log('⚠️ No token for suggestion');
-          return;
-        }
 
         console.log(`🔍 Fetching suggestion for user ${user.id}...`);
 
@@ -82,11 +116,7 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
         const url = `${SERVICE_URL}/api/chat/suggestion/${user.id}`;
         console.log(`📍 Full URL: ${url}`);
         
-        const response = await fetch(url, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
+        const response = await authFetch(url);
 
         const data = await response.json();
         console.log('📦 Suggestion response:', data);
@@ -122,17 +152,16 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
 
       const endpoint =
         suggestion.type === "goal" ? "/api/goals" : "/api/calendar";
-      const payload =
+      // Check the AI's suggestion against the same schema the server uses before posting it
+      const parsed =
         suggestion.type === "goal"
-          ? {
-              userId: user.id,
+          ? createGoalSchema.safeParse({
               text: suggestion.text.replace("Add Goal: ", "").replace("?", ""),
               category: "AI Suggested",
               priority: "medium",
               type: (suggestion as any).goalType || "daily", // Include goalType from suggestion
-            }
-          : {
-              userId: user.id,
+            })
+          : createCalendarEventSchema.safeParse({
               title: suggestion.text
                 .replace("Schedule: ", "")
                 .replace("?", ""),
@@ -141,15 +170,19 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
               time: (suggestion as any).eventTime,
               recurring: (suggestion as any).recurring,
               recurringDays: (suggestion as any).recurringDays,
-            };
+            });
+
+      if (!parsed.success) {
+        console.error("Invalid suggestion:", parsed.error.issues);
+        return;
+      }
 
-      const response = await fetch(`${SERVICE_URL}${endpoint}`, {
+      const response = await authFetch(`${SERVICE_URL}${endpoint}`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
-          Authorization: `Bearer ${(await AsyncStorage.getItem("@user_token"))!}`,
         },
-        body: JSON.stringify(payload),
+        body: JSON.stringify(parsed.data),
       });
 
       if (response.ok) {
@@ -174,63 +207,44 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
         return;
       }
 
-      const token = await AsyncStorage.getItem("@user_token");
-      if (!token) {
-        console.error("Auth token not found");
-        setIsLoading(false);
-        return;
-      }
-
-      const response = await fetch(
-        `${SERVICE_URL}/api/chat/history/${user.id}`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
+      const response = await authFetch(`${SERVICE_URL}/api/chat/history/${user.id}`);
 
       const data = await response.json();
 
       if (data.success && data.data && data.data.length > 0) {
         // Convert server messages to chat format using the role field
         console.log("Raw messages from server:", data.data);
-        const formattedMessages: Message[] = data.data.map(
-          (msg: any) => {
-            const sender = msg.role === "assistant" ? "bot" : "user";
-            console.log(`Message ID: ${msg.id}, Role: ${msg.role}, Sender: ${sender}, Text: ${msg.text.substring(0, 50)}...`);
-            return {
-              id: msg.id || String(msg.createdAt),
-              text: msg.text,
-              sender: sender, // Use role field instead of alternating
-              timestamp: new Date(msg.createdAt).toLocaleTimeString([], {
-                hour: "2-digit",
-                minute: "2-digit",
-              }),
-            };
-          }
-        );
+        const formattedMessages: Message[] = data.data.map(toChatMessage);
         setMessages(formattedMessages);
         setIsLoading(false);
+        await loadOnboardingState();
       } else {
         // No conversation history - fetch onboarding prompt from backend
-        await fetchOnboardingPrompt(token);
+        await fetchOnboardingPrompt();
         setIsLoading(false);
       }
     } catch (error) {
       console.error("Error loading conversation:", error);
       // On error, try to fetch onboarding prompt
-      const token = await AsyncStorage.getItem("@user_token");
-      if (token) {
-        await fetchOnboardingPrompt(token);
-      } else {
-        setMessages([]);
-      }
+      await fetchOnboardingPrompt();
       setIsLoading(false);
     }
   };
 
-  const fetchOnboardingPrompt = async (token: string) => {
+  // Resume onboarding chips when reopening a chat that's mid-onboarding
+  const loadOnboardingState = async () => {
+    try {
+      const response = await authFetch(`${SERVICE_URL}/api/chat/onboarding`);
+      const data = await response.json();
+      if (data.success) {
+        setOnboarding(data.data && data.data.step !== "done" ? data.data : null);
+      }
+    } catch (error) {
+      console.error("Error loading onboarding state:", error);
+    }
+  };
+
+  const fetchOnboardingPrompt = async () => {
     try {
       if (!user?.id) {
         console.error("User ID not available for onboarding fetch");
@@ -240,11 +254,10 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
       console.log("Fetching onboarding prompt...");
 
       // Call generateChatResponse with empty message to get onboarding prompt
-      const response = await fetch(`${SERVICE_URL}/api/chat`, {
+      const response = await authFetch(`${SERVICE_URL}/api/chat`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
         },
         body: JSON.stringify({ message: "" }), // Empty message triggers onboarding
       });
@@ -265,6 +278,7 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
         };
         console.log("Setting onboarding message:", onboardingMessage);
         setMessages([onboardingMessage]);
+        setOnboarding(data.data.onboarding ?? null);
       } else {
         console.error("Failed to fetch onboarding prompt:", data.error);
         setMessages([]);
@@ -275,10 +289,11 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
     }
   };
 
-  const handleSendMessage = async () => {
-    if (!inputText.trim() || !user?.id) return;
+  const handleSendMessage = () => sendMessage(inputText);
+
+  const sendMessage = async (userMessageText: string) => {
+    if (!userMessageText.trim() || !user?.id) return;
 
-    const userMessageText = inputText;
     setInputText("");
 
     // Add user message to UI immediately
@@ -296,51 +311,130 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
     setIsSending(true);
 
     try {
-      const token = await AsyncStorage.getItem("@user_token");
+      const token = await getAccessToken();
       if (!token) {
         console.error("Auth token not found");
         setIsSending(false);
         return;
       }
 
-      // Send message to backend
-      const response = await fetch(`${SERVICE_URL}/api/chat`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-        body: JSON.stringify({ message: userMessageText }),
-      });
-
-      const data = await response.json();
-
-      if (data.success && data.data) {
-        // Add AI response to UI
-        const aiMessage: Message = {
-          id: data.data.aiResponse.id || String(Date.now() + 1),
-          text: data.data.aiResponse.text,
+      // Placeholder bot message that fills in as tokens arrive
+      const streamId = `stream-${Date.now()}`;
+      setStreamingMessageId(streamId);
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: streamId,
+          text: "",
           sender: "bot",
           timestamp: new Date().toLocaleTimeString([], {
             hour: "2-digit",
             minute: "2-digit",
           }),
-        };
+        },
+      ]);
 
-        setMessages((prev) => [...prev, aiMessage]);
-        
-        // Trigger suggestion generation only after new message is sent
-        setShouldGenerateSuggestion(true);
-      } else {
-        console.error("Failed to get AI response:", data.error);
-      }
+      const finishStream = () => {
+        cancelStreamRef.current = null;
+        setStreamingMessageId(null);
+        setIsSending(false);
+      };
+
+      cancelStreamRef.current = streamChatMessage(token, userMessageText, {
+        onToken: (chunk) => {
+          setMessages((prev) =>
+            prev.map((msg) =>
+              msg.id === streamId ? { ...msg, text: msg.text + chunk } : msg
+            )
+          );
+        },
+        onDone: ({ messageId, aiResponse, onboarding: nextOnboarding }) => {
+          // Swap the placeholder for the saved message
+          setMessages((prev) =>
+            prev.map((msg) =>
+              msg.id === streamId
+                ? { ...msg, id: messageId, text: aiResponse?.text ?? msg.text }
+                : msg
+            )
+          );
+          finishStream();
+          setOnboarding(nextOnboarding && nextOnboarding.step !== "done" ? nextOnboarding : null);
+
+          // Trigger suggestion generation only after new message is sent
+          setShouldGenerateSuggestion(true);
+        },
+        onQuota: (quotaMessage) => {
+          // Show the coaching message in place of a reply
+          setMessages((prev) =>
+            prev.map((msg) =>
+              msg.id === streamId ? { ...msg, text: quotaMessage } : msg
+            )
+          );
+          finishStream();
+        },
+        onError: (error) => {
+          console.error("Failed to get AI response:", error);
+          // Drop the placeholder if nothing arrived
+          setMessages((prev) =>
+            prev.filter((msg) => msg.id !== streamId || msg.text.length > 0)
+          );
+          finishStream();
+        },
+      });
     } catch (error) {
       console.error("Error sending message:", error);
-    } finally {
+      setStreamingMessageId(null);
       setIsSending(false);
     }
   };
 
+  const handleCancelStream = () => {
+    if (!cancelStreamRef.current) return;
+
+    cancelStreamRef.current();
+    cancelStreamRef.current = null;
+
+    // Keep whatever was generated so far, or remove the empty placeholder
+    setMessages((prev) =>
+      prev.filter((msg) => msg.id !== streamingMessageId || msg.text.length > 0)
+    );
+    setStreamingMessageId(null);
+    setIsSending(false);
+  };
+
+  // Scroll to a search hit, first loading the messages around it if it isn't in the list yet
+  const jumpToMessage = async (result: MessageSearchResult) => {
+    setIsSearchOpen(false);
+
+    let list = messages;
+    if (!messages.some((msg) => msg.id === result.id)) {
+      try {
+        const known = new Set(messages.map((msg) => msg.id));
+        const context = (await fetchMessageContext(result.id))
+          .map(toChatMessage)
+          .filter((msg) => !known.has(msg.id));
+        // Messages sent in this session have no createdAt and stay at the end
+        list = [...messages, ...context].sort((a, b) =>
+          (a.createdAt ?? "9999").localeCompare(b.createdAt ?? "9999")
+        );
+        skipAutoScrollRef.current = true;
+        setMessages(list);
+      } catch (error) {
+        console.error("Error loading search result:", error);
+        return;
+      }
+    }
+
+    const index = list.findIndex((msg) => msg.id === result.id);
+    if (index === -1) return;
+
+    setHighlightedMessageId(result.id);
+    setTimeout(() => {
+      flatListRef.current?.scrollToIndex({ index, viewPosition: 0.5 });
+    }, 100);
+    setTimeout(() => setHighlightedMessageId(null), 3000);
+  };
+
   const renderMessage = ({ item }: { item: Message }) => (
     <View
       style={[
@@ -356,9 +450,14 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
           item.sender === "user"
             ? styles.userBubble
             : styles.botBubble,
+          item.id === highlightedMessageId && styles.highlightedBubble,
         ]}
       >
-        <Text style={styles.messageText}>{item.text}</Text>
+        {item.id === streamingMessageId && item.text.length === 0 ? (
+          <ActivityIndicator size="small" color="#999" />
+        ) : (
+          <Text style={styles.messageText}>{item.text}</Text>
+        )}
       </View>
       <Text style={styles.timestamp}>{item.timestamp}</Text>
     </View>
@@ -394,16 +493,22 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
             <Text style={styles.backButton}>← Back</Text>
           </TouchableOpacity>
           <Text style={styles.title}>Chat</Text>
-          <View style={{ width: 40 }} />
+          <TouchableOpacity onPress={() => setIsSearchOpen((open) => !open)}>
+            <Text style={styles.searchButton}>{isSearchOpen ? "Close" : "Search"}</Text>
+          </TouchableOpacity>
         </View>
 
+        {/* Search (the conversation stays mounted underneath so it can scroll to a hit) */}
+        {isSearchOpen && <MessageSearchPanel onSelect={jumpToMessage} />}
+
         {/* Messages */}
         <FlatList
           ref={flatListRef}
           data={messages}
+          extraData={highlightedMessageId}
           renderItem={renderMessage}
           keyExtractor={(item) => item.id}
-          style={styles.messagesList}
+          style={[styles.messagesList, isSearchOpen && styles.hidden]}
           contentContainerStyle={styles.messagesContent}
           scrollEnabled={true}
           ListEmptyComponent={
@@ -415,10 +520,17 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
           onContentSizeChange={() => {
             // scrollToEnd is now handled by useEffect with messages dependency
           }}
+          onScrollToIndexFailed={({ index, averageItemLength }) => {
+            // Rows not measured yet: get close, then retry once they render
+            flatListRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: false });
+            setTimeout(() => {
+              flatListRef.current?.scrollToIndex({ index, viewPosition: 0.5 });
+            }, 100);
+          }}
         />
 
         {/* Suggestion Card */}
-        {suggestion && (
+        {suggestion && !isSearchOpen && (
           <View style={styles.suggestionCard}>
             <View style={styles.suggestionHeader}>
               <Text style={styles.suggestionBadge}>
@@ -449,8 +561,17 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
           </View>
         )}
 
+        {/* Onboarding quick replies */}
+        {onboarding && !isSearchOpen && (
+          <QuickReplies
+            replies={onboarding.quickReplies}
+            onSelect={sendMessage}
+            disabled={isSending}
+          />
+        )}
+
         {/* Input Area */}
-        <View style={styles.inputArea}>
+        <View style={[styles.inputArea, isSearchOpen && styles.hidden]}>
           <TextInput
             style={styles.input}
             placeholder="Type a message..."
@@ -460,17 +581,22 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
             multiline
             maxLength={500}
           />
-          <TouchableOpacity
-            style={[styles.sendButton, (!inputText.trim() || isSending) && styles.sendButtonDisabled]}
-            onPress={handleSendMessage}
-            disabled={!inputText.trim() || isSending}
-          >
-            {isSending ? (
-              <ActivityIndicator size="small" color="#fff" />
-            ) : (
+          {isSending ? (
+            <TouchableOpacity
+              style={[styles.sendButton, styles.stopButton]}
+              onPress={handleCancelStream}
+            >
+              <Text style={styles.sendButtonText}>Stop</Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={[styles.sendButton, !inputText.trim() && styles.sendButtonDisabled]}
+              onPress={handleSendMessage}
+              disabled={!inputText.trim()}
+            >
               <Text style={styles.sendButtonText}>Send</Text>
-            )}
-          </TouchableOpacity>
+            </TouchableOpacity>
+          )}
         </View>
       </View>
     </KeyboardAvoidingView>
@@ -529,6 +655,14 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     color: "#fff",
   },
+  searchButton: {
+    color: "#0066cc",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  hidden: {
+    display: "none",
+  },
   messagesList: {
     flex: 1,
   },
@@ -559,6 +693,10 @@ const styles = StyleSheet.create({
   botBubble: {
     backgroundColor: "#1a1a1a",
   },
+  highlightedBubble: {
+    borderWidth: 2,
+    borderColor: "#ffd60a",
+  },
   messageText: {
     fontSize: 15,
     color: "#fff",
@@ -597,6 +735,9 @@ const styles = StyleSheet.create({
   sendButtonDisabled: {
     opacity: 0.5,
   },
+  stopButton: {
+    backgroundColor: "#cc3300",
+  },
   sendButtonText: {
     color: "#fff",
     fontSize: 15,
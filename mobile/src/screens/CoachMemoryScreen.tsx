@@ -0,0 +1,508 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import type { AiMemoryProfile, ProfileGoal } from "common";
+import { StackScreenProps } from "@react-navigation/stack";
+import { RootStackParamList } from "../navigation/AppNavigator";
+import {
+  constraintKey,
+  deleteCoachMemory,
+  fetchCoachMemory,
+  goalKey,
+  lowConfidenceKeys,
+  saveCoachMemory,
+  toProfileInput,
+} from "../utils/coachMemory";
+
+type CoachMemoryScreenProps = StackScreenProps<RootStackParamList, "CoachMemory">;
+
+type Draft = Pick<AiMemoryProfile, "summary" | "goals" | "preferences">;
+
+const toDraft = (profile: AiMemoryProfile): Draft => ({
+  summary: profile.summary,
+  goals: profile.goals,
+  preferences: profile.preferences,
+});
+
+// "constraints" → "Constraints", "reminderTime" → "Reminder time"
+const preferenceLabel = (key: string) => {
+  const words = key.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/[_-]+/g, " ").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * "What your coach knows about you": the AI memory profile, editable item by item.
+ * Items the onboarding extraction wasn't sure about are highlighted until the user saves,
+ * which marks the profile verified.
+ */
+export default function CoachMemoryScreen({ navigation }: CoachMemoryScreenProps) {
+  const [profile, setProfile] = useState<AiMemoryProfile | null>(null);
+  const [draft, setDraft] = useState<Draft | null>(null);
+  const [isDirty, setIsDirty] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const loaded = await fetchCoachMemory();
+        setProfile(loaded);
+        setDraft(loaded ? toDraft(loaded) : null);
+      } catch (error) {
+        console.error("Error loading coach memory:", error);
+        Alert.alert("Error", "Could not load your profile");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const edit = (change: (current: Draft) => Draft) => {
+    setDraft((current) => (current ? change(current) : current));
+    setIsDirty(true);
+  };
+
+  const updateGoal = (year: string, index: number, text: string | null) =>
+    edit((current) => {
+      const items = [...current.goals[year]];
+      if (text === null) {
+        items.splice(index, 1);
+      } else {
+        items[index] = { ...items[index], text };
+      }
+      return { ...current, goals: { ...current.goals, [year]: items } };
+    });
+
+  const updatePreference = (key: string, value: unknown) =>
+    edit((current) => {
+      const preferences = { ...current.preferences };
+      if (value === undefined) {
+        delete preferences[key];
+      } else {
+        preferences[key] = value;
+      }
+      return { ...current, preferences };
+    });
+
+  const handleSave = async () => {
+    if (!draft) return;
+    try {
+      setIsSaving(true);
+      const saved = await saveCoachMemory(toProfileInput(draft));
+      setProfile(saved);
+      setDraft(toDraft(saved));
+      setIsDirty(false);
+    } catch (error) {
+      Alert.alert("Error", error instanceof Error ? error.message : "Failed to save your profile");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleForget = () => {
+    Alert.alert("Forget everything?", "Your coach will no longer know your name, goals or preferences.", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Forget",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await deleteCoachMemory();
+            setProfile(null);
+            setDraft(null);
+            setIsDirty(false);
+          } catch (error) {
+            Alert.alert("Error", error instanceof Error ? error.message : "Failed to delete your profile");
+          }
+        },
+      },
+    ]);
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#0066cc" />
+      </View>
+    );
+  }
+
+  const unsure = profile ? lowConfidenceKeys(profile) : new Set<string>();
+
+  // `id` only keys the row; `flagKey` (see lowConfidenceKeys) follows the text, so an edited item isn't flagged
+  const renderItem = (item: {
+    id: string;
+    flagKey: string;
+    value: string;
+    onChange: (text: string) => void;
+    onDelete: () => void;
+    placeholder: string;
+    meta?: string;
+  }) => (
+    <View key={item.id} style={[styles.item, unsure.has(item.flagKey) && styles.itemUnsure]}>
+      <View style={styles.itemRow}>
+        <TextInput
+          style={styles.itemInput}
+          value={item.value}
+          onChangeText={item.onChange}
+          placeholder={item.placeholder}
+          placeholderTextColor="#666"
+          editable={!isSaving}
+          multiline
+        />
+        <TouchableOpacity onPress={item.onDelete} style={styles.deleteButton} disabled={isSaving}>
+          <Text style={styles.deleteText}>✕</Text>
+        </TouchableOpacity>
+      </View>
+      {item.meta ? <Text style={styles.itemMeta}>{item.meta}</Text> : null}
+      {unsure.has(item.flagKey) ? <Text style={styles.unsureText}>Not sure I got this right - please check</Text> : null}
+    </View>
+  );
+
+  const years = draft ? Object.keys(draft.goals).sort((a, b) => b.localeCompare(a)) : [];
+
+  return (
+    <View style={styles.wrapper}>
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <View style={styles.headerContainer}>
+          <TouchableOpacity style={styles.backButtonContainer} onPress={() => navigation.goBack()}>
+            <Text style={styles.backButton}>← Back</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Your Coach's Notes</Text>
+          <Text style={styles.subtitle}>What your coach knows about you</Text>
+        </View>
+
+        {!profile || !draft ? (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateText}>Nothing yet</Text>
+            <Text style={styles.emptyStateSubtext}>
+              Chat with your coach to tell it about yourself and your goals.
+            </Text>
+          </View>
+        ) : (
+          <>
+            {profile.manuallyVerified ? (
+              <View style={[styles.banner, styles.bannerVerified]}>
+                <Text style={styles.bannerText}>✓ You've confirmed this profile</Text>
+              </View>
+            ) : (
+              <View style={styles.banner}>
+                <Text style={styles.bannerText}>
+                  I filled this in from our chat
+                  {profile.extractionConfidence ? ` (${profile.extractionConfidence} confidence)` : ""}.
+                  Check the highlighted items, then save to confirm.
+                </Text>
+                {profile.extractionWarnings.map((warning) => (
+                  <Text key={warning} style={styles.bannerWarning}>• {warning}</Text>
+                ))}
+              </View>
+            )}
+
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>About you</Text>
+              {draft.summary !== null
+                ? renderItem({
+                    id: "summary",
+                    flagKey: draft.summary === profile.summary ? "summary" : "",
+                    value: draft.summary,
+                    onChange: (text) => edit((current) => ({ ...current, summary: text })),
+                    onDelete: () => edit((current) => ({ ...current, summary: null })),
+                    placeholder: "Your name or a short summary",
+                  })
+                : <Text style={styles.noneText}>Nothing saved</Text>}
+            </View>
+
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Goals</Text>
+              {years.every((year) => draft.goals[year].length === 0) ? (
+                <Text style={styles.noneText}>No goals saved</Text>
+              ) : (
+                years.filter((year) => draft.goals[year].length > 0).map((year) => (
+                  <View key={year}>
+                    <Text style={styles.groupTitle}>{year}</Text>
+                    {draft.goals[year].map((goal: ProfileGoal, index: number) =>
+                      renderItem({
+                        id: `${year}-${index}`,
+                        flagKey: goalKey(goal.text),
+                        value: goal.text,
+                        onChange: (text) => updateGoal(year, index, text),
+                        onDelete: () => updateGoal(year, index, null),
+                        placeholder: "Goal",
+                        meta: goal.category,
+                      }),
+                    )}
+                  </View>
+                ))
+              )}
+            </View>
+
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Preferences</Text>
+              {Object.keys(draft.preferences).length === 0 ? (
+                <Text style={styles.noneText}>No preferences saved</Text>
+              ) : (
+                Object.entries(draft.preferences).map(([key, value]) => {
+                  if (typeof value === "string") {
+                    return (
+                      <View key={key}>
+                        <Text style={styles.groupTitle}>{preferenceLabel(key)}</Text>
+                        {renderItem({
+                          id: key,
+                          flagKey: key === "tone" && value === profile.preferences.tone ? "tone" : "",
+                          value,
+                          onChange: (text) => updatePreference(key, text),
+                          onDelete: () => updatePreference(key, undefined),
+                          placeholder: preferenceLabel(key),
+                        })}
+                      </View>
+                    );
+                  }
+                  if (Array.isArray(value) && value.every((item) => typeof item === "string")) {
+                    const items = value as string[];
+                    return (
+                      <View key={key}>
+                        <Text style={styles.groupTitle}>{preferenceLabel(key)}</Text>
+                        {items.map((item, index) =>
+                          renderItem({
+                            id: `${key}-${index}`,
+                            flagKey: key === "constraints" ? constraintKey(item) : "",
+                            value: item,
+                            onChange: (text) => updatePreference(key, items.map((old, i) => (i === index ? text : old))),
+                            onDelete: () => updatePreference(key, items.filter((_, i) => i !== index)),
+                            placeholder: preferenceLabel(key),
+                          }),
+                        )}
+                      </View>
+                    );
+                  }
+                  // Anything else is shown as-is; it can only be deleted
+                  return (
+                    <View key={key}>
+                      <Text style={styles.groupTitle}>{preferenceLabel(key)}</Text>
+                      <View style={styles.item}>
+                        <View style={styles.itemRow}>
+                          <Text style={styles.itemValue}>{JSON.stringify(value)}</Text>
+                          <TouchableOpacity
+                            onPress={() => updatePreference(key, undefined)}
+                            style={styles.deleteButton}
+                            disabled={isSaving}
+                          >
+                            <Text style={styles.deleteText}>✕</Text>
+                          </TouchableOpacity>
+                        </View>
+                      </View>
+                    </View>
+                  );
+                })
+              )}
+            </View>
+
+            <TouchableOpacity
+              style={[styles.button, styles.primaryButton, isSaving && styles.buttonDisabled]}
+              onPress={handleSave}
+              disabled={isSaving}
+            >
+              {isSaving ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>
+                  {isDirty || !profile.manuallyVerified ? "Save & Confirm" : "Saved"}
+                </Text>
+              )}
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.button, styles.dangerButton]}
+              onPress={handleForget}
+              disabled={isSaving}
+            >
+              <Text style={styles.buttonText}>Forget Everything</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  wrapper: {
+    flex: 1,
+    backgroundColor: "#000",
+  },
+  container: {
+    flex: 1,
+    backgroundColor: "#000",
+    paddingHorizontal: 16,
+    paddingTop: 55,
+  },
+  content: {
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    backgroundColor: "#000",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  headerContainer: {
+    flexDirection: "column",
+    alignItems: "center",
+    marginBottom: 24,
+    position: "relative",
+    width: "100%",
+  },
+  backButtonContainer: {
+    position: "absolute",
+    left: 0,
+    top: -4,
+  },
+  backButton: {
+    color: "#0066cc",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: "bold",
+    color: "#fff",
+    marginTop: 24,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "#999",
+    marginTop: 4,
+  },
+  emptyState: {
+    alignItems: "center",
+    paddingVertical: 48,
+    paddingHorizontal: 32,
+  },
+  emptyStateText: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: "#fff",
+    marginBottom: 8,
+  },
+  emptyStateSubtext: {
+    fontSize: 14,
+    color: "#999",
+    textAlign: "center",
+  },
+  banner: {
+    backgroundColor: "#1a1a1a",
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: "#ffd60a",
+    padding: 12,
+    marginBottom: 24,
+  },
+  bannerVerified: {
+    borderLeftColor: "#34c759",
+  },
+  bannerText: {
+    fontSize: 14,
+    color: "#fff",
+  },
+  bannerWarning: {
+    fontSize: 12,
+    color: "#999",
+    marginTop: 6,
+  },
+  section: {
+    marginBottom: 24,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#fff",
+    marginBottom: 12,
+  },
+  groupTitle: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#999",
+    marginBottom: 8,
+  },
+  noneText: {
+    fontSize: 14,
+    color: "#666",
+  },
+  item: {
+    backgroundColor: "#1a1a1a",
+    borderWidth: 1,
+    borderColor: "#333",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginBottom: 10,
+  },
+  itemUnsure: {
+    borderColor: "#ffd60a",
+  },
+  itemRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  itemInput: {
+    flex: 1,
+    color: "#fff",
+    fontSize: 14,
+    paddingVertical: 4,
+  },
+  itemValue: {
+    flex: 1,
+    color: "#ccc",
+    fontSize: 13,
+  },
+  itemMeta: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 2,
+  },
+  unsureText: {
+    fontSize: 12,
+    color: "#ffd60a",
+    marginTop: 4,
+  },
+  deleteButton: {
+    padding: 6,
+    marginLeft: 8,
+  },
+  deleteText: {
+    color: "#666",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  button: {
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+  primaryButton: {
+    backgroundColor: "#0066cc",
+  },
+  dangerButton: {
+    backgroundColor: "#666",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+});
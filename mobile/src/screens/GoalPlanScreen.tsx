@@ -0,0 +1,358 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import type { GoalPlanMilestone } from "common";
+import { StackScreenProps } from "@react-navigation/stack";
+import { RootStackParamList } from "../navigation/AppNavigator";
+import { acceptGoalPlan, cleanPlan, proposeGoalPlan } from "../utils/goalPlan";
+
+type GoalPlanScreenProps = StackScreenProps<RootStackParamList, "GoalPlan">;
+
+const WEEK_OPTIONS = [2, 4, 8];
+
+// "2025-03-10" → "Mar 10"
+const formatTargetDate = (date: string | null | undefined) =>
+  date ? new Date(date).toLocaleDateString(undefined, { month: "short", day: "numeric" }) : "";
+
+const formatTarget = (item: { targetValue?: number | null; unit?: string | null }) =>
+  item.targetValue ? `Target: ${item.targetValue}${item.unit ? ` ${item.unit}` : ""}` : "";
+
+/**
+ * "Break it down": the coach proposes weekly milestones with daily tasks for a long-term goal.
+ * The user edits or removes items, then accepts the whole plan in one go.
+ */
+export default function GoalPlanScreen({ navigation, route }: GoalPlanScreenProps) {
+  const { goalId, goalText, hasPlan } = route.params;
+  const [weeks, setWeeks] = useState(4);
+  const [milestones, setMilestones] = useState<GoalPlanMilestone[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const propose = useCallback(async (planWeeks: number) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const plan = await proposeGoalPlan(goalId, { weeks: planWeeks });
+      setMilestones(plan.milestones);
+    } catch (err) {
+      console.error("Error proposing goal plan:", err);
+      setError(err instanceof Error ? err.message : "Could not put a plan together");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [goalId]);
+
+  useEffect(() => {
+    propose(weeks);
+  }, [propose, weeks]);
+
+  const updateMilestone = (index: number, change: ((milestone: GoalPlanMilestone) => GoalPlanMilestone) | null) =>
+    setMilestones((current) =>
+      change === null ? current.filter((_, i) => i !== index) : current.map((m, i) => (i === index ? change(m) : m)),
+    );
+
+  const updateTask = (milestoneIndex: number, taskIndex: number, text: string | null) =>
+    updateMilestone(milestoneIndex, (milestone) => ({
+      ...milestone,
+      tasks: text === null
+        ? milestone.tasks.filter((_, i) => i !== taskIndex)
+        : milestone.tasks.map((task, i) => (i === taskIndex ? { ...task, text } : task)),
+    }));
+
+  const save = async () => {
+    try {
+      setIsSaving(true);
+      await acceptGoalPlan(goalId, milestones, hasPlan);
+      navigation.goBack();
+    } catch (err) {
+      Alert.alert("Error", err instanceof Error ? err.message : "Failed to save the plan");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAccept = () => {
+    if (cleanPlan(milestones).length === 0) {
+      Alert.alert("Nothing to save", "Keep at least one milestone.");
+      return;
+    }
+    if (!hasPlan) {
+      save();
+      return;
+    }
+    Alert.alert("Replace your plan?", "Your current milestones and their daily tasks will be deleted.", [
+      { text: "Cancel", style: "cancel" },
+      { text: "Replace", style: "destructive", onPress: save },
+    ]);
+  };
+
+  const renderInput = (value: string, onChange: (text: string) => void, onDelete: () => void, placeholder: string) => (
+    <View style={styles.itemRow}>
+      <TextInput
+        style={styles.itemInput}
+        value={value}
+        onChangeText={onChange}
+        placeholder={placeholder}
+        placeholderTextColor="#666"
+        editable={!isSaving}
+        multiline
+      />
+      <TouchableOpacity onPress={onDelete} style={styles.deleteButton} disabled={isSaving}>
+        <Text style={styles.deleteText}>✕</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.wrapper}>
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <View style={styles.headerContainer}>
+          <TouchableOpacity style={styles.backButtonContainer} onPress={() => navigation.goBack()}>
+            <Text style={styles.backButton}>← Back</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Break It Down</Text>
+          <Text style={styles.subtitle}>{goalText}</Text>
+        </View>
+
+        <View style={styles.weekOptions}>
+          {WEEK_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.weekOption, option === weeks && styles.weekOptionSelected]}
+              onPress={() => setWeeks(option)}
+              disabled={isLoading || isSaving}
+            >
+              <Text style={[styles.weekOptionText, option === weeks && styles.weekOptionTextSelected]}>
+                {option} weeks
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {isLoading ? (
+          <View style={styles.emptyState}>
+            <ActivityIndicator size="large" color="#0066cc" />
+            <Text style={styles.emptyStateSubtext}>Your coach is planning the next {weeks} weeks...</Text>
+          </View>
+        ) : error ? (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateText}>No plan this time</Text>
+            <Text style={styles.emptyStateSubtext}>{error}</Text>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => propose(weeks)}>
+              <Text style={styles.buttonText}>Try Again</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <>
+            {milestones.map((milestone, index) => (
+              <View key={`milestone-${index}`} style={styles.milestone}>
+                <Text style={styles.milestoneMeta}>
+                  {[milestone.targetDate ? `By ${formatTargetDate(milestone.targetDate)}` : "Milestone", formatTarget(milestone)]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </Text>
+                {renderInput(
+                  milestone.text,
+                  (text) => updateMilestone(index, (current) => ({ ...current, text })),
+                  () => updateMilestone(index, null),
+                  "Milestone",
+                )}
+                {milestone.tasks.map((task, taskIndex) => (
+                  <View key={`task-${index}-${taskIndex}`} style={styles.task}>
+                    {renderInput(
+                      task.text,
+                      (text) => updateTask(index, taskIndex, text),
+                      () => updateTask(index, taskIndex, null),
+                      "Daily task",
+                    )}
+                    {task.targetValue ? <Text style={styles.taskMeta}>{formatTarget(task)} a day</Text> : null}
+                  </View>
+                ))}
+              </View>
+            ))}
+
+            <TouchableOpacity
+              style={[styles.button, styles.primaryButton, isSaving && styles.buttonDisabled]}
+              onPress={handleAccept}
+              disabled={isSaving}
+            >
+              {isSaving ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>Accept Plan</Text>
+              )}
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.button, styles.secondaryButton]}
+              onPress={() => propose(weeks)}
+              disabled={isSaving}
+            >
+              <Text style={styles.buttonText}>Suggest Another Plan</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  wrapper: {
+    flex: 1,
+    backgroundColor: "#000",
+  },
+  container: {
+    flex: 1,
+    backgroundColor: "#000",
+    paddingHorizontal: 16,
+    paddingTop: 55,
+  },
+  content: {
+    paddingBottom: 40,
+  },
+  headerContainer: {
+    flexDirection: "column",
+    alignItems: "center",
+    marginBottom: 24,
+    position: "relative",
+    width: "100%",
+  },
+  backButtonContainer: {
+    position: "absolute",
+    left: 0,
+    top: -4,
+  },
+  backButton: {
+    color: "#0066cc",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: "bold",
+    color: "#fff",
+    marginTop: 24,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "#999",
+    marginTop: 4,
+    textAlign: "center",
+  },
+  weekOptions: {
+    flexDirection: "row",
+    justifyContent: "center",
+    gap: 8,
+    marginBottom: 24,
+  },
+  weekOption: {
+    borderWidth: 1,
+    borderColor: "#0066cc",
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  weekOptionSelected: {
+    backgroundColor: "#0066cc",
+  },
+  weekOptionText: {
+    color: "#0066cc",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  weekOptionTextSelected: {
+    color: "#fff",
+  },
+  emptyState: {
+    alignItems: "center",
+    paddingVertical: 48,
+    paddingHorizontal: 32,
+    gap: 12,
+  },
+  emptyStateText: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: "#fff",
+  },
+  emptyStateSubtext: {
+    fontSize: 14,
+    color: "#999",
+    textAlign: "center",
+  },
+  milestone: {
+    backgroundColor: "#1a1a1a",
+    borderWidth: 1,
+    borderColor: "#333",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 12,
+  },
+  milestoneMeta: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#999",
+  },
+  task: {
+    marginLeft: 16,
+    borderLeftWidth: 2,
+    borderLeftColor: "#333",
+    paddingLeft: 10,
+    marginTop: 4,
+  },
+  taskMeta: {
+    fontSize: 12,
+    color: "#666",
+  },
+  itemRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  itemInput: {
+    flex: 1,
+    color: "#fff",
+    fontSize: 14,
+    paddingVertical: 4,
+  },
+  deleteButton: {
+    padding: 6,
+    marginLeft: 8,
+  },
+  deleteText: {
+    color: "#666",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  button: {
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+  primaryButton: {
+    backgroundColor: "#0066cc",
+  },
+  secondaryButton: {
+    backgroundColor: "#333",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+});
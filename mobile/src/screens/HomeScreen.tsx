@@ -8,7 +8,10 @@ import {
   Dimensions,
   ActivityIndicator,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+import { rollUpProgress, type GoalPriority, type GoalType, type Recurrence } from "common";
+import { authFetch } from "../utils/authSession";
+import { formatProgress } from "../utils/goalPlan";
+import { averageRate, fetchGoalAnalytics, weekLabel, type GoalAnalytics } from "../utils/goalAnalytics";
 import { useFocusEffect } from "@react-navigation/native";
 import { useAuth } from "../context/AuthContext";
 import { StackScreenProps } from "@react-navigation/stack";
@@ -23,10 +26,16 @@ interface Goal {
   id: string;
   text: string;
   completed: boolean;
-  priority: string;
+  priority: GoalPriority;
   category: string;
-  type: 'daily' | 'longterm';
+  type: GoalType;
   lastCompletedDate?: string;
+  parentId?: string | null;
+  targetDate?: string | null;
+  targetValue?: number | null;
+  currentValue?: number;
+  unit?: string | null;
+  progress?: number;
 }
 
 interface CalendarEvent {
@@ -38,7 +47,7 @@ interface CalendarEvent {
   title?: string;
   description?: string;
   time?: string;
-  recurring?: string | null; // 'daily', 'weekly', 'biweekly', 'monthly', 'yearly'
+  recurring?: Recurrence | null;
   recurringDays?: string | null; // JSON array string like "[1,3,5]"
   recurringEndDate?: string | null;
 }
@@ -47,28 +56,13 @@ interface DayEvents {
   [key: number]: CalendarEvent[];
 }
 
-const milesData = [
-  { day: 1, miles: 5.2 },
-  { day: 2, miles: 3.1 },
-  { day: 3, miles: 6.5 },
-  { day: 4, miles: 4.3 },
-  { day: 5, miles: 7.2 },
-  { day: 6, miles: 2.8 },
-  { day: 7, miles: 5.9 },
-  { day: 8, miles: 6.1 },
-  { day: 9, miles: 4.5 },
-  { day: 10, miles: 7.8 },
-  { day: 11, miles: 3.2 },
-  { day: 12, miles: 5.5 },
-  { day: 13, miles: 6.8 },
-  { day: 14, miles: 4.1 },
-];
-
 export default function HomeScreen({ navigation }: HomeScreenProps) {
   const { user } = useAuth();
   const userInitial = user?.name?.charAt(0).toUpperCase() || "U";
   const [goals, setGoals] = useState<Goal[]>([]);
   const [intentions, setIntentions] = useState<Goal[]>([]);
+  const [milestones, setMilestones] = useState<Goal[]>([]);
+  const [analytics, setAnalytics] = useState<GoalAnalytics | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [events, setEvents] = useState<DayEvents>({});
   
@@ -89,18 +83,15 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
   
   const [selectedDay, setSelectedDay] = useState(todayDate); // Default to today
 
-  const checkAndResetDailyGoals = () => {
-    const today = new Date().toISOString().split('T')[0];
-    
-    setGoals(currentGoals =>
-      currentGoals.map(goal => {
-        // If it's a daily goal and it wasn't completed today, reset it
-        if (goal.type === 'daily' && goal.lastCompletedDate !== today) {
-          return { ...goal, completed: false };
-        }
-        return goal;
-      })
-    );
+  // Streaks and charts; daily goals reopen on the server at the user's midnight
+  const fetchAnalytics = async () => {
+    if (!user?.id) return;
+
+    try {
+      setAnalytics(await fetchGoalAnalytics());
+    } catch (error) {
+      console.error("Error fetching goal analytics:", error);
+    }
   };
 
   const fetchGoals = async () => {
@@ -110,18 +101,7 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
     }
 
     try {
-      const token = await AsyncStorage.getItem("@user_token");
-      
-      if (!token) {
-        console.warn("No authentication token found");
-        return;
-      }
-
-      const response = await fetch(`${SERVICE_URL}/api/goals`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
+      const response = await authFetch(`${SERVICE_URL}/api/goals`);
 
       if (!response.ok) {
         console.error("Failed to fetch goals:", response.status);
@@ -134,9 +114,11 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
         // Separate goals by type
         const dailyGoals = result.data.filter((goal: Goal) => goal.type === 'daily');
         const longtermGoals = result.data.filter((goal: Goal) => goal.type === 'longterm');
+        const milestoneGoals = result.data.filter((goal: Goal) => goal.type === 'milestone');
         
         setGoals(dailyGoals);
         setIntentions(longtermGoals);
+        setMilestones(milestoneGoals);
         
         console.log(`✓ Fetched ${dailyGoals.length} daily goals and ${longtermGoals.length} long-term goals`);
       }
@@ -148,9 +130,7 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
   useEffect(() => {
     // Fetch goals from backend
     fetchGoals();
-    
-    // Check and reset daily goals
-    checkAndResetDailyGoals();
+    fetchAnalytics();
     
     // Fetch calendar events
     fetchEvents();
@@ -161,7 +141,7 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
     React.useCallback(() => {
       console.log('📱 Home screen focused - refreshing all widgets...');
       fetchGoals();
-      checkAndResetDailyGoals();
+      fetchAnalytics();
       fetchEvents();
       return () => {
         // Cleanup if needed
@@ -171,66 +151,49 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
 
   const toggleGoalCompletion = async (goalId: string, currentStatus: boolean) => {
     // Update local state immediately
-    const today = new Date().toISOString().split('T')[0];
-    
     setGoals(
       goals.map((goal) =>
-        goal.id === goalId 
-          ? { 
-              ...goal, 
-              completed: !currentStatus,
-              lastCompletedDate: !currentStatus ? today : goal.lastCompletedDate
-            } 
-          : goal
+        goal.id === goalId ? { ...goal, completed: !currentStatus } : goal
       )
     );
 
-    // Update on backend
+    // Update on backend; it logs the completion for today in the user's time zone
     try {
-      const token = await AsyncStorage.getItem("@user_token");
-      if (!token) return;
-
-      const updatedGoal = goals.find(g => g.id === goalId);
-      if (!updatedGoal) return;
-
-      const response = await fetch(`${SERVICE_URL}/api/goals/${goalId}`, {
+      const response = await authFetch(`${SERVICE_URL}/api/goals/${goalId}`, {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
         },
         body: JSON.stringify({
           completed: !currentStatus,
-          lastCompletedDate: !currentStatus ? today : updatedGoal.lastCompletedDate,
         }),
       });
 
       if (!response.ok) {
         console.error("Failed to update goal on backend:", response.status);
+        return;
       }
+      if (goals.find((goal) => goal.id === goalId)?.parentId) fetchGoals();
+      fetchAnalytics();
     } catch (error) {
       console.error("Error updating goal:", error);
     }
   };
 
+  // Long-term goals and their milestones
   const toggleIntentionCompletion = async (intentionId: string, currentStatus: boolean) => {
     // Update local state immediately
-    setIntentions(
-      intentions.map((intention) =>
-        intention.id === intentionId ? { ...intention, completed: !currentStatus } : intention
-      )
-    );
+    const toggle = (intention: Goal) =>
+      intention.id === intentionId ? { ...intention, completed: !currentStatus } : intention;
+    setIntentions(intentions.map(toggle));
+    setMilestones(milestones.map(toggle));
 
     // Update on backend
     try {
-      const token = await AsyncStorage.getItem("@user_token");
-      if (!token) return;
-
-      const response = await fetch(`${SERVICE_URL}/api/goals/${intentionId}`, {
+      const response = await authFetch(`${SERVICE_URL}/api/goals/${intentionId}`, {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
         },
         body: JSON.stringify({
           completed: !currentStatus,
@@ -252,22 +215,10 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
     }
 
     try {
-      const token = await AsyncStorage.getItem("@user_token");
-      
-      if (!token) {
-        console.warn("No authentication token found");
-        return;
-      }
-      
       const url = `${SERVICE_URL}/api/calendar`;
       console.log("Fetching events from:", url);
-      console.log("Token available:", !!token);
 
-      const response = await fetch(url, {
-        headers: {
-          "Authorization": `Bearer ${token}`,
-        },
-      });
+      const response = await authFetch(url);
 
       console.log("Events response status:", response.status);
 
@@ -414,6 +365,27 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
     return instances.sort((a, b) => a - b);
   };
 
+  // 0-1 per goal, rolled up from daily tasks through milestones to long-term goals. Planned daily
+  // tasks keep the server's figure (days done, from the completion log); the rest follows local ticks.
+  const progress = rollUpProgress(
+    [...intentions, ...milestones, ...goals].map((goal) => ({
+      ...goal,
+      progress: goal.type === "daily" && goal.parentId ? goal.progress : null,
+    })),
+  );
+  const completionRate = analytics ? averageRate(analytics.weekly) : null;
+  const subGoalsOf = (goalId: string) =>
+    [...milestones, ...goals].filter((goal) => goal.parentId === goalId);
+
+  const renderProgressBar = (goalId: string) => (
+    <View style={styles.progressRow}>
+      <View style={styles.progressTrack}>
+        <View style={[styles.progressFill, { width: `${(progress.get(goalId) ?? 0) * 100}%` }]} />
+      </View>
+      <Text style={styles.progressText}>{formatProgress(progress.get(goalId))}</Text>
+    </View>
+  );
+
   return (
     <View style={styles.wrapper}>
       <ScrollView style={styles.container} showsVerticalScrollIndicator={false}>
@@ -462,85 +434,164 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
         )}
       </View>
 
-      {/* Intentions */}
+      {/* Intentions: long-term goals with their milestones */}
       <View style={styles.card}>
-        <Text style={styles.cardTitle}>Milestones</Text>
+        <Text style={styles.cardTitle}>Long-term goals</Text>
 
         {intentions.length === 0 ? (
-          <Text style={styles.emptyStateText}>No milestones yet. Add one to get started!</Text>
+          <Text style={styles.emptyStateText}>No long-term goals yet. Add one to get started!</Text>
         ) : (
-          intentions.map((intention) => (
-            <View key={intention.id} style={styles.goalItem}>
-              <View style={styles.goalRow}>
-                <TouchableOpacity
-                  style={styles.checkbox}
-                  onPress={() => toggleIntentionCompletion(intention.id, intention.completed)}
-                >
-                  {intention.completed && <Text style={styles.checkmark}>✓</Text>}
-                </TouchableOpacity>
-                <Text
-                  style={[
-                    styles.goalTitle,
-                    intention.completed && styles.goalTitleCompleted,
-                  ]}
-                >
-                  {intention.text}
-                </Text>
+          intentions.map((intention) => {
+            const subGoals = subGoalsOf(intention.id);
+            const intentionMilestones = subGoals.filter((goal) => goal.type === 'milestone');
+            return (
+              <View key={intention.id} style={styles.goalItem}>
+                <View style={styles.goalRow}>
+                  <TouchableOpacity
+                    style={styles.checkbox}
+                    onPress={() => toggleIntentionCompletion(intention.id, intention.completed)}
+                  >
+                    {intention.completed && <Text style={styles.checkmark}>✓</Text>}
+                  </TouchableOpacity>
+                  <Text
+                    style={[
+                      styles.goalTitle,
+                      intention.completed && styles.goalTitleCompleted,
+                    ]}
+                  >
+                    {intention.text}
+                  </Text>
+                </View>
+
+                {subGoals.length > 0 && renderProgressBar(intention.id)}
+
+                {intentionMilestones.map((milestone) => (
+                  <View key={milestone.id} style={styles.milestoneItem}>
+                    <View style={styles.goalRow}>
+                      <TouchableOpacity
+                        style={styles.checkbox}
+                        onPress={() => toggleIntentionCompletion(milestone.id, milestone.completed)}
+                      >
+                        {milestone.completed && <Text style={styles.checkmark}>✓</Text>}
+                      </TouchableOpacity>
+                      <Text
+                        style={[
+                          styles.goalTitle,
+                          milestone.completed && styles.goalTitleCompleted,
+                        ]}
+                      >
+                        {milestone.text}
+                      </Text>
+                      {milestone.targetDate && (
+                        <Text style={styles.milestoneDate}>
+                          {new Date(milestone.targetDate).toLocaleDateString(undefined, { month: "short", day: "numeric" })}
+                        </Text>
+                      )}
+                    </View>
+                    {subGoalsOf(milestone.id).length > 0 && renderProgressBar(milestone.id)}
+                  </View>
+                ))}
+
+                {!intention.completed && (
+                  <TouchableOpacity
+                    onPress={() =>
+                      navigation.navigate("GoalPlan", {
+                        goalId: intention.id,
+                        goalText: intention.text,
+                        hasPlan: subGoals.length > 0,
+                      })
+                    }
+                  >
+                    <Text style={styles.planLink}>
+                      {subGoals.length > 0 ? "Re-plan with your coach" : "Break it down with your coach"}
+                    </Text>
+                  </TouchableOpacity>
+                )}
               </View>
-            </View>
-          ))
+            );
+          })
         )}
       </View>
 
-      {/* Analytics - Miles Run Graph */}
+      {/* Analytics - Weekly completion of daily goals */}
       <View style={styles.card}>
-        <Text style={styles.cardTitle}>Miles Run</Text>
-        <Text style={styles.monthTitle}>Last 2 Weeks</Text>
-        
-        {/* Graph */}
-        <View style={styles.graphContainer}>
-          <View style={styles.graphYAxis}>
-            <Text style={styles.yAxisLabel}>8mi</Text>
-            <Text style={styles.yAxisLabel}>4mi</Text>
-            <Text style={styles.yAxisLabel}>0mi</Text>
-          </View>
+        <Text style={styles.cardTitle}>Progress</Text>
+        <Text style={styles.monthTitle}>Last {analytics?.weekly.length ?? 8} Weeks</Text>
 
-          <View style={styles.graph}>
-            {milesData.map((data) => {
-              const maxMiles = 8;
-              const barHeight = (data.miles / maxMiles) * 150;
-              return (
-                <View key={data.day} style={styles.barColumn}>
-                  <View
-                    style={[
-                      styles.bar,
-                      { height: barHeight },
-                    ]}
-                  />
-                  <Text style={styles.barLabel}>{data.day}</Text>
-                </View>
-              );
-            })}
-          </View>
-        </View>
+        {!analytics ? (
+          <ActivityIndicator size="small" color="#0066cc" style={styles.chartLoading} />
+        ) : (
+          <>
+            {/* Graph */}
+            <View style={styles.graphContainer}>
+              <View style={styles.graphYAxis}>
+                <Text style={styles.yAxisLabel}>100%</Text>
+                <Text style={styles.yAxisLabel}>50%</Text>
+                <Text style={styles.yAxisLabel}>0%</Text>
+              </View>
 
-        {/* Stats */}
-        <View style={styles.statsRow}>
-          <View style={styles.stat}>
-            <Text style={styles.statLabel}>Total</Text>
-            <Text style={styles.statValue}>75.8 mi</Text>
-          </View>
-          <View style={styles.stat}>
-            <Text style={styles.statLabel}>Average</Text>
-            <Text style={styles.statValue}>5.4 mi</Text>
-          </View>
-          <View style={styles.stat}>
-            <Text style={styles.statLabel}>Best Day</Text>
-            <Text style={styles.statValue}>7.8 mi</Text>
-          </View>
-        </View>
+              <View style={styles.graph}>
+                {analytics.weekly.map((week) => (
+                  <View key={week.weekStart} style={styles.barColumn}>
+                    <View style={[styles.bar, { height: (week.rate ?? 0) * 150 }]} />
+                    <Text style={styles.barLabel}>{weekLabel(week.weekStart)}</Text>
+                  </View>
+                ))}
+              </View>
+            </View>
+
+            {/* Stats */}
+            <View style={styles.statsRow}>
+              <View style={styles.stat}>
+                <Text style={styles.statLabel}>Streak</Text>
+                <Text style={styles.statValue}>
+                  {analytics.streaks.current} {analytics.streaks.current === 1 ? "day" : "days"}
+                </Text>
+              </View>
+              <View style={styles.stat}>
+                <Text style={styles.statLabel}>Longest</Text>
+                <Text style={styles.statValue}>
+                  {analytics.streaks.longest} {analytics.streaks.longest === 1 ? "day" : "days"}
+                </Text>
+              </View>
+              <View style={styles.stat}>
+                <Text style={styles.statLabel}>Completion</Text>
+                <Text style={styles.statValue}>
+                  {completionRate === null ? "–" : formatProgress(completionRate)}
+                </Text>
+              </View>
+            </View>
+          </>
+        )}
       </View>
 
+      {/* Analytics - Completions per category and week */}
+      {analytics && analytics.categories.categories.length > 0 && (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>By category</Text>
+          {analytics.categories.categories.slice(0, 5).map((trend) => {
+            const busiestWeek = Math.max(...trend.counts, 1);
+            return (
+              <View key={trend.category} style={styles.trendRow}>
+                <Text style={styles.trendCategory} numberOfLines={1}>{trend.category}</Text>
+                <View style={styles.trendBars}>
+                  {trend.counts.map((count, index) => (
+                    <View
+                      key={analytics.categories.weeks[index]}
+                      style={[styles.trendBar, { height: 4 + (count / busiestWeek) * 20 }]}
+                    />
+                  ))}
+                </View>
+                <Text style={styles.trendChange}>
+                  {trend.change > 0 ? `+${trend.change}` : trend.change}
+                </Text>
+              </View>
+            );
+          })}
+          <Text style={styles.trendCaption}>Goals completed per week; change vs. last week</Text>
+        </View>
+      )}
+
       {/* Calendar */}
       <View style={styles.card}>
         <Text style={styles.cardTitle}>Calendar</Text>
@@ -778,6 +829,45 @@ const styles = StyleSheet.create({
     color: "#666",
     textDecorationLine: "line-through",
   },
+  progressRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 8,
+    marginLeft: 36,
+  },
+  progressTrack: {
+    flex: 1,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: "#333",
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: 6,
+    backgroundColor: "#0066cc",
+  },
+  progressText: {
+    color: "#999",
+    fontSize: 12,
+    width: 36,
+    textAlign: "right",
+  },
+  milestoneItem: {
+    marginTop: 12,
+    marginLeft: 36,
+  },
+  milestoneDate: {
+    color: "#666",
+    fontSize: 12,
+  },
+  planLink: {
+    color: "#0066cc",
+    fontSize: 13,
+    fontWeight: "600",
+    marginTop: 10,
+    marginLeft: 36,
+  },
   emptyStateText: {
     color: "#666",
     fontSize: 14,
@@ -829,6 +919,44 @@ const styles = StyleSheet.create({
     fontSize: 9,
     marginTop: 4,
   },
+  chartLoading: {
+    marginVertical: 16,
+  },
+  trendRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    marginBottom: 12,
+  },
+  trendCategory: {
+    color: "#ccc",
+    fontSize: 13,
+    width: 90,
+    textTransform: "capitalize",
+  },
+  trendBars: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "flex-end",
+    gap: 3,
+    height: 24,
+  },
+  trendBar: {
+    flex: 1,
+    backgroundColor: "#0066cc",
+    borderRadius: 2,
+  },
+  trendChange: {
+    color: "#999",
+    fontSize: 12,
+    width: 28,
+    textAlign: "right",
+  },
+  trendCaption: {
+    color: "#666",
+    fontSize: 11,
+    marginTop: 4,
+  },
   statsRow: {
     flexDirection: "row",
     justifyContent: "space-around",
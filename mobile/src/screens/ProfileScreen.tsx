@@ -9,8 +9,10 @@ import {
   Alert,
   ActivityIndicator,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+import { updateUserSchema } from "common";
+import { authFetch } from "../utils/authSession";
 import { useAuth } from "../context/AuthContext";
+import TwoFactorSection from "../components/TwoFactorSection";
 import { StackScreenProps } from "@react-navigation/stack";
 import { RootStackParamList } from "../navigation/AppNavigator";
 import { SERVICE_URL } from "@env";
@@ -24,40 +26,32 @@ export default function ProfileScreen({ navigation }: ProfileScreenProps) {
   const [isSaving, setIsSaving] = useState(false);
 
   const handleSaveName = async () => {
-    if (!name.trim()) {
-      Alert.alert("Error", "Name cannot be empty");
+    const parsed = updateUserSchema.safeParse({ name });
+    if (!parsed.success) {
+      Alert.alert("Error", parsed.error.issues[0].message);
       return;
     }
 
-    if (name === user?.name) {
+    if (parsed.data.name === user?.name) {
       return;
     }
 
     try {
       setIsSaving(true);
-      
-      // Get auth token
-      const token = await AsyncStorage.getItem("@user_token");
-      if (!token) {
-        Alert.alert("Error", "Authentication token not found");
-        return;
-      }
 
       console.log("Updating user:", {
-        url: `${SERVICE_URL}/api/users/${user?.id}`,
+        url: `${SERVICE_URL}/api/users/me`,
         userId: user?.id,
-        token: token ? "present" : "missing",
-        name: name.trim(),
+        name: parsed.data.name,
       });
 
       // Call API to update user name
-      const response = await fetch(`${SERVICE_URL}/api/users/${user?.id}`, {
+      const response = await authFetch(`${SERVICE_URL}/api/users/me`, {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
-          "Authorization": `Bearer ${token}`,
         },
-        body: JSON.stringify({ name: name.trim() }),
+        body: JSON.stringify(parsed.data),
       });
 
       const data = await response.json();
@@ -70,7 +64,7 @@ export default function ProfileScreen({ navigation }: ProfileScreenProps) {
       }
 
       // Update the user in auth context
-      updateUser({ name: name.trim() });
+      updateUser(parsed.data);
       
     } catch (error) {
       Alert.alert("Error", "Failed to update profile");
@@ -175,6 +169,22 @@ export default function ProfileScreen({ navigation }: ProfileScreenProps) {
           </View>
         </View>
 
+        {/* Coach Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Coaching</Text>
+
+          <TouchableOpacity
+            style={styles.infoRow}
+            onPress={() => navigation.navigate("CoachMemory")}
+          >
+            <Text style={styles.infoValue}>What your coach knows about you</Text>
+            <Text style={styles.infoLabel}>›</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Security Section */}
+        <TwoFactorSection />
+
         {/* Spacer to push sign out button to bottom */}
         <View style={{ flex: 1 }} />
 
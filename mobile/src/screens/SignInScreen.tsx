@@ -12,6 +12,7 @@ import {
   ScrollView,
 } from 'react-native';
 import { useAuth } from '../context/AuthContext';
+import SocialSignInButtons from '../components/SocialSignInButtons';
 
 interface SignInScreenProps {
   navigation: any;
@@ -21,7 +22,9 @@ const SignInScreen: React.FC<SignInScreenProps> = ({ navigation }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const { signIn } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { signIn, twoFactorChallenge, completeTwoFactor, cancelTwoFactor } = useAuth();
 
   const handleSignIn = async () => {
     if (!email || !password) {
@@ -38,10 +41,94 @@ const SignInScreen: React.FC<SignInScreenProps> = ({ navigation }) => {
     }
   };
 
+  const handleVerifyCode = async () => {
+    if (!code.trim()) {
+      Alert.alert('Error', 'Please enter your code');
+      return;
+    }
+
+    setIsLoading(true);
+    const result = await completeTwoFactor(code, { recoveryCode: useRecoveryCode });
+    setIsLoading(false);
+
+    if (!result.success) {
+      setCode('');
+      Alert.alert('Error', result.error || 'Invalid code');
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+  };
+
   const navigateToSignUp = () => {
     navigation.navigate('SignUp');
   };
 
+  const navigateToForgotPassword = () => {
+    navigation.navigate('ForgotPassword');
+  };
+
+  // Password accepted, account has two-factor authentication on
+  if (twoFactorChallenge) {
+    return (
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView contentContainerStyle={styles.scrollContainer}>
+          <View style={styles.content}>
+            <Text style={styles.title}>Two-Step Verification</Text>
+            <Text style={styles.subtitle}>
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </Text>
+
+            <View style={styles.inputContainer}>
+              <TextInput
+                style={styles.input}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                value={code}
+                onChangeText={setCode}
+                keyboardType={useRecoveryCode ? 'default' : 'number-pad'}
+                autoCapitalize="none"
+                autoComplete={useRecoveryCode ? 'off' : 'one-time-code'}
+                maxLength={useRecoveryCode ? 11 : 6}
+                autoFocus
+              />
+            </View>
+
+            <TouchableOpacity onPress={toggleRecoveryCode}>
+              <Text style={styles.forgotPassword}>
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.button, isLoading && styles.buttonDisabled]}
+              onPress={handleVerifyCode}
+              disabled={isLoading}
+            >
+              {isLoading ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>Verify</Text>
+              )}
+            </TouchableOpacity>
+
+            <View style={styles.footer}>
+              <TouchableOpacity onPress={cancelTwoFactor}>
+                <Text style={styles.footerLink}>Back to Sign In</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    );
+  }
+
   return (
     <KeyboardAvoidingView
       style={styles.container}
@@ -75,6 +162,10 @@ const SignInScreen: React.FC<SignInScreenProps> = ({ navigation }) => {
             />
           </View>
 
+          <TouchableOpacity onPress={navigateToForgotPassword}>
+            <Text style={styles.forgotPassword}>Forgot password?</Text>
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={[styles.button, isLoading && styles.buttonDisabled]}
             onPress={handleSignIn}
@@ -87,6 +178,8 @@ const SignInScreen: React.FC<SignInScreenProps> = ({ navigation }) => {
             )}
           </TouchableOpacity>
 
+          <SocialSignInButtons />
+
           <View style={styles.footer}>
             <Text style={styles.footerText}>Don't have an account? </Text>
             <TouchableOpacity onPress={navigateToSignUp}>
@@ -141,6 +234,11 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#ddd',
   },
+  forgotPassword: {
+    fontSize: 14,
+    color: '#007AFF',
+    textAlign: 'right',
+  },
   button: {
     backgroundColor: '#007AFF',
     borderRadius: 8,
@@ -11,7 +11,9 @@ import {
   Platform,
   ScrollView,
 } from 'react-native';
+import { registerSchema } from 'common';
 import { useAuth } from '../context/AuthContext';
+import SocialSignInButtons from '../components/SocialSignInButtons';
 
 interface SignUpScreenProps {
   navigation: any;
@@ -36,13 +38,15 @@ const SignUpScreen: React.FC<SignUpScreenProps> = ({ navigation }) => {
       return;
     }
 
-    if (password.length < 6) {
-      Alert.alert('Error', 'Password must be at least 6 characters long');
+    // Same rules the server applies to POST /api/auth/register
+    const parsed = registerSchema.safeParse({ email, password, name });
+    if (!parsed.success) {
+      Alert.alert('Error', parsed.error.issues[0].message);
       return;
     }
 
     setIsLoading(true);
-    const success = await signUp(email, password, name);
+    const success = await signUp(parsed.data.email, parsed.data.password, name.trim());
     setIsLoading(false);
 
     if (!success) {
@@ -121,6 +125,8 @@ const SignUpScreen: React.FC<SignUpScreenProps> = ({ navigation }) => {
             )}
           </TouchableOpacity>
 
+          <SocialSignInButtons />
+
           <View style={styles.footer}>
             <Text style={styles.footerText}>Already have an account? </Text>
             <TouchableOpacity onPress={navigateToSignIn}>
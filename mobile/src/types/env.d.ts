@@ -1,3 +1,6 @@
 declare module '@env' {
   export const SERVICE_URL: string;
+  export const GOOGLE_IOS_CLIENT_ID: string | undefined;
+  export const GOOGLE_ANDROID_CLIENT_ID: string | undefined;
+  export const GOOGLE_WEB_CLIENT_ID: string | undefined;
 }
\ No newline at end of file
@@ -0,0 +1,125 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SERVICE_URL } from '@env';
+
+export const ACCESS_TOKEN_KEY = '@user_token';
+export const REFRESH_TOKEN_KEY = '@refresh_token';
+const EXPIRES_AT_KEY = '@token_expires_at';
+
+// Refresh a little before the access token actually expires
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+export interface SessionTokens {
+  token: string;
+  refreshToken: string;
+  expiresIn?: number; // Access token lifetime in seconds
+}
+
+let refreshInFlight: Promise<string | null> | null = null;
+let onSessionExpired: (() => void) | null = null;
+
+/**
+ * Called when the session can't be refreshed any more (signed out elsewhere,
+ * refresh token expired or revoked). AuthContext uses it to go back to sign-in.
+ */
+export const setSessionExpiredHandler = (handler: (() => void) | null) => {
+  onSessionExpired = handler;
+};
+
+export const saveSession = async ({ token, refreshToken, expiresIn }: SessionTokens) => {
+  await AsyncStorage.setItem(ACCESS_TOKEN_KEY, token);
+  await AsyncStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  if (expiresIn) {
+    await AsyncStorage.setItem(EXPIRES_AT_KEY, String(Date.now() + expiresIn * 1000));
+  } else {
+    await AsyncStorage.removeItem(EXPIRES_AT_KEY);
+  }
+};
+
+export const clearSession = async () => {
+  await AsyncStorage.removeItem(ACCESS_TOKEN_KEY);
+  await AsyncStorage.removeItem(REFRESH_TOKEN_KEY);
+  await AsyncStorage.removeItem(EXPIRES_AT_KEY);
+};
+
+const isExpiring = async () => {
+  const expiresAt = Number(await AsyncStorage.getItem(EXPIRES_AT_KEY));
+  return expiresAt > 0 && expiresAt - EXPIRY_MARGIN_MS <= Date.now();
+};
+
+const requestRefresh = async (): Promise<string | null> => {
+  const refreshToken = await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) return null;
+
+  try {
+    const response = await fetch(`${SERVICE_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    if (response.status === 401 || response.status === 400) {
+      // The session is gone for good
+      await clearSession();
+      onSessionExpired?.();
+      return null;
+    }
+    if (!response.ok) {
+      console.error('Session refresh failed:', response.status);
+      return null;
+    }
+
+    const data = await response.json();
+    await saveSession(data.data);
+    return data.data.token;
+  } catch (error) {
+    // Offline or server down: keep the session and try again later
+    console.error('Session refresh error:', error);
+    return null;
+  }
+};
+
+/**
+ * Get a new access token using the stored refresh token.
+ * Concurrent callers share one request - refresh tokens rotate, so sending the
+ * same one twice would look like token theft to the server.
+ */
+export const refreshSession = (): Promise<string | null> => {
+  if (!refreshInFlight) {
+    refreshInFlight = requestRefresh().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+};
+
+/**
+ * The stored access token, refreshed first if it's about to expire
+ */
+export const getAccessToken = async (): Promise<string | null> => {
+  const token = await AsyncStorage.getItem(ACCESS_TOKEN_KEY);
+  if (token && (await isExpiring())) {
+    return (await refreshSession()) || token;
+  }
+  return token;
+};
+
+/**
+ * fetch with the user's access token. On a 401 the session is refreshed and
+ * the request retried once, so an expired access token never reaches the UI.
+ */
+export const authFetch = async (url: string, init: RequestInit = {}): Promise<Response> => {
+  const send = (token: string | null) =>
+    fetch(url, {
+      ...init,
+      headers: {
+        ...(init.headers as Record<string, string>),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+
+  const response = await send(await getAccessToken());
+  if (response.status !== 401) return response;
+
+  const refreshed = await refreshSession();
+  return refreshed ? send(refreshed) : response;
+};
@@ -0,0 +1,134 @@
+import { SERVICE_URL } from '@env';
+import type { OnboardingState } from 'common';
+
+export interface StreamEvent {
+  event: string;
+  data: any;
+}
+
+export interface ChatStreamHandlers {
+  onStart?: (userMessage: any) => void;
+  onToken: (token: string) => void;
+  // onboarding is set while the user goes through guided onboarding
+  onDone: (result: {
+    messageId: string;
+    aiResponse: any;
+    cancelled: boolean;
+    onboarding?: OnboardingState | null;
+  }) => void;
+  onError: (error: string) => void;
+  // Hard budget cap reached: the server sends a coaching message instead of a reply
+  onQuota?: (message: string, quota: any) => void;
+}
+
+/**
+ * Parse Server-Sent Events out of a text buffer.
+ * Returns the complete events and whatever trailing text is still incomplete.
+ */
+export const parseSSE = (buffer: string): { events: StreamEvent[]; rest: string } => {
+  const events: StreamEvent[] = [];
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop() ?? '';
+
+  for (const block of blocks) {
+    let event = 'message';
+    const dataLines: string[] = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    }
+    if (dataLines.length === 0) continue;
+
+    try {
+      events.push({ event, data: JSON.parse(dataLines.join('\n')) });
+    } catch {
+      events.push({ event, data: dataLines.join('\n') });
+    }
+  }
+
+  return { events, rest };
+};
+
+/**
+ * Send a chat message to POST /api/chat/stream and report tokens as they arrive.
+ * Uses XMLHttpRequest because React Native's fetch can't read a streaming body.
+ * Returns a cancel function that stops the request mid-stream.
+ */
+export const streamChatMessage = (
+  token: string,
+  message: string,
+  handlers: ChatStreamHandlers,
+): (() => void) => {
+  const xhr = new XMLHttpRequest();
+  let processed = 0;
+  let buffer = '';
+  let finished = false;
+
+  const handleChunk = () => {
+    const text = xhr.responseText || '';
+    buffer += text.slice(processed);
+    processed = text.length;
+
+    const { events, rest } = parseSSE(buffer);
+    buffer = rest;
+
+    for (const { event, data } of events) {
+      if (event === 'start') {
+        handlers.onStart?.(data.userMessage);
+      } else if (event === 'token') {
+        handlers.onToken(data.token);
+      } else if (event === 'done') {
+        finished = true;
+        handlers.onDone(data);
+      } else if (event === 'error') {
+        finished = true;
+        handlers.onError(data.error || 'Stream failed');
+      }
+    }
+  };
+
+  xhr.open('POST', `${SERVICE_URL}/api/chat/stream`);
+  xhr.setRequestHeader('Content-Type', 'application/json');
+  xhr.setRequestHeader('Accept', 'text/event-stream');
+  xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+
+  xhr.onprogress = handleChunk;
+  xhr.onload = () => {
+    if (xhr.status >= 400) {
+      finished = true;
+      let error = `Request failed (${xhr.status})`;
+      let body: any = null;
+      try {
+        body = JSON.parse(xhr.responseText);
+        error = body.error || error;
+      } catch {}
+      if (body?.code === 'QUOTA_EXCEEDED' && handlers.onQuota) {
+        handlers.onQuota(body.error, body.details?.quota);
+        return;
+      }
+      handlers.onError(error);
+      return;
+    }
+    handleChunk();
+    if (!finished) {
+      finished = true;
+      handlers.onError('Stream ended unexpectedly');
+    }
+  };
+  xhr.onerror = () => {
+    if (!finished) {
+      finished = true;
+      handlers.onError('Network error');
+    }
+  };
+
+  xhr.send(JSON.stringify({ message }));
+
+  return () => {
+    finished = true;
+    xhr.abort();
+  };
+};
@@ -0,0 +1,91 @@
+import { SERVICE_URL } from '@env';
+import {
+  PROFILE_CONFIDENCE_SURE,
+  type AiMemoryProfile,
+  type UpdateAiMemoryProfileInput,
+} from 'common';
+import { authFetch } from './authSession';
+
+export const goalKey = (text: string) => `goal:${text}`;
+export const constraintKey = (text: string) => `constraint:${text}`;
+
+/**
+ * Items the extraction wasn't sure about: 'summary', 'tone', goalKey(text) and constraintKey(text).
+ * Nothing is flagged once the user has confirmed the profile.
+ */
+export const lowConfidenceKeys = (profile: AiMemoryProfile): Set<string> => {
+  const keys = new Set<string>();
+  const scores = profile.fieldConfidence;
+  if (profile.manuallyVerified || !scores) return keys;
+
+  const isLow = (score: number | undefined) => typeof score === 'number' && score < PROFILE_CONFIDENCE_SURE;
+  if (isLow(scores.summary)) keys.add('summary');
+  if (isLow(scores.tone)) keys.add('tone');
+  for (const [text, score] of Object.entries(scores.goals ?? {})) {
+    if (isLow(score)) keys.add(goalKey(text));
+  }
+  for (const [text, score] of Object.entries(scores.constraints ?? {})) {
+    if (isLow(score)) keys.add(constraintKey(text));
+  }
+  return keys;
+};
+
+/**
+ * The edited profile as a PUT body: blank goals and list items are dropped, text trimmed
+ */
+export const toProfileInput = (
+  profile: Pick<AiMemoryProfile, 'summary' | 'goals' | 'preferences'>,
+): UpdateAiMemoryProfileInput => {
+  const goals: UpdateAiMemoryProfileInput['goals'] = {};
+  for (const [year, items] of Object.entries(profile.goals)) {
+    const kept = items
+      .map((goal) => ({ ...goal, text: goal.text.trim() }))
+      .filter((goal) => goal.text.length > 0);
+    if (kept.length > 0) goals[year] = kept;
+  }
+
+  const preferences: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(profile.preferences)) {
+    if (typeof value === 'string') {
+      if (value.trim()) preferences[key] = value.trim();
+    } else if (Array.isArray(value)) {
+      const kept = value.map((item) => (typeof item === 'string' ? item.trim() : item)).filter((item) => item !== '');
+      if (kept.length > 0) preferences[key] = kept;
+    } else {
+      preferences[key] = value;
+    }
+  }
+
+  return { summary: profile.summary?.trim() || null, goals, preferences };
+};
+
+const request = async (init: RequestInit = {}) => {
+  const response = await authFetch(`${SERVICE_URL}/api/ai-memory/me`, init);
+  const body = await response.json();
+  if (!body.success) {
+    throw new Error(body.error || 'Request failed');
+  }
+  return body;
+};
+
+/**
+ * GET /api/ai-memory/me - null if the coach doesn't know anything yet
+ */
+export const fetchCoachMemory = async (): Promise<AiMemoryProfile | null> => (await request()).data;
+
+/**
+ * PUT /api/ai-memory/me - save the reviewed profile; the server marks it verified
+ */
+export const saveCoachMemory = async (input: UpdateAiMemoryProfileInput): Promise<AiMemoryProfile> =>
+  (await request({
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(input),
+  })).data;
+
+/**
+ * DELETE /api/ai-memory/me - forget everything
+ */
+export const deleteCoachMemory = async (): Promise<void> => {
+  await request({ method: 'DELETE' });
+};
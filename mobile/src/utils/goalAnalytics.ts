@@ -0,0 +1,47 @@
+import { SERVICE_URL } from '@env';
+import type { CategoryTrends, GoalStreaks, WeeklyCompletion } from 'common';
+import { authFetch } from './authSession';
+
+export interface GoalAnalytics {
+  streaks: GoalStreaks;
+  weekly: WeeklyCompletion[];
+  categories: CategoryTrends;
+}
+
+// "2025-03-03" → "3/3" (weeks are labelled by their Monday)
+export const weekLabel = (weekStart: string) => {
+  const [, month, day] = weekStart.split('-').map(Number);
+  return `${month}/${day}`;
+};
+
+/**
+ * Completion rate over the weeks that had daily goals, null if none did
+ */
+export const averageRate = (weekly: WeeklyCompletion[]): number | null => {
+  const totals = weekly.reduce(
+    (sum, week) => ({ completed: sum.completed + week.completed, possible: sum.possible + week.possible }),
+    { completed: 0, possible: 0 },
+  );
+  return totals.possible > 0 ? totals.completed / totals.possible : null;
+};
+
+const get = async <T>(path: string): Promise<T> => {
+  const response = await authFetch(`${SERVICE_URL}/api/goals/analytics/${path}`);
+  const body = await response.json();
+  if (!body.success) {
+    throw new Error(body.error || 'Request failed');
+  }
+  return body.data;
+};
+
+/**
+ * Streaks, weekly completion rate and category trends for the last `weeks` weeks
+ */
+export const fetchGoalAnalytics = async (weeks = 8): Promise<GoalAnalytics> => {
+  const [streaks, weekly, categories] = await Promise.all([
+    get<GoalStreaks>('streaks'),
+    get<WeeklyCompletion[]>(`weekly?weeks=${weeks}`),
+    get<CategoryTrends>(`categories?weeks=${weeks}`),
+  ]);
+  return { streaks, weekly, categories };
+};
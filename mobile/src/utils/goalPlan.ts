@@ -0,0 +1,58 @@
+import { SERVICE_URL } from '@env';
+import type { AcceptGoalPlanInput, DecomposeGoalInput, GoalPlanMilestone } from 'common';
+import { authFetch } from './authSession';
+
+export interface GoalPlan {
+  goalId: string;
+  milestones: GoalPlanMilestone[];
+}
+
+/**
+ * The reviewed plan as a POST body: text trimmed, blank tasks dropped, and milestones left
+ * without text dropped along with their tasks
+ */
+export const cleanPlan = (milestones: GoalPlanMilestone[]): GoalPlanMilestone[] =>
+  milestones
+    .map((milestone) => ({
+      ...milestone,
+      text: milestone.text.trim(),
+      tasks: milestone.tasks
+        .map((task) => ({ ...task, text: task.text.trim() }))
+        .filter((task) => task.text.length > 0),
+    }))
+    .filter((milestone) => milestone.text.length > 0);
+
+// 0.456 → "46%"
+export const formatProgress = (progress: number | undefined) => `${Math.round((progress ?? 0) * 100)}%`;
+
+const request = async (path: string, body: unknown) => {
+  const response = await authFetch(`${SERVICE_URL}/api/goals/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || 'Request failed');
+  }
+  return result.data;
+};
+
+/**
+ * POST /api/goals/:id/decompose - a proposed plan for a long-term goal; nothing is saved
+ */
+export const proposeGoalPlan = async (goalId: string, input: DecomposeGoalInput = {}): Promise<GoalPlan> =>
+  request(`${goalId}/decompose`, input);
+
+/**
+ * POST /api/goals/:id/plan - save the reviewed milestones and their daily tasks;
+ * `replace` deletes the goal's current plan first
+ */
+export const acceptGoalPlan = async (
+  goalId: string,
+  milestones: GoalPlanMilestone[],
+  replace = false,
+): Promise<void> => {
+  const body: AcceptGoalPlanInput = { milestones: cleanPlan(milestones), replace };
+  await request(`${goalId}/plan`, body);
+};
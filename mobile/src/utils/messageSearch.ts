@@ -0,0 +1,65 @@
+import { SERVICE_URL } from '@env';
+import type { MessageSearchPage, MessageSearchResult } from 'common';
+import { authFetch } from './authSession';
+
+export interface SnippetSegment {
+  text: string;
+  highlighted: boolean;
+}
+
+/**
+ * Split a search snippet into plain and highlighted runs for nested <Text> rendering.
+ * Overlapping or out-of-range highlights are clamped rather than trusted.
+ */
+export const splitSnippet = (snippet: MessageSearchResult['snippet']): SnippetSegment[] => {
+  const segments: SnippetSegment[] = [];
+  let position = 0;
+
+  const sorted = [...snippet.highlights].sort((a, b) => a[0] - b[0]);
+  for (const [rawStart, rawEnd] of sorted) {
+    const start = Math.max(rawStart, position);
+    const end = Math.min(rawEnd, snippet.text.length);
+    if (end <= start) continue;
+
+    if (start > position) {
+      segments.push({ text: snippet.text.slice(position, start), highlighted: false });
+    }
+    segments.push({ text: snippet.text.slice(start, end), highlighted: true });
+    position = end;
+  }
+
+  if (position < snippet.text.length) {
+    segments.push({ text: snippet.text.slice(position), highlighted: false });
+  }
+  return segments;
+};
+
+/**
+ * GET /api/messages/search - one page of results; pass `nextCursor` back for the next page.
+ */
+export const searchMessages = async (
+  query: string,
+  options: { mode?: 'keyword' | 'semantic'; cursor?: string | null } = {},
+): Promise<MessageSearchPage> => {
+  let params = `q=${encodeURIComponent(query)}&mode=${options.mode ?? 'keyword'}`;
+  if (options.cursor) params += `&cursor=${encodeURIComponent(options.cursor)}`;
+
+  const response = await authFetch(`${SERVICE_URL}/api/messages/search?${params}`);
+  const body = await response.json();
+  if (!body.success) {
+    throw new Error(body.error || 'Search failed');
+  }
+  return body.data;
+};
+
+/**
+ * GET /api/messages/:id/context - the messages around a search hit, oldest first
+ */
+export const fetchMessageContext = async (messageId: string, span = 20): Promise<any[]> => {
+  const response = await authFetch(`${SERVICE_URL}/api/messages/${messageId}/context?span=${span}`);
+  const body = await response.json();
+  if (!body.success) {
+    throw new Error(body.error || 'Could not load the message');
+  }
+  return body.data;
+};
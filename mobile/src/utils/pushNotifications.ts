@@ -0,0 +1,99 @@
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Device from 'expo-device';
+import * as Notifications from 'expo-notifications';
+import { SERVICE_URL } from '@env';
+import { authFetch } from './authSession';
+
+const PUSH_TOKEN_KEY = '@push_token';
+
+// Show reminders as banners even while the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+/**
+ * Ask for notification permission and register this device's native push token
+ * (FCM on Android, APNs on iOS) with the service. Returns the token, or null if
+ * push isn't available (simulator, permission denied) or registration failed.
+ */
+export const registerForPushNotifications = async (): Promise<string | null> => {
+  try {
+    if (!Device.isDevice) {
+      console.log('Push notifications need a physical device');
+      return null;
+    }
+
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync('default', {
+        name: 'Reminders',
+        importance: Notifications.AndroidImportance.HIGH,
+      });
+    }
+
+    let { status } = await Notifications.getPermissionsAsync();
+    if (status !== 'granted') {
+      ({ status } = await Notifications.requestPermissionsAsync());
+    }
+    if (status !== 'granted') {
+      console.log('Push notification permission not granted');
+      return null;
+    }
+
+    const { type, data: pushToken } = await Notifications.getDevicePushTokenAsync();
+
+    const response = await authFetch(`${SERVICE_URL}/api/devices`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        token: pushToken,
+        platform: Platform.OS,
+        provider: type === 'ios' ? 'apns' : 'fcm',
+      }),
+    });
+
+    if (!response.ok) {
+      console.error('Device registration failed:', response.status);
+      return null;
+    }
+
+    await AsyncStorage.setItem(PUSH_TOKEN_KEY, pushToken);
+    return pushToken;
+  } catch (error) {
+    console.error('Error registering for push notifications:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove this device's push token from the service (call before the session is revoked).
+ * The token is only forgotten locally once the service has dropped it.
+ */
+export const unregisterPushNotifications = async (): Promise<void> => {
+  try {
+    const pushToken = await AsyncStorage.getItem(PUSH_TOKEN_KEY);
+    if (!pushToken) return;
+
+    const response = await authFetch(`${SERVICE_URL}/api/devices`, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token: pushToken }),
+    });
+    if (!response.ok) {
+      console.error('Device unregistration failed:', response.status);
+      return;
+    }
+    await AsyncStorage.removeItem(PUSH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error unregistering push notifications:', error);
+  }
+};
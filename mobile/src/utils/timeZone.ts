@@ -0,0 +1,33 @@
+import { SERVICE_URL } from '@env';
+import { authFetch } from './authSession';
+
+// IANA time zone of the device, e.g. "Europe/Berlin"
+export const deviceTimeZone = (): string | null => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Save the device's time zone on the account when it differs from `savedTimeZone`, so daily
+ * goals reopen and streaks count at the user's own midnight. Never throws.
+ */
+export const syncTimeZone = async (savedTimeZone: string | undefined): Promise<void> => {
+  const timeZone = deviceTimeZone();
+  if (!timeZone || timeZone === savedTimeZone) return;
+
+  try {
+    const response = await authFetch(`${SERVICE_URL}/api/users/me`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ timezone: timeZone }),
+    });
+    if (!response.ok) {
+      console.error('Failed to save time zone:', response.status);
+    }
+  } catch (error) {
+    console.error('Error saving time zone:', error);
+  }
+};
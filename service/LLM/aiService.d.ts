@@ -1,5 +1,5 @@
-import { ChatOpenAI } from "@langchain/openai";
-import { OpenAIEmbeddings } from "@langchain/openai";
+import type { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import type { Embeddings } from "@langchain/core/embeddings";
 
 export interface LLMOptions {
   temperature?: number;
@@ -7,6 +7,15 @@ export interface LLMOptions {
   maxRetries?: number;
 }
 
+export type ModelTier = 'main' | 'cheap' | 'embeddings';
+
+export interface ModelPricing {
+  /** USD per 1M input tokens */
+  input: number;
+  /** USD per 1M output tokens */
+  output: number;
+}
+
 export interface TokenUsageStats {
   totalInputTokens: number;
   totalOutputTokens: number;
@@ -17,39 +26,62 @@ export interface TokenUsageStats {
 }
 
 /**
- * Get or create the main LLM instance (gpt-4o-mini)
+ * Get the model name used for a tier on the configured provider
  */
-export function getLLM(options?: LLMOptions): ChatOpenAI;
+export function getModelName(tier?: ModelTier): string;
 
 /**
- * Get cheaper LLM for simple tasks (gpt-3.5-turbo)
+ * Get or create the main LLM instance (gpt-4o-mini on OpenAI)
  */
-export function getCheapLLM(options?: LLMOptions): ChatOpenAI;
+export function getLLM(options?: LLMOptions): BaseChatModel;
+
+/**
+ * Get cheaper LLM for simple tasks (gpt-3.5-turbo on OpenAI)
+ */
+export function getCheapLLM(options?: LLMOptions): BaseChatModel;
 
 /**
  * Get or create the embeddings instance
  */
-export function getEmbeddings(): OpenAIEmbeddings;
+export function getEmbeddings(): Embeddings;
+
+/**
+ * Whether the configured provider has what it needs to make calls
+ */
+export function isLLMConfigured(): boolean;
 
 /**
- * Check cache for existing response
+ * Drop cached model instances
  */
-export function getCachedResponse(userId: string, message: string): string | null;
+export function resetLLMInstances(): void;
 
 /**
- * Store response in cache
+ * Look up per-token pricing for a model on the configured provider
  */
-export function setCachedResponse(userId: string, message: string, response: string): void;
+export function getModelPricing(model?: string): ModelPricing;
 
 /**
- * Determine which model to use based on task
+ * Calculate the cost in USD of a call
  */
-export function selectModelForTask(message: string): 'cheap' | 'main';
+export function calculateCost(inputTokens: number, outputTokens: number, model?: string): number;
 
 /**
- * Track token usage for cost monitoring
+ * Track token usage for cost monitoring; returns the call's cost in USD
  */
-export function trackTokenUsage(inputTokens: number, outputTokens: number): void;
+export function trackTokenUsage(inputTokens: number, outputTokens: number, model?: string): number;
+
+/**
+ * Read token counts from a LangChain response or final stream chunk
+ */
+export function extractTokenUsage(response: unknown): { inputTokens: number; outputTokens: number } | null;
+
+/**
+ * Estimate token counts (~4 characters per token) when the provider reported none
+ */
+export function estimateTokenUsage(
+  messages: { content: unknown }[],
+  responseText?: string,
+): { inputTokens: number; outputTokens: number };
 
 /**
  * Get token usage statistics
@@ -61,11 +93,6 @@ export function getTokenStats(): TokenUsageStats;
  */
 export function resetTokenStats(): void;
 
-/**
- * Clear expired cache entries
- */
-export function clearExpiredCache(): void;
-
 /**
  * Token usage tracking object
  */
@@ -79,4 +106,4 @@ export const tokenUsage: {
 /**
  * Legacy export for backward compatibility
  */
-export const llm: ChatOpenAI;
+export const llm: BaseChatModel;
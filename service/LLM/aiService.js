@@ -1,15 +1,11 @@
-import { ChatOpenAI } from "@langchain/openai";
-import { OpenAIEmbeddings } from "@langchain/openai";
+import { getProvider, getProviderName } from "./providers/index.js";
+import { logger } from '../logging/index.js';
 
 // Singleton LLM instances - shared across entire application
 let llmInstance = null;
 let llmCheapInstance = null;
 let embeddingsInstance = null;
 
-// Response cache for cost optimization
-const responseCache = new Map();
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
-
 // Track token usage for monitoring
 export const tokenUsage = {
   totalInputTokens: 0,
@@ -19,45 +15,38 @@ export const tokenUsage = {
 };
 
 /**
- * Get or create the main LLM instance (gpt-4o-mini)
+ * Get the model name used for a tier ('main' | 'cheap' | 'embeddings')
+ * on the configured provider
+ */
+export function getModelName(tier = 'main') {
+  return getProvider().models()[tier];
+}
+
+/**
+ * Get or create the main LLM instance (gpt-4o-mini on OpenAI)
  * COST: $0.15 per 1M input tokens, $0.60 per 1M output tokens
  */
 export function getLLM(options = {}) {
   if (!llmInstance) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    
-    llmInstance = new ChatOpenAI({
-      modelName: 'gpt-4o-mini',
+    llmInstance = getProvider().createChatModel({
+      model: getModelName('main'),
       temperature: options.temperature ?? 0, // 0 = deterministic (better for caching)
-      apiKey: process.env.OPENAI_API_KEY,
-      maxRetries: 2,
       maxTokens: 500, // COST: Prevent expensive runaway responses
-      topP: 0.9,
     });
   }
   return llmInstance;
 }
 
 /**
- * Get cheaper LLM for simple tasks (gpt-3.5-turbo)
- * COST: 10x cheaper than gpt-4o-mini
+ * Get cheaper LLM for simple tasks (gpt-3.5-turbo on OpenAI)
  * Use for: keyword extraction, classification, simple Q&A
  */
 export function getCheapLLM(options = {}) {
   if (!llmCheapInstance) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    
-    llmCheapInstance = new ChatOpenAI({
-      modelName: 'gpt-3.5-turbo',
+    llmCheapInstance = getProvider().createChatModel({
+      model: getModelName('cheap'),
       temperature: options.temperature ?? 0,
-      apiKey: process.env.OPENAI_API_KEY,
-      maxRetries: 2,
       maxTokens: 300, // COST: More restricted than main model
-      topP: 0.9,
     });
   }
   return llmCheapInstance;
@@ -68,95 +57,111 @@ export function getCheapLLM(options = {}) {
  */
 export function getEmbeddings() {
   if (!embeddingsInstance) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    
-    embeddingsInstance = new OpenAIEmbeddings({
-      apiKey: process.env.OPENAI_API_KEY,
+    embeddingsInstance = getProvider().createEmbeddings({
+      model: getModelName('embeddings'),
     });
   }
   return embeddingsInstance;
 }
 
 /**
- * Check cache for existing response
- * SAVES: 100% of tokens if hit
+ * Whether the configured provider has what it needs to make calls
+ * (e.g. OPENAI_API_KEY for OpenAI)
  */
-export function getCachedResponse(userId, message) {
-  const cacheKey = `${userId}:${hashMessage(message)}`;
-  const cached = responseCache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    console.log('✅ Cache HIT - Response retrieved from cache');
-    return cached.response;
-  }
-  
-  if (cached) {
-    responseCache.delete(cacheKey); // Remove expired cache
-  }
-  
-  return null;
+export function isLLMConfigured() {
+  return getProvider().isConfigured();
 }
 
 /**
- * Store response in cache
+ * Drop cached model instances (after changing LLM_PROVIDER, in tests)
  */
-export function setCachedResponse(userId, message, response) {
-  const cacheKey = `${userId}:${hashMessage(message)}`;
-  responseCache.set(cacheKey, {
-    response,
-    timestamp: Date.now(),
-  });
+export function resetLLMInstances() {
+  llmInstance = null;
+  llmCheapInstance = null;
+  embeddingsInstance = null;
 }
 
 /**
- * Simple hash for message deduplication
+ * Look up per-token pricing for a model on the configured provider
+ * Returns { input, output } in USD per 1M tokens
  */
-function hashMessage(message) {
-  return message
-    .toLowerCase()
-    .trim()
-    .split(/\s+/)
-    .slice(0, 10) // First 10 words as hash
-    .join(':');
+export function getModelPricing(model = getModelName('main')) {
+  const { pricing } = getProvider();
+  if (pricing[model]) return pricing[model];
+
+  // Versioned names (e.g. "gpt-4o-mini-2024-07-18") fall back to the longest matching prefix
+  const prefix = Object.keys(pricing)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return pricing[prefix] || pricing.default || { input: 0, output: 0 };
 }
 
 /**
- * Determine which model to use based on task
- * SAVES: 80% on simple tasks by using cheaper model
+ * Calculate the cost in USD of a call
  */
-export function selectModelForTask(message) {
-  // Simple keyword-based classification
-  const lowerMessage = message.toLowerCase();
-  
-  // Use cheap model for simple tasks
-  if (
-    lowerMessage.includes('what') && lowerMessage.length < 100 ||
-    lowerMessage.includes('list') ||
-    lowerMessage.includes('define') ||
-    lowerMessage.includes('summarize')
-  ) {
-    return 'cheap'; // gpt-3.5-turbo
-  }
-  
-  // Use main model for complex reasoning
-  return 'main'; // gpt-4o-mini
+export function calculateCost(inputTokens, outputTokens, model = getModelName('main')) {
+  const price = getModelPricing(model);
+  return (inputTokens / 1_000_000) * price.input + (outputTokens / 1_000_000) * price.output;
 }
 
 /**
- * Track token usage for cost monitoring
+ * Track token usage for cost monitoring (in-process totals)
+ * Priced by the model that ran, using the provider's pricing table
+ * Returns the cost of this call in USD
  */
-export function trackTokenUsage(inputTokens, outputTokens) {
+export function trackTokenUsage(inputTokens, outputTokens, model = getModelName('main')) {
   tokenUsage.totalInputTokens += inputTokens;
   tokenUsage.totalOutputTokens += outputTokens;
   
-  // gpt-4o-mini pricing: $0.00015 per input, $0.0006 per output
-  const inputCost = (inputTokens / 1_000_000) * 0.15;
-  const outputCost = (outputTokens / 1_000_000) * 0.60;
-  tokenUsage.totalCost += inputCost + outputCost;
+  const cost = calculateCost(inputTokens, outputTokens, model);
+  tokenUsage.totalCost += cost;
   
-  console.log(`📊 Tokens: ${inputTokens}in/${outputTokens}out | Cost: $${(inputCost + outputCost).toFixed(4)}`);
+  logger.debug('LLM call', { provider: getProviderName(), model, inputTokens, outputTokens, cost });
+  return cost;
+}
+
+/**
+ * Read token counts from a LangChain response or final stream chunk
+ * Returns { inputTokens, outputTokens } or null if the provider didn't report usage
+ */
+export function extractTokenUsage(response) {
+  if (!response) return null;
+
+  if (response.usage_metadata) {
+    return {
+      inputTokens: response.usage_metadata.input_tokens ?? 0,
+      outputTokens: response.usage_metadata.output_tokens ?? 0,
+    };
+  }
+
+  const meta = response.response_metadata || {};
+  if (meta.tokenUsage) {
+    return {
+      inputTokens: meta.tokenUsage.promptTokens ?? 0,
+      outputTokens: meta.tokenUsage.completionTokens ?? 0,
+    };
+  }
+  if (meta.usage) {
+    return {
+      inputTokens: meta.usage.prompt_tokens ?? 0,
+      outputTokens: meta.usage.completion_tokens ?? 0,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Rough token counts (~4 characters per token) for a call the provider never reported usage for,
+ * e.g. a stream cancelled before its final chunk
+ * `messages` are the prompt messages ({ content }), `responseText` what was generated so far.
+ */
+export function estimateTokenUsage(messages, responseText = '') {
+  const tokens = text => Math.ceil((typeof text === 'string' ? text : JSON.stringify(text ?? '')).length / 4);
+  return {
+    inputTokens: messages.reduce((sum, message) => sum + tokens(message.content), 0),
+    outputTokens: tokens(responseText),
+  };
 }
 
 /**
@@ -175,26 +180,23 @@ export function getTokenStats() {
  * Reset token tracking (daily/weekly cleanup)
  */
 export function resetTokenStats() {
-  console.log(`📈 Daily Cost Summary: $${tokenUsage.totalCost.toFixed(2)} | Tokens: ${tokenUsage.totalInputTokens}/${tokenUsage.totalOutputTokens}`);
+  logger.info('Daily LLM cost summary', {
+    totalCost: tokenUsage.totalCost,
+    totalInputTokens: tokenUsage.totalInputTokens,
+    totalOutputTokens: tokenUsage.totalOutputTokens,
+  });
   tokenUsage.totalInputTokens = 0;
   tokenUsage.totalOutputTokens = 0;
   tokenUsage.totalCost = 0;
   tokenUsage.lastReset = new Date();
 }
 
-/**
- * Clear old cache entries
- */
-export function clearExpiredCache() {
-  let cleared = 0;
-  for (const [key, value] of responseCache.entries()) {
-    if (Date.now() - value.timestamp > CACHE_DURATION) {
-      responseCache.delete(key);
-      cleared++;
-    }
-  }
-  console.log(`🧹 Cache cleanup: ${cleared} expired entries removed`);
-}
-
 // Legacy export for backward compatibility
-export const llm = getLLM();
\ No newline at end of file
+// Resolved lazily so importing this module never requires provider credentials
+export const llm = new Proxy({}, {
+  get(_, prop) {
+    const instance = getLLM();
+    const value = instance[prop];
+    return typeof value === 'function' ? value.bind(instance) : value;
+  },
+});
@@ -0,0 +1,159 @@
+/**
+ * LLM budget policy: per-user and global spend/token caps
+ *
+ * Soft cap → chat is routed to the cheap model
+ * Hard cap → no LLM call; the user gets a friendly coaching message instead
+ *
+ * Per-user defaults come from env (LLM_BUDGET_*); admins can override them per user
+ * (UsageLimit table). Global caps apply to the sum of all users. Unset = unlimited.
+ * Periods are UTC calendar days/months.
+ */
+
+import { USAGE_LIMIT_FIELDS } from 'common';
+
+// Overridable caps; the list lives in common so the admin request schema matches
+export const LIMIT_FIELDS = USAGE_LIMIT_FIELDS;
+
+function envNumber(name, fallback = null) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Default per-user limits (USD for cost, prompt+completion for tokens)
+ */
+export function getDefaultUserLimits() {
+  return {
+    dailyCostSoft: envNumber('LLM_BUDGET_DAILY_COST_SOFT', 0.05),
+    dailyCostHard: envNumber('LLM_BUDGET_DAILY_COST_HARD', 0.25),
+    monthlyCostSoft: envNumber('LLM_BUDGET_MONTHLY_COST_SOFT', 1.00),
+    monthlyCostHard: envNumber('LLM_BUDGET_MONTHLY_COST_HARD', 5.00),
+    dailyTokensSoft: envNumber('LLM_BUDGET_DAILY_TOKENS_SOFT'),
+    dailyTokensHard: envNumber('LLM_BUDGET_DAILY_TOKENS_HARD'),
+    monthlyTokensSoft: envNumber('LLM_BUDGET_MONTHLY_TOKENS_SOFT'),
+    monthlyTokensHard: envNumber('LLM_BUDGET_MONTHLY_TOKENS_HARD'),
+  };
+}
+
+/**
+ * Global limits across all users
+ */
+export function getGlobalLimits() {
+  return {
+    dailyCostSoft: envNumber('LLM_BUDGET_GLOBAL_DAILY_COST_SOFT'),
+    dailyCostHard: envNumber('LLM_BUDGET_GLOBAL_DAILY_COST_HARD'),
+    monthlyCostSoft: envNumber('LLM_BUDGET_GLOBAL_MONTHLY_COST_SOFT'),
+    monthlyCostHard: envNumber('LLM_BUDGET_GLOBAL_MONTHLY_COST_HARD'),
+    dailyTokensSoft: null,
+    dailyTokensHard: null,
+    monthlyTokensSoft: null,
+    monthlyTokensHard: null,
+  };
+}
+
+/**
+ * Merge a user's UsageLimit overrides (null fields = default) onto the defaults
+ */
+export function resolveUserLimits(overrides) {
+  const limits = getDefaultUserLimits();
+  if (!overrides) return limits;
+
+  for (const field of LIMIT_FIELDS) {
+    if (overrides[field] !== null && overrides[field] !== undefined) {
+      limits[field] = overrides[field];
+    }
+  }
+  return limits;
+}
+
+/**
+ * Start of the current UTC day and month, and when each resets
+ */
+export function getBudgetPeriods(now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+  return {
+    dayStart: new Date(Date.UTC(year, month, day)),
+    dayEnd: new Date(Date.UTC(year, month, day + 1)),
+    monthStart: new Date(Date.UTC(year, month, 1)),
+    monthEnd: new Date(Date.UTC(year, month + 1, 1)),
+  };
+}
+
+/**
+ * Compare usage against limits
+ * usage: { user: { daily, monthly }, global: { daily, monthly } } where each is
+ *        { cost, promptTokens, completionTokens }
+ * Returns { status: 'ok'|'soft'|'hard', exceeded: [...], resetsAt }
+ */
+export function evaluateBudget(usage, userLimits, globalLimits = getGlobalLimits(), now = new Date()) {
+  const periods = getBudgetPeriods(now);
+  const exceeded = [];
+
+  const check = (scope, limits, totals) => {
+    for (const period of ['daily', 'monthly']) {
+      const used = totals?.[period];
+      if (!used) continue;
+
+      const metrics = {
+        cost: used.cost || 0,
+        tokens: (used.promptTokens || 0) + (used.completionTokens || 0),
+      };
+
+      for (const metric of ['cost', 'tokens']) {
+        const key = `${period}${metric === 'cost' ? 'Cost' : 'Tokens'}`;
+        for (const level of ['hard', 'soft']) {
+          const limit = limits[`${key}${level === 'hard' ? 'Hard' : 'Soft'}`];
+          if (limit !== null && limit !== undefined && metrics[metric] >= limit) {
+            exceeded.push({ scope, period, metric, level, used: metrics[metric], limit });
+            break; // Only report the highest level reached
+          }
+        }
+      }
+    }
+  };
+
+  check('user', userLimits, usage.user);
+  check('global', globalLimits, usage.global);
+
+  const hard = exceeded.filter(e => e.level === 'hard');
+  const status = hard.length > 0 ? 'hard' : exceeded.length > 0 ? 'soft' : 'ok';
+
+  // The block lifts when the longest-running exceeded period resets
+  const relevant = status === 'hard' ? hard : exceeded;
+  const resetsAt = relevant.length === 0
+    ? null
+    : relevant.some(e => e.period === 'monthly') ? periods.monthEnd : periods.dayEnd;
+
+  return { status, exceeded, resetsAt };
+}
+
+/**
+ * Friendly coaching message shown instead of an LLM reply at the hard cap
+ */
+export function getQuotaMessage(budget) {
+  const globalBlock = budget.exceeded.some(e => e.level === 'hard' && e.scope === 'global');
+  const monthly = budget.exceeded.some(e => e.level === 'hard' && e.period === 'monthly');
+
+  if (globalBlock) {
+    return "I'm taking a short breather right now and can't reply at the moment. In the meantime, pick one small action toward your goals and do it — I'd love to hear how it went when I'm back!";
+  }
+
+  const when = monthly ? 'at the start of next month' : 'tomorrow';
+  return `You've reached your coaching limit for ${monthly ? 'this month' : 'today'}, so I'll be back ${when}. Until then, keep going with your goals — take a moment to note one win from today and one small step for next time.`;
+}
+
+/**
+ * Public "quota" body for API responses
+ */
+export function formatQuota(budget) {
+  return {
+    status: budget.status,
+    exceeded: budget.exceeded,
+    resetsAt: budget.resetsAt,
+    limits: budget.limits,
+  };
+}
@@ -0,0 +1,218 @@
+import { VectorStore } from '@langchain/core/vectorstores';
+import { Document } from '@langchain/core/documents';
+import { QdrantVectorStore } from '@langchain/qdrant';
+import { randomUUID } from 'crypto';
+import { getEmbeddings } from './aiService.js';
+import { logger } from '../logging/index.js';
+
+// Long-term semantic memory: every chat message is embedded and stored in a
+// per-user collection (user_memories_{userId}). Uses Qdrant when QDRANT_URL is
+// set, otherwise falls back to an in-process store (dev/tests).
+const COLLECTION_PREFIX = process.env.QDRANT_COLLECTION_PREFIX || 'user_memories';
+const DEFAULT_TOP_K = 3;
+const DEFAULT_MIN_SCORE = Number(process.env.MEMORY_MIN_SCORE ?? 0.75);
+
+// One store per user, created lazily
+const userStores = new Map();
+let embeddingsOverride = null;
+let forceLocalStore = false;
+
+/**
+ * Minimal in-memory vector store (cosine similarity)
+ * Used when no Qdrant server is configured so chat memory still works locally
+ */
+export class InMemoryVectorStore extends VectorStore {
+  constructor(embeddings) {
+    super(embeddings, {});
+    this.memoryVectors = [];
+  }
+
+  _vectorstoreType() {
+    return 'memory';
+  }
+
+  async addDocuments(documents) {
+    const texts = documents.map(doc => doc.pageContent);
+    await this.addVectors(await this.embeddings.embedDocuments(texts), documents);
+  }
+
+  async addVectors(vectors, documents) {
+    vectors.forEach((embedding, idx) => {
+      const doc = documents[idx];
+      const id = doc.id ?? randomUUID();
+      const entry = { id, embedding, content: doc.pageContent, metadata: doc.metadata || {} };
+
+      // Upsert by id so re-embedding the same message (e.g. backfill) doesn't duplicate it
+      const existing = this.memoryVectors.findIndex(v => v.id === id);
+      if (existing >= 0) {
+        this.memoryVectors[existing] = entry;
+      } else {
+        this.memoryVectors.push(entry);
+      }
+    });
+  }
+
+  async similaritySearchVectorWithScore(query, k) {
+    return this.memoryVectors
+      .map(v => [
+        new Document({ id: v.id, pageContent: v.content, metadata: v.metadata }),
+        cosineSimilarity(query, v.embedding),
+      ])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k);
+  }
+
+  async delete({ ids }) {
+    this.memoryVectors = this.memoryVectors.filter(v => !ids.includes(v.id));
+  }
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Whether memories are kept in-process instead of Qdrant
+ */
+export function isLocalMemoryStore() {
+  return forceLocalStore || process.env.MEMORY_STORE === 'memory' || !process.env.QDRANT_URL;
+}
+
+/**
+ * Override store settings (used by tests and the backfill script)
+ * - embeddings: custom embeddings instance instead of getEmbeddings()
+ * - local: force the in-memory store even if QDRANT_URL is set
+ */
+export function configureMemoryStore({ embeddings, local } = {}) {
+  if (embeddings !== undefined) embeddingsOverride = embeddings;
+  if (local !== undefined) forceLocalStore = local;
+  userStores.clear();
+}
+
+/**
+ * Drop all cached stores and overrides
+ */
+export function resetMemoryStore() {
+  embeddingsOverride = null;
+  forceLocalStore = false;
+  userStores.clear();
+}
+
+/**
+ * Get (or lazily create) the vector store for a user
+ */
+function getUserStore(userId) {
+  let store = userStores.get(userId);
+  if (!store) {
+    const embeddings = embeddingsOverride || getEmbeddings();
+    store = isLocalMemoryStore()
+      ? new InMemoryVectorStore(embeddings)
+      : new QdrantVectorStore(embeddings, {
+          url: process.env.QDRANT_URL,
+          apiKey: process.env.QDRANT_API_KEY,
+          collectionName: `${COLLECTION_PREFIX}_${userId}`,
+        });
+    userStores.set(userId, store);
+  }
+  return store;
+}
+
+/**
+ * Embed and store memories for a user
+ * entries: [{ id?, text, role?, createdAt?, source? }]
+ * Returns the number of entries stored
+ */
+export async function addMemories(userId, entries) {
+  const docs = entries
+    .filter(entry => entry.text && entry.text.trim().length > 0)
+    .map(entry => new Document({
+      id: entry.id || randomUUID(),
+      pageContent: entry.text,
+      metadata: {
+        userId,
+        role: entry.role || 'user',
+        source: entry.source || 'message',
+        createdAt: new Date(entry.createdAt || Date.now()).toISOString(),
+      },
+    }));
+
+  if (docs.length === 0) return 0;
+
+  await getUserStore(userId).addDocuments(docs);
+  return docs.length;
+}
+
+/**
+ * Embed chat messages (Message rows) into the user's memory
+ * Never throws - memory is best-effort and must not break chat
+ */
+export async function rememberMessages(userId, messages) {
+  try {
+    const stored = await addMemories(userId, messages
+      .filter(Boolean)
+      .map(msg => ({
+        id: msg.id,
+        text: msg.text,
+        role: msg.role,
+        createdAt: msg.createdAt,
+      })));
+    if (stored > 0) {
+      logger.debug('Embedded messages into long-term memory', { userId, count: stored });
+    }
+    return stored;
+  } catch (error) {
+    logger.error('Error embedding messages into memory', { err: error, userId });
+    return 0;
+  }
+}
+
+/**
+ * Find the most relevant past snippets for a query
+ * Options:
+ * - k: max results (default 3)
+ * - minScore: minimum similarity to keep a result
+ * - exclude: texts to skip (e.g. messages already in the recent history)
+ */
+export async function searchMemories(userId, query, options = {}) {
+  const k = options.k ?? DEFAULT_TOP_K;
+  const minScore = options.minScore ?? DEFAULT_MIN_SCORE;
+  const exclude = new Set((options.exclude || []).map(text => text.trim()));
+
+  if (!query || query.trim().length === 0) return [];
+
+  // Over-fetch so excluded results don't leave us short
+  const results = await getUserStore(userId).similaritySearchWithScore(query, k + exclude.size);
+
+  return results
+    .filter(([doc, score]) => score >= minScore && !exclude.has(doc.pageContent.trim()))
+    .slice(0, k)
+    .map(([doc, score]) => ({
+      id: doc.id,
+      text: doc.pageContent,
+      role: doc.metadata?.role,
+      createdAt: doc.metadata?.createdAt,
+      score,
+    }));
+}
+
+/**
+ * Format memories as prompt-ready text
+ */
+export function formatMemories(memories) {
+  return memories
+    .map(memory => {
+      const speaker = memory.role === 'assistant' ? 'Coach' : 'User';
+      const date = memory.createdAt ? ` (${memory.createdAt.split('T')[0]})` : '';
+      return `- ${speaker}${date}: ${memory.text}`;
+    })
+    .join('\n');
+}
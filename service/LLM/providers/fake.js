@@ -0,0 +1,101 @@
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { SyntheticEmbeddings } from "@langchain/core/utils/testing";
+
+/**
+ * Deterministic fake provider for tests and offline development
+ * Replies echo the last user message, so the same input always gives the same output.
+ * Set FAKE_LLM_RESPONSE to return a fixed reply instead.
+ */
+
+// Non-zero so cost accounting can be exercised in tests
+const pricing = {
+  'fake-main': { input: 1.00, output: 2.00 },
+  'fake-cheap': { input: 0.10, output: 0.20 },
+};
+
+// Rough token estimate (~4 chars per token)
+function countTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function messageText(message) {
+  return typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+}
+
+export class FakeChatModel extends BaseChatModel {
+  constructor(fields = {}) {
+    super(fields);
+    this.model = fields.model || 'fake-main';
+  }
+
+  _llmType() {
+    return 'fake';
+  }
+
+  _reply(messages) {
+    if (process.env.FAKE_LLM_RESPONSE) return process.env.FAKE_LLM_RESPONSE;
+    const lastHuman = [...messages].reverse().find(m => m._getType() === 'human');
+    return `[${this.model}] You said: ${lastHuman ? messageText(lastHuman) : ''}`;
+  }
+
+  _usage(messages, reply) {
+    const input = messages.reduce((sum, m) => sum + countTokens(messageText(m)), 0);
+    const output = countTokens(reply);
+    return { input_tokens: input, output_tokens: output, total_tokens: input + output };
+  }
+
+  async _generate(messages) {
+    const text = this._reply(messages);
+    const usage = this._usage(messages, text);
+    return {
+      generations: [{
+        text,
+        message: new AIMessage({
+          content: text,
+          usage_metadata: usage,
+          response_metadata: {
+            model_name: this.model,
+            usage: { prompt_tokens: usage.input_tokens, completion_tokens: usage.output_tokens },
+          },
+        }),
+      }],
+    };
+  }
+
+  async *_streamResponseChunks(messages, options) {
+    const text = this._reply(messages);
+    const words = text.split(/(?<=\s)/);
+    for (const word of words) {
+      if (options?.signal?.aborted) throw new Error('AbortError');
+      yield new ChatGenerationChunk({ text: word, message: new AIMessageChunk({ content: word }) });
+    }
+    // Final empty chunk carries the usage totals, like OpenAI's streamUsage
+    yield new ChatGenerationChunk({
+      text: '',
+      message: new AIMessageChunk({ content: '', usage_metadata: this._usage(messages, text) }),
+    });
+  }
+}
+
+export default {
+  name: 'fake',
+  pricing,
+
+  models() {
+    return { main: 'fake-main', cheap: 'fake-cheap', embeddings: 'fake-embeddings' };
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  createChatModel({ model }) {
+    return new FakeChatModel({ model });
+  },
+
+  createEmbeddings() {
+    return new SyntheticEmbeddings({ vectorSize: 64 });
+  },
+};
@@ -0,0 +1,38 @@
+import openai from './openai.js';
+import local from './local.js';
+import fake from './fake.js';
+
+/**
+ * LLM provider registry
+ * Pick one with LLM_PROVIDER=openai|local|fake (default: openai)
+ *
+ * A provider is a plain object:
+ * {
+ *   name,
+ *   pricing: { [model]: { input, output } },   // USD per 1M tokens, optional `default` entry
+ *   models(): { main, cheap, embeddings },
+ *   isConfigured(): boolean,
+ *   createChatModel({ model, temperature, maxTokens }),
+ *   createEmbeddings({ model }),
+ * }
+ */
+const providers = { openai, local, fake };
+
+export function getProviderName() {
+  return (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+}
+
+export function getProvider(name = getProviderName()) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Register an additional provider (e.g. Anthropic, Azure) at startup
+ */
+export function registerProvider(provider) {
+  providers[provider.name] = provider;
+}
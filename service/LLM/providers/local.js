@@ -0,0 +1,63 @@
+import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
+
+/**
+ * Local OpenAI-compatible provider (Ollama, llama.cpp server, LM Studio, vLLM...)
+ * Runs fully offline - no OpenAI key needed.
+ *
+ * LOCAL_LLM_BASE_URL        default http://localhost:11434/v1 (Ollama)
+ * LOCAL_LLM_MODEL           default llama3.1
+ * LOCAL_LLM_CHEAP_MODEL     default LOCAL_LLM_MODEL
+ * LOCAL_LLM_EMBEDDING_MODEL default nomic-embed-text
+ * LOCAL_LLM_API_KEY         only if the server requires one
+ */
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+// Self-hosted models cost nothing per token
+const pricing = {
+  default: { input: 0, output: 0 },
+};
+
+function clientConfig() {
+  return {
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+    configuration: {
+      baseURL: process.env.LOCAL_LLM_BASE_URL || DEFAULT_BASE_URL,
+    },
+  };
+}
+
+export default {
+  name: 'local',
+  pricing,
+
+  models() {
+    const main = process.env.LOCAL_LLM_MODEL || 'llama3.1';
+    return {
+      main,
+      cheap: process.env.LOCAL_LLM_CHEAP_MODEL || main,
+      embeddings: process.env.LOCAL_LLM_EMBEDDING_MODEL || 'nomic-embed-text',
+    };
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  createChatModel({ model, temperature, maxTokens }) {
+    return new ChatOpenAI({
+      ...clientConfig(),
+      modelName: model,
+      temperature,
+      maxRetries: 1,
+      maxTokens,
+    });
+  },
+
+  createEmbeddings({ model }) {
+    return new OpenAIEmbeddings({
+      ...clientConfig(),
+      model,
+    });
+  },
+};
@@ -0,0 +1,57 @@
+import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
+
+/**
+ * OpenAI provider (default)
+ * Requires OPENAI_API_KEY - checked when a model is first created, not at import
+ */
+
+// USD per 1M tokens
+const pricing = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-ada-002': { input: 0.10, output: 0 },
+};
+
+function requireApiKey() {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY environment variable is not set');
+  }
+  return process.env.OPENAI_API_KEY;
+}
+
+export default {
+  name: 'openai',
+  pricing,
+
+  models() {
+    return {
+      main: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      cheap: process.env.OPENAI_CHEAP_MODEL || 'gpt-3.5-turbo',
+      embeddings: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-ada-002',
+    };
+  },
+
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  },
+
+  createChatModel({ model, temperature, maxTokens }) {
+    return new ChatOpenAI({
+      modelName: model,
+      temperature,
+      apiKey: requireApiKey(),
+      maxRetries: 2,
+      maxTokens,
+      topP: 0.9,
+    });
+  },
+
+  createEmbeddings({ model }) {
+    return new OpenAIEmbeddings({
+      model,
+      apiKey: requireApiKey(),
+    });
+  },
+};
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { logger } from '../logging/index.js';
+
+/**
+ * Request router: picks the model tier ('main' | 'cheap') for a chat message
+ *
+ * Rules live in routing.config.json (or ROUTING_CONFIG_PATH) and are checked in
+ * order - the first rule whose conditions all match wins, otherwise `default`.
+ * The file is re-read when it changes, so rules can be edited without a deploy.
+ *
+ * Rule conditions (`when`):
+ * - pattern / flags          regex tested against the message
+ * - minLength / maxLength    message length in characters
+ * - intent / minConfidence   intent from classifyIntent()
+ * - tier                     user tier, e.g. ["premium"]
+ * - budget                   budget status from checkBudget(): "ok" | "soft"
+ * - minHistory / maxHistory  messages in the recent conversation
+ * - onboarded                whether the user has a saved profile
+ */
+
+const DEFAULT_CONFIG_PATH = fileURLToPath(new URL('./routing.config.json', import.meta.url));
+const MODEL_TIERS = ['main', 'cheap'];
+const CONDITIONS = [
+  'pattern', 'flags', 'minLength', 'maxLength', 'intent', 'minConfidence',
+  'tier', 'budget', 'minHistory', 'maxHistory', 'onboarded',
+];
+
+let cached = null; // { path, mtimeMs, config }
+
+function getConfigPath() {
+  return process.env.ROUTING_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+}
+
+// "depress*" matches any word starting with "depress"; other keywords match whole words/phrases
+function keywordToRegex(keyword) {
+  const prefix = keyword.endsWith('*');
+  const escaped = (prefix ? keyword.slice(0, -1) : keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}${prefix ? '' : '(?![a-z0-9])'}`, 'i');
+}
+
+/**
+ * Validate and compile a raw routing config
+ * Throws with a descriptive message so a bad edit is easy to spot in the logs
+ */
+export function compileRoutingConfig(raw) {
+  if (!raw || !Array.isArray(raw.rules)) {
+    throw new Error('Routing config must have a "rules" array');
+  }
+
+  const defaultModel = raw.default || 'main';
+  if (!MODEL_TIERS.includes(defaultModel)) {
+    throw new Error(`Routing config "default" must be one of: ${MODEL_TIERS.join(', ')}`);
+  }
+
+  const intents = Object.entries(raw.intents || {}).map(([name, keywords]) => ({
+    name,
+    matchers: keywords.map(keywordToRegex),
+  }));
+
+  const ids = new Set();
+  const rules = raw.rules.map((rule, idx) => {
+    const label = rule.id || `rules[${idx}]`;
+    if (!rule.id) throw new Error(`${label}: "id" is required`);
+    if (ids.has(rule.id)) throw new Error(`${label}: duplicate rule id`);
+    ids.add(rule.id);
+
+    if (!MODEL_TIERS.includes(rule.model)) {
+      throw new Error(`${label}: "model" must be one of: ${MODEL_TIERS.join(', ')}`);
+    }
+
+    const when = rule.when || {};
+    const unknown = Object.keys(when).filter(key => !CONDITIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${label}: unknown condition(s) ${unknown.join(', ')}`);
+    }
+    for (const name of when.intent || []) {
+      if (!intents.some(intent => intent.name === name)) {
+        throw new Error(`${label}: unknown intent "${name}"`);
+      }
+    }
+
+    let regex = null;
+    if (when.pattern) {
+      try {
+        regex = new RegExp(when.pattern, when.flags || 'i');
+      } catch (error) {
+        throw new Error(`${label}: invalid pattern (${error.message})`);
+      }
+    }
+
+    return {
+      id: rule.id,
+      description: rule.description || '',
+      model: rule.model,
+      when,
+      regex,
+    };
+  });
+
+  return { default: defaultModel, intents, rules, raw };
+}
+
+/**
+ * Current routing config, re-read when the file changes
+ * If an edit breaks the file the last good config keeps serving.
+ */
+export function getRoutingConfig() {
+  const path = getConfigPath();
+
+  try {
+    const { mtimeMs } = fs.statSync(path);
+    if (cached && cached.path === path && cached.mtimeMs === mtimeMs) {
+      return cached.config;
+    }
+
+    const config = compileRoutingConfig(JSON.parse(fs.readFileSync(path, 'utf8')));
+    config.source = path;
+    config.loadedAt = new Date();
+    if (cached) logger.info('Reloaded routing rules', { path });
+    cached = { path, mtimeMs, config };
+    return config;
+  } catch (error) {
+    if (cached) {
+      logger.error('Invalid routing config, keeping previous rules', { path, err: error });
+      return cached.config;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Drop the cached config (tests)
+ */
+export function resetRoutingConfig() {
+  cached = null;
+}
+
+/**
+ * Lightweight keyword classifier
+ * Scores each intent by keyword hits; ties go to the intent listed first in the config.
+ * Returns { name, confidence, scores } - name is 'general' when nothing matches.
+ */
+export function classifyIntent(message, config = getRoutingConfig()) {
+  const scores = {};
+  let best = { name: 'general', score: 0 };
+  let total = 0;
+
+  for (const intent of config.intents) {
+    const score = intent.matchers.filter(regex => regex.test(message)).length;
+    scores[intent.name] = score;
+    total += score;
+    if (score > best.score) best = { name: intent.name, score };
+  }
+
+  return {
+    name: best.name,
+    confidence: total === 0 ? 0 : Number((best.score / total).toFixed(2)),
+    scores,
+  };
+}
+
+// Why a single rule did or didn't match - null means it matched
+function checkRule(rule, message, context, intent) {
+  const { when } = rule;
+
+  if (rule.regex && !rule.regex.test(message)) return 'pattern did not match';
+  if (when.minLength !== undefined && message.length < when.minLength) return `length ${message.length} < ${when.minLength}`;
+  if (when.maxLength !== undefined && message.length > when.maxLength) return `length ${message.length} > ${when.maxLength}`;
+  if (when.intent && !when.intent.includes(intent.name)) return `intent is ${intent.name}`;
+  if (when.minConfidence !== undefined && intent.confidence < when.minConfidence) return `confidence ${intent.confidence} < ${when.minConfidence}`;
+  if (when.tier && !when.tier.includes(context.tier)) return `tier is ${context.tier}`;
+  if (when.budget && !when.budget.includes(context.budget)) return `budget is ${context.budget}`;
+  if (when.minHistory !== undefined && context.historyLength < when.minHistory) return `history ${context.historyLength} < ${when.minHistory}`;
+  if (when.maxHistory !== undefined && context.historyLength > when.maxHistory) return `history ${context.historyLength} > ${when.maxHistory}`;
+  if (when.onboarded !== undefined && when.onboarded !== context.onboarded) return `onboarded is ${context.onboarded}`;
+
+  return null;
+}
+
+/**
+ * Route a message to a model tier
+ * context: { tier, budget, historyLength, onboarded }
+ * Returns { model, ruleId, description, intent, trace } where trace lists every
+ * rule checked up to the one that fired (for dry runs and debugging).
+ */
+export function routeRequest(message, context = {}, config = getRoutingConfig()) {
+  const text = message || '';
+  const ctx = {
+    tier: context.tier || 'free',
+    budget: context.budget || 'ok',
+    historyLength: context.historyLength || 0,
+    onboarded: context.onboarded ?? true,
+  };
+  const intent = classifyIntent(text, config);
+  const trace = [];
+
+  for (const rule of config.rules) {
+    const reason = checkRule(rule, text, ctx, intent);
+    trace.push({ id: rule.id, matched: reason === null, ...(reason ? { reason } : {}) });
+
+    if (reason === null) {
+      return { model: rule.model, ruleId: rule.id, description: rule.description, intent, context: ctx, trace };
+    }
+  }
+
+  return { model: config.default, ruleId: 'default', description: 'No rule matched', intent, context: ctx, trace };
+}
@@ -0,0 +1,268 @@
+import { createHash } from 'crypto';
+import { logger } from '../logging/index.js';
+
+/**
+ * Response cache for chat replies
+ *
+ * Keys are a SHA-256 of the full message, the user's context (getUserContext) and
+ * their recent history, so a reply is only reused when everything the model saw
+ * is identical. Entries are bounded (LRU) and expire after a TTL.
+ *
+ * Backends:
+ * - memory   (default) in-process LRU
+ * - postgres ResponseCache table, shared across server instances
+ *   (RESPONSE_CACHE_BACKEND=postgres, wired up in index.js)
+ *
+ * Any change to a user's AI memory or goals drops their entries (invalidateUserCache).
+ */
+
+const DEFAULT_MAX_ENTRIES = Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 1000;
+const DEFAULT_TTL_MS = (Number(process.env.RESPONSE_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const HISTORY_WINDOW = Number(process.env.RESPONSE_CACHE_HISTORY) || 4;
+
+/**
+ * In-process LRU (a Map keeps insertion order, so the first key is the least recently used)
+ */
+export class MemoryCacheBackend {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  async deleteUser(userId) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.userId === userId) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    return removed;
+  }
+
+  async pruneExpired() {
+    let removed = 0;
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Postgres-backed LRU on top of responseCacheService (db/index.js)
+ */
+export class PostgresCacheBackend {
+  constructor(store, { maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.name = 'postgres';
+    this.store = store;
+    this.maxEntries = maxEntries;
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = await this.store.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt.getTime() <= Date.now()) {
+      await this.store.delete(key);
+      return null;
+    }
+
+    await this.store.touch(key);
+    return { ...entry, expiresAt: entry.expiresAt.getTime() };
+  }
+
+  async set(key, entry) {
+    await this.store.set(key, { ...entry, expiresAt: new Date(entry.expiresAt) });
+    this.evictions += await this.store.evictBeyond(this.maxEntries);
+  }
+
+  async deleteUser(userId) {
+    return await this.store.deleteByUser(userId);
+  }
+
+  async clear() {
+    return await this.store.deleteAll();
+  }
+
+  async pruneExpired() {
+    return await this.store.deleteExpired();
+  }
+
+  async size() {
+    return await this.store.count();
+  }
+}
+
+let backend = new MemoryCacheBackend();
+let ttlMs = DEFAULT_TTL_MS;
+const metrics = {
+  hits: 0,
+  misses: 0,
+  writes: 0,
+  invalidations: 0,
+  errors: 0,
+};
+
+/**
+ * Swap the backend or TTL (startup and tests). Resets metrics.
+ */
+export function configureResponseCache({ backend: newBackend, ttlMs: newTtl } = {}) {
+  if (newBackend) backend = newBackend;
+  if (newTtl !== undefined) ttlMs = newTtl;
+  for (const key of Object.keys(metrics)) metrics[key] = 0;
+}
+
+/**
+ * Cache key for a chat request
+ * history: [{ role, content }] - only the most recent messages are included
+ */
+export function createCacheKey({ userId, message, userContext = '', history = [] }) {
+  const recent = history.slice(-HISTORY_WINDOW).map(msg => [msg.role, msg.content]);
+  const payload = JSON.stringify({
+    userId,
+    message: message.trim().replace(/\s+/g, ' '),
+    userContext: userContext.trim(),
+    history: recent,
+  });
+  return createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Look up a cached reply
+ * SAVES: 100% of tokens if hit. Cache failures count as misses.
+ */
+export async function getCachedResponse(key) {
+  try {
+    const entry = await backend.get(key);
+    if (entry) {
+      metrics.hits++;
+      logger.debug('Response cache hit');
+      return entry.response;
+    }
+  } catch (error) {
+    metrics.errors++;
+    logger.error('Error reading response cache', { err: error });
+  }
+
+  metrics.misses++;
+  return null;
+}
+
+/**
+ * Store a reply for a user
+ */
+export async function setCachedResponse(userId, key, response) {
+  try {
+    await backend.set(key, {
+      userId,
+      response,
+      expiresAt: Date.now() + ttlMs,
+    });
+    metrics.writes++;
+  } catch (error) {
+    metrics.errors++;
+    logger.error('Error writing response cache', { err: error });
+  }
+}
+
+/**
+ * Drop all cached replies for a user (their memory or goals changed)
+ * Never throws - a stale cache must not fail the write that triggered it
+ */
+export async function invalidateUserCache(userId) {
+  try {
+    const removed = await backend.deleteUser(userId);
+    metrics.invalidations++;
+    if (removed > 0) {
+      logger.info('Response cache invalidated', { userId, removed });
+    }
+    return removed;
+  } catch (error) {
+    metrics.errors++;
+    logger.error('Error invalidating response cache', { err: error, userId });
+    return 0;
+  }
+}
+
+/**
+ * Drop every cached reply
+ */
+export async function clearResponseCache() {
+  const removed = await backend.clear();
+  logger.info('Response cache cleared', { removed });
+  return removed;
+}
+
+/**
+ * Remove expired entries
+ */
+export async function clearExpiredCache() {
+  const removed = await backend.pruneExpired();
+  logger.debug('Response cache cleanup', { removed });
+  return removed;
+}
+
+/**
+ * Hit/miss metrics since startup (or the last configureResponseCache)
+ */
+export async function getCacheStats() {
+  const lookups = metrics.hits + metrics.misses;
+  let size = null;
+  try {
+    size = await backend.size();
+  } catch (error) {
+    logger.error('Error reading response cache size', { err: error });
+  }
+
+  return {
+    backend: backend.name,
+    ...metrics,
+    evictions: backend.evictions,
+    hitRate: lookups === 0 ? 0 : Number((metrics.hits / lookups).toFixed(3)),
+    size,
+    maxEntries: backend.maxEntries,
+  };
+}
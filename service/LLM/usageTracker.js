@@ -0,0 +1,90 @@
+import { tokenUsageService, usageLimitService } from '../db/index.js';
+import { trackTokenUsage, extractTokenUsage } from './aiService.js';
+import { getProviderName } from './providers/index.js';
+import { evaluateBudget, resolveUserLimits, getGlobalLimits, getBudgetPeriods } from './budget.js';
+import { logger } from '../logging/index.js';
+
+// Where an LLM call came from, stored on each TokenUsage row
+export const USAGE_ENDPOINTS = {
+  CHAT: 'chat',
+  SUGGESTION: 'suggestion',
+  ONBOARDING: 'onboarding',
+  REMINDER: 'reminder',
+  GOAL_PLAN: 'goal_plan',
+};
+
+/**
+ * Record token usage for one LLM call
+ * Updates the in-process totals and persists a TokenUsage row for the user.
+ * `response` is the LangChain result (or final stream chunk); returns the cost in USD.
+ * Never throws - accounting failures must not break chat.
+ */
+export async function recordTokenUsage({ userId, endpoint, model, response, usage }) {
+  const tokens = usage || extractTokenUsage(response);
+  if (!tokens) {
+    logger.warn('No usage data reported', { endpoint });
+    return 0;
+  }
+
+  const cost = trackTokenUsage(tokens.inputTokens, tokens.outputTokens, model);
+
+  try {
+    await tokenUsageService.record({
+      userId,
+      endpoint,
+      provider: getProviderName(),
+      model,
+      promptTokens: tokens.inputTokens,
+      completionTokens: tokens.outputTokens,
+      cost,
+    });
+  } catch (error) {
+    logger.error('Error persisting token usage', { err: error, userId });
+  }
+
+  return cost;
+}
+
+/**
+ * Check a user's spend against their budget (and the global cap)
+ * Returns { status: 'ok'|'soft'|'hard', exceeded, resetsAt, limits }
+ * Fails open - if usage can't be read, chat keeps working.
+ */
+export async function checkBudget(userId) {
+  const { dayStart, monthStart } = getBudgetPeriods();
+  const globalLimits = getGlobalLimits();
+  const hasGlobalLimits = Object.values(globalLimits).some(limit => limit !== null);
+
+  try {
+    const [overrides, userDaily, userMonthly, globalDaily, globalMonthly] = await Promise.all([
+      usageLimitService.getByUserId(userId),
+      tokenUsageService.getTotals({ userId, since: dayStart }),
+      tokenUsageService.getTotals({ userId, since: monthStart }),
+      hasGlobalLimits ? tokenUsageService.getTotals({ since: dayStart }) : null,
+      hasGlobalLimits ? tokenUsageService.getTotals({ since: monthStart }) : null,
+    ]);
+
+    const limits = resolveUserLimits(overrides);
+    const budget = evaluateBudget(
+      {
+        user: { daily: userDaily, monthly: userMonthly },
+        global: { daily: globalDaily, monthly: globalMonthly },
+      },
+      limits,
+      globalLimits,
+    );
+
+    if (budget.status !== 'ok') {
+      logger.info('Budget cap reached', {
+        userId,
+        status: budget.status,
+        exceeded: budget.exceeded.map(e => `${e.scope} ${e.period} ${e.metric}`),
+      });
+    }
+
+    return { ...budget, limits };
+  } catch (error) {
+    logger.error('Error checking LLM budget', { err: error, userId });
+    return { status: 'ok', exceeded: [], resetsAt: null, limits: resolveUserLimits(null) };
+  }
+}
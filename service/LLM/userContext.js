@@ -0,0 +1,93 @@
+import { aiMemoryService, goalService, goalCompletionService, userService } from '../db/index.js';
+import { rollUpProgress } from 'common';
+import { goalProgress, progressSince } from '../goals/analytics.js';
+import { localDay, weekStart } from '../goals/days.js';
+import { logger } from '../logging/index.js';
+
+/**
+ * What the coach knows about a user, formatted for prompts
+ * Shared by chat and anything else that writes to the user (e.g. reminder messages).
+ */
+
+function formatUserContext(memory) {
+  if (!memory) return '';
+
+  let context = '';
+  if (memory.summary) context += `Summary: ${memory.summary}\n`;
+  if (memory.goals) context += `Goals: ${JSON.stringify(memory.goals)}\n`;
+  if (memory.preferences) context += `Preferences: ${JSON.stringify(memory.preferences)}\n`;
+
+  return context;
+}
+
+/**
+ * Get user context from AI memory
+ */
+export async function getUserContext(userId) {
+  try {
+    const memory = await aiMemoryService.getByUser(userId);
+    return formatUserContext(memory);
+  } catch (error) {
+    logger.error('Error retrieving user context', { err: error, userId });
+    return '';
+  }
+}
+
+/**
+ * One-paragraph summary of how the user is doing on their goals
+ * e.g. "Daily goals: 2 of 3 done today (Read 10 pages, Walk). Long-term goals: Run a marathon (40% of plan done)."
+ * "Done today" and "this week" come from the completion log (GoalCompletion rows since at least the
+ * start of the week), by the user's local `today`, so they survive the nightly rollover.
+ * `progress` is per goal, 0-1 (goalProgress from goals/analytics.js when the completion log is at hand)
+ */
+export function summarizeProgress(goals, { completions = [], today = localDay(new Date()), progress = rollUpProgress(goals) } = {}) {
+  const daily = goals.filter(goal => goal.type === 'daily');
+  const longterm = goals.filter(goal => goal.type === 'longterm');
+  const week = weekStart(today);
+  const daysDone = goal => completions.filter(completion => completion.goalId === goal.id).map(completion => completion.day);
+  const doneToday = daily.filter(goal => daysDone(goal).includes(today));
+  const doneThisWeek = daily.filter(goal => daysDone(goal).some(day => day >= week && day <= today));
+
+  const parts = [];
+  if (daily.length > 0) {
+    let line = `Daily goals: ${doneToday.length} of ${daily.length} done today`;
+    if (doneToday.length > 0) line += ` (${doneToday.map(goal => goal.text).join(', ')})`;
+    line += `, ${doneThisWeek.length} worked on this week.`;
+    parts.push(line);
+  }
+  if (longterm.length > 0) {
+    const open = longterm.filter(goal => !goal.completed);
+    const finished = longterm.length - open.length;
+    const hasPlan = goal => goals.some(other => other.parentId === goal.id);
+    const describe = goal => (hasPlan(goal) ? `${goal.text} (${Math.round(progress.get(goal.id) * 100)}% of plan done)` : goal.text);
+    let line = `Long-term goals: ${open.map(describe).join(', ') || 'none open'}.`;
+    if (finished > 0) line += ` ${finished} completed.`;
+    parts.push(line);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Everything needed to personalize a message to the user in one lookup
+ * Returns { context, tone, progress } - missing data comes back as empty strings.
+ */
+export async function getCoachingProfile(userId) {
+  const [memory, goals, timeZone] = await Promise.all([
+    aiMemoryService.getByUser(userId),
+    goalService.getByUser(userId),
+    userService.getTimeZone(userId),
+  ]);
+
+  const today = localDay(new Date(), timeZone);
+  // Back far enough for this week's count and for every planned task's period
+  const since = [weekStart(today), progressSince({ goals, today, timeZone })].filter(Boolean).sort()[0];
+  const completions = await goalCompletionService.getByUser(userId, { since });
+  const progress = goalProgress({ goals, completions, today, timeZone });
+
+  return {
+    context: formatUserContext(memory),
+    tone: memory?.preferences?.tone || '',
+    progress: summarizeProgress(goals, { completions, today, progress }),
+  };
+}
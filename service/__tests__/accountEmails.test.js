@@ -0,0 +1,117 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import bcrypt from 'bcrypt';
+
+// Routers import db/index.js; serve them the in-memory fake instead
+register('./helpers/fakeDbHooks.js', import.meta.url);
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+const outboxFile = path.join(tmpDir, 'emails.jsonl');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.EMAIL_TRANSPORT = 'outbox';
+process.env.EMAIL_OUTBOX_FILE = outboxFile;
+
+const { resetFakeDb, seed } = await import('./helpers/fakeDb.js');
+const authRouter = (await import('../routes/auth.js')).default;
+
+let server;
+let baseUrl;
+
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}/api/auth${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Codes are only ever in the mailed text
+function lastEmailTo(email) {
+  const sent = fs.existsSync(outboxFile)
+    ? fs.readFileSync(outboxFile, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    : [];
+  const message = sent.filter(entry => entry.to === email).pop();
+  return message && { ...message, code: message.text.match(/Your code: (\S+)/)[1] };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let alice;
+beforeEach(async () => {
+  resetFakeDb();
+  fs.rmSync(outboxFile, { force: true });
+  alice = seed('users', {
+    email: 'alice@example.com',
+    name: 'Alice',
+    passwordHash: await bcrypt.hash('old-password', 4),
+    emailVerifiedAt: null,
+  });
+});
+
+test('forgot-password answers the same for unknown emails and only mails real accounts', async () => {
+  const known = await post('/forgot-password', { email: 'alice@example.com' });
+  const unknown = await post('/forgot-password', { email: 'nobody@example.com' });
+
+  assert.equal(known.status, 200);
+  assert.deepEqual(unknown, known);
+  assert.equal(lastEmailTo('alice@example.com').subject, 'Reset your password');
+  assert.equal(lastEmailTo('nobody@example.com'), undefined);
+});
+
+test('reset-password changes the password once, verifies the email and signs out other sessions', async () => {
+  const session = seed('sessions', { userId: alice.id, familyId: 'f1', revokedAt: null });
+  await post('/forgot-password', { email: 'alice@example.com' });
+  const { code } = lastEmailTo('alice@example.com');
+
+  const reset = await post('/reset-password', { token: code, password: 'new-password' });
+  assert.equal(reset.status, 200);
+  assert.ok(await bcrypt.compare('new-password', alice.passwordHash));
+  assert.ok(alice.emailVerifiedAt);
+  assert.equal(session.revokedReason, 'logout_all');
+
+  const reused = await post('/reset-password', { token: code, password: 'another-one' });
+  assert.equal(reused.status, 400);
+  assert.equal(reused.body.code, 'INVALID_TOKEN');
+});
+
+test('a too-short password does not use up the reset code', async () => {
+  await post('/forgot-password', { email: 'alice@example.com' });
+  const { code } = lastEmailTo('alice@example.com');
+
+  assert.equal((await post('/reset-password', { token: code, password: '123' })).status, 400);
+  assert.equal((await post('/reset-password', { token: code, password: 'long-enough' })).status, 200);
+});
+
+test('registering mails a verification code that verify-email accepts', async () => {
+  const registered = await post('/register', { email: 'bob@example.com', password: 'secret1', name: 'Bob' });
+  assert.equal(registered.status, 201);
+
+  const email = lastEmailTo('bob@example.com');
+  assert.equal(email.subject, 'Verify your email address');
+
+  const verified = await post('/verify-email', { token: email.code });
+  assert.equal(verified.status, 200);
+  assert.ok(verified.body.data.emailVerifiedAt);
+
+  assert.equal((await post('/verify-email', { token: 'not-a-code' })).status, 400);
+});
@@ -0,0 +1,72 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAccountTokens, TOKEN_PURPOSES } from '../auth/accountTokens.js';
+import { hashToken } from '../auth/sessionManager.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// In-memory stand-in for authTokenService
+function createStore() {
+  const rows = [];
+  return {
+    rows,
+    async create(data) {
+      rows.push({ usedAt: null, ...data });
+    },
+    async consume(tokenHash, purpose, now) {
+      const row = rows.find(r => r.tokenHash === tokenHash && r.purpose === purpose && !r.usedAt && r.expiresAt > now);
+      return row ? Object.assign(row, { usedAt: now }) : null;
+    },
+    async invalidateForUser(userId, purpose) {
+      rows.filter(r => r.userId === userId && r.purpose === purpose && !r.usedAt)
+        .forEach(r => { r.usedAt = new Date(0); });
+    },
+  };
+}
+
+let store;
+let now;
+let tokens;
+
+beforeEach(() => {
+  store = createStore();
+  now = new Date('2025-01-01T00:00:00Z');
+  tokens = createAccountTokens({
+    store,
+    ttlMinutes: { [TOKEN_PURPOSES.PASSWORD_RESET]: 60, [TOKEN_PURPOSES.EMAIL_VERIFICATION]: 48 * 60 },
+    clock: { now: () => now },
+  });
+});
+
+test('tokens are stored hashed with a purpose-specific expiry', async () => {
+  const { token, expiresAt } = await tokens.issue('u1', TOKEN_PURPOSES.PASSWORD_RESET);
+
+  assert.equal(store.rows.length, 1);
+  assert.equal(store.rows[0].tokenHash, hashToken(token));
+  assert.ok(!JSON.stringify(store.rows).includes(token));
+  assert.equal(expiresAt.getTime(), now.getTime() + 60 * MINUTE_MS);
+});
+
+test('a token can be used once', async () => {
+  const { token } = await tokens.issue('u1', TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+  assert.equal(await tokens.consume(token, TOKEN_PURPOSES.EMAIL_VERIFICATION), 'u1');
+  assert.equal(await tokens.consume(token, TOKEN_PURPOSES.EMAIL_VERIFICATION), null);
+});
+
+test('expired tokens and tokens for another purpose are rejected', async () => {
+  const { token } = await tokens.issue('u1', TOKEN_PURPOSES.PASSWORD_RESET);
+
+  assert.equal(await tokens.consume(token, TOKEN_PURPOSES.EMAIL_VERIFICATION), null);
+
+  now = new Date(now.getTime() + 61 * MINUTE_MS);
+  assert.equal(await tokens.consume(token, TOKEN_PURPOSES.PASSWORD_RESET), null);
+});
+
+test('issuing a new token retires the previous one', async () => {
+  const first = await tokens.issue('u1', TOKEN_PURPOSES.PASSWORD_RESET);
+  const second = await tokens.issue('u1', TOKEN_PURPOSES.PASSWORD_RESET);
+
+  assert.equal(await tokens.consume(first.token, TOKEN_PURPOSES.PASSWORD_RESET), null);
+  assert.equal(await tokens.consume(second.token, TOKEN_PURPOSES.PASSWORD_RESET), 'u1');
+});
@@ -0,0 +1,155 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcrypt';
+
+// Routers import db/index.js; serve them the in-memory fake instead
+register('./helpers/fakeDbHooks.js', import.meta.url);
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.ADMIN_USER_IDS = '';
+// Lock after three failures, with no delays in between
+process.env.LOGIN_LOCK_AFTER = '3';
+process.env.LOGIN_DELAY_AFTER = '5';
+
+const { resetFakeDb, seed, adminAuditLogService } = await import('./helpers/fakeDb.js');
+const authRouter = (await import('../routes/auth.js')).default;
+const adminRouter = (await import('../routes/admin.js')).default;
+const { authenticateToken, requireRole } = await import('../routes/auth.js');
+
+let server;
+let baseUrl;
+
+const tokenFor = (user) => jwt.sign({ userId: user.id, role: user.role }, process.env.JWT_SECRET);
+
+async function call(method, path, user, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (user) headers.Authorization = `Bearer ${tokenFor(user)}`;
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRouter);
+  app.use('/api/admin', adminRouter);
+  app.get('/coach-only', authenticateToken, requireRole('coach'), (req, res) => res.json({ ok: true }));
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+let admin;
+let coach;
+let alice;
+beforeEach(async () => {
+  resetFakeDb();
+  const passwordHash = await bcrypt.hash('password', 4);
+  admin = seed('users', { email: 'admin@example.com', name: 'Admin', role: 'admin', passwordHash });
+  coach = seed('users', { email: 'coach@example.com', name: 'Coach', role: 'coach', passwordHash });
+  alice = seed('users', { email: 'alice@example.com', name: 'Alice', role: 'user', passwordHash });
+});
+
+test('admin routes require the admin role', async () => {
+  assert.equal((await call('GET', '/api/admin/users', null)).status, 401);
+  assert.equal((await call('GET', '/api/admin/users', alice)).status, 403);
+  assert.equal((await call('GET', '/api/admin/users', coach)).status, 403);
+  assert.equal((await call('GET', '/api/admin/users', admin)).status, 200);
+});
+
+test('requireRole lets the named roles and admins through', async () => {
+  assert.equal((await call('GET', '/coach-only', alice)).status, 403);
+  assert.equal((await call('GET', '/coach-only', coach)).status, 200);
+  assert.equal((await call('GET', '/coach-only', admin)).status, 200);
+});
+
+test('users can be searched and filtered by role, without password hashes', async () => {
+  const { body } = await call('GET', '/api/admin/users?q=ALI', admin);
+  assert.deepEqual(body.data.users.map(user => user.id), [alice.id]);
+  assert.equal(body.data.total, 1);
+  assert.equal(body.data.users[0].passwordHash, undefined);
+
+  const coaches = await call('GET', '/api/admin/users?role=coach', admin);
+  assert.deepEqual(coaches.body.data.users.map(user => user.id), [coach.id]);
+
+  assert.equal((await call('GET', '/api/admin/users?role=owner', admin)).status, 400);
+});
+
+test('a disabled account is signed out and cannot sign in again', async () => {
+  const login = await call('POST', '/api/auth/login', null, { email: 'alice@example.com', password: 'password' });
+  assert.equal(login.status, 200);
+  assert.equal(jwt.decode(login.body.data.token).role, 'user');
+
+  const disabled = await call('POST', `/api/admin/users/${alice.id}/disable`, admin, { reason: 'spam' });
+  assert.equal(disabled.status, 200);
+  assert.ok(alice.disabledAt);
+
+  const refresh = await call('POST', '/api/auth/refresh', null, { refreshToken: login.body.data.refreshToken });
+  assert.equal(refresh.status, 401);
+
+  const again = await call('POST', '/api/auth/login', null, { email: 'alice@example.com', password: 'password' });
+  assert.equal(again.status, 403);
+  assert.equal(again.body.code, 'ACCOUNT_DISABLED');
+
+  await call('POST', `/api/admin/users/${alice.id}/enable`, admin);
+  assert.equal((await call('POST', '/api/auth/login', null, { email: 'alice@example.com', password: 'password' })).status, 200);
+});
+
+test('repeated failed logins lock the account until an admin unlocks it', async () => {
+  const login = (password) => call('POST', '/api/auth/login', null, { email: 'coach@example.com', password });
+
+  assert.equal((await login('wrong')).status, 401);
+  assert.equal((await login('wrong')).status, 401);
+
+  const locked = await login('wrong');
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+  assert.equal(locked.headers.get('retry-after'), String(15 * 60));
+
+  // Even the right password is refused while locked
+  assert.equal((await login('password')).status, 429);
+
+  const lockouts = await call('GET', '/api/admin/lockouts', admin);
+  assert.deepEqual(lockouts.body.data.map(lock => lock.email), ['coach@example.com']);
+
+  const unlocked = await call('POST', `/api/admin/users/${coach.id}/unlock`, admin);
+  assert.equal(unlocked.body.data.wasLocked, true);
+  assert.equal((await login('password')).status, 200);
+});
+
+test('admins cannot disable or demote themselves', async () => {
+  assert.equal((await call('POST', `/api/admin/users/${admin.id}/disable`, admin)).status, 400);
+  assert.equal((await call('PUT', `/api/admin/users/${admin.id}/role`, admin, { role: 'user' })).status, 400);
+});
+
+test('every admin action is audited', async () => {
+  await call('GET', '/api/admin/users', admin);
+  await call('PUT', `/api/admin/users/${alice.id}/role`, admin, { role: 'coach' });
+  await call('DELETE', '/api/admin/cache', admin);
+  await call('GET', '/api/admin/stats/tokens', admin);
+
+  const entries = await adminAuditLogService.getRecent();
+  assert.deepEqual(entries.map(entry => entry.action), ['stats.tokens', 'cache.clear', 'users.role', 'users.list']);
+  assert.ok(entries.every(entry => entry.actorId === admin.id));
+
+  const roleChange = entries.find(entry => entry.action === 'users.role');
+  assert.equal(roleChange.targetId, alice.id);
+  assert.deepEqual(roleChange.details, { from: 'user', to: 'coach' });
+  assert.equal(alice.role, 'coach');
+
+  // Refused requests never reach a handler, so nothing is recorded for them
+  await call('GET', '/api/admin/users', alice);
+  assert.equal((await adminAuditLogService.getRecent()).length, 4);
+});
@@ -0,0 +1,116 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+// Routers import db/index.js; serve them the in-memory fake instead
+register('./helpers/fakeDbHooks.js', import.meta.url);
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.LLM_PROVIDER = 'fake';
+
+const { resetFakeDb, seed } = await import('./helpers/fakeDb.js');
+const aiMemoryRouter = (await import('../routes/ai-memory.js')).default;
+
+let server;
+let baseUrl;
+let alice;
+
+const tokenFor = user => jwt.sign({ userId: user.id, role: 'user' }, process.env.JWT_SECRET);
+
+async function call(method, user, body) {
+  const response = await fetch(`${baseUrl}/api/ai-memory/me`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokenFor(user)}` },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/ai-memory', aiMemoryRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  resetFakeDb();
+  alice = seed('users', { email: 'alice@example.com' });
+});
+
+test('GET /me is null until the coach knows something', async () => {
+  const { status, body } = await call('GET', alice);
+  assert.equal(status, 200);
+  assert.equal(body.data, null);
+});
+
+test('GET /me returns goals by year with categories and the extraction metadata', async () => {
+  seed('memories', {
+    userId: alice.id,
+    summary: 'Alice',
+    goals: { 2024: ['Run a marathon'], 2025: [{ text: 'Learn Rust', category: 'learning' }] },
+    preferences: { tone: 'firm' },
+    extractionConfidence: 'medium',
+    extractionWarnings: ['Unsure about tone: confidence 0.60'],
+    fieldConfidence: { source: 'llm', summary: 0.95, tone: 0.6 },
+    manuallyVerified: false,
+  });
+
+  const { body } = await call('GET', alice);
+  assert.deepEqual(body.data.goals, {
+    2024: [{ text: 'Run a marathon', category: 'fitness' }],
+    2025: [{ text: 'Learn Rust', category: 'learning' }],
+  });
+  assert.equal(body.data.extractionConfidence, 'medium');
+  assert.deepEqual(body.data.extractionWarnings, ['Unsure about tone: confidence 0.60']);
+  assert.equal(body.data.fieldConfidence.tone, 0.6);
+  assert.equal(body.data.manuallyVerified, false);
+});
+
+test('PUT /me saves the reviewed profile as verified and keeps the extraction metadata', async () => {
+  seed('memories', {
+    userId: alice.id,
+    summary: 'Alise',
+    goals: { 2025: [{ text: 'Learn Rust', category: 'learning' }] },
+    extractionConfidence: 'low',
+    fieldConfidence: { source: 'regex', summary: 0.6 },
+  });
+
+  const { status, body } = await call('PUT', alice, {
+    summary: ' Alice ',
+    goals: { 2024: [], 2025: [{ text: 'Learn Go', category: 'learning' }] },
+    preferences: { tone: 'gentle', constraints: ['bad knee'] },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.summary, 'Alice');
+  assert.deepEqual(body.data.goals, { 2025: [{ text: 'Learn Go', category: 'learning' }] });
+  assert.deepEqual(body.data.preferences, { tone: 'gentle', constraints: ['bad knee'] });
+  assert.equal(body.data.manuallyVerified, true);
+  assert.equal(body.data.extractionConfidence, 'low');
+  assert.deepEqual(body.data.fieldConfidence, { source: 'regex', summary: 0.6 });
+
+  // Deleting everything leaves an empty, verified profile
+  const cleared = await call('PUT', alice, { summary: '', goals: {}, preferences: {} });
+  assert.equal(cleared.body.data.summary, null);
+  assert.deepEqual(cleared.body.data.goals, {});
+});
+
+test('PUT /me rejects goals without a known category', async () => {
+  const { status, body } = await call('PUT', alice, {
+    summary: 'Alice',
+    goals: { 2025: [{ text: 'Learn Go', category: 'hobbies' }] },
+    preferences: {},
+  });
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_ERROR');
+});
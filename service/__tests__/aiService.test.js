@@ -0,0 +1,96 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+delete process.env.OPENAI_API_KEY;
+process.env.LLM_PROVIDER = 'fake';
+
+// Importing must not require credentials
+const ai = await import('../LLM/aiService.js');
+
+beforeEach(() => {
+  process.env.LLM_PROVIDER = 'fake';
+  ai.resetLLMInstances();
+});
+
+test('imports without OPENAI_API_KEY and only fails when a model is requested', () => {
+  process.env.LLM_PROVIDER = 'openai';
+  assert.equal(ai.isLLMConfigured(), false);
+  assert.throws(() => ai.getLLM(), /OPENAI_API_KEY/);
+});
+
+test('fake provider is deterministic and reports usage', async () => {
+  const messages = [{ role: 'human', content: 'I want to run a 5k' }];
+  const first = await ai.getLLM().invoke(messages);
+  const second = await ai.getLLM().invoke(messages);
+
+  assert.equal(first.content, second.content);
+  assert.match(first.content, /I want to run a 5k/);
+  assert.ok(first.usage_metadata.output_tokens > 0);
+});
+
+test('fake provider streams the same text it would return', async () => {
+  const messages = [{ role: 'human', content: 'hello coach' }];
+  const { content } = await ai.getCheapLLM().invoke(messages);
+
+  let streamed = '';
+  for await (const chunk of await ai.getCheapLLM().stream(messages)) {
+    streamed += chunk.content;
+  }
+  assert.equal(streamed, content);
+});
+
+test('prices calls with the active provider pricing table', () => {
+  assert.equal(ai.calculateCost(1_000_000, 1_000_000, 'fake-main'), 3);
+  assert.equal(ai.calculateCost(1_000_000, 0, 'fake-cheap'), 0.1);
+
+  process.env.LLM_PROVIDER = 'openai';
+  assert.equal(ai.calculateCost(1_000_000, 1_000_000, 'gpt-4o-mini'), 0.75);
+
+  process.env.LLM_PROVIDER = 'local';
+  assert.equal(ai.calculateCost(1_000_000, 1_000_000, 'llama3.1'), 0);
+});
+
+test('model names come from the configured provider', () => {
+  process.env.LLM_PROVIDER = 'local';
+  process.env.LOCAL_LLM_MODEL = 'qwen2.5';
+  assert.equal(ai.getModelName('main'), 'qwen2.5');
+  assert.equal(ai.getModelName('cheap'), 'qwen2.5');
+  delete process.env.LOCAL_LLM_MODEL;
+});
+
+test('rejects unknown providers', () => {
+  process.env.LLM_PROVIDER = 'nope';
+  assert.throws(() => ai.getLLM(), /Unknown LLM_PROVIDER "nope"/);
+});
+
+test('prices versioned model names by their base model', () => {
+  process.env.LLM_PROVIDER = 'openai';
+  assert.deepEqual(ai.getModelPricing('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.60 });
+  assert.deepEqual(ai.getModelPricing('gpt-3.5-turbo-0125'), { input: 0.50, output: 1.50 });
+});
+
+test('trackTokenUsage prices by the model that ran', () => {
+  const cheap = ai.trackTokenUsage(1_000_000, 0, 'fake-cheap');
+  const main = ai.trackTokenUsage(1_000_000, 0, 'fake-main');
+  assert.equal(cheap, 0.1);
+  assert.equal(main, 1);
+});
+
+test('extracts token usage from LangChain responses', async () => {
+  const response = await ai.getLLM().invoke([{ role: 'human', content: 'hi' }]);
+  assert.deepEqual(ai.extractTokenUsage(response), {
+    inputTokens: response.usage_metadata.input_tokens,
+    outputTokens: response.usage_metadata.output_tokens,
+  });
+  assert.deepEqual(
+    ai.extractTokenUsage({ response_metadata: { tokenUsage: { promptTokens: 3, completionTokens: 5 } } }),
+    { inputTokens: 3, outputTokens: 5 },
+  );
+  assert.equal(ai.extractTokenUsage({ response_metadata: {} }), null);
+});
+
+test('estimates token usage from prompt and partial reply', () => {
+  const messages = [{ role: 'system', content: 'You are a coach.' }, { role: 'human', content: 'Hi' }];
+  assert.deepEqual(ai.estimateTokenUsage(messages, 'Hello there'), { inputTokens: 5, outputTokens: 3 });
+  assert.deepEqual(ai.estimateTokenUsage(messages), { inputTokens: 5, outputTokens: 0 });
+});
@@ -0,0 +1,188 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+// Routers import db/index.js; serve them the in-memory fake instead
+register('./helpers/fakeDbHooks.js', import.meta.url);
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.ADMIN_USER_IDS = 'admin';
+
+const { resetFakeDb, seed } = await import('./helpers/fakeDb.js');
+const routers = {
+  users: (await import('../routes/users.js')).default,
+  messages: (await import('../routes/messages.js')).default,
+  reminders: (await import('../routes/reminders.js')).default,
+  'ai-memory': (await import('../routes/ai-memory.js')).default,
+  goals: (await import('../routes/goals.js')).default,
+  calendar: (await import('../routes/calendar.js')).default,
+  chat: (await import('../routes/chat.js')).default,
+};
+
+let server;
+let baseUrl;
+let alice;
+let bob;
+
+const tokenFor = (userId) => jwt.sign({ userId }, process.env.JWT_SECRET);
+
+async function call(method, path, userId, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (userId) headers.Authorization = `Bearer ${tokenFor(userId)}`;
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  for (const [name, router] of Object.entries(routers)) {
+    app.use(`/api/${name}`, router);
+  }
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+// Alice and Bob each own one of everything
+let owned;
+beforeEach(() => {
+  resetFakeDb();
+  alice = seed('users', { email: 'alice@example.com', name: 'Alice', passwordHash: 'hash' });
+  bob = seed('users', { email: 'bob@example.com', name: 'Bob', passwordHash: 'hash' });
+  seed('memories', { userId: bob.id, summary: 'Bob likes running' });
+  owned = {
+    message: seed('messages', { userId: bob.id, text: 'private thoughts' }),
+    reminder: seed('reminders', { userId: bob.id, title: 'Call mom', dueDate: new Date() }),
+    goal: seed('goals', { userId: bob.id, text: 'Run 5k', type: 'daily' }),
+    event: seed('events', { userId: bob.id, title: 'Dentist', date: new Date() }),
+  };
+});
+
+test('every user-scoped route requires a token', async () => {
+  const paths = [
+    ['GET', `/api/users/${bob.id}`],
+    ['GET', `/api/messages/user/${bob.id}`],
+    ['GET', `/api/reminders/user/${bob.id}`],
+    ['GET', `/api/ai-memory/${bob.id}`],
+    ['GET', `/api/goals/${owned.goal.id}`],
+    ['GET', `/api/calendar/${owned.event.id}`],
+    ['DELETE', `/api/messages/${owned.message.id}`],
+  ];
+
+  for (const [method, path] of paths) {
+    const { status } = await call(method, path);
+    assert.equal(status, 401, `${method} ${path}`);
+  }
+});
+
+test("reading another user's data by user ID is forbidden", async () => {
+  const paths = [
+    `/api/users/${bob.id}`,
+    `/api/messages/user/${bob.id}`,
+    `/api/messages/conversation/${bob.id}`,
+    `/api/reminders/user/${bob.id}`,
+    `/api/reminders/upcoming/${bob.id}`,
+    `/api/reminders/deliveries/${bob.id}`,
+    `/api/ai-memory/${bob.id}`,
+    `/api/chat/suggestion/${bob.id}`,
+    `/api/chat/history/${bob.id}`,
+  ];
+
+  for (const path of paths) {
+    const { status } = await call('GET', path, alice.id);
+    assert.equal(status, 403, path);
+  }
+});
+
+test("changing another user's data by user ID is forbidden and changes nothing", async () => {
+  assert.equal((await call('PUT', `/api/users/${bob.id}`, alice.id, { name: 'Hacked' })).status, 403);
+  assert.equal((await call('DELETE', `/api/users/${bob.id}`, alice.id)).status, 403);
+  assert.equal((await call('POST', `/api/ai-memory/${bob.id}`, alice.id, { summary: 'Hacked' })).status, 403);
+  assert.equal((await call('PATCH', `/api/ai-memory/${bob.id}/preferences`, alice.id, { tone: 'mean' })).status, 403);
+  assert.equal((await call('DELETE', `/api/ai-memory/${bob.id}`, alice.id)).status, 403);
+
+  const memory = await call('GET', `/api/ai-memory/${bob.id}`, bob.id);
+  assert.equal(memory.body.data.summary, 'Bob likes running');
+  assert.equal((await call('GET', `/api/users/${bob.id}`, bob.id)).body.data.name, 'Bob');
+});
+
+test("another user's resources are 403, missing ones 404", async () => {
+  const resources = [
+    ['GET', `/api/goals/${owned.goal.id}`],
+    ['PUT', `/api/goals/${owned.goal.id}`],
+    ['DELETE', `/api/goals/${owned.goal.id}`],
+    ['GET', `/api/calendar/${owned.event.id}`],
+    ['PUT', `/api/calendar/${owned.event.id}`],
+    ['DELETE', `/api/calendar/${owned.event.id}`],
+    ['PUT', `/api/reminders/${owned.reminder.id}`],
+    ['PATCH', `/api/reminders/${owned.reminder.id}/complete`],
+    ['DELETE', `/api/reminders/${owned.reminder.id}`],
+    ['DELETE', `/api/messages/${owned.message.id}`],
+  ];
+
+  for (const [method, path] of resources) {
+    const { status } = await call(method, path, alice.id, method === 'GET' ? undefined : {});
+    assert.equal(status, 403, `${method} ${path}`);
+  }
+
+  for (const path of ['/api/goals/nope', '/api/calendar/nope', '/api/reminders/nope', '/api/messages/nope']) {
+    const { status } = await call('DELETE', path, alice.id);
+    assert.equal(status, 404, path);
+  }
+
+  // Bob still has everything
+  assert.equal((await call('GET', `/api/goals/${owned.goal.id}`, bob.id)).status, 200);
+  assert.equal((await call('GET', `/api/messages/user/${bob.id}`, bob.id)).body.data.length, 1);
+});
+
+test('creating data for another user is forbidden; by default it goes to the caller', async () => {
+  const forged = await call('POST', '/api/messages', alice.id, { text: 'hi', userId: bob.id });
+  assert.equal(forged.status, 403);
+
+  const reminder = await call('POST', '/api/reminders', alice.id, { title: 'Stretch', dueDate: new Date().toISOString() });
+  assert.equal(reminder.status, 201);
+  assert.equal(reminder.body.data.userId, alice.id);
+});
+
+test('"me" resolves to the caller', async () => {
+  const profile = await call('GET', '/api/users/me', bob.id);
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.data.id, bob.id);
+  assert.equal(profile.body.data.passwordHash, undefined);
+
+  const memory = await call('GET', '/api/ai-memory/me', bob.id);
+  assert.equal(memory.body.data.summary, 'Bob likes running');
+
+  const messages = await call('GET', '/api/messages/user/me', alice.id);
+  assert.deepEqual(messages.body.data, []);
+
+  const history = await call('GET', '/api/chat/history/me', bob.id);
+  assert.equal(history.status, 200);
+  assert.equal(history.body.data[0].text, 'private thoughts');
+});
+
+test('admins can reach any user; user listing is admin-only', async () => {
+  seed('users', { id: 'admin', email: 'admin@example.com' });
+
+  assert.equal((await call('GET', '/api/users', alice.id)).status, 403);
+  assert.equal((await call('GET', `/api/users/email/${bob.email}`, alice.id)).status, 403);
+
+  const list = await call('GET', '/api/users', 'admin');
+  assert.equal(list.status, 200);
+  assert.ok(list.body.data.every(user => user.passwordHash === undefined));
+  assert.equal((await call('GET', `/api/ai-memory/${bob.id}`, 'admin')).status, 200);
+  assert.equal((await call('GET', `/api/goals/${owned.goal.id}`, 'admin')).status, 200);
+  assert.equal((await call('GET', `/api/chat/history/${bob.id}`, 'admin')).status, 200);
+});
@@ -0,0 +1,103 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  evaluateBudget,
+  resolveUserLimits,
+  getBudgetPeriods,
+  getQuotaMessage,
+} from '../LLM/budget.js';
+
+const NOW = new Date('2026-03-15T18:30:00Z');
+const NO_GLOBAL = {
+  dailyCostSoft: null,
+  dailyCostHard: null,
+  monthlyCostSoft: null,
+  monthlyCostHard: null,
+};
+
+const totals = (cost, tokens = 0) => ({ cost, promptTokens: tokens, completionTokens: 0 });
+
+beforeEach(() => {
+  for (const key of Object.keys(process.env)) {
+    if (key.startsWith('LLM_BUDGET_')) delete process.env[key];
+  }
+});
+
+test('under every cap the budget is ok', () => {
+  const budget = evaluateBudget(
+    { user: { daily: totals(0.01), monthly: totals(0.2) } },
+    resolveUserLimits(null),
+    NO_GLOBAL,
+    NOW,
+  );
+
+  assert.equal(budget.status, 'ok');
+  assert.deepEqual(budget.exceeded, []);
+  assert.equal(budget.resetsAt, null);
+});
+
+test('soft cap degrades, hard cap blocks until the period resets', () => {
+  const limits = resolveUserLimits(null);
+
+  const soft = evaluateBudget({ user: { daily: totals(0.06), monthly: totals(0.06) } }, limits, NO_GLOBAL, NOW);
+  assert.equal(soft.status, 'soft');
+  assert.deepEqual(soft.resetsAt, new Date('2026-03-16T00:00:00Z'));
+
+  const hard = evaluateBudget({ user: { daily: totals(0.3), monthly: totals(0.3) } }, limits, NO_GLOBAL, NOW);
+  assert.equal(hard.status, 'hard');
+  assert.equal(hard.exceeded[0].level, 'hard');
+  assert.match(getQuotaMessage(hard), /today/);
+});
+
+test('monthly hard cap resets at the start of next month', () => {
+  const budget = evaluateBudget(
+    { user: { daily: totals(0), monthly: totals(6) } },
+    resolveUserLimits(null),
+    NO_GLOBAL,
+    NOW,
+  );
+
+  assert.equal(budget.status, 'hard');
+  assert.deepEqual(budget.resetsAt, new Date('2026-04-01T00:00:00Z'));
+  assert.match(getQuotaMessage(budget), /next month/);
+});
+
+test('per-user overrides replace defaults and token caps apply', () => {
+  process.env.LLM_BUDGET_DAILY_TOKENS_HARD = '1000';
+  const limits = resolveUserLimits({ dailyCostHard: 10, dailyTokensHard: null });
+
+  assert.equal(limits.dailyCostHard, 10);
+  assert.equal(limits.dailyTokensHard, 1000);
+
+  const budget = evaluateBudget({ user: { daily: totals(0.3, 1500), monthly: totals(0.3) } }, limits, NO_GLOBAL, NOW);
+  assert.equal(budget.status, 'hard');
+  assert.deepEqual(
+    budget.exceeded.map(e => `${e.period}:${e.metric}:${e.level}`),
+    ['daily:cost:soft', 'daily:tokens:hard'],
+  );
+});
+
+test('global cap blocks everyone', () => {
+  const budget = evaluateBudget(
+    {
+      user: { daily: totals(0), monthly: totals(0) },
+      global: { daily: totals(50), monthly: totals(50) },
+    },
+    resolveUserLimits(null),
+    { ...NO_GLOBAL, dailyCostHard: 40 },
+    NOW,
+  );
+
+  assert.equal(budget.status, 'hard');
+  assert.equal(budget.exceeded[0].scope, 'global');
+  assert.match(getQuotaMessage(budget), /breather/);
+});
+
+test('budget periods use UTC day and month boundaries', () => {
+  const periods = getBudgetPeriods(new Date('2026-12-31T23:59:00Z'));
+
+  assert.deepEqual(periods.dayStart, new Date('2026-12-31T00:00:00Z'));
+  assert.deepEqual(periods.dayEnd, new Date('2027-01-01T00:00:00Z'));
+  assert.deepEqual(periods.monthStart, new Date('2026-12-01T00:00:00Z'));
+  assert.deepEqual(periods.monthEnd, new Date('2027-01-01T00:00:00Z'));
+});
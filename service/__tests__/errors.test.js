@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+process.env.LOG_LEVEL = 'silent';
+
+const {
+  AppError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  toErrorResponse,
+  ERROR_CODES,
+} = await import('../errors/index.js');
+const { sendError, errorHandler, notFoundHandler } = await import('../routes/errors.js');
+const { requestContext, getRequestId } = await import('../logging/index.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(requestContext());
+  app.use(express.json());
+
+  app.get('/goal', (req, res) => {
+    sendError(res, new NotFoundError('Goal not found'));
+  });
+  app.get('/crash', async (req, res) => {
+    try {
+      throw new Error('connect ECONNREFUSED 10.0.0.5:5432');
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch goals');
+    }
+  });
+  app.get('/thrown', async () => {
+    throw new Error('secret internals');
+  });
+  app.get('/request-id', async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    res.json({ requestId: getRequestId() });
+  });
+  app.post('/echo', (req, res) => res.json(req.body));
+
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+async function call(path, options) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test('app errors keep their status, code and message', () => {
+  const { status, body } = toErrorResponse(new RateLimitError('Slow down', { code: 'ACCOUNT_LOCKED', details: { retryAfter: 60 } }));
+
+  assert.equal(status, 429);
+  assert.deepEqual(body, { success: false, error: 'Slow down', code: 'ACCOUNT_LOCKED', details: { retryAfter: 60 } });
+});
+
+test('validation errors use the first issue as the message', () => {
+  const error = new ValidationError([{ location: 'body', path: 'title', message: 'Title is required' }]);
+
+  assert.ok(error instanceof AppError);
+  assert.equal(error.status, 400);
+  assert.equal(error.code, ERROR_CODES.VALIDATION_ERROR);
+  assert.equal(error.message, 'Title is required');
+});
+
+test('unexpected errors never expose their message', () => {
+  const { status, body } = toErrorResponse(new Error('relation "users" does not exist'), { fallbackMessage: 'Failed to fetch user' });
+
+  assert.equal(status, 500);
+  assert.deepEqual(body, { success: false, error: 'Failed to fetch user', code: ERROR_CODES.INTERNAL_ERROR });
+});
+
+test('responses carry the envelope with the request ID', async () => {
+  const response = await call('/goal');
+
+  assert.equal(response.status, 404);
+  assert.equal(response.body.code, 'NOT_FOUND');
+  assert.equal(response.body.error, 'Goal not found');
+  assert.equal(response.body.requestId, response.headers.get('x-request-id'));
+});
+
+test('a route catch block answers with its fallback message', async () => {
+  const response = await call('/crash');
+
+  assert.equal(response.status, 500);
+  assert.equal(response.body.error, 'Failed to fetch goals');
+  assert.equal(response.body.code, 'INTERNAL_ERROR');
+  assert.doesNotMatch(JSON.stringify(response.body), /ECONNREFUSED/);
+});
+
+test('errors thrown past a handler reach the global handler without leaking', async () => {
+  const response = await call('/thrown');
+
+  assert.equal(response.status, 500);
+  assert.equal(response.body.error, 'Internal server error');
+  assert.equal(response.body.message, undefined);
+});
+
+test('malformed JSON bodies are a 400 INVALID_JSON', async () => {
+  const response = await call('/echo', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"title": ',
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, 'INVALID_JSON');
+});
+
+test('unknown routes are a 404 in the same envelope', async () => {
+  const response = await call('/nope');
+
+  assert.equal(response.status, 404);
+  assert.deepEqual(Object.keys(response.body).sort(), ['code', 'error', 'requestId', 'success']);
+});
+
+test('request IDs are reused from the caller when well-formed and follow async work', async () => {
+  const given = await call('/request-id', { headers: { 'X-Request-Id': 'retry-1234abcd' } });
+  assert.equal(given.headers.get('x-request-id'), 'retry-1234abcd');
+  assert.equal(given.body.requestId, 'retry-1234abcd');
+
+  const rejected = await call('/request-id', { headers: { 'X-Request-Id': '<script>alert(1)</script>' } });
+  assert.notEqual(rejected.body.requestId, '<script>alert(1)</script>');
+  assert.match(rejected.body.requestId, /^[0-9a-f-]{36}$/);
+});
@@ -0,0 +1,166 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { startMockIssuer } from './helpers/mockIssuer.js';
+import { createJwksCache } from '../auth/idTokenVerifier.js';
+
+// Routers import db/index.js; serve them the in-memory fake instead
+register('./helpers/fakeDbHooks.js', import.meta.url);
+
+const issuer = await startMockIssuer();
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.GOOGLE_ISSUER = issuer.issuer;
+process.env.GOOGLE_JWKS_URI = issuer.jwksUri;
+process.env.GOOGLE_CLIENT_IDS = 'ios-client,android-client';
+delete process.env.APPLE_CLIENT_IDS;
+
+const { resetFakeDb, seed } = await import('./helpers/fakeDb.js');
+const authRouter = (await import('../routes/auth.js')).default;
+
+let server;
+let baseUrl;
+
+async function call(method, path, body, userId) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (userId) headers.Authorization = `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}`;
+  const response = await fetch(`${baseUrl}/api/auth${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const googleToken = (claims, options) => issuer.sign({
+  aud: 'android-client',
+  sub: 'google-123',
+  email: 'alice@example.com',
+  email_verified: true,
+  ...claims,
+}, options);
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  issuer.close();
+});
+
+beforeEach(() => {
+  resetFakeDb();
+});
+
+test('a new Google identity creates a passwordless account and signs in', async () => {
+  const first = await call('POST', '/oauth/google', { idToken: googleToken({ name: 'Alice' }) });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.data.created, true);
+  assert.equal(first.body.data.user.email, 'alice@example.com');
+  assert.ok(first.body.data.user.emailVerifiedAt);
+  assert.equal(jwt.verify(first.body.data.token, 'test-secret').userId, first.body.data.user.id);
+  assert.ok(first.body.data.refreshToken);
+
+  const again = await call('POST', '/oauth/google', { idToken: googleToken() });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.data.user.id, first.body.data.user.id);
+
+  // No password to sign in with
+  const password = await call('POST', '/login', { email: 'alice@example.com', password: 'anything' });
+  assert.equal(password.status, 401);
+});
+
+test('an identity is linked to an existing account only when both sides verified the email', async () => {
+  const unverified = seed('users', { email: 'alice@example.com', passwordHash: 'x', emailVerifiedAt: null });
+  const refused = await call('POST', '/oauth/google', { idToken: googleToken() });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.code, 'ACCOUNT_EXISTS');
+
+  unverified.emailVerifiedAt = new Date();
+  const unverifiedAtGoogle = await call('POST', '/oauth/google', { idToken: googleToken({ email_verified: false }) });
+  assert.equal(unverifiedAtGoogle.status, 409);
+
+  const linked = await call('POST', '/oauth/google', { idToken: googleToken() });
+  assert.equal(linked.status, 200);
+  assert.equal(linked.body.data.user.id, unverified.id);
+  assert.equal(linked.body.data.linked, true);
+});
+
+test('tokens with the wrong audience, issuer, key or nonce are rejected', async () => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const cases = [
+    googleToken({ aud: 'someone-elses-app' }),
+    googleToken({ iss: 'https://evil.example.com' }),
+    googleToken({}, { privateKey }),
+    googleToken({}, { kid: 'unknown-key' }),
+    googleToken({}, { expiresIn: -10 }),
+    'not-a-jwt',
+  ];
+
+  for (const idToken of cases) {
+    const { status, body } = await call('POST', '/oauth/google', { idToken });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_ID_TOKEN');
+  }
+
+  const nonce = await call('POST', '/oauth/google', { idToken: googleToken({ nonce: 'abc' }), nonce: 'xyz' });
+  assert.equal(nonce.status, 401);
+});
+
+test('unconfigured and unknown providers are refused', async () => {
+  assert.equal((await call('POST', '/oauth/apple', { idToken: googleToken() })).body.code, 'PROVIDER_NOT_CONFIGURED');
+  for (const provider of ['myspace', '__proto__', 'constructor']) {
+    assert.equal((await call('POST', `/oauth/${provider}`, { idToken: googleToken() })).status, 404, provider);
+  }
+});
+
+test('signed-in users can link and unlink, but not remove their only sign-in method', async () => {
+  const bob = seed('users', { email: 'bob@example.com', passwordHash: 'x', emailVerifiedAt: null });
+
+  const linked = await call('POST', '/identities/google', { idToken: googleToken({ sub: 'google-bob' }) }, bob.id);
+  assert.equal(linked.status, 201);
+  assert.deepEqual((await call('GET', '/identities', null, bob.id)).body.data.map(item => item.provider), ['google']);
+
+  const signIn = await call('POST', '/oauth/google', { idToken: googleToken({ sub: 'google-bob' }) });
+  assert.equal(signIn.body.data.user.id, bob.id);
+
+  assert.equal((await call('DELETE', '/identities/google', null, bob.id)).status, 200);
+
+  const created = await call('POST', '/oauth/google', { idToken: googleToken({ sub: 'google-carol', email: 'carol@example.com' }) });
+  const unlink = await call('DELETE', '/identities/google', null, created.body.data.user.id);
+  assert.equal(unlink.status, 400);
+  assert.equal(unlink.body.code, 'LAST_SIGN_IN_METHOD');
+});
+
+test('the JWKS is cached and refetched when an unknown key appears', async () => {
+  let now = 0;
+  let fetches = 0;
+  const jwks = createJwksCache({
+    fetchJwks: async (uri) => {
+      fetches++;
+      return (await fetch(uri)).json();
+    },
+    clock: { now: () => new Date(now) },
+  });
+
+  assert.ok(await jwks.getKey(issuer.jwksUri, 'test-key'));
+  assert.ok(await jwks.getKey(issuer.jwksUri, 'test-key'));
+  assert.equal(fetches, 1);
+
+  // Unknown key IDs refetch, but not more than once a minute
+  assert.equal(await jwks.getKey(issuer.jwksUri, 'rotated-key'), null);
+  assert.equal(fetches, 1);
+  now += 61 * 1000;
+  assert.equal(await jwks.getKey(issuer.jwksUri, 'rotated-key'), null);
+  assert.equal(fetches, 2);
+});
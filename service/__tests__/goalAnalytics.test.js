@@ -0,0 +1,181 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const { localDay, addDays, weekStart } = await import('../goals/days.js');
+const {
+  streakOf,
+  goalStreaks,
+  weeklyCompletion,
+  categoryTrends,
+  goalProgress,
+  progressSince,
+} = await import('../goals/analytics.js');
+const { GoalRollover, isStaleCompletion } = await import('../jobs/goalRollover.js');
+
+const completion = (goalId, day, overrides = {}) => ({ goalId, day, goalType: 'daily', category: 'fitness', ...overrides });
+
+test('localDay uses the user\'s time zone, not the server\'s', () => {
+  const lateEvening = new Date('2025-03-09T23:30:00Z');
+  assert.equal(localDay(lateEvening, 'UTC'), '2025-03-09');
+  assert.equal(localDay(lateEvening, 'Europe/Berlin'), '2025-03-10');
+  assert.equal(localDay(lateEvening, 'America/Los_Angeles'), '2025-03-09');
+  assert.equal(localDay(lateEvening, 'Not/AZone'), '2025-03-09');
+});
+
+test('day arithmetic crosses months and finds Mondays', () => {
+  assert.equal(addDays('2025-02-27', 2), '2025-03-01');
+  assert.equal(addDays('2025-03-31', -31), '2025-02-28');
+  assert.equal(weekStart('2025-03-09'), '2025-03-03'); // Sunday
+  assert.equal(weekStart('2025-03-10'), '2025-03-10'); // Monday
+});
+
+test('streakOf counts the current run through yesterday and the longest run', () => {
+  const days = new Set(['2025-03-01', '2025-03-02', '2025-03-03', '2025-03-04', '2025-03-08', '2025-03-09']);
+  assert.deepEqual(streakOf(days, '2025-03-10'), { current: 2, longest: 4 });
+  assert.deepEqual(streakOf(days, '2025-03-09'), { current: 2, longest: 4 });
+  assert.deepEqual(streakOf(days, '2025-03-11'), { current: 0, longest: 4 });
+  assert.deepEqual(streakOf(new Set(), '2025-03-11'), { current: 0, longest: 0 });
+});
+
+test('goalStreaks counts daily goals only, overall and per goal', () => {
+  const streaks = goalStreaks({
+    goals: [
+      { id: 'run', text: 'Run', type: 'daily' },
+      { id: 'read', text: 'Read', type: 'daily' },
+      { id: 'marathon', text: 'Marathon', type: 'longterm' },
+    ],
+    completions: [
+      completion('run', '2025-03-08'),
+      completion('read', '2025-03-09'),
+      completion('run', '2025-03-10'),
+      completion('marathon', '2025-03-07', { goalType: 'longterm' }),
+      completion(null, '2025-03-07'), // goal deleted since
+    ],
+    today: '2025-03-10',
+  });
+
+  assert.equal(streaks.current, 4);
+  assert.equal(streaks.longest, 4);
+  assert.equal(streaks.completedToday, true);
+  assert.deepEqual(streaks.goals, [
+    { goalId: 'run', text: 'Run', current: 1, longest: 1 },
+    { goalId: 'read', text: 'Read', current: 1, longest: 1 },
+  ]);
+});
+
+test('weeklyCompletion counts a chance per day each daily goal existed', () => {
+  const weekly = weeklyCompletion({
+    goals: [
+      { id: 'run', type: 'daily', createdAt: new Date('2025-02-26T12:00:00Z') }, // a Wednesday
+      { id: 'read', type: 'daily', createdAt: new Date('2025-03-09T23:30:00Z') }, // Monday 10th in Berlin
+    ],
+    completions: [
+      completion('run', '2025-02-26'),
+      completion('run', '2025-02-28'),
+      completion('run', '2025-03-03'),
+      completion('run', '2025-03-10'),
+      completion('read', '2025-03-10'),
+      completion(null, '2025-03-04'),
+    ],
+    today: '2025-03-11',
+    weeks: 3,
+    timeZone: 'Europe/Berlin',
+  });
+
+  assert.deepEqual(weekly, [
+    { weekStart: '2025-02-24', completed: 2, possible: 5, rate: 0.4 },
+    { weekStart: '2025-03-03', completed: 1, possible: 7, rate: 1 / 7 },
+    // Up to today only; "read" from the 10th
+    { weekStart: '2025-03-10', completed: 2, possible: 4, rate: 0.5 },
+  ]);
+});
+
+test('weeklyCompletion has no rate for weeks without daily goals', () => {
+  const [week] = weeklyCompletion({ goals: [], completions: [], today: '2025-03-11', weeks: 1, timeZone: 'UTC' });
+  assert.deepEqual(week, { weekStart: '2025-03-10', completed: 0, possible: 0, rate: null });
+});
+
+test('categoryTrends counts completions per category and week', () => {
+  const trends = categoryTrends({
+    completions: [
+      completion('run', '2025-03-04'),
+      completion('run', '2025-03-10'),
+      completion('run', '2025-03-11'),
+      completion('book', '2025-03-05', { category: 'learning', goalType: 'milestone' }),
+      completion('old', '2025-01-01', { category: 'finance' }),
+    ],
+    today: '2025-03-11',
+    weeks: 2,
+  });
+
+  assert.deepEqual(trends, {
+    weeks: ['2025-03-03', '2025-03-10'],
+    categories: [
+      { category: 'fitness', counts: [1, 2], total: 3, change: 1 },
+      { category: 'learning', counts: [1, 0], total: 1, change: -1 },
+    ],
+  });
+});
+
+test('goalProgress counts planned daily tasks by the days they were done', () => {
+  const goals = [
+    { id: 'book', type: 'longterm', completed: false },
+    { id: 'read', type: 'daily', parentId: 'book', completed: false, createdAt: new Date('2025-03-08T12:00:00Z') },
+    { id: 'write', type: 'daily', parentId: 'book', completed: true, createdAt: new Date('2025-03-11T12:00:00Z') },
+    { id: 'walk', type: 'daily', completed: true, createdAt: new Date('2025-03-01T12:00:00Z') },
+  ];
+  const progress = goalProgress({
+    goals,
+    completions: [completion('read', '2025-03-09'), completion('read', '2025-03-10'), completion('walk', '2025-03-10')],
+    today: '2025-03-11',
+    timeZone: 'UTC',
+  });
+
+  // No target date above them: each day since the task was created
+  assert.equal(progress.get('read'), 2 / 4);
+  // Ticked today, but not logged - the log is what counts
+  assert.equal(progress.get('write'), 0);
+  assert.equal(progress.get('book'), 0.25);
+  // Daily goals on their own keep today's tick
+  assert.equal(progress.get('walk'), 1);
+
+  assert.equal(progressSince({ goals, today: '2025-03-11', timeZone: 'UTC' }), '2025-03-08');
+  assert.equal(progressSince({ goals: [goals[3]], today: '2025-03-11', timeZone: 'UTC' }), null);
+});
+
+test('isStaleCompletion reopens daily goals once the user\'s day is over', () => {
+  const goal = { type: 'daily', completed: true, lastCompletedDate: new Date('2025-03-09T21:00:00Z') };
+  const now = new Date('2025-03-09T23:30:00Z');
+
+  assert.equal(isStaleCompletion(goal, 'America/New_York', now), false);
+  assert.equal(isStaleCompletion(goal, 'Europe/Berlin', now), true);
+  assert.equal(isStaleCompletion({ ...goal, type: 'longterm' }, 'Europe/Berlin', now), false);
+  assert.equal(isStaleCompletion({ ...goal, completed: false }, 'Europe/Berlin', now), false);
+});
+
+test('GoalRollover resets stale daily goals per user time zone', async () => {
+  const goals = [
+    { id: 'berlin', type: 'daily', completed: true, lastCompletedDate: new Date('2025-03-09T21:00:00Z'), user: { timezone: 'Europe/Berlin' } },
+    { id: 'new-york', type: 'daily', completed: true, lastCompletedDate: new Date('2025-03-09T21:00:00Z'), user: { timezone: 'America/New_York' } },
+  ];
+  const reset = [];
+  let cutoff;
+  const rollover = new GoalRollover({
+    store: {
+      getCompletedDaily: async () => goals,
+      resetDaily: async (ids, { completedBefore }) => {
+        reset.push(...ids);
+        cutoff = completedBefore;
+        return ids.length;
+      },
+    },
+    clock: { now: () => new Date('2025-03-09T23:30:00Z') },
+  });
+
+  assert.deepEqual(await rollover.tick(), { reset: 1 });
+  assert.deepEqual(reset, ['berlin']);
+  // Only ticks from before the goals were read are cleared
+  assert.deepEqual(cutoff, new Date('2025-03-09T23:30:00Z'));
+});
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rollUpProgress } from 'common';
+
+process.env.LLM_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'silent';
+
+const { createGoalDecomposer, toGoalPlan } = await import('../goals/decomposition.js');
+
+const goal = { id: 'g1', text: 'Run a half marathon', category: 'fitness', type: 'longterm', targetValue: 21, unit: 'km' };
+const start = new Date('2025-03-03T09:00:00Z');
+
+const decomposition = {
+  milestones: [
+    {
+      week: 2,
+      text: 'Run 8 km without stopping',
+      targetValue: 8,
+      unit: 'km',
+      tasks: [{ text: 'Easy 30 minute run', targetValue: null, unit: null }],
+    },
+    {
+      week: 1,
+      text: ' Run 5 km ',
+      targetValue: 5,
+      unit: 'km',
+      tasks: [
+        { text: 'Jog 20 minutes', targetValue: 20, unit: 'minutes' },
+        { text: 'Stretch', targetValue: 0, unit: 'minutes' },
+        { text: '  ', targetValue: null, unit: null },
+        { text: 'Sleep 8 hours', targetValue: 8, unit: 'hours' },
+        { text: 'Drink water', targetValue: null, unit: null },
+      ],
+    },
+  ],
+};
+
+// Chat model stand-in that answers structured-output calls with `parsed`
+function stubModel(parsed) {
+  const calls = [];
+  return {
+    calls,
+    bindTools() {},
+    withStructuredOutput(schema, options) {
+      return {
+        async invoke(messages) {
+          calls.push({ options, messages });
+          return { raw: { usage_metadata: { input_tokens: 200, output_tokens: 150 } }, parsed };
+        },
+      };
+    },
+  };
+}
+
+test('toGoalPlan orders milestones by week and dates each one at the end of its week', () => {
+  const plan = toGoalPlan(decomposition, { weeks: 4, start });
+
+  assert.deepEqual(plan.milestones.map(m => [m.text, m.targetDate]), [
+    ['Run 5 km', '2025-03-10'],
+    ['Run 8 km without stopping', '2025-03-17'],
+  ]);
+  // Blank tasks dropped, at most three kept, non-positive targets cleared
+  assert.deepEqual(plan.milestones[0].tasks, [
+    { text: 'Jog 20 minutes', targetValue: 20, unit: 'minutes' },
+    { text: 'Stretch', targetValue: null, unit: null },
+    { text: 'Sleep 8 hours', targetValue: 8, unit: 'hours' },
+  ]);
+});
+
+test('toGoalPlan keeps weeks within the requested range', () => {
+  const plan = toGoalPlan({ milestones: [{ ...decomposition.milestones[0], week: 9 }] }, { weeks: 2, start });
+  assert.equal(plan.milestones[0].targetDate, '2025-03-17');
+});
+
+test('decompose asks the model for the requested weeks and books the tokens', async () => {
+  const model = stubModel(decomposition);
+  const usage = [];
+  const decomposer = createGoalDecomposer({
+    getLLM: () => model,
+    isConfigured: () => true,
+    checkBudget: async () => ({ status: 'ok' }),
+    recordUsage: async (userId, response, modelName) => usage.push({ userId, response, modelName }),
+    now: () => start,
+  });
+
+  const plan = await decomposer.decompose('u1', goal, { weeks: 2, notes: 'I have a bad knee' });
+
+  assert.equal(plan.milestones.length, 2);
+  const prompt = model.calls[0].messages[1].content;
+  assert.match(prompt, /Run a half marathon/);
+  assert.match(prompt, /Target: 21 km/);
+  assert.match(prompt, /weeks 1-2/);
+  assert.match(prompt, /bad knee/);
+  assert.equal(usage.length, 1);
+  assert.equal(usage[0].userId, 'u1');
+});
+
+test('decompose is unavailable without a model that supports structured output', async () => {
+  const decomposer = createGoalDecomposer({ getLLM: () => ({}), isConfigured: () => true });
+  await assert.rejects(decomposer.decompose('u1', goal), { name: 'ServiceUnavailableError', status: 503 });
+});
+
+test('decompose refuses once the hard budget cap is reached', async () => {
+  const model = stubModel(decomposition);
+  const decomposer = createGoalDecomposer({
+    getLLM: () => model,
+    isConfigured: () => true,
+    checkBudget: async () => ({
+      status: 'hard',
+      exceeded: [{ level: 'hard', scope: 'user', period: 'daily' }],
+      resetsAt: Date.now() + 60_000,
+    }),
+  });
+
+  await assert.rejects(decomposer.decompose('u1', goal), { status: 429, code: 'QUOTA_EXCEEDED' });
+  assert.equal(model.calls.length, 0);
+});
+
+test('decompose fails when the model returns no usable milestones', async () => {
+  const decomposer = createGoalDecomposer({
+    getLLM: () => stubModel({ milestones: [{ week: 1, text: ' ', targetValue: null, unit: null, tasks: [] }] }),
+    isConfigured: () => true,
+  });
+  await assert.rejects(decomposer.decompose('u1', goal), { status: 503 });
+});
+
+test('rollUpProgress averages sub-goals up to the long-term goal', () => {
+  const progress = rollUpProgress([
+    { id: 'goal', completed: false },
+    { id: 'week1', parentId: 'goal', completed: true },
+    { id: 'week2', parentId: 'goal', completed: false },
+    { id: 'run', parentId: 'week2', completed: true },
+    { id: 'km', parentId: 'week2', completed: false, targetValue: 10, currentValue: 5 },
+    { id: 'week3', parentId: 'goal', completed: false },
+    { id: 'over', completed: false, targetValue: 4, currentValue: 6 },
+  ]);
+
+  assert.equal(progress.get('week2'), 0.75);
+  assert.equal(progress.get('week3'), 0);
+  assert.equal(progress.get('goal'), (1 + 0.75 + 0) / 3);
+  assert.equal(progress.get('over'), 1);
+});
@@ -0,0 +1,196 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+// Routers import db/index.js; serve them the in-memory fake instead
+register('./helpers/fakeDbHooks.js', import.meta.url);
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.LLM_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'silent';
+
+const { resetFakeDb, seed, goalService } = await import('./helpers/fakeDb.js');
+const { localDay, addDays, weekStart } = await import('../goals/days.js');
+const { GoalRollover } = await import('../jobs/goalRollover.js');
+const goalsRouter = (await import('../routes/goals.js')).default;
+
+let server;
+let baseUrl;
+let alice;
+let run;
+
+const TIME_ZONE = 'Pacific/Auckland';
+const today = () => localDay(new Date(), TIME_ZONE);
+const tokenFor = user => jwt.sign({ userId: user.id, role: 'user' }, process.env.JWT_SECRET);
+
+async function call(method, path, body) {
+  const response = await fetch(`${baseUrl}/api/goals${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokenFor(alice)}` },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/goals', goalsRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  resetFakeDb();
+  alice = seed('users', { email: 'alice@example.com', timezone: TIME_ZONE });
+  run = seed('goals', {
+    userId: alice.id,
+    text: 'Run',
+    category: 'fitness',
+    type: 'daily',
+    completed: false,
+    createdAt: new Date(Date.now() - 20 * 24 * 60 * 60 * 1000),
+  });
+});
+
+function logCompletions(goal, days) {
+  for (const day of days) {
+    seed('completions', { userId: alice.id, goalId: goal.id, goalText: goal.text, goalType: goal.type, category: goal.category, day });
+  }
+}
+
+test('completing a goal logs the user\'s local day; undoing it removes the entry', async () => {
+  const done = await call('PUT', `/${run.id}`, { completed: true });
+  assert.equal(done.status, 200);
+  assert.equal(done.body.data.completed, true);
+
+  let streaks = await call('GET', '/analytics/streaks');
+  assert.equal(streaks.body.data.completedToday, true);
+  assert.equal(streaks.body.data.current, 1);
+
+  await call('PUT', `/${run.id}`, { completed: false });
+  streaks = await call('GET', '/analytics/streaks');
+  assert.equal(streaks.body.data.completedToday, false);
+  assert.equal(streaks.body.data.current, 0);
+});
+
+test('GET / reopens daily goals completed on an earlier local day', async () => {
+  run.completed = true;
+  run.lastCompletedDate = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+  const marathon = seed('goals', { userId: alice.id, text: 'Marathon', type: 'longterm', completed: true, lastCompletedDate: run.lastCompletedDate });
+
+  const { body } = await call('GET', '');
+  const byId = Object.fromEntries(body.data.map(goal => [goal.id, goal.completed]));
+  assert.equal(byId[run.id], false);
+  assert.equal(byId[marathon.id], true);
+  assert.equal(run.completed, false); // saved, not just hidden
+});
+
+test('plan progress comes from the completion log, so it survives the rollover', async () => {
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const marathon = seed('goals', { userId: alice.id, text: 'Marathon', type: 'longterm', completed: false });
+  // This week's milestone, due today
+  const week = seed('goals', { userId: alice.id, text: 'Run 20 km', type: 'milestone', parentId: marathon.id, completed: false, targetDate: new Date() });
+  const plannedTask = text => seed('goals', {
+    userId: alice.id,
+    text,
+    type: 'daily',
+    parentId: week.id,
+    completed: true,
+    lastCompletedDate: yesterday,
+    createdAt: run.createdAt,
+  });
+  const jog = plannedTask('Jog');
+  const stretch = plannedTask('Stretch');
+  logCompletions(jog, [addDays(today(), -2), addDays(today(), -1)]);
+  logCompletions(stretch, [addDays(today(), -1)]);
+  // Done before the milestone's week, doesn't count towards it
+  logCompletions(jog, [addDays(today(), -8)]);
+
+  const { reset } = await new GoalRollover({ store: goalService }).tick();
+  assert.equal(reset, 2);
+  assert.equal(jog.completed, false);
+
+  const { body } = await call('GET', '');
+  const progress = Object.fromEntries(body.data.map(goal => [goal.id, goal.progress]));
+  assert.equal(progress[jog.id], 2 / 7);
+  assert.equal(progress[stretch.id], 1 / 7);
+  assert.equal(progress[week.id], 1.5 / 7);
+  assert.equal(progress[marathon.id], 1.5 / 7);
+});
+
+test('the rollover keeps a tick made after it read the stale goals', async () => {
+  run.completed = true;
+  run.lastCompletedDate = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+
+  // Alice ticks the goal for today while the job is between reading and resetting
+  const store = {
+    getCompletedDaily: async () => {
+      const stale = await goalService.getCompletedDaily();
+      await call('PUT', `/${run.id}`, { completed: true });
+      return stale;
+    },
+    resetDaily: (...args) => goalService.resetDaily(...args),
+  };
+  assert.deepEqual(await new GoalRollover({ store }).tick(), { reset: 0 });
+
+  assert.equal(run.completed, true);
+  const streaks = await call('GET', '/analytics/streaks');
+  assert.equal(streaks.body.data.completedToday, true);
+});
+
+test('streaks keep counting from yesterday until today is over', async () => {
+  logCompletions(run, [-6, -5, -3, -2, -1].map(offset => addDays(today(), offset)));
+
+  const { body } = await call('GET', '/analytics/streaks');
+  assert.equal(body.data.current, 3);
+  assert.equal(body.data.longest, 3);
+  assert.deepEqual(body.data.goals, [{ goalId: run.id, text: 'Run', current: 3, longest: 3 }]);
+});
+
+test('weekly and category analytics cover the requested weeks', async () => {
+  logCompletions(run, [addDays(today(), -1), today()]);
+
+  const weekly = await call('GET', '/analytics/weekly?weeks=3');
+  assert.equal(weekly.status, 200);
+  assert.equal(weekly.body.data.length, 3);
+  const completed = weekly.body.data.reduce((sum, week) => sum + week.completed, 0);
+  assert.equal(completed, 2);
+  for (const week of weekly.body.data) {
+    assert.ok(week.possible >= week.completed);
+  }
+
+  const categories = await call('GET', '/analytics/categories?weeks=3');
+  assert.equal(categories.body.data.weeks.length, 3);
+  assert.equal(categories.body.data.categories[0].category, 'fitness');
+  assert.equal(categories.body.data.categories[0].total, 2);
+});
+
+test('analytics reject out-of-range weeks', async () => {
+  const { status, body } = await call('GET', '/analytics/weekly?weeks=100');
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_ERROR');
+});
+
+test('the coach counts today and this week from the completion log, in local days', async () => {
+  const { getCoachingProfile } = await import('../LLM/userContext.js');
+  const read = seed('goals', { userId: alice.id, text: 'Read', type: 'daily', completed: false });
+  const walk = seed('goals', { userId: alice.id, text: 'Walk', type: 'daily', completed: false });
+  // Ticked today, then reopened by a rollover: the log still has it
+  logCompletions(run, [today()]);
+  if (today() !== weekStart(today())) logCompletions(read, [weekStart(today())]);
+  // Last week doesn't count, however recent
+  logCompletions(walk, [addDays(weekStart(today()), -1)]);
+
+  const { progress } = await getCoachingProfile(alice.id);
+  const thisWeek = today() === weekStart(today()) ? 1 : 2;
+  assert.match(progress, new RegExp(`Daily goals: 1 of 3 done today \\(Run\\), ${thisWeek} worked on this week\\.`));
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GoalNudgeScheduler, isNudgeDue, getUpcomingNudges } from '../jobs/goalNudges.js';
+
+// In-memory stand-in for goalService with the same once-a-day claim
+function createStore(goals) {
+  return {
+    goals,
+    async findNudgeCandidates(notNudgedSince) {
+      return goals
+        .filter(g => g.type === 'daily' && (!g.lastNudgedAt || g.lastNudgedAt < notNudgedSince))
+        .map(g => ({ ...g }));
+    },
+    async claimNudge(goal, nudgedAt) {
+      const current = goals.find(g => g.id === goal.id);
+      if ((current.lastNudgedAt?.getTime() ?? null) !== (goal.lastNudgedAt?.getTime() ?? null)) return false;
+      current.lastNudgedAt = nudgedAt;
+      return true;
+    },
+  };
+}
+
+function createClock(iso) {
+  let current = new Date(iso);
+  return {
+    now: () => new Date(current),
+    set: (value) => { current = new Date(value); },
+  };
+}
+
+const goal = (overrides) => ({
+  id: 'g1',
+  userId: 'u1',
+  text: 'Stretch',
+  type: 'daily',
+  completed: false,
+  lastCompletedDate: null,
+  lastNudgedAt: null,
+  ...overrides,
+});
+
+test('a daily goal is due from the nudge hour until it is done or nudged that day', () => {
+  const evening = new Date('2026-01-02T18:30:00Z');
+
+  assert.equal(isNudgeDue(goal(), new Date('2026-01-02T17:59:00Z'), { hour: 18 }), false);
+  assert.equal(isNudgeDue(goal(), evening, { hour: 18 }), true);
+  assert.equal(isNudgeDue(goal({ type: 'longterm' }), evening, { hour: 18 }), false);
+  assert.equal(isNudgeDue(goal({ completed: true, lastCompletedDate: new Date('2026-01-02T08:00:00Z') }), evening, { hour: 18 }), false);
+  // Ticked yesterday and not reset yet: still open today
+  assert.equal(isNudgeDue(goal({ completed: true, lastCompletedDate: new Date('2026-01-01T08:00:00Z') }), evening, { hour: 18 }), true);
+  assert.equal(isNudgeDue(goal({ lastNudgedAt: new Date('2026-01-02T18:05:00Z') }), evening, { hour: 18 }), false);
+  assert.equal(isNudgeDue(goal({ lastNudgedAt: new Date('2026-01-01T18:05:00Z') }), evening, { hour: 18 }), true);
+});
+
+test('upcoming nudges skip today once the goal is done or nudged', () => {
+  const morning = new Date('2026-01-02T08:00:00Z');
+  const times = (g) => getUpcomingNudges(g, morning, 2, { hour: 18 }).map(d => d.toISOString());
+
+  assert.deepEqual(times(goal()), ['2026-01-02T18:00:00.000Z', '2026-01-03T18:00:00.000Z']);
+  assert.deepEqual(
+    times(goal({ completed: true, lastCompletedDate: new Date('2026-01-02T07:00:00Z') })),
+    ['2026-01-03T18:00:00.000Z', '2026-01-04T18:00:00.000Z'],
+  );
+  assert.deepEqual(getUpcomingNudges(goal({ type: 'longterm' }), morning, 2, { hour: 18 }), []);
+});
+
+test('the nudge hour and the day are the user\'s own', () => {
+  const berlin = { hour: 18, timeZone: 'Europe/Berlin' };
+  const losAngeles = { hour: 18, timeZone: 'America/Los_Angeles' };
+
+  // 18:00 in Berlin is 17:00 UTC in winter
+  assert.equal(isNudgeDue(goal(), new Date('2026-01-02T16:59:00Z'), berlin), false);
+  assert.equal(isNudgeDue(goal(), new Date('2026-01-02T17:00:00Z'), berlin), true);
+  // Done at 20:00 on Jan 2 in Los Angeles, which is already Jan 3 in UTC
+  const doneLate = goal({ completed: true, lastCompletedDate: new Date('2026-01-03T04:00:00Z') });
+  assert.equal(isNudgeDue(doneLate, new Date('2026-01-03T05:00:00Z'), losAngeles), false);
+  assert.deepEqual(
+    getUpcomingNudges(doneLate, new Date('2026-01-03T05:00:00Z'), 1, losAngeles).map(d => d.toISOString()),
+    ['2026-01-04T02:00:00.000Z'],
+  );
+});
+
+test('nudges open daily goals once a day at the nudge hour', async () => {
+  const store = createStore([
+    goal(),
+    goal({ id: 'g2', completed: true, lastCompletedDate: new Date('2026-01-02T09:00:00Z') }),
+    goal({ id: 'g3', type: 'longterm' }),
+  ]);
+  const clock = createClock('2026-01-02T12:00:00Z');
+  const nudged = [];
+  const scheduler = new GoalNudgeScheduler({
+    store,
+    clock,
+    hour: 18,
+    deliver: async (g, scheduledFor) => { nudged.push([g.id, scheduledFor.toISOString()]); },
+  });
+
+  assert.deepEqual(await scheduler.tick(), { nudged: 0, skipped: 0, failed: 0 });
+
+  clock.set('2026-01-02T18:05:00Z');
+  assert.deepEqual(await scheduler.tick(), { nudged: 1, skipped: 0, failed: 0 });
+  assert.deepEqual(nudged, [['g1', '2026-01-02T18:00:00.000Z']]);
+
+  // Later the same evening: nothing new
+  clock.set('2026-01-02T23:00:00Z');
+  assert.deepEqual(await scheduler.tick(), { nudged: 0, skipped: 0, failed: 0 });
+
+  // Next day both goals are open again
+  clock.set('2026-01-03T18:00:00Z');
+  assert.deepEqual(await scheduler.tick(), { nudged: 2, skipped: 0, failed: 0 });
+
+  // A user in Berlin was due an hour earlier
+  store.goals.push(goal({ id: 'g4', user: { timezone: 'Europe/Berlin' } }));
+  clock.set('2026-01-04T17:30:00Z');
+  assert.deepEqual(await scheduler.tick(), { nudged: 1, skipped: 0, failed: 0 });
+  assert.deepEqual(nudged.at(-1), ['g4', '2026-01-04T17:00:00.000Z']);
+});
+
+test('overlapping runs nudge once, and a failed nudge does not stop the rest', async () => {
+  const store = createStore([goal(), goal({ id: 'g2' })]);
+  const clock = createClock('2026-01-02T19:00:00Z');
+  const nudged = [];
+  const deliver = async (g) => {
+    if (g.id === 'g1') throw new Error('push down');
+    nudged.push(g.id);
+  };
+
+  const first = new GoalNudgeScheduler({ store, clock, hour: 18, deliver });
+  const second = new GoalNudgeScheduler({ store, clock, hour: 18, deliver });
+
+  // Both read the same candidates before either claims
+  const candidates = await store.findNudgeCandidates(new Date('2026-01-02T00:00:00Z'));
+  store.findNudgeCandidates = async () => candidates.map(g => ({ ...g }));
+
+  assert.deepEqual(await first.tick(), { nudged: 1, skipped: 0, failed: 1 });
+  assert.deepEqual(await second.tick(), { nudged: 0, skipped: 2, failed: 0 });
+  assert.deepEqual(nudged, ['g2']);
+});
@@ -0,0 +1,148 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+// Routers import db/index.js; serve them the in-memory fake instead
+register('./helpers/fakeDbHooks.js', import.meta.url);
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.LLM_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'silent';
+
+const { resetFakeDb, seed } = await import('./helpers/fakeDb.js');
+const goalsRouter = (await import('../routes/goals.js')).default;
+
+let server;
+let baseUrl;
+let alice;
+let marathon;
+
+const tokenFor = user => jwt.sign({ userId: user.id, role: 'user' }, process.env.JWT_SECRET);
+
+async function call(method, path, user, body) {
+  const response = await fetch(`${baseUrl}/api/goals${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokenFor(user)}` },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const plan = {
+  milestones: [
+    {
+      text: 'Run 5 km',
+      targetDate: '2025-03-10',
+      targetValue: 5,
+      unit: 'km',
+      tasks: [{ text: 'Jog 20 minutes' }, { text: 'Stretch' }],
+    },
+    { text: 'Run 8 km', targetDate: '2025-03-17', tasks: [{ text: 'Easy 30 minute run' }] },
+  ],
+};
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/goals', goalsRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  resetFakeDb();
+  alice = seed('users', { email: 'alice@example.com' });
+  marathon = seed('goals', {
+    userId: alice.id,
+    text: 'Run a half marathon',
+    category: 'fitness',
+    priority: 'high',
+    type: 'longterm',
+    completed: false,
+  });
+});
+
+test('POST /:id/plan saves milestones and their daily tasks under the goal', async () => {
+  const { status, body } = await call('POST', `/${marathon.id}/plan`, alice, plan);
+
+  assert.equal(status, 201);
+  assert.deepEqual(body.data.map(m => [m.type, m.text, m.parentId]), [
+    ['milestone', 'Run 5 km', marathon.id],
+    ['milestone', 'Run 8 km', marathon.id],
+  ]);
+  const [week1] = body.data;
+  assert.equal(week1.targetValue, 5);
+  assert.deepEqual(week1.children.map(t => [t.type, t.text, t.category, t.priority]), [
+    ['daily', 'Jog 20 minutes', 'fitness', 'high'],
+    ['daily', 'Stretch', 'fitness', 'high'],
+  ]);
+});
+
+test('POST /:id/plan with replace swaps the existing plan', async () => {
+  await call('POST', `/${marathon.id}/plan`, alice, plan);
+  await call('POST', `/${marathon.id}/plan`, alice, {
+    milestones: [{ text: 'Run 10 km', tasks: [{ text: 'Long run on Sunday' }] }],
+    replace: true,
+  });
+
+  const { body } = await call('GET', '', alice);
+  assert.deepEqual(body.data.map(goal => goal.text).sort(), ['Long run on Sunday', 'Run 10 km', 'Run a half marathon']);
+});
+
+test('GET / rolls progress up from daily tasks to the long-term goal', async () => {
+  const { body: created } = await call('POST', `/${marathon.id}/plan`, alice, plan);
+  const [week1, week2] = created.data;
+  // Jogged every day of week 1 (up to its target date); daily tasks count logged days
+  const jog = week1.children[0];
+  for (const day of ['2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07', '2025-03-08', '2025-03-09', '2025-03-10']) {
+    seed('completions', { userId: alice.id, goalId: jog.id, goalText: jog.text, goalType: 'daily', category: jog.category, day });
+  }
+  await call('PUT', `/${week2.id}`, alice, { completed: true });
+
+  const { body } = await call('GET', '', alice);
+  const progress = Object.fromEntries(body.data.map(goal => [goal.text, goal.progress]));
+  assert.equal(progress['Run 5 km'], 0.5);
+  assert.equal(progress['Run 8 km'], 1);
+  assert.equal(progress['Run a half marathon'], 0.75);
+});
+
+test('decomposing or planning needs a long-term goal', async () => {
+  const daily = seed('goals', { userId: alice.id, text: 'Stretch', type: 'daily', completed: false });
+
+  const decompose = await call('POST', `/${daily.id}/decompose`, alice, {});
+  assert.equal(decompose.status, 400);
+  assert.equal(decompose.body.code, 'BAD_REQUEST');
+
+  const accept = await call('POST', `/${daily.id}/plan`, alice, plan);
+  assert.equal(accept.status, 400);
+});
+
+test('POST /:id/decompose is unavailable without a model that supports structured output', async () => {
+  const { status, body } = await call('POST', `/${marathon.id}/decompose`, alice, { weeks: 3 });
+  assert.equal(status, 503);
+  assert.equal(body.code, 'SERVICE_UNAVAILABLE');
+});
+
+test('sub-goals must follow longterm -> milestone -> daily under the same user', async () => {
+  const milestone = await call('POST', '', alice, { text: 'Run 5 km', type: 'milestone', parentId: marathon.id });
+  assert.equal(milestone.status, 201);
+
+  const nested = await call('POST', '', alice, { text: 'Half of it', type: 'longterm', parentId: milestone.body.data.id });
+  assert.equal(nested.status, 400);
+
+  const bob = seed('users', { email: 'bob@example.com' });
+  const foreign = await call('POST', '', bob, { text: 'Sneaky', parentId: marathon.id });
+  assert.equal(foreign.status, 404);
+
+  // A goal with milestones can't stop being long-term
+  const retype = await call('PUT', `/${marathon.id}`, alice, { type: 'daily' });
+  assert.equal(retype.status, 400);
+});
@@ -0,0 +1,329 @@
+/**
+ * In-memory stand-in for db/index.js, used by route integration tests
+ * (see fakeDbHooks.js). Only implements what the routers under test call.
+ */
+
+let nextId = 1;
+const tables = {
+  users: [],
+  messages: [],
+  reminders: [],
+  deliveries: [],
+  memories: [],
+  goals: [],
+  completions: [],
+  events: [],
+  sessions: [],
+  authTokens: [],
+  audit: [],
+  identities: [],
+  recoveryCodes: [],
+};
+
+export function resetFakeDb() {
+  for (const rows of Object.values(tables)) rows.length = 0;
+}
+
+export function seed(table, row) {
+  const record = { id: `${table}-${nextId++}`, createdAt: new Date(), ...row };
+  tables[table].push(record);
+  return record;
+}
+
+function notFound() {
+  return Object.assign(new Error('Record not found'), { code: 'P2025' });
+}
+
+// Basic CRUD over one table
+function collection(table) {
+  const rows = tables[table];
+  return {
+    async getById(id) {
+      return rows.find(row => row.id === id) || null;
+    },
+    async getByUser(userId) {
+      return rows.filter(row => row.userId === userId);
+    },
+    async create(data) {
+      return seed(table, data);
+    },
+    async update(id, data) {
+      const row = rows.find(r => r.id === id);
+      if (!row) throw notFound();
+      const defined = Object.fromEntries(Object.entries(data).filter(([, v]) => v !== undefined));
+      return Object.assign(row, defined);
+    },
+    async delete(id) {
+      const index = rows.findIndex(row => row.id === id);
+      if (index === -1) throw notFound();
+      return rows.splice(index, 1)[0];
+    },
+  };
+}
+
+export const userService = {
+  ...collection('users'),
+  async getAll() {
+    return [...tables.users];
+  },
+  async getByEmail(email) {
+    return tables.users.find(user => user.email === email) || null;
+  },
+  async getTimeZone(id) {
+    return tables.users.find(row => row.id === id)?.timezone || 'UTC';
+  },
+  async getAuthInfo(id) {
+    const user = tables.users.find(row => row.id === id);
+    return user ? { id: user.id, role: user.role || 'user', disabledAt: user.disabledAt || null } : null;
+  },
+  async search({ query, role, status, skip = 0, take = 50 } = {}) {
+    const matches = tables.users.filter(user =>
+      (!query || `${user.email} ${user.name || ''}`.toLowerCase().includes(query.toLowerCase()))
+      && (!role || (user.role || 'user') === role)
+      && (!status || (status === 'disabled') === Boolean(user.disabledAt)));
+    return { users: matches.slice(skip, skip + take), total: matches.length };
+  },
+  async recordTotpStep(id, step) {
+    const user = tables.users.find(row => row.id === id);
+    if (!user || (user.totpLastUsedStep != null && user.totpLastUsedStep >= step)) return false;
+    user.totpLastUsedStep = step;
+    return true;
+  },
+};
+
+export const messageService = {
+  ...collection('messages'),
+  async getConversation(userId) {
+    return tables.messages.filter(message => message.userId === userId);
+  },
+  async indexForSearch() {
+    return 0;
+  },
+  // Stands in for Postgres full-text search: words starting with a query term match
+  async search({ userId, query, role, from, to, before, take = 20, headlineOptions = '' }) {
+    const terms = query.toLowerCase().split(/\W+/).filter(Boolean);
+    const [, start = ''] = headlineOptions.match(/StartSel="([^"]*)"/) || [];
+    const [, stop = ''] = headlineOptions.match(/StopSel="([^"]*)"/) || [];
+    const isMatch = word => terms.some(term => word.toLowerCase().startsWith(term));
+    const newestFirst = (a, b) => b.createdAt - a.createdAt || (b.id > a.id ? 1 : -1);
+
+    return tables.messages
+      .filter(message => message.userId === userId
+        && message.text.split(/\W+/).some(isMatch)
+        && (!role || message.role === role)
+        && (!from || message.createdAt >= from)
+        && (!to || message.createdAt <= to)
+        && (!before || newestFirst(message, before) > 0))
+      .sort(newestFirst)
+      .slice(0, take)
+      .map(message => ({
+        ...message,
+        rank: 0.1,
+        headline: message.text.replace(/\w+/g, word => (isMatch(word) ? `${start}${word}${stop}` : word)),
+      }));
+  },
+  async getManyByIds(userId, ids) {
+    return tables.messages.filter(message => message.userId === userId && ids.includes(message.id));
+  },
+  async getAround(id, span = 20) {
+    const message = tables.messages.find(row => row.id === id);
+    if (!message) return null;
+    const thread = tables.messages
+      .filter(row => row.userId === message.userId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    const index = thread.indexOf(message);
+    return thread.slice(Math.max(0, index - span), index + span + 1);
+  },
+};
+
+export const reminderService = {
+  ...collection('reminders'),
+  async getUpcoming(userId) {
+    return tables.reminders.filter(reminder => reminder.userId === userId);
+  },
+  async markCompleted(id) {
+    return reminderService.update(id, { completed: true });
+  },
+};
+
+export const reminderDeliveryService = {
+  async getByUser(userId) {
+    return tables.deliveries.filter(delivery => delivery.userId === userId);
+  },
+};
+
+export const aiMemoryService = {
+  async getByUser(userId) {
+    return tables.memories.find(memory => memory.userId === userId) || null;
+  },
+  async upsert(userId, data) {
+    const existing = await aiMemoryService.getByUser(userId);
+    return existing ? Object.assign(existing, data) : seed('memories', { userId, ...data });
+  },
+  async saveVerified(userId, data) {
+    return aiMemoryService.upsert(userId, { ...data, manuallyVerified: true, lastSync: new Date() });
+  },
+  async updateGoals(userId, goals) {
+    return aiMemoryService.upsert(userId, { goals });
+  },
+  async updatePreferences(userId, preferences) {
+    return aiMemoryService.upsert(userId, { preferences });
+  },
+  async delete(userId) {
+    const index = tables.memories.findIndex(memory => memory.userId === userId);
+    if (index === -1) throw notFound();
+    return tables.memories.splice(index, 1)[0];
+  },
+};
+
+function revokeSessions(match, reason) {
+  const live = tables.sessions.filter(session => match(session) && !session.revokedAt);
+  live.forEach(session => Object.assign(session, { revokedAt: new Date(), revokedReason: reason }));
+  return live.length;
+}
+
+export const sessionService = {
+  ...collection('sessions'),
+  async findByHash(tokenHash) {
+    return tables.sessions.find(session => session.tokenHash === tokenHash) || null;
+  },
+  async revokeFamily(familyId, reason) {
+    return revokeSessions(session => session.familyId === familyId, reason);
+  },
+  async revokeAllForUser(userId, reason) {
+    return revokeSessions(session => session.userId === userId, reason);
+  },
+};
+
+export const authTokenService = {
+  ...collection('authTokens'),
+  async consume(tokenHash, purpose, now = new Date()) {
+    const token = tables.authTokens.find(row =>
+      row.tokenHash === tokenHash && row.purpose === purpose && !row.usedAt && row.expiresAt > now);
+    return token ? Object.assign(token, { usedAt: now }) : null;
+  },
+  async invalidateForUser(userId, purpose) {
+    const live = tables.authTokens.filter(row => row.userId === userId && row.purpose === purpose && !row.usedAt);
+    live.forEach(row => { row.usedAt = new Date(); });
+    return live.length;
+  },
+};
+
+export const recoveryCodeService = {
+  async replaceForUser(userId, codeHashes) {
+    await recoveryCodeService.deleteForUser(userId);
+    codeHashes.forEach(codeHash => seed('recoveryCodes', { userId, codeHash, usedAt: null }));
+  },
+  async consume(userId, codeHash, now = new Date()) {
+    const code = tables.recoveryCodes.find(row => row.userId === userId && row.codeHash === codeHash && !row.usedAt);
+    if (code) code.usedAt = now;
+    return Boolean(code);
+  },
+  async countRemaining(userId) {
+    return tables.recoveryCodes.filter(row => row.userId === userId && !row.usedAt).length;
+  },
+  async deleteForUser(userId) {
+    tables.recoveryCodes = tables.recoveryCodes.filter(row => row.userId !== userId);
+  },
+};
+
+export const adminAuditLogService = {
+  async record(entry) {
+    return seed('audit', entry);
+  },
+  async getRecent({ action } = {}) {
+    return tables.audit.filter(entry => !action || entry.action === action).reverse();
+  },
+};
+
+export const linkedIdentityService = {
+  ...collection('identities'),
+  async findByProviderSubject(provider, subject) {
+    return tables.identities.find(row => row.provider === provider && row.subject === subject) || null;
+  },
+  async touch(id, at) {
+    return linkedIdentityService.update(id, { lastUsedAt: at });
+  },
+  async delete(userId, provider) {
+    const index = tables.identities.findIndex(row => row.userId === userId && row.provider === provider);
+    if (index === -1) throw notFound();
+    return tables.identities.splice(index, 1)[0];
+  },
+};
+
+// Only used with RATE_LIMIT_STORE=postgres; tests use the memory store
+export const rateLimitService = {};
+
+// Imported by the usage tracker; tests never get past the LLM availability check
+export const tokenUsageService = {};
+export const usageLimitService = {};
+
+// Imported by the chat router; the routes under test never route or onboard
+export const routingDecisionService = {};
+export const onboardingSessionService = {};
+
+export const goalService = {
+  ...collection('goals'),
+  async getChildren(goalId) {
+    return tables.goals.filter(row => row.parentId === goalId);
+  },
+  async setCompleted(goalId, completed, { day, at = new Date() }) {
+    const goal = await goalService.update(goalId, completed ? { completed, lastCompletedDate: at } : { completed });
+    const index = tables.completions.findIndex(row => row.goalId === goalId && row.day === day);
+    if (completed && index === -1) {
+      seed('completions', {
+        userId: goal.userId,
+        goalId,
+        goalText: goal.text,
+        goalType: goal.type,
+        category: goal.category,
+        day,
+        completedAt: at,
+      });
+    } else if (!completed && index !== -1) {
+      tables.completions.splice(index, 1);
+    }
+    return goal;
+  },
+  async getCompletedDaily() {
+    return tables.goals
+      .filter(row => row.type === 'daily' && row.completed)
+      .map(row => ({ ...row, user: { timezone: tables.users.find(user => user.id === row.userId)?.timezone || 'UTC' } }));
+  },
+  async resetDaily(goalIds, { completedBefore }) {
+    const stale = tables.goals.filter(row => goalIds.includes(row.id) && row.type === 'daily' && row.completed
+      && (!row.lastCompletedDate || row.lastCompletedDate < completedBefore));
+    for (const row of stale) row.completed = false;
+    return stale.length;
+  },
+  async createPlan(goalId, { milestones, replace = false }) {
+    const goal = tables.goals.find(row => row.id === goalId);
+    if (!goal) throw notFound();
+    if (replace) {
+      // Sub-goals cascade, like the foreign key
+      const removed = new Set([goalId]);
+      for (const row of tables.goals) {
+        if (removed.has(row.parentId)) removed.add(row.id);
+      }
+      removed.delete(goalId);
+      for (let i = tables.goals.length - 1; i >= 0; i--) {
+        if (removed.has(tables.goals[i].id)) tables.goals.splice(i, 1);
+      }
+    }
+    const inherited = { userId: goal.userId, category: goal.category, priority: goal.priority, completed: false };
+    return milestones.map(({ tasks, ...milestone }) => {
+      const created = seed('goals', { ...inherited, ...milestone, type: 'milestone', parentId: goalId });
+      created.children = tasks.map(task => seed('goals', { ...inherited, ...task, type: 'daily', parentId: created.id }));
+      return created;
+    });
+  },
+};
+export const calendarEventService = collection('events');
+
+export const goalCompletionService = {
+  async getByUser(userId, { since } = {}) {
+    return tables.completions
+      .filter(row => row.userId === userId && (!since || row.day >= since))
+      .sort((a, b) => a.day.localeCompare(b.day));
+  },
+};
@@ -0,0 +1,16 @@
+/**
+ * Module resolve hook that swaps db/index.js for the in-memory fakeDb.js
+ * Register it before importing any router:
+ *   register('./helpers/fakeDbHooks.js', import.meta.url)
+ */
+
+const realDbUrl = new URL('../../db/index.js', import.meta.url).href;
+const fakeDbUrl = new URL('./fakeDb.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const result = await nextResolve(specifier, context);
+  if (result.url === realDbUrl) {
+    return { ...result, url: fakeDbUrl };
+  }
+  return result;
+}
@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Local OpenID Connect issuer for tests: serves a JWKS and signs ID tokens with its key.
+ * Point <PROVIDER>_ISSUER / <PROVIDER>_JWKS_URI at it to exercise the real verification path.
+ */
+export async function startMockIssuer({ kid = 'test-key' } = {}) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const keys = [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }];
+
+  const app = express();
+  app.get('/.well-known/jwks.json', (req, res) => {
+    res.json({ keys });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    jwksUri: `${issuer}/.well-known/jwks.json`,
+    // Sign an ID token; `options` can override the key, key ID or expiry
+    sign(claims, options = {}) {
+      return jwt.sign({ iss: issuer, ...claims }, options.privateKey || privateKey, {
+        algorithm: 'RS256',
+        keyid: options.kid || kid,
+        expiresIn: options.expiresIn || '5m',
+      });
+    },
+    close() {
+      server.close();
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, redact } from '../logging/logger.js';
+import { runWithRequestContext, getRequestContext } from '../logging/requestContext.js';
+
+function capture(options = {}) {
+  const lines = [];
+  const logger = createLogger({
+    clock: () => new Date('2025-06-01T08:00:00Z'),
+    write: line => lines.push(JSON.parse(line)),
+    ...options,
+  });
+  return { logger, lines };
+}
+
+test('writes one JSON object per entry', () => {
+  const { logger, lines } = capture();
+
+  logger.info('Goal created', { userId: 'u1', goalId: 'g1' });
+
+  assert.deepEqual(lines, [{ time: '2025-06-01T08:00:00.000Z', level: 'info', msg: 'Goal created', userId: 'u1', goalId: 'g1' }]);
+});
+
+test('drops entries below the configured level', () => {
+  const { logger, lines } = capture({ level: 'warn' });
+
+  logger.debug('noise');
+  logger.info('still noise');
+  logger.warn('careful');
+  logger.error('broken');
+
+  assert.deepEqual(lines.map(line => line.level), ['warn', 'error']);
+  assert.equal(capture({ level: 'silent' }).logger.isLevelEnabled('error'), false);
+});
+
+test('redacts credentials at any depth', () => {
+  const { logger, lines } = capture();
+
+  logger.info('Login', {
+    password: 'hunter2',
+    body: { refreshToken: 'rt', nested: { apiKey: 'sk-123', totpSecret: 'ABC' } },
+    headers: { authorization: 'Bearer abc' },
+    inputTokens: 120,
+  });
+
+  const [line] = lines;
+  assert.equal(line.password, '[REDACTED]');
+  assert.equal(line.headers.authorization, '[REDACTED]');
+  assert.equal(line.inputTokens, 120);
+  assert.doesNotMatch(JSON.stringify(line), /hunter2|sk-123|Bearer abc|"rt"|ABC/);
+});
+
+test('replaces user-written text with its length unless text logging is on', () => {
+  assert.deepEqual(redact({ message: 'I feel anxious', userId: 'u1' }), { message: '[REDACTED 14 chars]', userId: 'u1' });
+  assert.deepEqual(redact({ message: 'I feel anxious' }, { redactText: false }), { message: 'I feel anxious' });
+  assert.deepEqual(redact({ password: 'x' }, { redactText: false }), { password: '[REDACTED]' });
+});
+
+test('serializes errors with their stack', () => {
+  const { logger, lines } = capture();
+
+  logger.error('Failed to create goal', { err: Object.assign(new Error('boom'), { code: 'P2003' }) });
+
+  const [{ err }] = lines;
+  assert.equal(err.name, 'Error');
+  assert.equal(err.message, 'boom');
+  assert.equal(err.code, 'P2003');
+  assert.match(err.stack, /boom/);
+});
+
+test('adds the request context and child fields to every line', async () => {
+  const { logger, lines } = capture({ context: getRequestContext });
+  const chatLog = logger.child({ module: 'chat' });
+
+  await runWithRequestContext({ requestId: 'req-1' }, async () => {
+    await Promise.resolve();
+    chatLog.info('Chat request', { userId: 'u1' });
+  });
+  chatLog.info('Outside a request');
+
+  assert.equal(lines[0].requestId, 'req-1');
+  assert.equal(lines[0].module, 'chat');
+  assert.equal(lines[1].requestId, undefined);
+});
@@ -0,0 +1,116 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLoginLimiter, LIMIT_CODES } from '../rateLimit/loginLimiter.js';
+import { MemoryRateLimitStore } from '../rateLimit/stores.js';
+
+const MINUTE_MS = 60 * 1000;
+
+let now;
+let store;
+let limiter;
+
+const advance = (ms) => { now = new Date(now.getTime() + ms); };
+
+beforeEach(() => {
+  now = new Date('2025-01-01T00:00:00Z');
+  store = new MemoryRateLimitStore();
+  limiter = createLoginLimiter({
+    store,
+    clock: { now: () => now },
+    config: {
+      windowMs: 15 * MINUTE_MS,
+      ipMaxAttempts: 5,
+      delayAfter: 2,
+      delayBaseMs: 1000,
+      delayMaxMs: 8000,
+      lockAfter: 6,
+      lockMs: 15 * MINUTE_MS,
+      registerWindowMs: 60 * MINUTE_MS,
+      registerIpMax: 2,
+    },
+  });
+});
+
+// Fail a login for an email, waiting out any delay first
+async function fail(email, ip = '10.0.0.1') {
+  let limit = await limiter.checkLogin({ ip, email });
+  while (limit?.code === LIMIT_CODES.TOO_MANY_ATTEMPTS) {
+    advance(limit.retryAfter * 1000);
+    limit = await limiter.checkLogin({ ip, email });
+  }
+  assert.equal(limit, null);
+  return await limiter.recordFailure({ email });
+}
+
+test('attempts per IP are limited over a sliding window', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await limiter.checkLogin({ ip: '10.0.0.1', email: `user${i}@example.com` }), null);
+    advance(MINUTE_MS);
+  }
+
+  const limited = await limiter.checkLogin({ ip: '10.0.0.1', email: 'other@example.com' });
+  assert.equal(limited.code, LIMIT_CODES.RATE_LIMITED);
+  // The first attempt leaves the window 15 minutes after it was made
+  assert.equal(limited.retryAfter, 10 * 60);
+
+  assert.equal(await limiter.checkLogin({ ip: '10.0.0.2', email: 'other@example.com' }), null);
+
+  advance(limited.retryAfter * 1000);
+  assert.equal(await limiter.checkLogin({ ip: '10.0.0.1', email: 'other@example.com' }), null);
+});
+
+test('repeated failures for an email are delayed progressively', async () => {
+  await fail('alice@example.com', '10.0.0.1');
+  await fail('alice@example.com', '10.0.0.2');
+
+  const first = await limiter.checkLogin({ ip: '10.0.0.3', email: 'Alice@Example.com ' });
+  assert.equal(first.code, LIMIT_CODES.TOO_MANY_ATTEMPTS);
+  assert.equal(first.retryAfter, 1);
+
+  advance(1000);
+  await fail('alice@example.com');
+  const second = await limiter.checkLogin({ ip: '10.0.0.3', email: 'alice@example.com' });
+  assert.equal(second.retryAfter, 2);
+
+  // Other emails are unaffected
+  assert.equal(await limiter.checkLogin({ ip: '10.0.0.3', email: 'bob@example.com' }), null);
+});
+
+test('too many failures lock the email until the lock expires', async () => {
+  let lock = null;
+  for (let i = 0; i < 6; i++) {
+    lock = await fail('alice@example.com', `10.0.0.${i}`);
+  }
+  assert.equal(lock.code, LIMIT_CODES.ACCOUNT_LOCKED);
+  assert.equal(lock.retryAfter, 15 * 60);
+
+  const blocked = await limiter.checkLogin({ ip: '10.0.1.1', email: 'alice@example.com' });
+  assert.equal(blocked.code, LIMIT_CODES.ACCOUNT_LOCKED);
+  assert.deepEqual((await limiter.listLocks()).map(entry => entry.email), ['alice@example.com']);
+
+  advance(15 * MINUTE_MS);
+  assert.equal(await limiter.checkLogin({ ip: '10.0.1.1', email: 'alice@example.com' }), null);
+});
+
+test('a successful login or an admin unlock clears the failures', async () => {
+  await fail('alice@example.com');
+  await fail('alice@example.com');
+  await limiter.recordSuccess({ email: 'alice@example.com' });
+  assert.equal(await limiter.checkLogin({ ip: '10.0.0.9', email: 'alice@example.com' }), null);
+
+  for (let i = 0; i < 6; i++) {
+    await fail('bob@example.com', `10.0.2.${i}`);
+  }
+  assert.equal(await limiter.unlock('BOB@example.com'), true);
+  assert.equal(await limiter.checkLogin({ ip: '10.0.2.9', email: 'bob@example.com' }), null);
+  assert.equal(await limiter.unlock('bob@example.com'), false);
+});
+
+test('registrations per IP are limited', async () => {
+  assert.equal(await limiter.checkRegister({ ip: '10.0.0.1' }), null);
+  assert.equal(await limiter.checkRegister({ ip: '10.0.0.1' }), null);
+
+  const limited = await limiter.checkRegister({ ip: '10.0.0.1' });
+  assert.equal(limited.code, LIMIT_CODES.RATE_LIMITED);
+  assert.equal(limited.retryAfter, 60 * 60);
+});
@@ -0,0 +1,92 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LLM_PROVIDER = 'fake';
+delete process.env.QDRANT_URL;
+
+const {
+  InMemoryVectorStore,
+  configureMemoryStore,
+  addMemories,
+  rememberMessages,
+  searchMemories,
+  formatMemories,
+  isLocalMemoryStore,
+} = await import('../LLM/memoryStore.js');
+
+// Deterministic bag-of-words embeddings so tests don't call OpenAI
+const VOCAB = ['run', 'marathon', 'knee', 'pasta', 'recipe', 'sleep', 'python', 'learn'];
+const fakeEmbeddings = {
+  async embedQuery(text) {
+    const words = text.toLowerCase().split(/\W+/);
+    return VOCAB.map(term => words.filter(w => w.startsWith(term)).length);
+  },
+  async embedDocuments(texts) {
+    return Promise.all(texts.map(text => this.embedQuery(text)));
+  },
+};
+
+beforeEach(() => {
+  configureMemoryStore({ embeddings: fakeEmbeddings, local: true });
+});
+
+test('falls back to the in-memory store without QDRANT_URL', () => {
+  assert.equal(isLocalMemoryStore(), true);
+});
+
+test('returns the most relevant memories for the user', async () => {
+  await addMemories('user-1', [
+    { id: 'a', text: 'I want to run a marathon', role: 'user' },
+    { id: 'b', text: 'Here is a pasta recipe with tomatoes', role: 'assistant' },
+    { id: 'c', text: 'I need better sleep', role: 'user' },
+  ]);
+
+  const results = await searchMemories('user-1', 'that pasta recipe', { minScore: 0.1 });
+  assert.equal(results[0].id, 'b');
+  assert.equal(results[0].role, 'assistant');
+});
+
+test('keeps memories separate per user', async () => {
+  await addMemories('user-1', [{ text: 'I want to learn python' }]);
+  await addMemories('user-2', [{ text: 'My knee hurts when I run' }]);
+
+  const results = await searchMemories('user-2', 'learn python', { minScore: 0.1 });
+  assert.equal(results.length, 0);
+});
+
+test('excludes snippets already in the recent history', async () => {
+  await addMemories('user-1', [
+    { text: 'I want to run a marathon' },
+    { text: 'Running hurt my knee last marathon' },
+  ]);
+
+  const results = await searchMemories('user-1', 'marathon run', {
+    minScore: 0.1,
+    exclude: ['I want to run a marathon'],
+  });
+  assert.deepEqual(results.map(r => r.text), ['Running hurt my knee last marathon']);
+});
+
+test('re-adding a message with the same id does not duplicate it', async () => {
+  const message = { id: 'msg-1', text: 'I want to run a marathon', role: 'user', createdAt: new Date() };
+  await rememberMessages('user-1', [message, null]);
+  await rememberMessages('user-1', [message]);
+
+  const results = await searchMemories('user-1', 'marathon', { k: 5, minScore: 0.1 });
+  assert.equal(results.length, 1);
+});
+
+test('formats memories for the system prompt', () => {
+  const text = formatMemories([
+    { text: 'Try 20 minutes of stretching', role: 'assistant', createdAt: '2025-03-01T10:00:00.000Z' },
+  ]);
+  assert.equal(text, '- Coach (2025-03-01): Try 20 minutes of stretching');
+});
+
+test('InMemoryVectorStore ranks by cosine similarity', async () => {
+  const store = new InMemoryVectorStore(fakeEmbeddings);
+  await store.addDocuments([{ pageContent: 'sleep', metadata: {} }, { pageContent: 'run', metadata: {} }]);
+  const [[doc, score]] = await store.similaritySearchWithScore('run', 1);
+  assert.equal(doc.pageContent, 'run');
+  assert.equal(score, 1);
+});
@@ -0,0 +1,190 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMessageComposer,
+  parseVariants,
+  renderTemplate,
+  resolveTone,
+  variantIndex,
+} from '../notifications/messageComposer.js';
+import { createNotificationService } from '../notifications/notificationService.js';
+import { getUpcomingOccurrences } from '../jobs/reminderScheduler.js';
+import { getUpcomingNudges } from '../jobs/goalNudges.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const reminder = { kind: 'reminder', id: 'r1', title: 'Drink water' };
+
+// LLM stand-in that replies with a JSON array and counts calls
+function scriptedLLM(reply) {
+  const llm = {
+    calls: 0,
+    prompts: [],
+    async invoke(prompt) {
+      llm.calls++;
+      llm.prompts.push(prompt);
+      if (reply instanceof Error) throw reply;
+      return { content: reply };
+    },
+  };
+  return llm;
+}
+
+function composerWith(llm, overrides = {}) {
+  return createMessageComposer({
+    loadProfile: async () => ({ context: 'Summary: Sam\n', tone: 'firm', progress: 'Daily goals: 2 of 3 done today.' }),
+    getLLM: () => llm,
+    isConfigured: () => true,
+    ...overrides,
+  });
+}
+
+beforeEach(() => {
+  process.env.LLM_PROVIDER = 'fake';
+});
+
+test('tone preferences map onto template sets', () => {
+  assert.equal(resolveTone('encouraging'), 'encouraging');
+  assert.equal(resolveTone('Strict but fair'), 'firm');
+  assert.equal(resolveTone('supportive'), 'gentle');
+  assert.equal(resolveTone(''), 'neutral');
+  assert.equal(resolveTone('sarcastic'), 'neutral');
+
+  assert.match(renderTemplate('firm', 'Drink water', new Date(0)), /drink water/);
+  assert.notEqual(variantIndex(new Date(0), 3), variantIndex(new Date(DAY_MS), 3));
+});
+
+test('parses variants and rejects unusable replies', () => {
+  assert.deepEqual(parseVariants('Sure! ["Hydrate now.", "  Water time!  ", 3]'), ['Hydrate now.', 'Water time!']);
+  assert.deepEqual(parseVariants('no json here'), []);
+  assert.deepEqual(parseVariants('[not valid json'), []);
+  assert.deepEqual(parseVariants(JSON.stringify(['x'.repeat(500)])), []);
+});
+
+test('generates once per reminder and serves later days from the cache', async () => {
+  const llm = scriptedLLM('["Sip some water, Sam.", "Hydration check!", "Water break - now."]');
+  const usage = [];
+  const composer = composerWith(llm, { recordUsage: async (userId) => usage.push(userId) });
+
+  const day1 = await composer.compose('u1', reminder, new Date(0));
+  const day2 = await composer.compose('u1', reminder, new Date(DAY_MS));
+
+  assert.equal(llm.calls, 1);
+  assert.deepEqual(usage, ['u1']);
+  assert.equal(day1.source, 'llm');
+  assert.equal(day2.source, 'cache');
+  assert.equal(day1.title, 'Drink water');
+  assert.notEqual(day1.body, day2.body);
+  assert.match(llm.prompts[0], /Tone the user asked for: firm/);
+  assert.match(llm.prompts[0], /2 of 3 done today/);
+
+  // Cache is per user
+  await composer.compose('u2', reminder, new Date(0));
+  assert.equal(llm.calls, 2);
+});
+
+test('cache entries expire and a tone change regenerates', async () => {
+  let now = new Date(0);
+  let tone = 'firm';
+  const llm = scriptedLLM('["Go drink water."]');
+  const composer = composerWith(llm, {
+    ttlMs: DAY_MS,
+    clock: { now: () => now },
+    loadProfile: async () => ({ context: '', tone, progress: '' }),
+  });
+
+  await composer.compose('u1', reminder, now);
+  tone = 'gentle';
+  await composer.compose('u1', reminder, now);
+  assert.equal(llm.calls, 2);
+
+  now = new Date(2 * DAY_MS);
+  await composer.compose('u1', reminder, now);
+  assert.equal(llm.calls, 3);
+});
+
+test('falls back to templates when the LLM is unavailable, failing or over budget', async () => {
+  const unconfigured = composerWith(scriptedLLM('["unused"]'), { isConfigured: () => false });
+  const failing = composerWith(scriptedLLM(new Error('timeout')));
+  const garbage = composerWith(scriptedLLM('I cannot help with that'));
+  const llm = scriptedLLM('["unused"]');
+  const overBudget = composerWith(llm, { checkBudget: async () => ({ status: 'hard' }) });
+  const noProfile = composerWith(scriptedLLM(new Error('down')), {
+    loadProfile: async () => { throw new Error('db down'); },
+  });
+
+  for (const composer of [unconfigured, failing, garbage, overBudget]) {
+    const message = await composer.compose('u1', reminder, new Date(0));
+    assert.equal(message.source, 'template');
+    assert.equal(message.body, renderTemplate('firm', 'Drink water', new Date(0)));
+  }
+  assert.equal(llm.calls, 0);
+
+  const neutral = await noProfile.compose('u1', reminder, new Date(0));
+  assert.equal(neutral.body, renderTemplate('', 'Drink water', new Date(0)));
+  assert.equal(failing.getStats().fallbacks, 1);
+});
+
+test('reminder notifications use the composed text and preview matches delivery', async () => {
+  const sent = [];
+  const store = {
+    async getByUser() { return [{ id: 'd1', userId: 'u1', provider: 'fcm', platform: 'android' }]; },
+    async recordAttempt() {},
+    async markSuccess() {},
+  };
+  const composer = composerWith(scriptedLLM('["One.", "Two.", "Three."]'));
+  const service = createNotificationService({
+    store,
+    composer,
+    getAdapter: () => ({ name: 'test', isConfigured: () => true, async send(device, n) { sent.push(n); return { ok: true }; } }),
+  });
+
+  const daily = { id: 'r1', userId: 'u1', title: 'Drink water', dueDate: new Date(0), repeatType: 'DAILY' };
+  const occurrences = getUpcomingOccurrences(daily, 3);
+  assert.deepEqual(occurrences.map(d => d.getTime()), [0, DAY_MS, 2 * DAY_MS]);
+
+  const preview = [];
+  for (const scheduledFor of occurrences) {
+    preview.push((await composer.compose('u1', { kind: 'reminder', id: 'r1', title: daily.title }, scheduledFor)).body);
+  }
+  await service.notifyReminder(daily, { id: 'del1', scheduledFor: occurrences[1] });
+
+  assert.equal(sent[0].title, 'Drink water');
+  assert.equal(sent[0].body, preview[1]);
+  assert.deepEqual(getUpcomingOccurrences({ ...daily, repeatUntil: new Date(DAY_MS) }, 5).length, 2);
+  assert.deepEqual(getUpcomingOccurrences({ ...daily, repeatType: null }, 5).length, 1);
+});
+
+test('goal nudges are written about the goal and cached apart from reminders', async () => {
+  const sent = [];
+  const store = {
+    async getByUser(userId) { return userId === 'u1' ? [{ id: 'd1', userId: 'u1', provider: 'fcm', platform: 'android' }] : []; },
+    async recordAttempt() {},
+    async markSuccess() {},
+  };
+  const llm = scriptedLLM('["Goal one.", "Goal two."]');
+  const composer = composerWith(llm);
+  const service = createNotificationService({
+    store,
+    composer,
+    getAdapter: () => ({ name: 'test', isConfigured: () => true, async send(device, n) { sent.push(n); return { ok: true }; } }),
+  });
+
+  const goal = { id: 'g1', userId: 'u1', text: 'Drink water', type: 'daily' };
+  const [scheduledFor] = getUpcomingNudges(goal, new Date(0), 1, { hour: 18 });
+  const preview = await composer.compose('u1', { kind: 'goal', id: 'g1', title: goal.text }, scheduledFor);
+  await service.notifyGoal(goal, scheduledFor);
+
+  assert.match(llm.prompts[0], /working on their daily goal: "Drink water"/);
+  assert.deepEqual(sent[0], { title: 'Drink water', body: preview.body, data: { type: 'goal', goalId: 'g1' } });
+  assert.equal(llm.calls, 1);
+
+  // Same title as a reminder, still its own pool
+  await composer.compose('u1', reminder, scheduledFor);
+  assert.equal(llm.calls, 2);
+  assert.match(llm.prompts[1], /about their reminder/);
+
+  // Nobody to send to: no message generated, nothing thrown
+  const summary = await service.notifyGoal({ ...goal, userId: 'u2' }, scheduledFor);
+  assert.equal(summary.attempted, 0);
+  assert.equal(llm.calls, 2);
+});
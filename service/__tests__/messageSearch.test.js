@@ -0,0 +1,181 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+// Routers import db/index.js; serve them the in-memory fake instead
+register('./helpers/fakeDbHooks.js', import.meta.url);
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.LLM_PROVIDER = 'fake';
+delete process.env.QDRANT_URL;
+
+const { resetFakeDb, seed } = await import('./helpers/fakeDb.js');
+const { configureMemoryStore, resetMemoryStore, addMemories } = await import('../LLM/memoryStore.js');
+const { parseHeadline, buildSnippet, encodeCursor, HIGHLIGHT_START, HIGHLIGHT_END } = await import('../search/messageSearch.js');
+const messagesRouter = (await import('../routes/messages.js')).default;
+
+// Deterministic bag-of-words embeddings so tests don't call OpenAI
+const VOCAB = ['run', 'marathon', 'knee', 'pasta', 'recipe', 'sleep'];
+const fakeEmbeddings = {
+  async embedQuery(text) {
+    const words = text.toLowerCase().split(/\W+/);
+    return VOCAB.map(term => words.filter(w => w.startsWith(term)).length);
+  },
+  async embedDocuments(texts) {
+    return Promise.all(texts.map(text => this.embedQuery(text)));
+  },
+};
+
+let server;
+let baseUrl;
+
+const tokenFor = user => jwt.sign({ userId: user.id, role: 'user' }, process.env.JWT_SECRET);
+
+async function search(user, params) {
+  const response = await fetch(`${baseUrl}/api/messages/search?${new URLSearchParams(params)}`, {
+    headers: { Authorization: `Bearer ${tokenFor(user)}` },
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/messages', messagesRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  resetMemoryStore();
+});
+
+let alice;
+let bob;
+const day = n => new Date(Date.UTC(2025, 5, n, 12));
+
+beforeEach(() => {
+  resetFakeDb();
+  resetMemoryStore();
+  configureMemoryStore({ embeddings: fakeEmbeddings, local: true });
+  alice = seed('users', { email: 'alice@example.com' });
+  bob = seed('users', { email: 'bob@example.com' });
+});
+
+test('parseHeadline turns highlight markers into offsets', () => {
+  const snippet = parseHeadline(`my ${HIGHLIGHT_START}knee${HIGHLIGHT_END} hurts after the ${HIGHLIGHT_START}run${HIGHLIGHT_END}`);
+  assert.equal(snippet.text, 'my knee hurts after the run');
+  assert.deepEqual(snippet.highlights, [[3, 7], [24, 27]]);
+});
+
+test('buildSnippet centers long text on the first match', () => {
+  const text = `${'filler '.repeat(40)}my marathon training plan ${'more '.repeat(40)}`;
+  const snippet = buildSnippet(text, 'Marathon', 80);
+
+  assert.ok(snippet.text.startsWith('… '));
+  assert.ok(snippet.text.endsWith(' …'));
+  assert.ok(snippet.text.length <= 80 + 4);
+  const [[start, end]] = snippet.highlights;
+  assert.equal(snippet.text.slice(start, end), 'marathon');
+});
+
+test('keyword search returns the caller\'s matches newest first with highlights', async () => {
+  seed('messages', { userId: alice.id, role: 'user', text: 'My knee hurts after running', createdAt: day(1) });
+  seed('messages', { userId: alice.id, role: 'assistant', text: 'Rest the knee for a few days', createdAt: day(2) });
+  seed('messages', { userId: alice.id, role: 'user', text: 'What should I cook tonight?', createdAt: day(3) });
+  seed('messages', { userId: bob.id, role: 'user', text: 'My knee is fine', createdAt: day(4) });
+
+  const { status, body } = await search(alice, { q: 'knee' });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.results.map(r => r.text), ['Rest the knee for a few days', 'My knee hurts after running']);
+  assert.equal(body.data.nextCursor, null);
+
+  const [first] = body.data.results;
+  assert.equal(first.role, 'assistant');
+  assert.equal(first.createdAt, day(2).toISOString());
+  const [[start, end]] = first.snippet.highlights;
+  assert.equal(first.snippet.text.slice(start, end), 'knee');
+});
+
+test('keyword search filters by role and date range', async () => {
+  seed('messages', { userId: alice.id, role: 'user', text: 'Plan my run', createdAt: day(1) });
+  seed('messages', { userId: alice.id, role: 'assistant', text: 'Your run plan is ready', createdAt: day(5) });
+  seed('messages', { userId: alice.id, role: 'user', text: 'Another run today', createdAt: day(10) });
+
+  const byRole = await search(alice, { q: 'run', role: 'user' });
+  assert.deepEqual(byRole.body.data.results.map(r => r.text), ['Another run today', 'Plan my run']);
+
+  const byDate = await search(alice, { q: 'run', from: day(2).toISOString(), to: day(9).toISOString() });
+  assert.deepEqual(byDate.body.data.results.map(r => r.text), ['Your run plan is ready']);
+});
+
+test('keyword search pages with a cursor', async () => {
+  for (let n = 1; n <= 5; n++) {
+    seed('messages', { userId: alice.id, role: 'user', text: `sleep log ${n}`, createdAt: day(n) });
+  }
+
+  const seen = [];
+  let cursor;
+  do {
+    const { body } = await search(alice, { q: 'sleep', limit: '2', ...(cursor && { cursor }) });
+    seen.push(...body.data.results.map(r => r.text));
+    cursor = body.data.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, ['sleep log 5', 'sleep log 4', 'sleep log 3', 'sleep log 2', 'sleep log 1']);
+});
+
+test('semantic search ranks by similarity and skips deleted or filtered messages', async () => {
+  const running = seed('messages', { userId: alice.id, role: 'user', text: 'Training for a marathon, long run on Sunday', createdAt: day(1) });
+  const pasta = seed('messages', { userId: alice.id, role: 'assistant', text: 'Try this pasta recipe', createdAt: day(2) });
+  await addMemories(alice.id, [
+    { id: running.id, text: running.text, role: 'user' },
+    { id: pasta.id, text: pasta.text, role: 'assistant' },
+    { id: 'deleted-message', text: 'marathon pace chart', role: 'user' },
+  ]);
+
+  const { status, body } = await search(alice, { q: 'marathon running', mode: 'semantic' });
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.results.map(r => r.id), [running.id]);
+  assert.ok(body.data.results[0].score > 0);
+  const [[start, end]] = body.data.results[0].snippet.highlights;
+  assert.equal(body.data.results[0].snippet.text.slice(start, end), 'marathon');
+
+  const filtered = await search(alice, { q: 'marathon running', mode: 'semantic', role: 'assistant' });
+  assert.deepEqual(filtered.body.data.results, []);
+});
+
+test('rejects bad queries and cursors', async () => {
+  assert.equal((await search(alice, {})).body.code, 'VALIDATION_ERROR');
+  assert.equal((await search(alice, { q: 'run', mode: 'fuzzy' })).body.code, 'VALIDATION_ERROR');
+  assert.equal((await search(alice, { q: 'run', from: day(5).toISOString(), to: day(1).toISOString() })).status, 400);
+
+  const badCursor = await search(alice, { q: 'run', cursor: 'not-a-cursor' });
+  assert.equal(badCursor.status, 400);
+  assert.equal(badCursor.body.code, 'INVALID_CURSOR');
+
+  // A keyword cursor can't continue a semantic search
+  const keywordCursor = encodeCursor({ mode: 'keyword', createdAt: day(1).toISOString(), id: 'x' });
+  assert.equal((await search(alice, { q: 'run', mode: 'semantic', cursor: keywordCursor })).status, 400);
+});
+
+test('message context returns the thread around a message for its owner only', async () => {
+  const messages = [];
+  for (let n = 1; n <= 7; n++) {
+    messages.push(seed('messages', { userId: alice.id, role: 'user', text: `message ${n}`, createdAt: day(n) }));
+  }
+  const path = `${baseUrl}/api/messages/${messages[3].id}/context?span=2`;
+
+  const response = await fetch(path, { headers: { Authorization: `Bearer ${tokenFor(alice)}` } });
+  const body = await response.json();
+  assert.deepEqual(body.data.map(m => m.text), ['message 2', 'message 3', 'message 4', 'message 5', 'message 6']);
+
+  const forbidden = await fetch(path, { headers: { Authorization: `Bearer ${tokenFor(bob)}` } });
+  assert.equal(forbidden.status, 403);
+});
@@ -0,0 +1,151 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createNotificationService } from '../notifications/notificationService.js';
+import { getAdapterForDevice } from '../notifications/adapters/index.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'push-'));
+
+// In-memory stand-in for deviceService
+function createStore(devices) {
+  const attempts = [];
+  return {
+    devices,
+    attempts,
+    async getByUser(userId) {
+      return devices.filter(d => d.userId === userId);
+    },
+    async recordAttempt(attempt) {
+      attempts.push(attempt);
+    },
+    async markSuccess(id) {
+      devices.find(d => d.id === id).failureCount = 0;
+    },
+    async markFailure(id) {
+      return ++devices.find(d => d.id === id).failureCount;
+    },
+    async remove(id) {
+      devices.splice(devices.findIndex(d => d.id === id), 1);
+    },
+  };
+}
+
+const device = (id, overrides) => ({
+  id,
+  userId: 'u1',
+  token: `token-${id}`,
+  platform: 'android',
+  provider: 'fcm',
+  failureCount: 0,
+  ...overrides,
+});
+
+// Adapter whose result is decided per device token
+const scriptedAdapter = (results) => ({
+  name: 'scripted',
+  isConfigured: () => true,
+  async send(d) {
+    const result = results[d.token];
+    if (result instanceof Error) throw result;
+    return result;
+  },
+});
+
+beforeEach(() => {
+  delete process.env.PUSH_DELIVERY;
+  delete process.env.NOTIFICATION_OUTBOX_FILE;
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('sends to every device and records each attempt', async () => {
+  const store = createStore([device('a'), device('b', { platform: 'ios', provider: 'apns' })]);
+  const service = createNotificationService({
+    store,
+    getAdapter: () => scriptedAdapter({ 'token-a': { ok: true }, 'token-b': { ok: true } }),
+  });
+
+  const summary = await service.sendToUser('u1', { title: 'Hi', body: 'There' }, { reminderDeliveryId: 'rd1' });
+
+  assert.deepEqual(summary, { attempted: 2, sent: 2, failed: 0, pruned: 0 });
+  assert.deepEqual(store.attempts.map(a => [a.deviceId, a.status, a.reminderDeliveryId]), [['a', 'sent', 'rd1'], ['b', 'sent', 'rd1']]);
+});
+
+test('invalid tokens are pruned immediately', async () => {
+  const store = createStore([device('a'), device('b')]);
+  const service = createNotificationService({
+    store,
+    getAdapter: () => scriptedAdapter({
+      'token-a': { ok: false, error: 'FCM 404 UNREGISTERED', invalidToken: true },
+      'token-b': { ok: true },
+    }),
+  });
+
+  const summary = await service.sendToUser('u1', { title: 'Hi', body: 'There' });
+
+  assert.equal(summary.pruned, 1);
+  assert.deepEqual(store.devices.map(d => d.id), ['b']);
+  assert.equal(store.attempts[0].status, 'invalid_token');
+});
+
+test('repeated failures prune a device, a success resets the streak', async () => {
+  const store = createStore([device('a')]);
+  const results = { 'token-a': new Error('socket hang up') };
+  const service = createNotificationService({ store, maxFailures: 3, getAdapter: () => scriptedAdapter(results) });
+
+  await service.sendToUser('u1', { title: 'Hi', body: '1' });
+  await service.sendToUser('u1', { title: 'Hi', body: '2' });
+  results['token-a'] = { ok: true };
+  await service.sendToUser('u1', { title: 'Hi', body: '3' });
+  assert.equal(store.devices[0].failureCount, 0);
+
+  results['token-a'] = { ok: false, error: 'FCM 500' };
+  for (let i = 0; i < 3; i++) {
+    await service.sendToUser('u1', { title: 'Hi', body: 'retry' });
+  }
+  assert.equal(store.devices.length, 0);
+  assert.equal(store.attempts.filter(a => a.status === 'failed').length, 5);
+});
+
+test('unconfigured adapters fail without pruning on the first attempt', async () => {
+  const store = createStore([device('a')]);
+  const service = createNotificationService({
+    store,
+    getAdapter: () => ({ name: 'fcm', isConfigured: () => false }),
+  });
+
+  const summary = await service.sendToUser('u1', { title: 'Hi', body: 'There' });
+  assert.deepEqual(summary, { attempted: 1, sent: 0, failed: 1, pruned: 0 });
+  assert.match(store.attempts[0].error, /not configured/);
+});
+
+test('reminder delivery fails when the user has no devices', async () => {
+  const service = createNotificationService({ store: createStore([]) });
+
+  await assert.rejects(
+    service.notifyReminder({ id: 'r1', userId: 'u1', title: 'Stretch' }, { id: 'd1' }),
+    /No registered devices/,
+  );
+});
+
+test('local delivery is the default and writes to the outbox file', async () => {
+  const outbox = path.join(tmpDir, 'outbox', 'push.log');
+  process.env.NOTIFICATION_OUTBOX_FILE = outbox;
+  const store = createStore([device('a')]);
+  const service = createNotificationService({ store });
+
+  assert.equal(getAdapterForDevice(device('a')).name, 'local');
+  await service.notifyReminder({ id: 'r1', userId: 'u1', title: 'Stretch' }, { id: 'd1' });
+
+  const line = JSON.parse(fs.readFileSync(outbox, 'utf8').trim());
+  assert.equal(line.body, 'Stretch');
+  assert.equal(line.data.reminderId, 'r1');
+
+  process.env.PUSH_DELIVERY = 'live';
+  assert.equal(getAdapterForDevice(device('a')).name, 'fcm');
+  assert.equal(getAdapterForDevice(device('b', { provider: 'apns' })).name, 'apns');
+});
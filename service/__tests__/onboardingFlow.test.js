@@ -0,0 +1,178 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LLM_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'silent';
+
+const {
+  createOnboardingFlow,
+  parseCommand,
+  readAnswer,
+  nextStep,
+  emptyDraft,
+  toProfile,
+  MAX_ATTEMPTS,
+} = await import('../onboarding/flow.js');
+const { createOnboardingExtractor } = await import('../onboarding/extraction.js');
+
+const now = new Date('2025-03-01T10:00:00Z');
+
+let stored;
+let saved;
+
+// Flow over in-memory sessions; `extract` stands in for the LLM extractor (regex-only by default)
+function makeFlow(extract) {
+  const extractor = extract ? { extract } : createOnboardingExtractor({ isConfigured: () => false });
+  return createOnboardingFlow({
+    sessions: {
+      async getByUser(userId) {
+        return stored.get(userId) || null;
+      },
+      async save(userId, state) {
+        stored.set(userId, structuredClone(state));
+      },
+    },
+    extractor,
+    saveProfile: async (userId, payload) => saved.push({ userId, payload }),
+    now: () => now,
+  });
+}
+
+beforeEach(() => {
+  stored = new Map();
+  saved = [];
+});
+
+test('parseCommand recognizes the quick replies', () => {
+  assert.deepEqual(parseCommand('Skip'), { type: 'skip' });
+  assert.deepEqual(parseCommand('start over!'), { type: 'restart' });
+  assert.deepEqual(parseCommand('Looks good'), { type: 'confirm' });
+  assert.deepEqual(parseCommand('Change goals'), { type: 'edit', step: 'goals' });
+  assert.equal(parseCommand('I want to skip breakfast less'), null);
+});
+
+test('readAnswer reads a reply as the answer to the question asked', () => {
+  assert.equal(readAnswer('name', "Hi, I'm sam").summary, 'Sam');
+  assert.equal(readAnswer('name', 'What can you actually do for me?'), null);
+  assert.deepEqual(readAnswer('goals', 'Run a 10k, learn Spanish').goals, [
+    { text: 'Run a 10k', category: 'fitness' },
+    { text: 'learn Spanish', category: 'learning' },
+  ]);
+  assert.deepEqual(readAnswer('schedule', 'Evenings after 8pm; bad knee').preferences.constraints, ['Evenings after 8pm', 'bad knee']);
+  assert.equal(readAnswer('tone', 'Firm.').preferences.tone, 'firm');
+});
+
+test('walks through every question, then saves the confirmed profile as verified', async () => {
+  const flow = makeFlow();
+
+  let turn = await flow.handle('u1', '');
+  assert.match(turn.reply, /What should I call you\?/);
+  assert.deepEqual(turn.state, { step: 'name', quickReplies: ['Skip'] });
+
+  turn = await flow.handle('u1', 'Sam');
+  assert.match(turn.reply, /^Nice to meet you, Sam!/);
+  assert.equal(turn.state.step, 'goals');
+  assert.ok(turn.state.quickReplies.includes('Start over'));
+
+  turn = await flow.handle('u1', 'Run a half marathon; learn Rust');
+  assert.equal(turn.state.step, 'schedule');
+  turn = await flow.handle('u1', 'Mornings work best');
+  assert.equal(turn.state.step, 'tone');
+  turn = await flow.handle('u1', 'Encouraging');
+  assert.equal(turn.state.step, 'confirm');
+  assert.match(turn.reply, /- Goals: Run a half marathon; learn Rust/);
+
+  turn = await flow.handle('u1', 'Looks good');
+  assert.deepEqual(turn.state, { step: 'done', quickReplies: [] });
+  assert.deepEqual(saved, [{
+    userId: 'u1',
+    payload: {
+      summary: 'Sam',
+      goals: { 2025: [{ text: 'Run a half marathon', category: 'fitness' }, { text: 'learn Rust', category: 'learning' }] },
+      preferences: { tone: 'encouraging', constraints: ['Mornings work best'] },
+      _extractedAt: now,
+      _extractionConfidence: 'high',
+      _fieldConfidence: {
+        source: 'onboarding',
+        summary: 1,
+        goals: { 'Run a half marathon': 1, 'learn Rust': 1 },
+        constraints: { 'Mornings work best': 1 },
+        tone: 1,
+      },
+      _manuallyVerified: true,
+    },
+  }]);
+  assert.deepEqual(stored.get('u1').completedAt, now);
+
+  // Done: messages go to the coach from now on
+  assert.equal(await flow.handle('u1', 'Hello again'), null);
+});
+
+test('only asks for what an answer left out', async () => {
+  const flow = makeFlow(async (userId, text) => (text.includes('Jordan')
+    ? {
+      summary: 'Jordan',
+      goals: [{ text: 'get back into running', category: 'fitness' }],
+      preferences: { tone: 'firm' },
+      fieldConfidence: { source: 'llm', summary: 0.95, goals: { 'get back into running': 0.6 }, tone: 0.9 },
+    }
+    : null));
+
+  const turn = await flow.handle('u1', "Jordan here, I want to get back into running - be firm with me");
+  assert.equal(turn.state.step, 'schedule');
+  assert.match(turn.reply, /plan around/);
+
+  await flow.handle('u1', 'Skip');
+  const summary = stored.get('u1');
+  assert.equal(summary.step, 'confirm');
+  assert.deepEqual(summary.skipped, ['schedule']);
+
+  const profile = toProfile(summary.draft, summary.skipped);
+  assert.equal(profile.confidence, 'medium'); // the goal was only 0.6
+  assert.deepEqual(profile.warnings, ['Skipped schedule']);
+});
+
+test('moves on after repeated unusable answers instead of looping', async () => {
+  const flow = makeFlow();
+  await flow.handle('u1', '');
+
+  let turn;
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+    turn = await flow.handle('u1', 'What can you actually do for me?');
+    assert.match(turn.reply, /didn't quite catch that/);
+    assert.equal(turn.state.step, 'name');
+  }
+  turn = await flow.handle('u1', 'Is this even working right now??');
+  assert.equal(turn.state.step, 'goals');
+  assert.deepEqual(stored.get('u1').skipped, ['name']);
+});
+
+test('restarts and re-asks single questions on request', async () => {
+  const flow = makeFlow();
+  for (const message of ['', 'Sam', 'Learn Rust', 'Evenings', 'Gentle']) await flow.handle('u1', message);
+  assert.equal(stored.get('u1').step, 'confirm');
+
+  let turn = await flow.handle('u1', 'Change goals');
+  assert.equal(turn.state.step, 'goals');
+  turn = await flow.handle('u1', 'Sleep better');
+  assert.equal(turn.state.step, 'confirm');
+  assert.deepEqual(stored.get('u1').draft.goals, [{ text: 'Sleep better', category: 'health' }]);
+
+  turn = await flow.handle('u1', 'Start over');
+  assert.match(turn.reply, /^Sure, let's start over/);
+  assert.equal(turn.state.step, 'name');
+  assert.deepEqual(stored.get('u1').draft, emptyDraft());
+  assert.deepEqual(saved, []);
+});
+
+test('skipping everything finishes without saving an empty profile', async () => {
+  const flow = makeFlow();
+  await flow.handle('u1', '');
+  for (let i = 0; i < 4; i++) await flow.handle('u1', 'Skip');
+  assert.equal(nextStep(emptyDraft(), stored.get('u1').skipped), 'confirm');
+
+  const turn = await flow.handle('u1', 'Looks good');
+  assert.equal(turn.state.step, 'done');
+  assert.deepEqual(saved, []);
+  assert.deepEqual(await flow.getState('u1'), { step: 'done', quickReplies: [] });
+});
@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReminderScheduler, getNextOccurrence, addRepeatInterval } from '../jobs/reminderScheduler.js';
+
+// In-memory stand-in for reminderDeliveryService with the same once-only guarantees
+function createStore(reminders) {
+  const deliveries = [];
+  return {
+    reminders,
+    deliveries,
+    async findDue(now) {
+      return reminders
+        .filter(r => !r.completed && !r.deliveredAt && r.dueDate <= now)
+        .map(r => ({ ...r }));
+    },
+    async fire(reminder, { nextDueDate, firedAt }) {
+      const current = reminders.find(r => r.id === reminder.id);
+      const duplicate = deliveries.some(d => d.reminderId === reminder.id && d.scheduledFor.getTime() === reminder.dueDate.getTime());
+      if (duplicate || current.deliveredAt || current.dueDate.getTime() !== reminder.dueDate.getTime()) {
+        return null;
+      }
+      const delivery = {
+        id: `d${deliveries.length + 1}`,
+        reminderId: reminder.id,
+        scheduledFor: reminder.dueDate,
+        status: 'pending',
+        firedAt,
+      };
+      deliveries.push(delivery);
+      if (nextDueDate) current.dueDate = nextDueDate;
+      else current.deliveredAt = firedAt;
+      return delivery;
+    },
+    async markDelivered(id) {
+      deliveries.find(d => d.id === id).status = 'delivered';
+    },
+    async markFailed(id, error) {
+      Object.assign(deliveries.find(d => d.id === id), { status: 'failed', error });
+    },
+  };
+}
+
+function createClock(iso) {
+  let current = new Date(iso);
+  return {
+    now: () => new Date(current),
+    set: (value) => { current = new Date(value); },
+  };
+}
+
+const reminder = (overrides) => ({
+  id: 'r1',
+  userId: 'u1',
+  title: 'Stretch',
+  dueDate: new Date('2026-01-01T09:00:00Z'),
+  completed: false,
+  repeatType: null,
+  repeatUntil: null,
+  interval: null,
+  deliveredAt: null,
+  ...overrides,
+});
+
+test('repeat intervals for every repeat type', () => {
+  const start = new Date('2026-01-31T09:00:00Z');
+
+  assert.deepEqual(addRepeatInterval(start, 'DAILY'), new Date('2026-02-01T09:00:00Z'));
+  assert.deepEqual(addRepeatInterval(start, 'WEEKLY', 2), new Date('2026-02-14T09:00:00Z'));
+  assert.deepEqual(addRepeatInterval(start, 'MONTHLY'), new Date('2026-02-28T09:00:00Z'));
+  assert.deepEqual(addRepeatInterval(new Date('2028-02-29T09:00:00Z'), 'YEARLY'), new Date('2029-02-28T09:00:00Z'));
+  assert.deepEqual(addRepeatInterval(start, 'CUSTOM', 3), new Date('2026-02-03T09:00:00Z'));
+  assert.equal(addRepeatInterval(start, 'CUSTOM'), null);
+  assert.equal(addRepeatInterval(start, null), null);
+});
+
+test('next occurrence skips missed ones and stops at repeatUntil', () => {
+  const daily = reminder({ repeatType: 'DAILY' });
+
+  assert.deepEqual(
+    getNextOccurrence(daily, new Date('2026-01-04T12:00:00Z')),
+    new Date('2026-01-05T09:00:00Z'),
+  );
+  assert.equal(
+    getNextOccurrence({ ...daily, repeatUntil: new Date('2026-01-03T00:00:00Z') }, new Date('2026-01-02T12:00:00Z')),
+    null,
+  );
+});
+
+test('one-off reminders fire once', async () => {
+  const store = createStore([reminder()]);
+  const clock = createClock('2026-01-01T09:00:30Z');
+  const delivered = [];
+  const scheduler = new ReminderScheduler({ store, clock, deliver: async r => delivered.push(r.id) });
+
+  assert.deepEqual(await scheduler.tick(), { fired: 1, skipped: 0, failed: 0 });
+  clock.set('2026-01-01T09:05:00Z');
+  assert.deepEqual(await scheduler.tick(), { fired: 0, skipped: 0, failed: 0 });
+
+  assert.deepEqual(delivered, ['r1']);
+  assert.equal(store.deliveries[0].status, 'delivered');
+  assert.ok(store.reminders[0].deliveredAt);
+});
+
+test('weekly reminders advance until repeatUntil', async () => {
+  const store = createStore([reminder({
+    repeatType: 'WEEKLY',
+    repeatUntil: new Date('2026-01-15T23:59:59Z'),
+  })]);
+  const clock = createClock('2026-01-01T09:00:00Z');
+  const scheduler = new ReminderScheduler({ store, clock, deliver: async () => {} });
+
+  for (const day of ['2026-01-01', '2026-01-08', '2026-01-15', '2026-01-22']) {
+    clock.set(`${day}T09:01:00Z`);
+    await scheduler.tick();
+  }
+
+  assert.deepEqual(
+    store.deliveries.map(d => d.scheduledFor.toISOString().slice(0, 10)),
+    ['2026-01-01', '2026-01-08', '2026-01-15'],
+  );
+  assert.ok(store.reminders[0].deliveredAt);
+});
+
+test('a restarted scheduler does not fire the same occurrence again', async () => {
+  const store = createStore([reminder({ repeatType: 'DAILY' })]);
+  const clock = createClock('2026-01-01T09:00:30Z');
+  const stale = await store.findDue(clock.now()); // Read before the first instance fired
+
+  await new ReminderScheduler({ store, clock, deliver: async () => {} }).tick();
+
+  const restarted = new ReminderScheduler({ store, clock, deliver: async () => {} });
+  restarted.store = { ...store, findDue: async () => stale };
+  assert.deepEqual(await restarted.tick(), { fired: 0, skipped: 1, failed: 0 });
+  assert.equal(store.deliveries.length, 1);
+});
+
+test('delivery failures are recorded and do not block the reminder schedule', async () => {
+  const store = createStore([reminder({ repeatType: 'DAILY' })]);
+  const clock = createClock('2026-01-01T09:00:30Z');
+  const scheduler = new ReminderScheduler({
+    store,
+    clock,
+    deliver: async () => { throw new Error('push service down'); },
+  });
+
+  assert.deepEqual(await scheduler.tick(), { fired: 0, skipped: 0, failed: 1 });
+  assert.equal(store.deliveries[0].status, 'failed');
+  assert.equal(store.deliveries[0].error, 'push service down');
+  assert.deepEqual(store.reminders[0].dueDate, new Date('2026-01-02T09:00:00Z'));
+});
+
+test('a reminder that fails to fire does not hold up the others', async () => {
+  const store = createStore([reminder({ id: 'broken' }), reminder({ id: 'r2' })]);
+  const fire = store.fire;
+  store.fire = async (due, options) => {
+    if (due.id === 'broken') throw new Error('connection reset');
+    return fire(due, options);
+  };
+  const scheduler = new ReminderScheduler({ store, clock: createClock('2026-01-01T09:00:30Z') });
+
+  assert.deepEqual(await scheduler.tick(), { fired: 1, skipped: 0, failed: 1 });
+  assert.deepEqual(store.deliveries.map(d => d.reminderId), ['r2']);
+});
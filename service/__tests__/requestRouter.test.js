@@ -0,0 +1,99 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  routeRequest,
+  classifyIntent,
+  compileRoutingConfig,
+  getRoutingConfig,
+  resetRoutingConfig,
+} from '../LLM/requestRouter.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-'));
+
+beforeEach(() => {
+  delete process.env.ROUTING_CONFIG_PATH;
+  resetRoutingConfig();
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('sensitive questions go to the main model even when phrased as "what"', () => {
+  const route = routeRequest('what should I do about my depression');
+
+  assert.equal(route.model, 'main');
+  assert.equal(route.ruleId, 'sensitive-topics');
+  assert.equal(route.intent.name, 'emotional');
+});
+
+test('short factual questions and lists go to the cheap model', () => {
+  assert.equal(routeRequest('What is a tempo run?').ruleId, 'simple-lookup');
+  assert.equal(routeRequest('list my goals').model, 'cheap');
+  assert.equal(routeRequest('thanks!').ruleId, 'smalltalk');
+});
+
+test('crisis language is caught by the regex rule first', () => {
+  const route = routeRequest('sometimes I think about self-harm');
+  assert.equal(route.ruleId, 'crisis-language');
+  assert.equal(route.model, 'main');
+});
+
+test('budget and tier from the context change the route', () => {
+  const plan = 'Can you help me plan my week around marathon training?';
+
+  assert.equal(routeRequest(plan).ruleId, 'planning');
+  assert.equal(routeRequest(plan, { budget: 'soft' }).model, 'cheap');
+  assert.equal(routeRequest('What is a tempo run?', { tier: 'premium' }).ruleId, 'premium-tier');
+  // Sensitive topics outrank the soft cap
+  assert.equal(routeRequest('I feel so lonely lately', { budget: 'soft' }).model, 'main');
+});
+
+test('unmatched messages fall back to the default and the trace explains why', () => {
+  const route = routeRequest('Tell me something interesting about octopuses and why they are so smart');
+
+  assert.equal(route.ruleId, 'default');
+  assert.equal(route.model, 'main');
+  assert.ok(route.trace.every(entry => !entry.matched && entry.reason));
+});
+
+test('prefix keywords match word starts only', () => {
+  const config = compileRoutingConfig({
+    intents: { smalltalk: ['hi'], emotional: ['anxi*'] },
+    rules: [],
+  });
+
+  assert.equal(classifyIntent('this is high priority', config).name, 'general');
+  assert.equal(classifyIntent('hi there', config).name, 'smalltalk');
+  assert.equal(classifyIntent('feeling anxious', config).name, 'emotional');
+});
+
+test('invalid configs are rejected with a clear message', () => {
+  assert.throws(() => compileRoutingConfig({ rules: [{ id: 'x', model: 'huge' }] }), /"model" must be one of/);
+  assert.throws(() => compileRoutingConfig({ rules: [{ id: 'x', model: 'main', when: { colour: 'red' } }] }), /unknown condition/);
+  assert.throws(() => compileRoutingConfig({ rules: [{ id: 'x', model: 'main', when: { intent: ['nope'] } }] }), /unknown intent/);
+  assert.throws(() => compileRoutingConfig({ rules: [{ id: 'x', model: 'main', when: { pattern: '(' } }] }), /invalid pattern/);
+});
+
+test('config file edits are picked up without a restart, bad edits keep the last good rules', () => {
+  const file = path.join(tmpDir, 'routing.json');
+  process.env.ROUTING_CONFIG_PATH = file;
+
+  fs.writeFileSync(file, JSON.stringify({
+    default: 'cheap',
+    rules: [{ id: 'long', when: { minLength: 10 }, model: 'main' }],
+  }));
+  assert.equal(routeRequest('short').model, 'cheap');
+  assert.equal(routeRequest('a much longer message').ruleId, 'long');
+
+  fs.writeFileSync(file, JSON.stringify({ default: 'main', rules: [] }));
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+  assert.equal(routeRequest('short').model, 'main');
+
+  fs.writeFileSync(file, '{ not json');
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 10000));
+  assert.equal(getRoutingConfig().default, 'main');
+});
@@ -0,0 +1,118 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MemoryCacheBackend,
+  PostgresCacheBackend,
+  configureResponseCache,
+  createCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  invalidateUserCache,
+  getCacheStats,
+} from '../LLM/responseCache.js';
+
+const history = [
+  { role: 'assistant', content: 'How did your run go?' },
+  { role: 'user', content: 'Pretty good!' },
+];
+
+beforeEach(() => {
+  configureResponseCache({ backend: new MemoryCacheBackend({ maxEntries: 3 }), ttlMs: 60_000 });
+});
+
+test('keys cover the full message, not just the first words', () => {
+  const base = { userId: 'u1', userContext: 'Goals: run', history };
+
+  assert.notEqual(
+    createCacheKey({ ...base, message: 'I want to run a 5k next week' }),
+    createCacheKey({ ...base, message: 'I want to run a 5k next week but I hurt my knee' }),
+  );
+  assert.equal(
+    createCacheKey({ ...base, message: 'I want to run a 5k' }),
+    createCacheKey({ ...base, message: '  I want  to run a 5k ' }),
+  );
+});
+
+test('keys change with user context, recent history and user', () => {
+  const base = { userId: 'u1', message: 'What should I focus on?', userContext: 'Goals: run', history };
+  const key = createCacheKey(base);
+
+  assert.notEqual(key, createCacheKey({ ...base, userContext: 'Goals: sleep' }));
+  assert.notEqual(key, createCacheKey({ ...base, history: [...history, { role: 'user', content: 'hi' }] }));
+  assert.notEqual(key, createCacheKey({ ...base, userId: 'u2' }));
+});
+
+test('hits, misses and expiry are tracked', async () => {
+  configureResponseCache({ ttlMs: 0 });
+  await setCachedResponse('u1', 'expired', 'old');
+  assert.equal(await getCachedResponse('expired'), null);
+
+  configureResponseCache({ ttlMs: 60_000 });
+  await setCachedResponse('u1', 'k1', 'Hello!');
+  assert.equal(await getCachedResponse('k1'), 'Hello!');
+  assert.equal(await getCachedResponse('missing'), null);
+
+  const stats = await getCacheStats();
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.misses, 1);
+  assert.equal(stats.writes, 1);
+  assert.equal(stats.hitRate, 0.5);
+});
+
+test('memory backend evicts the least recently used entry', async () => {
+  await setCachedResponse('u1', 'a', 'A');
+  await setCachedResponse('u1', 'b', 'B');
+  await setCachedResponse('u1', 'c', 'C');
+  await getCachedResponse('a'); // a is now most recently used
+  await setCachedResponse('u1', 'd', 'D');
+
+  assert.equal(await getCachedResponse('b'), null);
+  assert.equal(await getCachedResponse('a'), 'A');
+  assert.equal((await getCacheStats()).evictions, 1);
+});
+
+test('invalidating a user only drops their entries', async () => {
+  await setCachedResponse('u1', 'a', 'A');
+  await setCachedResponse('u2', 'b', 'B');
+
+  assert.equal(await invalidateUserCache('u1'), 1);
+  assert.equal(await getCachedResponse('a'), null);
+  assert.equal(await getCachedResponse('b'), 'B');
+});
+
+test('postgres backend delegates to the store and evicts beyond the bound', async () => {
+  const rows = new Map();
+  const store = {
+    async get(key) { return rows.get(key) || null; },
+    async set(key, entry) { rows.set(key, { key, ...entry, lastUsedAt: new Date() }); },
+    async touch(key) { rows.get(key).lastUsedAt = new Date(); },
+    async delete(key) { rows.delete(key); },
+    async evictBeyond(max) {
+      const extra = [...rows.keys()].slice(0, Math.max(0, rows.size - max));
+      extra.forEach(key => rows.delete(key));
+      return extra.length;
+    },
+    async deleteByUser(userId) {
+      const keys = [...rows.values()].filter(row => row.userId === userId).map(row => row.key);
+      keys.forEach(key => rows.delete(key));
+      return keys.length;
+    },
+    async deleteAll() { const n = rows.size; rows.clear(); return n; },
+    async deleteExpired() { return 0; },
+    async count() { return rows.size; },
+  };
+
+  configureResponseCache({ backend: new PostgresCacheBackend(store, { maxEntries: 2 }) });
+  await setCachedResponse('u1', 'a', 'A');
+  await setCachedResponse('u1', 'b', 'B');
+  await setCachedResponse('u2', 'c', 'C');
+
+  assert.ok(rows.get('c').expiresAt instanceof Date);
+  assert.equal(await getCachedResponse('a'), null);
+  assert.equal(await getCachedResponse('c'), 'C');
+  assert.equal(await invalidateUserCache('u1'), 1);
+
+  const stats = await getCacheStats();
+  assert.equal(stats.backend, 'postgres');
+  assert.equal(stats.size, 1);
+});
@@ -0,0 +1,142 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { createSessionManager, hashToken, SessionError, SESSION_ERRORS } from '../auth/sessionManager.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory stand-in for sessionService with the same rotation semantics
+function createStore() {
+  const rows = [];
+  let nextId = 1;
+  const revoke = (row, reason) => Object.assign(row, { revokedAt: new Date(), revokedReason: reason });
+  return {
+    rows,
+    async create(data) {
+      const row = { id: `s${nextId++}`, revokedAt: null, replacedById: null, ...data };
+      rows.push(row);
+      return row;
+    },
+    async findByHash(tokenHash) {
+      return rows.find(row => row.tokenHash === tokenHash) || null;
+    },
+    async rotate(id, data) {
+      const old = rows.find(row => row.id === id);
+      if (old.revokedAt) return null;
+      const next = await this.create(data);
+      Object.assign(revoke(old, 'rotated'), { replacedById: next.id });
+      return next;
+    },
+    async revokeFamily(familyId, reason) {
+      const live = rows.filter(row => row.familyId === familyId && !row.revokedAt);
+      live.forEach(row => revoke(row, reason));
+      return live.length;
+    },
+    async revokeAllForUser(userId, reason) {
+      const live = rows.filter(row => row.userId === userId && !row.revokedAt);
+      live.forEach(row => revoke(row, reason));
+      return live.length;
+    },
+  };
+}
+
+let store;
+let now;
+let sessions;
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  store = createStore();
+  now = new Date('2025-01-01T00:00:00Z');
+  sessions = createSessionManager({ store, accessTtl: '15m', refreshTtlDays: 30, clock: { now: () => now } });
+});
+
+const rejectsWith = (promise, code) =>
+  assert.rejects(promise, error => error instanceof SessionError && error.code === code);
+
+test('login issues a short-lived access token and stores only the refresh token hash', async () => {
+  const tokens = await sessions.startSession('u1', { userAgent: 'jest', ip: '127.0.0.1' });
+
+  const payload = jwt.verify(tokens.token, 'test-secret');
+  assert.equal(payload.userId, 'u1');
+  assert.equal(payload.sid, store.rows[0].familyId);
+  assert.equal(tokens.expiresIn, 15 * 60);
+
+  assert.equal(store.rows.length, 1);
+  assert.equal(store.rows[0].tokenHash, hashToken(tokens.refreshToken));
+  assert.ok(!JSON.stringify(store.rows).includes(tokens.refreshToken));
+  assert.equal(store.rows[0].userAgent, 'jest');
+});
+
+test('refreshing rotates the token within the same family', async () => {
+  const first = await sessions.startSession('u1');
+  const second = await sessions.refresh(first.refreshToken);
+
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(jwt.verify(second.token, 'test-secret').userId, 'u1');
+  assert.equal(store.rows.length, 2);
+  assert.equal(store.rows[0].revokedReason, 'rotated');
+  assert.equal(store.rows[0].replacedById, store.rows[1].id);
+  assert.equal(store.rows[1].familyId, store.rows[0].familyId);
+
+  // The new token keeps working
+  await sessions.refresh(second.refreshToken);
+});
+
+test('reusing a rotated token revokes the whole family', async () => {
+  const stolen = await sessions.startSession('u1');
+  const other = await sessions.startSession('u1'); // another device
+  const legit = await sessions.refresh(stolen.refreshToken);
+
+  await rejectsWith(sessions.refresh(stolen.refreshToken), SESSION_ERRORS.REUSED);
+
+  // The legitimate client's newer token is dead too, other devices are untouched
+  await rejectsWith(sessions.refresh(legit.refreshToken), SESSION_ERRORS.REVOKED);
+  await sessions.refresh(other.refreshToken);
+  assert.ok(store.rows.some(row => row.revokedReason === 'reuse'));
+});
+
+test('unknown and expired tokens are rejected', async () => {
+  await rejectsWith(sessions.refresh('made-up'), SESSION_ERRORS.INVALID);
+  await rejectsWith(sessions.refresh(undefined), SESSION_ERRORS.INVALID);
+
+  const tokens = await sessions.startSession('u1');
+  now = new Date(now.getTime() + 31 * DAY_MS);
+  await rejectsWith(sessions.refresh(tokens.refreshToken), SESSION_ERRORS.EXPIRED);
+});
+
+test('logout ends one session, logout-all ends every session', async () => {
+  const phone = await sessions.startSession('u1');
+  const tablet = await sessions.startSession('u1');
+  const otherUser = await sessions.startSession('u2');
+
+  assert.equal(await sessions.endSession(phone.refreshToken), true);
+  assert.equal(await sessions.endSession('made-up'), false);
+  await rejectsWith(sessions.refresh(phone.refreshToken), SESSION_ERRORS.REVOKED);
+
+  const rotated = await sessions.refresh(tablet.refreshToken);
+  assert.equal(await sessions.endAllSessions('u1'), 1);
+  await rejectsWith(sessions.refresh(rotated.refreshToken), SESSION_ERRORS.REVOKED);
+  await sessions.refresh(otherUser.refreshToken);
+});
+
+test('the access token carries the current role and disabled accounts cannot refresh', async () => {
+  const accounts = { u1: { role: 'user', disabled: false } };
+  sessions = createSessionManager({
+    store,
+    clock: { now: () => now },
+    loadClaims: async (userId) => (accounts[userId].disabled ? null : { role: accounts[userId].role }),
+  });
+
+  const tokens = await sessions.startSession('u1');
+  assert.equal(jwt.verify(tokens.token, 'test-secret').role, 'user');
+
+  accounts.u1.role = 'coach';
+  const promoted = await sessions.refresh(tokens.refreshToken);
+  assert.equal(jwt.verify(promoted.token, 'test-secret').role, 'coach');
+
+  accounts.u1.disabled = true;
+  await rejectsWith(sessions.refresh(promoted.refreshToken), SESSION_ERRORS.DISABLED);
+  await rejectsWith(sessions.startSession('u1'), SESSION_ERRORS.DISABLED);
+  assert.ok(store.rows.every(row => row.revokedAt));
+});
@@ -0,0 +1,164 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import express from 'express';
+import bcrypt from 'bcrypt';
+import { generateCode, verifyCode, timeStep, base32Encode, buildOtpauthUri } from '../auth/totp.js';
+
+// Routers import db/index.js; serve them the in-memory fake instead
+register('./helpers/fakeDbHooks.js', import.meta.url);
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOGIN_LOCK_AFTER = '3';
+process.env.LOGIN_DELAY_AFTER = '5';
+
+const { resetFakeDb, seed } = await import('./helpers/fakeDb.js');
+const authRouter = (await import('../routes/auth.js')).default;
+
+// RFC 6238 appendix B, SHA-1 secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('generates the RFC 6238 reference codes', () => {
+  assert.equal(generateCode(RFC_SECRET, timeStep(new Date(59 * 1000)), 8), '94287082');
+  assert.equal(generateCode(RFC_SECRET, timeStep(new Date(1111111109 * 1000)), 8), '07081804');
+});
+
+test('accepts codes one step either side and returns the matching step', () => {
+  const date = new Date(1111111109 * 1000);
+  const step = timeStep(date);
+
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { date }), step - 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { date }), step + 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { date }), null);
+  assert.equal(verifyCode(RFC_SECRET, 'abcdef', { date }), null);
+});
+
+test('builds an otpauth URI authenticator apps understand', () => {
+  const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, account: 'alice@example.com', issuer: 'AI Life Coach' }));
+
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/AI Life Coach:alice@example.com');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('issuer'), 'AI Life Coach');
+});
+
+let server;
+let baseUrl;
+
+async function call(method, path, { body, token } = {}) {
+  const response = await fetch(`${baseUrl}/api/auth${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const codeAt = (secret, offset = 0) => generateCode(secret, timeStep(new Date()) + offset);
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+let alice;
+let accessToken;
+beforeEach(async () => {
+  resetFakeDb();
+  alice = seed('users', {
+    email: `alice-${Date.now()}@example.com`, // Fresh limiter key per test
+    name: 'Alice',
+    passwordHash: await bcrypt.hash('password', 4),
+  });
+  accessToken = (await call('POST', '/login', { body: { email: alice.email, password: 'password' } })).body.data.token;
+});
+
+// Setup + enable; returns the secret and recovery codes
+async function enroll() {
+  const setup = await call('POST', '/2fa/setup', { token: accessToken });
+  assert.equal(setup.status, 200);
+  const { secret } = setup.body.data;
+  const enabled = await call('POST', '/2fa/enable', { token: accessToken, body: { code: codeAt(secret) } });
+  assert.equal(enabled.status, 200);
+  return { secret, recoveryCodes: enabled.body.data.recoveryCodes };
+}
+
+test('setup returns a QR code and stays off until a code confirms it', async () => {
+  const setup = await call('POST', '/2fa/setup', { token: accessToken });
+
+  assert.match(setup.body.data.otpauthUri, /^otpauth:\/\/totp\//);
+  assert.match(setup.body.data.qrCode, /^data:image\/png;base64,/);
+  assert.notEqual(alice.totpSecret, setup.body.data.secret, 'secret is stored encrypted');
+  assert.equal((await call('GET', '/2fa', { token: accessToken })).body.data.enabled, false);
+
+  const wrong = await call('POST', '/2fa/enable', { token: accessToken, body: { code: '000000' } });
+  assert.equal(wrong.status, 400);
+  assert.equal(wrong.body.code, 'INVALID_CODE');
+});
+
+test('login with 2FA on returns a challenge, then a session for a valid code used once', async () => {
+  const { secret, recoveryCodes } = await enroll();
+  assert.equal(recoveryCodes.length, 10);
+
+  const login = await call('POST', '/login', { body: { email: alice.email, password: 'password' } });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.data.twoFactorRequired, true);
+  assert.equal(login.body.data.token, undefined);
+  const { challengeToken } = login.body.data;
+
+  // The challenge is not an access token
+  assert.equal((await call('GET', '/me', { token: challengeToken })).status, 403);
+
+  // The code that enabled 2FA can't be replayed
+  const replay = await call('POST', '/login/2fa', { body: { challengeToken, code: codeAt(secret) } });
+  assert.equal(replay.status, 401);
+
+  const ok = await call('POST', '/login/2fa', { body: { challengeToken, code: codeAt(secret, 1) } });
+  assert.equal(ok.status, 200);
+  assert.ok(ok.body.data.token && ok.body.data.refreshToken);
+  assert.equal(ok.body.data.user.totpSecret, undefined);
+
+  const again = await call('POST', '/login/2fa', { body: { challengeToken, code: codeAt(secret, 1) } });
+  assert.equal(again.status, 401);
+});
+
+test('recovery codes work once each and can turn 2FA off', async () => {
+  const { recoveryCodes } = await enroll();
+  const { challengeToken } = (await call('POST', '/login', { body: { email: alice.email, password: 'password' } })).body.data;
+
+  const first = await call('POST', '/login/2fa', { body: { challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() } });
+  assert.equal(first.status, 200);
+  const reused = await call('POST', '/login/2fa', { body: { challengeToken, recoveryCode: recoveryCodes[0] } });
+  assert.equal(reused.status, 401);
+  assert.equal((await call('GET', '/2fa', { token: accessToken })).body.data.recoveryCodesRemaining, 9);
+
+  const disabled = await call('POST', '/2fa/disable', { token: accessToken, body: { recoveryCode: recoveryCodes[1] } });
+  assert.equal(disabled.status, 200);
+  const login = await call('POST', '/login', { body: { email: alice.email, password: 'password' } });
+  assert.ok(login.body.data.token, 'password alone signs in again');
+});
+
+test('wrong codes count toward the login lockout', async () => {
+  await enroll();
+  const { challengeToken } = (await call('POST', '/login', { body: { email: alice.email, password: 'password' } })).body.data;
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    statuses.push((await call('POST', '/login/2fa', { body: { challengeToken, code: '000000' } })).status);
+  }
+
+  assert.deepEqual(statuses, [401, 401, 429]);
+});
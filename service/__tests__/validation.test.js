@@ -0,0 +1,126 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+// Routers import db/index.js; serve them the in-memory fake instead
+register('./helpers/fakeDbHooks.js', import.meta.url);
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { resetFakeDb, seed } = await import('./helpers/fakeDb.js');
+const reminderRouter = (await import('../routes/reminders.js')).default;
+const goalRouter = (await import('../routes/goals.js')).default;
+const calendarRouter = (await import('../routes/calendar.js')).default;
+const authRouter = (await import('../routes/auth.js')).default;
+
+let server;
+let baseUrl;
+let alice;
+
+async function call(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${jwt.sign({ userId: alice.id, role: 'user' }, process.env.JWT_SECRET)}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRouter);
+  app.use('/api/reminders', reminderRouter);
+  app.use('/api/goals', goalRouter);
+  app.use('/api/calendar', calendarRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  resetFakeDb();
+  alice = seed('users', { email: 'alice@example.com', name: 'Alice' });
+});
+
+test('reminders reject a repeatType outside the RepeatType enum', async () => {
+  const response = await call('POST', '/api/reminders', {
+    title: 'Stretch',
+    dueDate: '2025-06-01T08:00:00Z',
+    repeatType: 'weekly',
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.success, false);
+  assert.equal(response.body.code, 'VALIDATION_ERROR');
+  assert.deepEqual(response.body.details.map(({ location, path }) => ({ location, path })), [
+    { location: 'body', path: 'repeatType' },
+  ]);
+
+  const ok = await call('POST', '/api/reminders', { title: 'Stretch', dueDate: '2025-06-01T08:00:00Z', repeatType: 'WEEKLY' });
+  assert.equal(ok.status, 201);
+});
+
+test('every invalid field is reported with its path', async () => {
+  const response = await call('POST', '/api/calendar', {
+    title: '',
+    date: '06/01/2025',
+    time: '25:00',
+    recurringDays: [1, 9],
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.details.map(issue => issue.path).sort(), ['date', 'recurringDays.1', 'time', 'title']);
+  assert.equal(response.body.error, response.body.details[0].message);
+});
+
+test('query parameters are coerced and checked', async () => {
+  assert.equal((await call('GET', '/api/reminders/upcoming/me?days=7')).status, 200);
+
+  const response = await call('GET', '/api/reminders/upcoming/me?days=lots');
+  assert.equal(response.status, 400);
+  assert.equal(response.body.details[0].location, 'query');
+  assert.equal(response.body.details[0].path, 'days');
+});
+
+test('handlers get parsed bodies with defaults and without unknown keys', async () => {
+  const response = await call('POST', '/api/goals', { text: 'Run 5k', userId: 'someone-else', admin: true });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.userId, alice.id);
+  assert.equal(response.body.data.type, 'daily');
+  assert.equal(response.body.data.priority, 'medium');
+  assert.equal(response.body.data.admin, undefined);
+});
+
+test('validation runs after authentication', async () => {
+  const response = await fetch(`${baseUrl}/api/goals`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({}),
+  });
+
+  assert.equal(response.status, 401);
+});
+
+test('auth routes share the same error shape', async () => {
+  const response = await fetch(`${baseUrl}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'not-an-email', password: '123' }),
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(body.details.map(issue => issue.path), ['email', 'password']);
+});
@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import { hashToken } from './sessionManager.js';
+
+/**
+ * Single-use account tokens (password reset, email verification)
+ *
+ * Tokens are mailed to the user and stored only as sha256 hashes. Each one can be used
+ * once before it expires, and issuing a new token retires the user's older tokens for the
+ * same purpose, so only the most recent email works.
+ *
+ * `store` is authTokenService from db/index.js (injected so this can run without a database).
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+export const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+};
+
+export function createAccountTokens({
+  store,
+  ttlMinutes = {
+    [TOKEN_PURPOSES.PASSWORD_RESET]: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    [TOKEN_PURPOSES.EMAIL_VERIFICATION]: (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60,
+  },
+  clock = { now: () => new Date() },
+} = {}) {
+  if (!store) throw new Error('Account tokens require a store');
+
+  function ttlFor(purpose) {
+    const minutes = ttlMinutes[purpose];
+    if (!minutes) throw new Error(`Unknown token purpose: ${purpose}`);
+    return minutes * MINUTE_MS;
+  }
+
+  /**
+   * Create a token for a user; returns the raw token to mail (never stored)
+   */
+  async function issue(userId, purpose) {
+    const expiresAt = new Date(clock.now().getTime() + ttlFor(purpose));
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await store.invalidateForUser(userId, purpose);
+    await store.create({ userId, purpose, tokenHash: hashToken(token), expiresAt });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Use a token; returns the user ID it was issued to, or null if it is
+   * unknown, expired, already used or meant for another purpose
+   */
+  async function consume(token, purpose) {
+    ttlFor(purpose);
+    if (!token || typeof token !== 'string') return null;
+
+    const record = await store.consume(hashToken(token.trim()), purpose, clock.now());
+    return record ? record.userId : null;
+  }
+
+  return { issue, consume };
+}
@@ -0,0 +1,100 @@
+import { IdentityError, IDENTITY_ERRORS } from './idTokenVerifier.js';
+import { logger } from '../logging/index.js';
+
+/**
+ * Sign-in with external identities (Google, Apple) and account linking
+ *
+ * A verified ID token signs in the user its identity is linked to. An identity we haven't
+ * seen before is linked to the account with the same email, but only when both sides have
+ * verified that email - otherwise someone could register a victim's address with a password
+ * (or at a provider) and share the account. Failing that, a new passwordless account is created.
+ *
+ * `identities` is linkedIdentityService and `users` is userService from db/index.js
+ * (injected so this can run without a database).
+ */
+export function createFederatedAuth({
+  verifier,
+  identities,
+  users,
+  clock = { now: () => new Date() },
+}) {
+  /**
+   * Sign in (or sign up) with an ID token
+   * Returns { user, created, linked }; throws IdentityError.
+   */
+  async function signIn(provider, idToken, { nonce, name } = {}) {
+    const claims = await verifier.verify(provider, idToken, { nonce });
+
+    const identity = await identities.findByProviderSubject(provider, claims.subject);
+    if (identity) {
+      await identities.touch(identity.id, clock.now());
+      return { user: await users.getById(identity.userId), created: false, linked: false };
+    }
+
+    if (!claims.email) {
+      throw new IdentityError(IDENTITY_ERRORS.EMAIL_REQUIRED, `${provider} did not share an email address`);
+    }
+
+    const existing = await users.getByEmail(claims.email);
+    if (existing) {
+      if (!claims.emailVerified || !existing.emailVerifiedAt) {
+        throw new IdentityError(
+          IDENTITY_ERRORS.ACCOUNT_EXISTS,
+          `An account with this email already exists. Sign in with your password to link ${provider}.`,
+        );
+      }
+
+      await identities.create({ userId: existing.id, provider, subject: claims.subject, email: claims.email });
+      logger.info('Linked identity to existing user', { provider, userId: existing.id });
+      return { user: existing, created: false, linked: true };
+    }
+
+    const user = await users.create({
+      email: claims.email,
+      name: name || claims.name || null,
+      emailVerifiedAt: claims.emailVerified ? clock.now() : null,
+    });
+    await identities.create({ userId: user.id, provider, subject: claims.subject, email: claims.email });
+    return { user, created: true, linked: true };
+  }
+
+  /**
+   * Link an identity to a signed-in user (any email)
+   */
+  async function link(userId, provider, idToken, { nonce } = {}) {
+    const claims = await verifier.verify(provider, idToken, { nonce });
+
+    const identity = await identities.findByProviderSubject(provider, claims.subject);
+    if (identity && identity.userId !== userId) {
+      throw new IdentityError(IDENTITY_ERRORS.IDENTITY_IN_USE, `This ${provider} account is linked to another user`);
+    }
+    if (identity) return identity;
+
+    const current = (await identities.getByUser(userId)).find(item => item.provider === provider);
+    if (current) {
+      throw new IdentityError(IDENTITY_ERRORS.IDENTITY_IN_USE, `A different ${provider} account is already linked; unlink it first`);
+    }
+
+    return await identities.create({ userId, provider, subject: claims.subject, email: claims.email });
+  }
+
+  /**
+   * Remove a linked identity, unless it is the user's only way to sign in
+   */
+  async function unlink(userId, provider) {
+    const [user, linked] = await Promise.all([users.getById(userId), identities.getByUser(userId)]);
+    if (!linked.some(item => item.provider === provider)) {
+      throw new IdentityError(IDENTITY_ERRORS.NOT_LINKED, `No ${provider} account is linked`);
+    }
+    if (!user?.passwordHash && linked.length === 1) {
+      throw new IdentityError(
+        IDENTITY_ERRORS.LAST_SIGN_IN_METHOD,
+        'Set a password (Forgot password) before removing your only sign-in method',
+      );
+    }
+
+    await identities.delete(userId, provider);
+  }
+
+  return { signIn, link, unlink };
+}
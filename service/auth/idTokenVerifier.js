@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { logger } from '../logging/index.js';
+
+/**
+ * Verification of Google and Apple ID tokens (OpenID Connect)
+ *
+ * The mobile app signs in with the provider and sends us the ID token it got back. We
+ * check the signature against the provider's published keys (JWKS), then the issuer,
+ * the audience (our client IDs) and expiry. Issuer, JWKS URL and client IDs come from
+ * the environment, so tests and local development can point at a mock issuer.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const ALGORITHMS = ['RS256', 'ES256'];
+
+export const IDENTITY_ERRORS = {
+  UNKNOWN_PROVIDER: 'UNKNOWN_PROVIDER',
+  NOT_CONFIGURED: 'PROVIDER_NOT_CONFIGURED',
+  INVALID: 'INVALID_ID_TOKEN',
+  EMAIL_REQUIRED: 'EMAIL_REQUIRED',
+  ACCOUNT_EXISTS: 'ACCOUNT_EXISTS',
+  IDENTITY_IN_USE: 'IDENTITY_IN_USE',
+  NOT_LINKED: 'IDENTITY_NOT_LINKED',
+  LAST_SIGN_IN_METHOD: 'LAST_SIGN_IN_METHOD',
+};
+
+export class IdentityError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'IdentityError';
+    this.code = code;
+  }
+}
+
+const listFromEnv = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Provider settings from the environment
+ * <PROVIDER>_CLIENT_IDS is required to enable a provider (iOS, Android and web client IDs
+ * for Google; the bundle ID / services ID for Apple). <PROVIDER>_ISSUER and
+ * <PROVIDER>_JWKS_URI override the real endpoints.
+ */
+export function getProviderConfig() {
+  return {
+    google: {
+      issuers: process.env.GOOGLE_ISSUER
+        ? [process.env.GOOGLE_ISSUER]
+        : ['https://accounts.google.com', 'accounts.google.com'],
+      jwksUri: process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+      audiences: listFromEnv(process.env.GOOGLE_CLIENT_IDS),
+    },
+    apple: {
+      issuers: [process.env.APPLE_ISSUER || 'https://appleid.apple.com'],
+      jwksUri: process.env.APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+      audiences: listFromEnv(process.env.APPLE_CLIENT_IDS),
+    },
+  };
+}
+
+/**
+ * Signing keys by JWKS URL, cached for `ttlMs`
+ * An unknown key ID triggers a refetch (providers rotate keys), at most once a minute per URL.
+ */
+export function createJwksCache({
+  fetchJwks = async (uri) => {
+    const response = await fetch(uri);
+    if (!response.ok) throw new Error(`JWKS request failed (${response.status})`);
+    return await response.json();
+  },
+  ttlMs = HOUR_MS,
+  refetchCooldownMs = 60 * 1000,
+  clock = { now: () => new Date() },
+} = {}) {
+  const sets = new Map(); // uri -> { keys: Map<kid, KeyObject>, fetchedAt }
+
+  async function load(uri) {
+    const { keys = [] } = await fetchJwks(uri);
+    const byKid = new Map();
+    for (const jwk of keys) {
+      try {
+        byKid.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        logger.warn('Skipping unusable JWKS key', { kid: jwk.kid, uri, err: error });
+      }
+    }
+    const entry = { keys: byKid, fetchedAt: clock.now().getTime() };
+    sets.set(uri, entry);
+    return entry;
+  }
+
+  async function getKey(uri, kid) {
+    const now = clock.now().getTime();
+    let entry = sets.get(uri);
+
+    if (!entry || now - entry.fetchedAt > ttlMs) {
+      entry = await load(uri);
+    } else if (!entry.keys.has(kid) && now - entry.fetchedAt > refetchCooldownMs) {
+      entry = await load(uri);
+    }
+
+    return entry.keys.get(kid) || null;
+  }
+
+  return { getKey };
+}
+
+export function createIdTokenVerifier({
+  providers = getProviderConfig,
+  jwks = createJwksCache(),
+} = {}) {
+  /**
+   * Verify an ID token from `provider` ("google" | "apple")
+   * `nonce`, if the client used one, must match the token's nonce claim.
+   * Returns { provider, subject, email, emailVerified, name }; throws IdentityError.
+   */
+  async function verify(provider, idToken, { nonce } = {}) {
+    // Own keys only: "__proto__" or "constructor" aren't providers
+    const configs = providers();
+    const config = Object.hasOwn(configs, provider) ? configs[provider] : null;
+    if (!config) {
+      throw new IdentityError(IDENTITY_ERRORS.UNKNOWN_PROVIDER, `Unknown identity provider: ${provider}`);
+    }
+    if (config.audiences.length === 0) {
+      throw new IdentityError(IDENTITY_ERRORS.NOT_CONFIGURED, `Sign in with ${provider} is not configured`);
+    }
+
+    const decoded = typeof idToken === 'string' ? jwt.decode(idToken, { complete: true }) : null;
+    if (!decoded?.header?.kid) {
+      throw new IdentityError(IDENTITY_ERRORS.INVALID, 'Malformed ID token');
+    }
+
+    const key = await jwks.getKey(config.jwksUri, decoded.header.kid);
+    if (!key) {
+      throw new IdentityError(IDENTITY_ERRORS.INVALID, 'ID token signed with an unknown key');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ALGORITHMS,
+        issuer: config.issuers,
+        audience: config.audiences,
+      });
+    } catch (error) {
+      throw new IdentityError(IDENTITY_ERRORS.INVALID, `Invalid ID token: ${error.message}`);
+    }
+
+    if (nonce && claims.nonce !== nonce) {
+      throw new IdentityError(IDENTITY_ERRORS.INVALID, 'ID token nonce mismatch');
+    }
+    if (!claims.sub) {
+      throw new IdentityError(IDENTITY_ERRORS.INVALID, 'ID token has no subject');
+    }
+
+    return {
+      provider,
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email) : null,
+      // Apple sends "true"/"false" strings
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || null,
+    };
+  }
+
+  return { verify };
+}
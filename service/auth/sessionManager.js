@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { logger } from '../logging/index.js';
+
+/**
+ * Access and refresh tokens
+ *
+ * Login issues a short-lived JWT access token plus an opaque refresh token. Refresh tokens
+ * are stored only as sha256 hashes and rotate on every use: refreshing revokes the presented
+ * token and issues the next one in the same family. If a token that was already rotated
+ * is presented again, someone is replaying a stolen token, so the whole family is revoked
+ * and both the thief and the real client have to sign in again.
+ *
+ * Access tokens are stateless; after logout they stay valid until they expire
+ * (ACCESS_TOKEN_TTL, 15 minutes by default), but can no longer be refreshed.
+ *
+ * `store` is sessionService from db/index.js (injected so this can run without a database).
+ * `loadClaims(userId)` returns extra access token claims (the user's role), or null if the
+ * account may not sign in (disabled or deleted); it runs on login and on every refresh, so a
+ * role change or a disabled account takes effect within one access token lifetime.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SESSION_ERRORS = {
+  INVALID: 'INVALID_REFRESH_TOKEN',
+  EXPIRED: 'REFRESH_TOKEN_EXPIRED',
+  REVOKED: 'SESSION_REVOKED',
+  REUSED: 'REFRESH_TOKEN_REUSED',
+  DISABLED: 'ACCOUNT_DISABLED',
+};
+
+const ERROR_MESSAGES = {
+  [SESSION_ERRORS.INVALID]: 'Invalid refresh token',
+  [SESSION_ERRORS.EXPIRED]: 'Refresh token expired',
+  [SESSION_ERRORS.REVOKED]: 'Session has been signed out',
+  [SESSION_ERRORS.REUSED]: 'Refresh token was already used; all sessions in this login were signed out',
+  [SESSION_ERRORS.DISABLED]: 'Account is disabled',
+};
+
+export class SessionError extends Error {
+  constructor(code) {
+    super(ERROR_MESSAGES[code]);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+export function createSessionManager({
+  store,
+  secret = () => process.env.JWT_SECRET,
+  accessTtl = process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTtlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  loadClaims = async () => ({}),
+  clock = { now: () => new Date() },
+} = {}) {
+  if (!store) throw new Error('Session manager requires a store');
+
+  function signAccessToken(userId, familyId, claims) {
+    return jwt.sign({ ...claims, userId, sid: familyId }, secret(), { expiresIn: accessTtl });
+  }
+
+  // Store a fresh refresh token and return the client-facing token pair
+  async function issue(userId, familyId, claims, meta, save) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(clock.now().getTime() + refreshTtlDays * DAY_MS);
+    const saved = await save({
+      userId,
+      familyId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt,
+      userAgent: meta.userAgent,
+      ip: meta.ip,
+    });
+    if (!saved) return null;
+
+    const token = signAccessToken(userId, familyId, claims);
+    const { iat, exp } = jwt.decode(token);
+    return {
+      token,
+      refreshToken,
+      expiresIn: exp - iat,
+      refreshExpiresAt: expiresAt.toISOString(),
+    };
+  }
+
+  /**
+   * Start a new login session
+   * meta: { userAgent?, ip? } for the session list / audit
+   */
+  async function startSession(userId, meta = {}) {
+    const claims = await loadClaims(userId);
+    if (!claims) throw new SessionError(SESSION_ERRORS.DISABLED);
+
+    return await issue(userId, crypto.randomUUID(), claims, meta, data => store.create(data));
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * Throws SessionError (see SESSION_ERRORS) when the token can't be used.
+   */
+  async function refresh(refreshToken, meta = {}) {
+    const session = refreshToken ? await store.findByHash(hashToken(refreshToken)) : null;
+    if (!session) throw new SessionError(SESSION_ERRORS.INVALID);
+
+    if (session.revokedAt) {
+      if (session.replacedById) {
+        await store.revokeFamily(session.familyId, 'reuse');
+        logger.warn('Refresh token reuse, revoked session family', { userId: session.userId, familyId: session.familyId });
+        throw new SessionError(SESSION_ERRORS.REUSED);
+      }
+      throw new SessionError(SESSION_ERRORS.REVOKED);
+    }
+
+    if (new Date(session.expiresAt) <= clock.now()) {
+      throw new SessionError(SESSION_ERRORS.EXPIRED);
+    }
+
+    const claims = await loadClaims(session.userId);
+    if (!claims) {
+      await store.revokeFamily(session.familyId, 'disabled');
+      throw new SessionError(SESSION_ERRORS.DISABLED);
+    }
+
+    const tokens = await issue(session.userId, session.familyId, claims, meta, data => store.rotate(session.id, data));
+    if (!tokens) {
+      // Lost a race with another refresh of the same token - same as reuse
+      await store.revokeFamily(session.familyId, 'reuse');
+      throw new SessionError(SESSION_ERRORS.REUSED);
+    }
+    return tokens;
+  }
+
+  /**
+   * Sign out the login a refresh token belongs to
+   * Returns false if the token is unknown.
+   */
+  async function endSession(refreshToken) {
+    const session = refreshToken ? await store.findByHash(hashToken(refreshToken)) : null;
+    if (!session) return false;
+
+    await store.revokeFamily(session.familyId, 'logout');
+    return true;
+  }
+
+  /**
+   * Sign a user out everywhere; returns the number of tokens revoked
+   */
+  async function endAllSessions(userId) {
+    return await store.revokeAllForUser(userId, 'logout_all');
+  }
+
+  return { startSession, refresh, endSession, endAllSessions };
+}
@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { generateSecret, verifyCode, buildOtpauthUri } from './totp.js';
+import { hashToken } from './sessionManager.js';
+import { logger } from '../logging/index.js';
+
+/**
+ * Optional two-factor authentication with TOTP and recovery codes
+ *
+ * Setup stores a new secret (encrypted - unlike passwords it has to be readable to check
+ * codes) and returns it as an otpauth URI; 2FA is only switched on once the user proves
+ * their app produces valid codes. Enabling hands out one-time recovery codes, stored as
+ * sha256 hashes. A TOTP code is accepted once: the step it was generated for is recorded.
+ *
+ * When 2FA is on, a correct password only earns a short-lived challenge token, which is
+ * exchanged for a session together with a code (see POST /api/auth/login/2fa).
+ *
+ * `users` is userService and `recoveryCodes` is recoveryCodeService from db/index.js
+ * (injected so this can run without a database).
+ */
+
+export const TWO_FACTOR_ERRORS = {
+  ALREADY_ENABLED: 'TWO_FACTOR_ALREADY_ENABLED',
+  NOT_ENABLED: 'TWO_FACTOR_NOT_ENABLED',
+  SETUP_REQUIRED: 'TWO_FACTOR_SETUP_REQUIRED',
+  INVALID_CODE: 'INVALID_CODE',
+  INVALID_CHALLENGE: 'INVALID_CHALLENGE',
+};
+
+const ERROR_MESSAGES = {
+  [TWO_FACTOR_ERRORS.ALREADY_ENABLED]: 'Two-factor authentication is already enabled',
+  [TWO_FACTOR_ERRORS.NOT_ENABLED]: 'Two-factor authentication is not enabled',
+  [TWO_FACTOR_ERRORS.SETUP_REQUIRED]: 'Start two-factor setup first',
+  [TWO_FACTOR_ERRORS.INVALID_CODE]: 'Invalid two-factor code',
+  [TWO_FACTOR_ERRORS.INVALID_CHALLENGE]: 'Sign-in challenge is invalid or expired; sign in again',
+};
+
+export class TwoFactorError extends Error {
+  constructor(code) {
+    super(ERROR_MESSAGES[code]);
+    this.name = 'TwoFactorError';
+    this.code = code;
+  }
+}
+
+const CHALLENGE_TYPE = '2fa_challenge';
+
+// Recovery codes look like "k3xq9-m2vtr"; case and separators don't matter when typed back
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function generateRecoveryCode() {
+  const chars = 'abcdefghijkmnpqrstuvwxyz23456789'; // No 0/o or 1/l
+  const bytes = crypto.randomBytes(10);
+  const code = [...bytes].map(byte => chars[byte % chars.length]).join('');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+export function createTwoFactor({
+  users,
+  recoveryCodes,
+  encryptionKey = () => process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET,
+  challengeSecret = () => process.env.JWT_SECRET,
+  challengeTtl = '5m',
+  issuer = process.env.TOTP_ISSUER || 'AI Life Coach',
+  recoveryCodeCount = 10,
+  clock = { now: () => new Date() },
+}) {
+  const key = () => crypto.createHash('sha256').update(String(encryptionKey())).digest();
+
+  // AES-256-GCM; stored as "v1.<iv>.<tag>.<ciphertext>"
+  function encrypt(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part =>
+      typeof part === 'string' ? part : part.toString('base64url')).join('.');
+  }
+
+  function decrypt(stored) {
+    const [, iv, tag, ciphertext] = stored.split('.').map((part, i) => (i ? Buffer.from(part, 'base64url') : part));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  }
+
+  async function replaceRecoveryCodes(userId) {
+    const codes = Array.from({ length: recoveryCodeCount }, generateRecoveryCode);
+    await recoveryCodes.replaceForUser(userId, codes.map(code => hashToken(normalizeRecoveryCode(code))));
+    return codes;
+  }
+
+  /**
+   * { enabled, enabledAt, recoveryCodesRemaining }
+   */
+  async function status(user) {
+    return {
+      enabled: Boolean(user.totpEnabledAt),
+      enabledAt: user.totpEnabledAt || null,
+      recoveryCodesRemaining: user.totpEnabledAt ? await recoveryCodes.countRemaining(user.id) : 0,
+    };
+  }
+
+  /**
+   * Start setup: a fresh secret for the authenticator app
+   * Returns { secret, otpauthUri }. Calling it again replaces an unconfirmed secret.
+   */
+  async function beginSetup(user) {
+    if (user.totpEnabledAt) throw new TwoFactorError(TWO_FACTOR_ERRORS.ALREADY_ENABLED);
+
+    const secret = generateSecret();
+    await users.update(user.id, { totpSecret: encrypt(secret), totpEnabledAt: null, totpLastUsedStep: null });
+    return { secret, otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer }) };
+  }
+
+  /**
+   * Finish setup with a code from the app; returns the recovery codes (shown once)
+   */
+  async function enable(user, code) {
+    if (user.totpEnabledAt) throw new TwoFactorError(TWO_FACTOR_ERRORS.ALREADY_ENABLED);
+    if (!user.totpSecret) throw new TwoFactorError(TWO_FACTOR_ERRORS.SETUP_REQUIRED);
+
+    const step = verifyCode(decrypt(user.totpSecret), code, { date: clock.now() });
+    if (step === null) throw new TwoFactorError(TWO_FACTOR_ERRORS.INVALID_CODE);
+
+    await users.update(user.id, { totpEnabledAt: clock.now(), totpLastUsedStep: step });
+    return await replaceRecoveryCodes(user.id);
+  }
+
+  /**
+   * Check a second factor: { code } from the app or { recoveryCode }
+   * Each TOTP code and each recovery code works once.
+   */
+  async function verify(user, { code, recoveryCode } = {}) {
+    if (!user.totpEnabledAt || !user.totpSecret) return false;
+
+    if (code) {
+      const step = verifyCode(decrypt(user.totpSecret), code, { date: clock.now() });
+      return step !== null && await users.recordTotpStep(user.id, step);
+    }
+
+    if (recoveryCode) {
+      const used = await recoveryCodes.consume(user.id, hashToken(normalizeRecoveryCode(recoveryCode)), clock.now());
+      if (used) logger.info('Recovery code used', { userId: user.id });
+      return used;
+    }
+
+    return false;
+  }
+
+  async function requireFactor(user, proof) {
+    if (!user.totpEnabledAt) throw new TwoFactorError(TWO_FACTOR_ERRORS.NOT_ENABLED);
+    if (!(await verify(user, proof))) throw new TwoFactorError(TWO_FACTOR_ERRORS.INVALID_CODE);
+  }
+
+  /**
+   * Turn 2FA off (needs a current code or a recovery code)
+   */
+  async function disable(user, proof) {
+    await requireFactor(user, proof);
+    await users.update(user.id, { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null });
+    await recoveryCodes.deleteForUser(user.id);
+  }
+
+  /**
+   * New set of recovery codes; the old ones stop working (needs a current code)
+   */
+  async function regenerateRecoveryCodes(user, proof) {
+    await requireFactor(user, proof);
+    return await replaceRecoveryCodes(user.id);
+  }
+
+  /**
+   * Short-lived token proving the password step passed. It has no `userId` claim, so
+   * authenticateToken never accepts it as an access token.
+   */
+  function issueChallenge(userId) {
+    const challengeToken = jwt.sign({ sub: userId, typ: CHALLENGE_TYPE }, challengeSecret(), { expiresIn: challengeTtl });
+    const { iat, exp } = jwt.decode(challengeToken);
+    return { challengeToken, expiresIn: exp - iat };
+  }
+
+  /**
+   * The user ID a challenge token was issued for
+   */
+  function readChallenge(challengeToken) {
+    try {
+      const payload = jwt.verify(String(challengeToken || ''), challengeSecret());
+      if (payload.typ !== CHALLENGE_TYPE || !payload.sub) throw new Error('Not a challenge token');
+      return payload.sub;
+    } catch {
+      throw new TwoFactorError(TWO_FACTOR_ERRORS.INVALID_CHALLENGE);
+    }
+  }
+
+  return {
+    status,
+    beginSetup,
+    enable,
+    verify,
+    disable,
+    regenerateRecoveryCodes,
+    issueChallenge,
+    readChallenge,
+  };
+}
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill long-term memory from existing Message rows
+ * Usage: pnpm memory:backfill [--user <userId>] [--batch <size>]
+ *
+ * Safe to re-run: message ids are used as vector ids, so existing
+ * entries are overwritten instead of duplicated.
+ */
+
+import 'dotenv/config';
+import { messageService, disconnect } from './db/index.js';
+import { addMemories, isLocalMemoryStore } from './LLM/memoryStore.js';
+
+function getArg(name) {
+  const idx = process.argv.indexOf(`--${name}`);
+  return idx >= 0 ? process.argv[idx + 1] : undefined;
+}
+
+async function backfillMemories() {
+  const userId = getArg('user');
+  const batchSize = parseInt(getArg('batch')) || 100;
+
+  if (isLocalMemoryStore()) {
+    console.warn('⚠️ QDRANT_URL not set - memories would only live in this process. Aborting backfill.');
+    return;
+  }
+
+  console.log(`🧠 Backfilling memories${userId ? ` for user ${userId}` : ' for all users'} (batch size ${batchSize})`);
+
+  let cursor;
+  let total = 0;
+  try {
+    while (true) {
+      const batch = await messageService.getBatch({ cursor, take: batchSize, userId });
+      if (batch.length === 0) break;
+
+      // Group by user so each batch goes into the right collection
+      const byUser = new Map();
+      for (const msg of batch) {
+        if (!byUser.has(msg.userId)) byUser.set(msg.userId, []);
+        byUser.get(msg.userId).push({
+          id: msg.id,
+          text: msg.text,
+          role: msg.role,
+          createdAt: msg.createdAt,
+        });
+      }
+
+      for (const [id, entries] of byUser) {
+        total += await addMemories(id, entries);
+      }
+
+      cursor = batch[batch.length - 1].id;
+      console.log(`   ...${total} messages embedded`);
+    }
+
+    console.log(`✅ Backfill complete: ${total} messages embedded`);
+  } catch (err) {
+    console.error('❌ Backfill failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await disconnect();
+  }
+}
+
+backfillMemories();
@@ -1,4 +1,5 @@
 import { PrismaClient } from '../generated/prisma/index.js';
+import { invalidateUserCache } from '../LLM/responseCache.js';
 
 const prisma = new PrismaClient();
 
@@ -27,6 +28,7 @@ export const userService = {
         email: userData.email,
         name: userData.name,
         passwordHash: userData.passwordHash,
+        emailVerifiedAt: userData.emailVerifiedAt,
       },
       include: {
         aiMemory: true,
@@ -54,6 +56,24 @@ export const userService = {
     });
   },
 
+  // Get a user's tier ("free" if the user doesn't exist)
+  async getTier(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { tier: true },
+    });
+    return user?.tier || 'free';
+  },
+
+  // Get a user's IANA time zone ("UTC" if the user doesn't exist)
+  async getTimeZone(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { timezone: true },
+    });
+    return user?.timezone || 'UTC';
+  },
+
   // Get user by email
   async getByEmail(email) {
     return await prisma.user.findUnique({
@@ -66,6 +86,49 @@ export const userService = {
     });
   },
 
+  // Role and disabled state, checked on every session refresh
+  async getAuthInfo(userId) {
+    return await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, role: true, disabledAt: true },
+    });
+  },
+
+  // Search users by email/name with optional role and status filters (admin)
+  // status: "active" | "disabled"; returns { users, total }
+  async search({ query, role, status, skip = 0, take = 50 } = {}) {
+    const where = {
+      ...(query ? {
+        OR: [
+          { email: { contains: query, mode: 'insensitive' } },
+          { name: { contains: query, mode: 'insensitive' } },
+        ],
+      } : {}),
+      ...(role ? { role } : {}),
+      ...(status === 'disabled' ? { disabledAt: { not: null } } : {}),
+      ...(status === 'active' ? { disabledAt: null } : {}),
+    };
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+        include: {
+          _count: {
+            select: {
+              messages: true,
+              goals: true,
+            },
+          },
+        },
+      }),
+      prisma.user.count({ where }),
+    ]);
+    return { users, total };
+  },
+
   // Update user
   async update(userId, userData) {
     return await prisma.user.update({
@@ -74,6 +137,19 @@ export const userService = {
     });
   },
 
+  // Record the TOTP time step a code was accepted for. Returns false if that step
+  // (or a later one) was already used, so each code signs in only once.
+  async recordTotpStep(userId, step) {
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }],
+      },
+      data: { totpLastUsedStep: step },
+    });
+    return count > 0;
+  },
+
   // Delete user
   async delete(userId) {
     return await prisma.user.delete({
@@ -86,7 +162,7 @@ export const userService = {
 export const messageService = {
   // Create a new message
   async create(messageData) {
-    return await prisma.message.create({
+    const message = await prisma.message.create({
       data: {
         text: messageData.text,
         userId: messageData.userId,
@@ -96,6 +172,28 @@ export const messageService = {
         user: true,
       },
     });
+    await this.indexForSearch(message.id);
+    return message;
+  },
+
+  // Fill the full-text search vector (Prisma can't write tsvector columns)
+  // Without a messageId, indexes every message that has none yet and returns the count
+  async indexForSearch(messageId) {
+    if (messageId) {
+      return await prisma.$executeRaw`
+        UPDATE "Message" SET "searchVector" = to_tsvector('english', "text") WHERE "id" = ${messageId}
+      `;
+    }
+    return await prisma.$executeRaw`
+      UPDATE "Message" SET "searchVector" = to_tsvector('english', "text") WHERE "searchVector" IS NULL
+    `;
+  },
+
+  // Get message by ID
+  async getById(messageId) {
+    return await prisma.message.findUnique({
+      where: { id: messageId },
+    });
   },
 
   // Get messages for a user
@@ -121,6 +219,66 @@ export const messageService = {
     });
   },
 
+  // Get a page of messages across all users (oldest first), for batch jobs
+  async getBatch({ cursor, take = 100, userId } = {}) {
+    return await prisma.message.findMany({
+      where: userId ? { userId } : undefined,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+  },
+
+  // Full-text search over a user's messages, newest first
+  // `before` ({ createdAt, id }) continues after the last row of the previous page. Rows carry
+  // `rank` and `headline`, the text around the matches with terms wrapped per `headlineOptions`.
+  async search({ userId, query, role, from, to, before, take = 20, headlineOptions = '' }) {
+    return await prisma.$queryRaw`
+      WITH q AS (SELECT websearch_to_tsquery('english', ${query}) AS query)
+      SELECT m."id", m."text", m."role", m."createdAt",
+             ts_rank(COALESCE(m."searchVector", to_tsvector('english', m."text")), q.query)::float AS "rank",
+             ts_headline('english', m."text", q.query, ${headlineOptions}) AS "headline"
+      FROM "Message" m, q
+      WHERE m."userId" = ${userId}
+        AND (m."searchVector" @@ q.query
+             OR (m."searchVector" IS NULL AND to_tsvector('english', m."text") @@ q.query))
+        AND (${role ?? null}::text IS NULL OR m."role" = ${role ?? null})
+        AND (${from ?? null}::timestamp IS NULL OR m."createdAt" >= ${from ?? null}::timestamp)
+        AND (${to ?? null}::timestamp IS NULL OR m."createdAt" <= ${to ?? null}::timestamp)
+        AND (${before?.createdAt ?? null}::timestamp IS NULL
+             OR (m."createdAt", m."id") < (${before?.createdAt ?? null}::timestamp, ${before?.id ?? null}))
+      ORDER BY m."createdAt" DESC, m."id" DESC
+      LIMIT ${take}
+    `;
+  },
+
+  // A user's messages with the given ids (ids of other users' messages are ignored)
+  async getManyByIds(userId, messageIds) {
+    return await prisma.message.findMany({
+      where: { userId, id: { in: messageIds } },
+    });
+  },
+
+  // Up to `span` messages either side of a message, oldest first
+  async getAround(messageId, span = 20) {
+    const message = await prisma.message.findUnique({ where: { id: messageId } });
+    if (!message) return null;
+
+    const [before, after] = await Promise.all([
+      prisma.message.findMany({
+        where: { userId: message.userId, createdAt: { lt: message.createdAt } },
+        orderBy: { createdAt: 'desc' },
+        take: span,
+      }),
+      prisma.message.findMany({
+        where: { userId: message.userId, createdAt: { gt: message.createdAt } },
+        orderBy: { createdAt: 'asc' },
+        take: span,
+      }),
+    ]);
+    return [...before.reverse(), message, ...after];
+  },
+
   // Delete message
   async delete(messageId) {
     return await prisma.message.delete({
@@ -150,6 +308,13 @@ export const reminderService = {
     });
   },
 
+  // Get reminder by ID
+  async getById(reminderId) {
+    return await prisma.reminder.findUnique({
+      where: { id: reminderId },
+    });
+  },
+
   // Get reminders for a user
   async getByUser(userId, includeCompleted = false) {
     return await prisma.reminder.findMany({
@@ -194,6 +359,8 @@ export const reminderService = {
         ...reminderData,
         dueDate: reminderData.dueDate ? new Date(reminderData.dueDate) : undefined,
         repeatUntil: reminderData.repeatUntil ? new Date(reminderData.repeatUntil) : undefined,
+        // A new due date means the reminder should fire again
+        ...(reminderData.dueDate ? { deliveredAt: null } : {}),
       },
     });
   },
@@ -206,6 +373,341 @@ export const reminderService = {
   },
 };
 
+// Reminder delivery operations (used by jobs/reminderScheduler.js)
+export const reminderDeliveryService = {
+  // Reminders whose current occurrence is due and hasn't fired yet
+  async findDue(now, take = 100) {
+    return await prisma.reminder.findMany({
+      where: {
+        completed: false,
+        deliveredAt: null,
+        dueDate: { lte: now },
+      },
+      orderBy: { dueDate: 'asc' },
+      take,
+    });
+  },
+
+  // Atomically record the delivery and move the reminder to its next occurrence
+  // (or mark it delivered). Returns null if this occurrence already fired.
+  async fire(reminder, { nextDueDate, firedAt }) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const delivery = await tx.reminderDelivery.create({
+          data: {
+            reminderId: reminder.id,
+            userId: reminder.userId,
+            scheduledFor: reminder.dueDate,
+            firedAt,
+          },
+        });
+
+        // Only advance if nobody changed the reminder since we read it
+        const updated = await tx.reminder.updateMany({
+          where: { id: reminder.id, dueDate: reminder.dueDate, deliveredAt: null },
+          data: nextDueDate ? { dueDate: nextDueDate } : { deliveredAt: firedAt },
+        });
+        if (updated.count === 0) {
+          throw new Error('REMINDER_CHANGED');
+        }
+
+        return delivery;
+      });
+    } catch (error) {
+      // P2002: unique (reminderId, scheduledFor) - another run already fired it
+      if (error.code === 'P2002' || error.message === 'REMINDER_CHANGED') {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  // Mark a delivery as sent
+  async markDelivered(deliveryId, deliveredAt) {
+    return await prisma.reminderDelivery.update({
+      where: { id: deliveryId },
+      data: { status: 'delivered', deliveredAt },
+    });
+  },
+
+  // Mark a delivery as failed
+  async markFailed(deliveryId, error) {
+    return await prisma.reminderDelivery.update({
+      where: { id: deliveryId },
+      data: { status: 'failed', error },
+    });
+  },
+
+  // Recent deliveries for a user
+  async getByUser(userId, take = 50) {
+    return await prisma.reminderDelivery.findMany({
+      where: { userId },
+      orderBy: { firedAt: 'desc' },
+      take,
+      include: {
+        reminder: { select: { id: true, title: true, repeatType: true } },
+      },
+    });
+  },
+};
+
+// Push notification device operations (used by notifications/notificationService.js)
+export const deviceService = {
+  // Register a device token; a token that moves to another account is reassigned
+  async register(deviceData) {
+    const data = {
+      userId: deviceData.userId,
+      platform: deviceData.platform,
+      provider: deviceData.provider,
+      appVersion: deviceData.appVersion || null,
+      failureCount: 0,
+    };
+    return await prisma.device.upsert({
+      where: { token: deviceData.token },
+      update: data,
+      create: { token: deviceData.token, ...data },
+    });
+  },
+
+  // Remove a user's device by token; returns the number removed
+  async unregister(userId, token) {
+    const result = await prisma.device.deleteMany({
+      where: { userId, token },
+    });
+    return result.count;
+  },
+
+  // All devices for a user
+  async getByUser(userId) {
+    return await prisma.device.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+    });
+  },
+
+  // Record one send attempt
+  async recordAttempt(attemptData) {
+    return await prisma.notificationAttempt.create({
+      data: attemptData,
+    });
+  },
+
+  // Reset the failure streak after a successful send
+  async markSuccess(deviceId) {
+    await prisma.device.update({
+      where: { id: deviceId },
+      data: { failureCount: 0, lastSuccessAt: new Date() },
+    });
+  },
+
+  // Count a failed send; returns the consecutive failure count
+  async markFailure(deviceId) {
+    const device = await prisma.device.update({
+      where: { id: deviceId },
+      data: { failureCount: { increment: 1 } },
+    });
+    return device.failureCount;
+  },
+
+  // Prune a dead device
+  async remove(deviceId) {
+    await prisma.device.deleteMany({
+      where: { id: deviceId },
+    });
+  },
+};
+
+// Refresh token sessions (used by auth/sessionManager.js)
+export const sessionService = {
+  // Store a new refresh token
+  async create(sessionData) {
+    return await prisma.session.create({
+      data: {
+        userId: sessionData.userId,
+        familyId: sessionData.familyId,
+        tokenHash: sessionData.tokenHash,
+        expiresAt: sessionData.expiresAt,
+        userAgent: sessionData.userAgent || null,
+        ip: sessionData.ip || null,
+      },
+    });
+  },
+
+  // Look up a refresh token by its hash
+  async findByHash(tokenHash) {
+    return await prisma.session.findUnique({
+      where: { tokenHash },
+    });
+  },
+
+  // Replace a token with the next one in its family.
+  // Returns null if the old token was revoked in the meantime (a concurrent refresh).
+  async rotate(sessionId, nextData) {
+    return await prisma.$transaction(async (tx) => {
+      const next = await tx.session.create({
+        data: {
+          userId: nextData.userId,
+          familyId: nextData.familyId,
+          tokenHash: nextData.tokenHash,
+          expiresAt: nextData.expiresAt,
+          userAgent: nextData.userAgent || null,
+          ip: nextData.ip || null,
+        },
+      });
+
+      const { count } = await tx.session.updateMany({
+        where: { id: sessionId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: 'rotated', replacedById: next.id },
+      });
+      if (count === 0) {
+        throw Object.assign(new Error('Session already rotated'), { code: 'SESSION_ROTATED' });
+      }
+
+      return next;
+    }).catch((error) => {
+      if (error.code === 'SESSION_ROTATED') return null;
+      throw error;
+    });
+  },
+
+  // Revoke every live token in a family; returns the number revoked
+  async revokeFamily(familyId, reason) {
+    const result = await prisma.session.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+    return result.count;
+  },
+
+  // Revoke every live token a user has; returns the number revoked
+  async revokeAllForUser(userId, reason) {
+    const result = await prisma.session.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+    return result.count;
+  },
+};
+
+// Google/Apple identities linked to users
+export const linkedIdentityService = {
+  // Find the identity for a provider's user ID
+  async findByProviderSubject(provider, subject) {
+    return await prisma.linkedIdentity.findUnique({
+      where: { provider_subject: { provider, subject } },
+    });
+  },
+
+  // A user's linked identities
+  async getByUser(userId) {
+    return await prisma.linkedIdentity.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+    });
+  },
+
+  // Link an identity to a user
+  async create(identityData) {
+    return await prisma.linkedIdentity.create({
+      data: {
+        userId: identityData.userId,
+        provider: identityData.provider,
+        subject: identityData.subject,
+        email: identityData.email || null,
+      },
+    });
+  },
+
+  // Record a sign-in with an identity
+  async touch(id, at = new Date()) {
+    return await prisma.linkedIdentity.update({
+      where: { id },
+      data: { lastUsedAt: at },
+    });
+  },
+
+  // Unlink a user's identity for a provider
+  async delete(userId, provider) {
+    return await prisma.linkedIdentity.delete({
+      where: { userId_provider: { userId, provider } },
+    });
+  },
+};
+
+// Password reset / email verification token operations
+export const authTokenService = {
+  // Store a new token (hashed)
+  async create(tokenData) {
+    return await prisma.authToken.create({
+      data: {
+        userId: tokenData.userId,
+        purpose: tokenData.purpose,
+        tokenHash: tokenData.tokenHash,
+        expiresAt: tokenData.expiresAt,
+      },
+    });
+  },
+
+  // Mark a token used if it is still unused and unexpired.
+  // Returns the token, or null if it is unknown, expired or already used.
+  async consume(tokenHash, purpose, now = new Date()) {
+    const { count } = await prisma.authToken.updateMany({
+      where: { tokenHash, purpose, usedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now },
+    });
+    if (count === 0) return null;
+
+    return await prisma.authToken.findUnique({
+      where: { tokenHash },
+    });
+  },
+
+  // Retire a user's outstanding tokens of one purpose; returns the number retired
+  async invalidateForUser(userId, purpose) {
+    const result = await prisma.authToken.updateMany({
+      where: { userId, purpose, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    return result.count;
+  },
+};
+
+// Two-factor recovery code operations
+export const recoveryCodeService = {
+  // Replace a user's recovery codes with a new set (hashed)
+  async replaceForUser(userId, codeHashes) {
+    return await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.recoveryCode.createMany({
+        data: codeHashes.map(codeHash => ({ userId, codeHash })),
+      }),
+    ]);
+  },
+
+  // Mark a code used if it is still unused; returns whether it was
+  async consume(userId, codeHash, now = new Date()) {
+    const { count } = await prisma.recoveryCode.updateMany({
+      where: { userId, codeHash, usedAt: null },
+      data: { usedAt: now },
+    });
+    return count > 0;
+  },
+
+  // Unused codes left
+  async countRemaining(userId) {
+    return await prisma.recoveryCode.count({
+      where: { userId, usedAt: null },
+    });
+  },
+
+  // Remove all of a user's codes
+  async deleteForUser(userId) {
+    return await prisma.recoveryCode.deleteMany({
+      where: { userId },
+    });
+  },
+};
+
 // AI Memory operations
 export const aiMemoryService = {
   // Create or update AI memory for a user
@@ -223,9 +725,12 @@ export const aiMemoryService = {
     // Extract metadata fields (from chat onboarding parser)
     const extractionConfidence = memoryData._extractionConfidence || null;
     const extractionWarnings = memoryData._extractionWarnings || null;
+    const fieldConfidence = memoryData._fieldConfidence || null;
     const extractedAt = memoryData._extractedAt || null;
+    // Only profiles the user confirmed count as verified; anything else written here resets it
+    const manuallyVerified = memoryData._manuallyVerified === true;
 
-    return await prisma.aIMemory.upsert({
+    const memory = await prisma.aIMemory.upsert({
       where: { userId },
       update: {
         summary: memoryData.summary,
@@ -233,7 +738,9 @@ export const aiMemoryService = {
         preferences: memoryData.preferences,
         extractionConfidence,
         extractionWarnings,
+        fieldConfidence,
         extractedAt,
+        manuallyVerified,
         lastSync: new Date(),
       },
       create: {
@@ -243,9 +750,36 @@ export const aiMemoryService = {
         preferences: memoryData.preferences,
         extractionConfidence,
         extractionWarnings,
+        fieldConfidence,
         extractedAt,
+        manuallyVerified,
       },
     });
+
+    // Cached replies were generated from the old context
+    await invalidateUserCache(userId);
+    return memory;
+  },
+
+  // Save the profile as reviewed by the user ("What your coach knows" screen) and mark it
+  // verified; the extraction metadata is kept for quality tracking
+  async saveVerified(userId, { summary, goals, preferences }) {
+    const data = {
+      summary,
+      goals,
+      preferences,
+      manuallyVerified: true,
+      lastSync: new Date(),
+    };
+    const memory = await prisma.aIMemory.upsert({
+      where: { userId },
+      update: data,
+      create: { userId, ...data },
+    });
+
+    // Cached replies were generated from the old context
+    await invalidateUserCache(userId);
+    return memory;
   },
 
   // Get AI memory for a user
@@ -272,7 +806,7 @@ export const aiMemoryService = {
       throw new Error(`User with ID ${userId} not found`);
     }
 
-    return await prisma.aIMemory.upsert({
+    const memory = await prisma.aIMemory.upsert({
       where: { userId },
       update: {
         goals,
@@ -283,6 +817,9 @@ export const aiMemoryService = {
         goals,
       },
     });
+
+    await invalidateUserCache(userId);
+    return memory;
   },
 
   async updatePreferences(userId, preferences) {
@@ -296,7 +833,7 @@ export const aiMemoryService = {
       throw new Error(`User with ID ${userId} not found`);
     }
 
-    return await prisma.aIMemory.upsert({
+    const memory = await prisma.aIMemory.upsert({
       where: { userId },
       update: {
         preferences,
@@ -307,13 +844,37 @@ export const aiMemoryService = {
         preferences,
       },
     });
+
+    await invalidateUserCache(userId);
+    return memory;
   },
 
   // Delete AI memory
   async delete(userId) {
-    return await prisma.aIMemory.delete({
+    const memory = await prisma.aIMemory.delete({
       where: { userId },
     });
+
+    await invalidateUserCache(userId);
+    return memory;
+  },
+};
+
+// Guided onboarding progress (onboarding/flow.js)
+export const onboardingSessionService = {
+  async getByUser(userId) {
+    return await prisma.onboardingSession.findUnique({
+      where: { userId },
+    });
+  },
+
+  // Create or replace the user's session state ({ step, draft, skipped, attempts, completedAt })
+  async save(userId, state) {
+    return await prisma.onboardingSession.upsert({
+      where: { userId },
+      update: state,
+      create: { userId, ...state },
+    });
   },
 };
 
@@ -321,7 +882,7 @@ export const aiMemoryService = {
 export const goalService = {
   // Create a new goal
   async create(goalData) {
-    return await prisma.goal.create({
+    const goal = await prisma.goal.create({
       data: {
         userId: goalData.userId,
         text: goalData.text,
@@ -329,11 +890,19 @@ export const goalService = {
         priority: goalData.priority || 'medium',
         type: goalData.type || 'daily',
         lastCompletedDate: goalData.lastCompletedDate ? new Date(goalData.lastCompletedDate) : null,
+        parentId: goalData.parentId || null,
+        targetDate: goalData.targetDate ? new Date(goalData.targetDate) : null,
+        targetValue: goalData.targetValue ?? null,
+        unit: goalData.unit || null,
       },
       include: {
         user: { select: { id: true, name: true, email: true } },
       },
     });
+
+    // Goals change what the coach should say
+    await invalidateUserCache(goal.userId);
+    return goal;
   },
 
   // Get all goals for a user
@@ -357,22 +926,185 @@ export const goalService = {
     });
   },
 
+  // Direct sub-goals of a goal
+  async getChildren(goalId) {
+    return await prisma.goal.findMany({
+      where: { parentId: goalId },
+      orderBy: [{ targetDate: 'asc' }, { createdAt: 'asc' }],
+    });
+  },
+
+  /**
+   * Save an accepted plan under a long-term goal in one transaction: each milestone is created
+   * with its daily tasks. With `replace`, the goal's existing sub-goals (and theirs) go first.
+   * Milestones and tasks inherit the goal's category and priority.
+   */
+  async createPlan(goalId, { milestones, replace = false }) {
+    const { userId, milestoneGoals } = await prisma.$transaction(async (tx) => {
+      const goal = await tx.goal.findUniqueOrThrow({ where: { id: goalId } });
+      if (replace) {
+        await tx.goal.deleteMany({ where: { parentId: goalId } });
+      }
+
+      const inherited = { userId: goal.userId, category: goal.category, priority: goal.priority };
+      const created = [];
+      for (const milestone of milestones) {
+        created.push(await tx.goal.create({
+          data: {
+            ...inherited,
+            parentId: goalId,
+            type: 'milestone',
+            text: milestone.text,
+            targetDate: milestone.targetDate ? new Date(milestone.targetDate) : null,
+            targetValue: milestone.targetValue ?? null,
+            unit: milestone.unit || null,
+            children: {
+              create: milestone.tasks.map(task => ({
+                ...inherited,
+                type: 'daily',
+                text: task.text,
+                targetValue: task.targetValue ?? null,
+                unit: task.unit || null,
+              })),
+            },
+          },
+          include: { children: { orderBy: { createdAt: 'asc' } } },
+        }));
+      }
+      return { userId: goal.userId, milestoneGoals: created };
+    });
+
+    await invalidateUserCache(userId);
+    return milestoneGoals;
+  },
+
+  /**
+   * Mark a goal done or not done on `day` (YYYY-MM-DD in the user's time zone), together with
+   * its completion log: done adds the day's GoalCompletion row, not done removes it
+   */
+  async setCompleted(goalId, completed, { day, at = new Date() }) {
+    const goal = await prisma.$transaction(async (tx) => {
+      const updated = await tx.goal.update({
+        where: { id: goalId },
+        data: completed ? { completed, lastCompletedDate: at } : { completed },
+        include: {
+          user: { select: { id: true, name: true, email: true } },
+        },
+      });
+
+      if (completed) {
+        await tx.goalCompletion.upsert({
+          where: { goalId_day: { goalId, day } },
+          update: {},
+          create: {
+            userId: updated.userId,
+            goalId,
+            goalText: updated.text,
+            goalType: updated.type,
+            category: updated.category,
+            day,
+            completedAt: at,
+          },
+        });
+      } else {
+        await tx.goalCompletion.deleteMany({ where: { goalId, day } });
+      }
+      return updated;
+    });
+
+    await invalidateUserCache(goal.userId);
+    return goal;
+  },
+
+  // Daily goals currently marked done, with their owner's time zone (for the rollover job)
+  async getCompletedDaily() {
+    return await prisma.goal.findMany({
+      where: { type: 'daily', completed: true },
+      select: { id: true, type: true, completed: true, lastCompletedDate: true, user: { select: { timezone: true } } },
+    });
+  },
+
+  /**
+   * Reopen daily goals whose day is over; returns how many were reset
+   * Only ticks from before `completedBefore` (when the stale goals were read) are cleared, so a
+   * goal ticked again in the meantime stays done, matching its GoalCompletion row.
+   */
+  async resetDaily(goalIds, { completedBefore }) {
+    const { count } = await prisma.goal.updateMany({
+      where: {
+        id: { in: goalIds },
+        type: 'daily',
+        completed: true,
+        OR: [{ lastCompletedDate: null }, { lastCompletedDate: { lt: completedBefore } }],
+      },
+      data: { completed: false },
+    });
+    return count;
+  },
+
   // Update goal
   async update(goalId, goalData) {
-    return await prisma.goal.update({
+    const goal = await prisma.goal.update({
       where: { id: goalId },
       data: goalData,
       include: {
         user: { select: { id: true, name: true, email: true } },
       },
     });
+
+    await invalidateUserCache(goal.userId);
+    return goal;
   },
 
   // Delete goal
   async delete(goalId) {
-    return await prisma.goal.delete({
+    const goal = await prisma.goal.delete({
       where: { id: goalId },
     });
+
+    await invalidateUserCache(goal.userId);
+    return goal;
+  },
+
+  // Daily goals not nudged since `notNudgedSince` (jobs/goalNudges.js decides which are due)
+  async findNudgeCandidates(notNudgedSince) {
+    return await prisma.goal.findMany({
+      where: {
+        type: 'daily',
+        OR: [{ lastNudgedAt: null }, { lastNudgedAt: { lt: notNudgedSince } }],
+      },
+      select: {
+        id: true,
+        userId: true,
+        text: true,
+        type: true,
+        completed: true,
+        lastCompletedDate: true,
+        lastNudgedAt: true,
+        user: { select: { timezone: true } },
+      },
+    });
+  },
+
+  // Record a nudge unless another run got there first (lastNudgedAt changed since it was read)
+  async claimNudge(goal, nudgedAt) {
+    const { count } = await prisma.goal.updateMany({
+      where: { id: goal.id, lastNudgedAt: goal.lastNudgedAt ?? null },
+      data: { lastNudgedAt: nudgedAt },
+    });
+    return count === 1;
+  },
+};
+
+// Goal completion log (see the GoalCompletion model)
+export const goalCompletionService = {
+  // A user's completions, oldest first; `since` is a YYYY-MM-DD day
+  async getByUser(userId, { since } = {}) {
+    return await prisma.goalCompletion.findMany({
+      where: { userId, ...(since ? { day: { gte: since } } : {}) },
+      orderBy: { day: 'asc' },
+      select: { goalId: true, goalType: true, category: true, day: true },
+    });
   },
 };
 
@@ -498,6 +1230,309 @@ export const calendarEventService = {
   },
 };
 
+// Token Usage operations
+export const tokenUsageService = {
+  // Record a single LLM call
+  async record(usageData) {
+    return await prisma.tokenUsage.create({
+      data: {
+        userId: usageData.userId || null,
+        endpoint: usageData.endpoint,
+        provider: usageData.provider,
+        model: usageData.model,
+        promptTokens: usageData.promptTokens,
+        completionTokens: usageData.completionTokens,
+        cost: usageData.cost,
+      },
+    });
+  },
+
+  // Usage grouped by day or month since a date (all users if userId is omitted)
+  async getRollup({ userId, period = 'daily', since }) {
+    const unit = period === 'monthly' ? 'month' : 'day';
+    const rows = await prisma.$queryRaw`
+      SELECT date_trunc(${unit}, "createdAt") AS "period",
+             COUNT(*)::int AS "calls",
+             COALESCE(SUM("promptTokens"), 0)::int AS "promptTokens",
+             COALESCE(SUM("completionTokens"), 0)::int AS "completionTokens",
+             COALESCE(SUM("cost"), 0)::float AS "cost"
+      FROM "TokenUsage"
+      WHERE "createdAt" >= ${since}
+        AND (${userId ?? null}::text IS NULL OR "userId" = ${userId ?? null})
+      GROUP BY 1
+      ORDER BY 1 ASC
+    `;
+    return rows;
+  },
+
+  // Totals since a date, grouped by a column ("endpoint", "model" or "userId")
+  async getBreakdown({ userId, since, by, take }) {
+    return await prisma.tokenUsage.groupBy({
+      by: [by],
+      where: {
+        createdAt: { gte: since },
+        ...(userId ? { userId } : {}),
+      },
+      _count: { _all: true },
+      _sum: { promptTokens: true, completionTokens: true, cost: true },
+      orderBy: { _sum: { cost: 'desc' } },
+      ...(take ? { take } : {}),
+    });
+  },
+
+  // Totals since a date
+  async getTotals({ userId, since }) {
+    const result = await prisma.tokenUsage.aggregate({
+      where: {
+        createdAt: { gte: since },
+        ...(userId ? { userId } : {}),
+      },
+      _count: { _all: true },
+      _sum: { promptTokens: true, completionTokens: true, cost: true },
+    });
+    return {
+      calls: result._count._all,
+      promptTokens: result._sum.promptTokens || 0,
+      completionTokens: result._sum.completionTokens || 0,
+      cost: result._sum.cost || 0,
+    };
+  },
+};
+
+export const usageLimitService = {
+  // Get a user's budget overrides (null if they use the defaults)
+  async getByUserId(userId) {
+    return await prisma.usageLimit.findUnique({
+      where: { userId },
+    });
+  },
+
+  // Create or update a user's budget overrides
+  async upsert(userId, limits, updatedBy) {
+    return await prisma.usageLimit.upsert({
+      where: { userId },
+      update: { ...limits, updatedBy },
+      create: { userId, ...limits, updatedBy },
+    });
+  },
+
+  // Remove overrides so the user falls back to the defaults
+  async delete(userId) {
+    return await prisma.usageLimit.deleteMany({
+      where: { userId },
+    });
+  },
+};
+
+export const routingDecisionService = {
+  // Record which rule routed a request
+  async record(decisionData) {
+    return await prisma.routingDecision.create({
+      data: decisionData,
+    });
+  },
+
+  // Most recent decisions, optionally filtered by user or rule
+  async getRecent({ userId, ruleId, take = 50 } = {}) {
+    return await prisma.routingDecision.findMany({
+      where: {
+        ...(userId ? { userId } : {}),
+        ...(ruleId ? { ruleId } : {}),
+      },
+      orderBy: { createdAt: 'desc' },
+      take,
+    });
+  },
+
+  // How often each rule fired since a date
+  async getRuleCounts({ since }) {
+    return await prisma.routingDecision.groupBy({
+      by: ['ruleId', 'modelTier'],
+      where: { createdAt: { gte: since } },
+      _count: { _all: true },
+      orderBy: { _count: { ruleId: 'desc' } },
+    });
+  },
+};
+
+// Audit trail of admin actions
+export const adminAuditLogService = {
+  // Record one admin action
+  async record(entry) {
+    return await prisma.adminAuditLog.create({
+      data: {
+        actorId: entry.actorId,
+        action: entry.action,
+        targetType: entry.targetType || null,
+        targetId: entry.targetId || null,
+        details: entry.details ?? undefined,
+        ip: entry.ip || null,
+      },
+    });
+  },
+
+  // Most recent entries, optionally filtered by actor, action or target
+  async getRecent({ actorId, action, targetId, take = 50 } = {}) {
+    return await prisma.adminAuditLog.findMany({
+      where: {
+        ...(actorId ? { actorId } : {}),
+        ...(action ? { action } : {}),
+        ...(targetId ? { targetId } : {}),
+      },
+      orderBy: { createdAt: 'desc' },
+      take,
+    });
+  },
+};
+
+// Backing store for the postgres rate limit store (rateLimit/stores.js)
+export const rateLimitService = {
+  // Record one hit for a key
+  async addHit(key, at) {
+    return await prisma.rateLimitHit.create({
+      data: { key, createdAt: at },
+    });
+  },
+
+  // Hit times for a key after a date, oldest first
+  async listHits(key, since) {
+    const hits = await prisma.rateLimitHit.findMany({
+      where: { key, createdAt: { gt: since } },
+      orderBy: { createdAt: 'asc' },
+      select: { createdAt: true },
+    });
+    return hits.map(hit => hit.createdAt);
+  },
+
+  // Forget every hit for a key; returns the number removed
+  async clearHits(key) {
+    const result = await prisma.rateLimitHit.deleteMany({
+      where: { key },
+    });
+    return result.count;
+  },
+
+  // Create or extend a lock
+  async setLock(key, lockedUntil, reason) {
+    return await prisma.rateLimitLock.upsert({
+      where: { key },
+      create: { key, lockedUntil, reason },
+      update: { lockedUntil, reason },
+    });
+  },
+
+  // Get a lock by key
+  async getLock(key) {
+    return await prisma.rateLimitLock.findUnique({
+      where: { key },
+    });
+  },
+
+  // Remove a lock; returns whether there was one
+  async deleteLock(key) {
+    const result = await prisma.rateLimitLock.deleteMany({
+      where: { key },
+    });
+    return result.count > 0;
+  },
+
+  // Locks still in force
+  async listLocks(now) {
+    return await prisma.rateLimitLock.findMany({
+      where: { lockedUntil: { gt: now } },
+      orderBy: { lockedUntil: 'asc' },
+    });
+  },
+
+  // Drop hits older than a date and locks that have run out; returns the number of hits removed
+  async prune(before) {
+    const [hits] = await prisma.$transaction([
+      prisma.rateLimitHit.deleteMany({ where: { createdAt: { lt: before } } }),
+      prisma.rateLimitLock.deleteMany({ where: { lockedUntil: { lte: before } } }),
+    ]);
+    return hits.count;
+  },
+};
+
+// Backing store for the postgres response cache (LLM/responseCache.js)
+export const responseCacheService = {
+  // Get a cached entry by key
+  async get(key) {
+    return await prisma.responseCache.findUnique({
+      where: { key },
+    });
+  },
+
+  // Create or replace an entry
+  async set(key, entry) {
+    const data = {
+      userId: entry.userId,
+      response: entry.response,
+      expiresAt: entry.expiresAt,
+      lastUsedAt: new Date(),
+    };
+    return await prisma.responseCache.upsert({
+      where: { key },
+      update: data,
+      create: { key, ...data },
+    });
+  },
+
+  // Mark an entry as recently used
+  async touch(key) {
+    await prisma.responseCache.updateMany({
+      where: { key },
+      data: { lastUsedAt: new Date() },
+    });
+  },
+
+  // Delete one entry
+  async delete(key) {
+    await prisma.responseCache.deleteMany({
+      where: { key },
+    });
+  },
+
+  // Delete the least recently used entries beyond maxEntries; returns how many were removed
+  async evictBeyond(maxEntries) {
+    return await prisma.$executeRaw`
+      DELETE FROM "ResponseCache"
+      WHERE "key" IN (
+        SELECT "key" FROM "ResponseCache"
+        ORDER BY "lastUsedAt" DESC
+        OFFSET ${maxEntries}
+      )
+    `;
+  },
+
+  // Delete all entries for a user
+  async deleteByUser(userId) {
+    const result = await prisma.responseCache.deleteMany({
+      where: { userId },
+    });
+    return result.count;
+  },
+
+  // Delete every entry
+  async deleteAll() {
+    const result = await prisma.responseCache.deleteMany({});
+    return result.count;
+  },
+
+  // Delete expired entries
+  async deleteExpired() {
+    const result = await prisma.responseCache.deleteMany({
+      where: { expiresAt: { lte: new Date() } },
+    });
+    return result.count;
+  },
+
+  // Number of entries
+  async count() {
+    return await prisma.responseCache.count();
+  },
+};
+
 // Close Prisma connection
 export async function disconnect() {
   await prisma.$disconnect();
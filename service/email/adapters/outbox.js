@@ -0,0 +1,33 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../../logging/index.js';
+
+// Development/test adapter: nothing leaves the machine. Each email is logged and
+// appended to EMAIL_OUTBOX_FILE (default .outbox/emails.jsonl) as one JSON line,
+// so reset and verification tokens can be read back from there.
+function getOutboxFile() {
+  return process.env.EMAIL_OUTBOX_FILE || path.join(process.cwd(), '.outbox', 'emails.jsonl');
+}
+
+const outbox = {
+  name: 'outbox',
+
+  isConfigured() {
+    return true;
+  },
+
+  async send(message) {
+    const file = getOutboxFile();
+    logger.info('Email written to outbox', { to: message.to, file });
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, JSON.stringify({
+      sentAt: new Date().toISOString(),
+      ...message,
+    }) + '\n');
+
+    return { ok: true };
+  },
+};
+
+export default outbox;
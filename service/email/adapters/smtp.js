@@ -0,0 +1,34 @@
+import nodemailer from 'nodemailer';
+
+// SMTP delivery through nodemailer.
+// Needs SMTP_HOST; SMTP_PORT (default 587), SMTP_USER/SMTP_PASS and SMTP_SECURE=true (port 465) are optional.
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+const smtp = {
+  name: 'smtp',
+
+  isConfigured() {
+    return !!process.env.SMTP_HOST;
+  },
+
+  async send(message) {
+    const info = await getTransporter().sendMail(message);
+    return { ok: true, id: info.messageId };
+  },
+};
+
+export default smtp;
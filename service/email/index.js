@@ -0,0 +1,39 @@
+import smtp from './adapters/smtp.js';
+import outbox from './adapters/outbox.js';
+
+/**
+ * Email delivery
+ * EMAIL_TRANSPORT=outbox (default) writes every email to a local file (see adapters/outbox.js);
+ * EMAIL_TRANSPORT=smtp sends through the SMTP server configured with SMTP_*.
+ *
+ * An adapter is a plain object:
+ * {
+ *   name,
+ *   isConfigured(): boolean,
+ *   send({ from, to, subject, text, html }): Promise<{ ok, id? }>,
+ * }
+ */
+const adapters = { smtp, outbox };
+
+export function getEmailAdapter() {
+  const name = process.env.EMAIL_TRANSPORT || 'outbox';
+  const adapter = adapters[name];
+
+  if (!adapter) {
+    throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+  }
+  if (!adapter.isConfigured()) {
+    throw new Error(`Email transport "${name}" is not configured`);
+  }
+  return adapter;
+}
+
+/**
+ * Send one email: { to, subject, text, html }
+ */
+export async function sendEmail(message) {
+  return await getEmailAdapter().send({
+    from: process.env.EMAIL_FROM || 'no-reply@localhost',
+    ...message,
+  });
+}
@@ -0,0 +1,70 @@
+/**
+ * Account emails
+ * Each template returns { subject, text, html }. The token is always shown so it can be
+ * pasted into the app; APP_URL adds a clickable link when there is a web page to land on.
+ */
+
+function appLink(path, token) {
+  const base = process.env.APP_URL;
+  return base ? `${base.replace(/\/$/, '')}${path}?token=${encodeURIComponent(token)}` : null;
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function render({ greeting, intro, token, link, expiry, outro }) {
+  const text = [
+    greeting,
+    '',
+    intro,
+    '',
+    `Your code: ${token}`,
+    ...(link ? ['', `Or open: ${link}`] : []),
+    '',
+    expiry,
+    outro,
+  ].join('\n');
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    `<p>${escapeHtml(intro)}</p>`,
+    `<p>Your code: <code>${escapeHtml(token)}</code></p>`,
+    ...(link ? [`<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`] : []),
+    `<p>${escapeHtml(expiry)} ${escapeHtml(outro)}</p>`,
+  ].join('\n');
+
+  return { text, html };
+}
+
+const formatExpiry = (expiresAt) => `This code expires at ${expiresAt.toISOString().replace('T', ' ').slice(0, 16)} UTC.`;
+
+export function passwordResetEmail({ name, token, expiresAt }) {
+  return {
+    subject: 'Reset your password',
+    ...render({
+      greeting: `Hi ${name || 'there'},`,
+      intro: 'We received a request to reset your password. Enter this code in the app to choose a new one.',
+      token,
+      link: appLink('/reset-password', token),
+      expiry: formatExpiry(expiresAt),
+      outro: 'If you didn\'t ask for this, you can ignore this email - your password won\'t change.',
+    }),
+  };
+}
+
+export function emailVerificationEmail({ name, token, expiresAt }) {
+  return {
+    subject: 'Verify your email address',
+    ...render({
+      greeting: `Hi ${name || 'there'},`,
+      intro: 'Welcome! Please confirm this is your email address by entering this code in the app.',
+      token,
+      link: appLink('/verify-email', token),
+      expiry: formatExpiry(expiresAt),
+      outro: 'If you didn\'t create an account, you can ignore this email.',
+    }),
+  };
+}
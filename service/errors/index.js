@@ -0,0 +1,112 @@
+import { ERROR_CODES } from 'common';
+
+/**
+ * Application errors
+ *
+ * Throw one of these from a route (or anything a route calls) and the error middleware turns it
+ * into the standard envelope with its status and `code`:
+ *
+ *   throw new NotFoundError('Goal not found');
+ *   // 404 { success: false, error: "Goal not found", code: "NOT_FOUND", requestId }
+ *
+ * The message of an AppError is shown to the client, so keep it user-safe. Anything that is not an
+ * AppError is treated as a bug: logged in full, answered with a generic 500.
+ */
+
+export { ERROR_CODES };
+
+export class AppError extends Error {
+  constructor(message, { status = 500, code = ERROR_CODES.INTERNAL_ERROR, details, cause } = {}) {
+    super(message, { cause });
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = 'Bad request', options = {}) {
+    super(message, { status: 400, code: ERROR_CODES.BAD_REQUEST, ...options });
+  }
+}
+
+// `details` is the list of { location, path, message } issues from the request schemas
+export class ValidationError extends AppError {
+  constructor(details, options = {}) {
+    super(details[0]?.message || 'Invalid request', { status: 400, code: ERROR_CODES.VALIDATION_ERROR, details, ...options });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(message, { status: 401, code: ERROR_CODES.UNAUTHORIZED, ...options });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Not allowed', options = {}) {
+    super(message, { status: 403, code: ERROR_CODES.FORBIDDEN, ...options });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { status: 404, code: ERROR_CODES.NOT_FOUND, ...options });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict', options = {}) {
+    super(message, { status: 409, code: ERROR_CODES.CONFLICT, ...options });
+  }
+}
+
+export class RateLimitError extends AppError {
+  constructor(message = 'Too many requests', options = {}) {
+    super(message, { status: 429, code: ERROR_CODES.RATE_LIMITED, ...options });
+  }
+}
+
+export class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service unavailable', options = {}) {
+    super(message, { status: 503, code: ERROR_CODES.SERVICE_UNAVAILABLE, ...options });
+  }
+}
+
+// Codes for 4xx errors raised by Express itself (body-parser and friends)
+const HTTP_STATUS_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  429: ERROR_CODES.RATE_LIMITED,
+};
+
+/**
+ * Status and envelope for any thrown value
+ * `fallbackMessage` replaces the message of unexpected errors, which may hold internals.
+ */
+export function toErrorResponse(error, { fallbackMessage = 'Internal server error', requestId } = {}) {
+  let status = 500;
+  let body = { success: false, error: fallbackMessage, code: ERROR_CODES.INTERNAL_ERROR };
+
+  if (error instanceof AppError) {
+    status = error.status;
+    body = { success: false, error: error.message, code: error.code };
+    if (error.details !== undefined) body.details = error.details;
+  } else if (error?.type === 'entity.parse.failed') {
+    status = 400;
+    body = { success: false, error: 'Request body is not valid JSON', code: ERROR_CODES.INVALID_JSON };
+  } else if (error?.expose && error.status >= 400 && error.status < 500) {
+    status = error.status;
+    body = { success: false, error: error.message, code: HTTP_STATUS_CODES[status] || ERROR_CODES.BAD_REQUEST };
+  }
+
+  if (requestId) body.requestId = requestId;
+  return { status, body };
+}
+
+// Whether the error is expected (a client mistake) rather than a server fault worth an error log
+export const isClientError = error => toErrorResponse(error).status < 500;
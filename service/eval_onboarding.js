@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Measure onboarding extraction against the labeled replies in onboarding/fixtures/replies.json
+ * Usage: pnpm onboarding:eval [--regex]
+ *
+ * Runs the configured LLM (LLM_PROVIDER) and the offline regex parser and prints the accuracy
+ * of each; --regex skips the LLM. Token usage isn't recorded against any user.
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import { createOnboardingExtractor } from './onboarding/extraction.js';
+import { evaluateExtraction } from './onboarding/evaluation.js';
+
+const fixtures = JSON.parse(fs.readFileSync(new URL('./onboarding/fixtures/replies.json', import.meta.url), 'utf8'));
+const percent = value => `${(value * 100).toFixed(0)}%`;
+
+function printReport(label, report) {
+  console.log(`\n${label} (${report.cases} replies)`);
+  console.log(`   detection   ${percent(report.detection)}`);
+  console.log(`   name        ${percent(report.name)}`);
+  console.log(`   tone        ${percent(report.tone)}`);
+  console.log(`   goals       precision ${percent(report.goals.precision)}, recall ${percent(report.goals.recall)}, F1 ${percent(report.goals.f1)}`);
+  console.log(`   categories  ${percent(report.categories)}`);
+  for (const failure of report.failures) {
+    console.log(`   ✗ [${failure.misses.join(', ')}] ${failure.text}`);
+  }
+}
+
+async function evaluateOnboarding() {
+  try {
+    const regex = createOnboardingExtractor({ isConfigured: () => false });
+    printReport('Regex parser', await evaluateExtraction(fixtures, text => regex.extract('eval', text)));
+
+    if (!process.argv.includes('--regex')) {
+      const llm = createOnboardingExtractor();
+      printReport('LLM extraction', await evaluateExtraction(fixtures, text => llm.extract('eval', text)));
+    }
+  } catch (err) {
+    console.error('❌ Evaluation failed:', err.message);
+    process.exitCode = 1;
+  }
+}
+
+evaluateOnboarding();
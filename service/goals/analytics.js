@@ -0,0 +1,178 @@
+import { rollUpProgress } from 'common';
+import { addDays, localDay, weekStart } from './days.js';
+
+/**
+ * Goal analytics from the completion log (GoalCompletion rows)
+ *
+ * Everything here is computed in the user's local days (see days.js) from plain rows, so the
+ * routes only load data and the numbers can be tested without a database:
+ *
+ *   completions: [{ goalId, goalType, category, day }]
+ *   goals:       the user's current goals ({ id, text, type, createdAt })
+ */
+
+function countRun(days, from) {
+  let run = 0;
+  for (let day = from; days.has(day); day = addDays(day, -1)) run++;
+  return run;
+}
+
+/**
+ * { current, longest } days in a row found in `days`
+ * A streak is still current if its last day is yesterday - today isn't over yet.
+ */
+export function streakOf(days, today) {
+  const current = days.has(today) ? countRun(days, today) : countRun(days, addDays(today, -1));
+
+  let longest = 0;
+  for (const day of days) {
+    // Only count from the first day of each run
+    if (!days.has(addDays(day, -1))) {
+      let run = 0;
+      for (let next = day; days.has(next); next = addDays(next, 1)) run++;
+      longest = Math.max(longest, run);
+    }
+  }
+  return { current, longest };
+}
+
+/**
+ * Streaks of days with at least one daily goal done, overall and per current daily goal
+ */
+export function goalStreaks({ goals, completions, today }) {
+  const daily = completions.filter(completion => completion.goalType === 'daily');
+  const overall = streakOf(new Set(daily.map(completion => completion.day)), today);
+
+  const goalDays = new Map();
+  for (const completion of daily) {
+    if (!completion.goalId) continue;
+    if (!goalDays.has(completion.goalId)) goalDays.set(completion.goalId, new Set());
+    goalDays.get(completion.goalId).add(completion.day);
+  }
+
+  return {
+    ...overall,
+    completedToday: daily.some(completion => completion.day === today),
+    goals: goals
+      .filter(goal => goal.type === 'daily')
+      .map(goal => ({ goalId: goal.id, text: goal.text, ...streakOf(goalDays.get(goal.id) ?? new Set(), today) })),
+  };
+}
+
+// Monday of each of the last `weeks` weeks, oldest first
+export function lastWeeks(today, weeks) {
+  const thisWeek = weekStart(today);
+  return Array.from({ length: weeks }, (_, i) => addDays(thisWeek, -7 * (weeks - 1 - i)));
+}
+
+/**
+ * Share of daily goals done per week, oldest first
+ * Each day a current daily goal existed (from the day it was created, up to today) is one chance
+ * to do it. Completions of goals deleted since are left out, they have no chances to count against.
+ */
+export function weeklyCompletion({ goals, completions, today, weeks, timeZone }) {
+  const daily = goals
+    .filter(goal => goal.type === 'daily')
+    .map(goal => ({ id: goal.id, since: localDay(goal.createdAt, timeZone) }));
+  const done = new Set(completions
+    .filter(completion => completion.goalType === 'daily' && completion.goalId)
+    .map(completion => `${completion.goalId}:${completion.day}`));
+
+  return lastWeeks(today, weeks).map(start => {
+    let completed = 0;
+    let possible = 0;
+    for (let i = 0; i < 7; i++) {
+      const day = addDays(start, i);
+      if (day > today) break;
+      for (const goal of daily) {
+        if (goal.since > day) continue;
+        possible++;
+        if (done.has(`${goal.id}:${day}`)) completed++;
+      }
+    }
+    return { weekStart: start, completed, possible, rate: possible > 0 ? completed / possible : null };
+  });
+}
+
+/**
+ * Completions of any goal type per category per week, oldest week first
+ * Categories with the most completions come first; `change` compares this week with the last.
+ */
+export function categoryTrends({ completions, today, weeks }) {
+  const starts = lastWeeks(today, weeks);
+  const index = new Map(starts.map((start, i) => [start, i]));
+
+  const counts = new Map();
+  for (const completion of completions) {
+    const week = index.get(weekStart(completion.day));
+    if (week === undefined) continue;
+    if (!counts.has(completion.category)) counts.set(completion.category, new Array(weeks).fill(0));
+    counts.get(completion.category)[week]++;
+  }
+
+  const categories = [...counts.entries()]
+    .map(([category, perWeek]) => ({
+      category,
+      counts: perWeek,
+      total: perWeek.reduce((sum, count) => sum + count, 0),
+      change: weeks > 1 ? perWeek[weeks - 1] - perWeek[weeks - 2] : 0,
+    }))
+    .sort((a, b) => b.total - a.total || a.category.localeCompare(b.category));
+
+  return { weeks: starts, categories };
+}
+
+// Days from `start` to `end`, both included
+function daysBetween(start, end) {
+  return Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * Days a daily task under another goal is measured over, { start, end }: the week of its
+ * milestone (the 7 days up to the milestone's target date), or under a goal without a target
+ * date, each day from the task's creation up to today
+ */
+function taskPeriod(task, parent, { today, timeZone }) {
+  if (!parent.targetDate) return { start: localDay(task.createdAt, timeZone), end: today };
+  const end = localDay(parent.targetDate, timeZone);
+  return { start: addDays(end, -6), end };
+}
+
+// Daily tasks under another goal, with that goal
+function plannedTasks(goals) {
+  const byId = new Map(goals.map(goal => [goal.id, goal]));
+  return goals
+    .filter(goal => goal.type === 'daily' && byId.has(goal.parentId))
+    .map(task => ({ task, parent: byId.get(task.parentId) }));
+}
+
+/**
+ * First day of the log goalProgress needs, or null when no daily task is under another goal
+ */
+export function progressSince({ goals, today, timeZone }) {
+  const starts = plannedTasks(goals).map(({ task, parent }) => taskPeriod(task, parent, { today, timeZone }).start);
+  return starts.length > 0 ? starts.sort()[0] : null;
+}
+
+/**
+ * Progress of every goal, 0-1 by id, rolled up with rollUpProgress
+ * A daily task under a plan is only ticked off for the day - the rollover reopens it at midnight -
+ * so it counts the days of its period it was done instead (see taskPeriod). Daily goals on their
+ * own keep today's tick.
+ */
+export function goalProgress({ goals, completions, today, timeZone }) {
+  const done = new Set(completions
+    .filter(completion => completion.goalId)
+    .map(completion => `${completion.goalId}:${completion.day}`));
+
+  const measured = new Map(plannedTasks(goals).map(({ task, parent }) => {
+    const { start, end } = taskPeriod(task, parent, { today, timeZone });
+    let count = 0;
+    for (let day = start; day <= end && day <= today; day = addDays(day, 1)) {
+      if (done.has(`${task.id}:${day}`)) count++;
+    }
+    return [task.id, count / daysBetween(start, end)];
+  }));
+
+  return rollUpProgress(goals.map(goal => (measured.has(goal.id) ? { ...goal, progress: measured.get(goal.id) } : goal)));
+}
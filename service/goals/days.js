@@ -0,0 +1,76 @@
+/**
+ * Calendar days in a user's time zone
+ *
+ * Goal history works in local days, "YYYY-MM-DD" strings: a run logged at 23:30 in Berlin
+ * belongs to that Berlin day, whatever the UTC date. Day strings sort and compare as text;
+ * arithmetic on them is done at UTC midnight, so DST never shifts a day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    // en-CA formats dates as YYYY-MM-DD
+    formatter = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+function clockFor(timeZone) {
+  const key = `clock:${timeZone}`;
+  let formatter = formatters.get(key);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    });
+    formatters.set(key, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * The day `date` falls on in `timeZone` (UTC when missing or unknown)
+ */
+export function localDay(date, timeZone = 'UTC') {
+  try {
+    return formatterFor(timeZone || 'UTC').format(new Date(date));
+  } catch {
+    return formatterFor('UTC').format(new Date(date));
+  }
+}
+
+// Offset of `timeZone` from UTC at `time`, in ms (Berlin in summer → +2h)
+function offsetAt(time, timeZone) {
+  const parts = Object.fromEntries(clockFor(timeZone).formatToParts(new Date(time)).map(part => [part.type, part.value]));
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * The moment it is `hour`:00 on `day` in `timeZone` (UTC when missing or unknown)
+ * An hour skipped by a DST change resolves to the moment after the jump.
+ */
+export function atLocalHour(day, hour, timeZone = 'UTC') {
+  const wall = Date.parse(`${day}T00:00:00Z`) + hour * HOUR_MS;
+  try {
+    const guess = wall - offsetAt(wall, timeZone || 'UTC');
+    return new Date(wall - offsetAt(guess, timeZone || 'UTC'));
+  } catch {
+    return new Date(wall);
+  }
+}
+
+export function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Monday of the week `day` is in
+export function weekStart(day) {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+  return addDays(day, -((weekday + 6) % 7));
+}
@@ -0,0 +1,122 @@
+import { formatDate, goalDecompositionSchema } from 'common';
+import { getLLM as getMainLLM, getModelName, isLLMConfigured } from '../LLM/aiService.js';
+import { formatQuota, getQuotaMessage } from '../LLM/budget.js';
+import { RateLimitError, ServiceUnavailableError } from '../errors/index.js';
+import { logger } from '../logging/index.js';
+
+/**
+ * Goal decomposition
+ *
+ * Asks the main model to break a long-term goal into weekly milestones with daily tasks
+ * (goalDecompositionSchema in common, through structured output). Nothing is saved: the result is
+ * a proposal in the shape POST /api/goals/:id/plan accepts, so the app can show it for review and
+ * send back whatever the user keeps:
+ *
+ *   { milestones: [{ text, targetDate, targetValue, unit, tasks: [{ text, targetValue, unit }] }] }
+ *
+ * Unlike onboarding there is no fallback parser - without a model that supports structured output
+ * the request fails with 503, and over the hard budget cap with 429.
+ */
+
+const log = logger.child({ module: 'goals' });
+
+const MAX_TASKS_PER_MILESTONE = 3;
+const MAX_TEXT_LENGTH = 500;
+const MAX_UNIT_LENGTH = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SYSTEM_PROMPT = `You are a life coach turning a user's long-term goal into a weekly plan.
+Give one milestone per week: a concrete, checkable result for the end of that week that builds on
+the week before. For each, list 1-3 small daily tasks that lead to it. Use numbers (targetValue
+and unit) wherever progress can be measured. Keep every text short and in plain words.`;
+
+function describeGoal(goal, { weeks, notes }) {
+  const lines = [`Goal: ${goal.text}`, `Category: ${goal.category}`];
+  if (goal.targetValue) lines.push(`Target: ${goal.targetValue}${goal.unit ? ` ${goal.unit}` : ''}`);
+  if (goal.targetDate) lines.push(`Deadline: ${formatDate(new Date(goal.targetDate))}`);
+  lines.push(`Plan the next ${weeks} week${weeks === 1 ? '' : 's'} (weeks 1-${weeks}).`);
+  if (notes) lines.push(`Notes from the user: ${notes}`);
+  return lines.join('\n');
+}
+
+const cleanText = (text, max = MAX_TEXT_LENGTH) => (typeof text === 'string' ? text.trim().slice(0, max) : '');
+
+function cleanTarget({ targetValue, unit }) {
+  const value = typeof targetValue === 'number' && targetValue > 0 ? targetValue : null;
+  return { targetValue: value, unit: value ? cleanText(unit, MAX_UNIT_LENGTH) || null : null };
+}
+
+/**
+ * The model's decomposition as a plan: milestones in week order within `weeks`, each due at the
+ * end of its week counted from `start`; blank entries dropped, at most three tasks per milestone
+ */
+export function toGoalPlan(decomposition, { weeks, start = new Date() }) {
+  const milestones = decomposition.milestones
+    .map(milestone => ({ ...milestone, week: Math.min(Math.max(Math.round(milestone.week), 1), weeks) }))
+    .filter(milestone => cleanText(milestone.text))
+    .sort((a, b) => a.week - b.week)
+    .map(milestone => ({
+      text: cleanText(milestone.text),
+      targetDate: formatDate(new Date(start.getTime() + milestone.week * 7 * DAY_MS)),
+      ...cleanTarget(milestone),
+      tasks: milestone.tasks
+        .filter(task => cleanText(task.text))
+        .slice(0, MAX_TASKS_PER_MILESTONE)
+        .map(task => ({ text: cleanText(task.text), ...cleanTarget(task) })),
+    }));
+
+  return { milestones };
+}
+
+/**
+ * Build the decomposer; dependencies are injectable for tests
+ * recordUsage(userId, response, model) books the tokens of each call.
+ */
+export function createGoalDecomposer({
+  getLLM = getMainLLM,
+  isConfigured = isLLMConfigured,
+  checkBudget,
+  recordUsage,
+  now = () => new Date(),
+} = {}) {
+  /**
+   * Proposed plan for a long-term goal (see toGoalPlan)
+   * Throws ServiceUnavailableError when no model can do it, RateLimitError over the budget.
+   */
+  async function decompose(userId, goal, { weeks = 4, notes } = {}) {
+    // Structured output needs tool calling (the fake provider's model has none)
+    if (!isConfigured() || typeof getLLM().bindTools !== 'function') {
+      throw new ServiceUnavailableError('Goal planning is not available right now');
+    }
+
+    if (checkBudget) {
+      const budget = await checkBudget(userId);
+      if (budget?.status === 'hard') {
+        throw new RateLimitError(getQuotaMessage(budget), {
+          code: 'QUOTA_EXCEEDED',
+          details: { quota: formatQuota(budget) },
+        });
+      }
+    }
+
+    const model = getLLM().withStructuredOutput(goalDecompositionSchema, {
+      name: 'propose_goal_plan',
+      includeRaw: true,
+    });
+    const { raw, parsed } = await model.invoke([
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'human', content: describeGoal(goal, { weeks, notes }) },
+    ]);
+    if (recordUsage) await recordUsage(userId, raw, getModelName('main'));
+
+    const result = goalDecompositionSchema.safeParse(parsed);
+    const plan = result.success ? toGoalPlan(result.data, { weeks, start: now() }) : null;
+    if (!plan || plan.milestones.length === 0) {
+      log.warn('Unusable goal decomposition', { userId, goalId: goal.id, issue: result.error?.issues[0]?.message });
+      throw new ServiceUnavailableError('Could not put a plan together for this goal, please try again');
+    }
+    return plan;
+  }
+
+  return { decompose };
+}
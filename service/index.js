@@ -1,8 +1,15 @@
 import 'dotenv/config';
 import express from "express";
 import cors from "cors";
-import { disconnect } from "./db/index.js";
+import { disconnect, responseCacheService, reminderDeliveryService, goalService } from "./db/index.js";
+import { configureResponseCache, PostgresCacheBackend } from "./LLM/responseCache.js";
+import { ReminderScheduler } from "./jobs/reminderScheduler.js";
+import { GoalRollover } from "./jobs/goalRollover.js";
+import { GoalNudgeScheduler } from "./jobs/goalNudges.js";
+import { notificationService } from "./notifications/index.js";
 import { getSwaggerSpecs, createSwaggerMiddleware, swaggerUi, regenerateSwaggerDocs } from "./swagger.js";
+import { logger, requestContext, requestLogger, REQUEST_ID_HEADER } from "./logging/index.js";
+import { errorHandler, notFoundHandler } from "./routes/errors.js";
 
 // Import route handlers
 import authRoutes from "./routes/auth.js";
@@ -13,12 +20,25 @@ import aiMemoryRoutes from "./routes/ai-memory.js";
 import chatRoutes from "./routes/chat.js"; // Using real OpenAI with cost optimization
 import goalRoutes from "./routes/goals.js";
 import calendarRoutes from "./routes/calendar.js";
+import usageRoutes from "./routes/usage.js";
+import routingRoutes from "./routes/routing.js";
+import deviceRoutes from "./routes/devices.js";
+import notificationRoutes from "./routes/notifications.js";
+import adminRoutes from "./routes/admin.js";
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Response cache backend (in-process LRU unless RESPONSE_CACHE_BACKEND=postgres)
+if (process.env.RESPONSE_CACHE_BACKEND === 'postgres') {
+  configureResponseCache({ backend: new PostgresCacheBackend(responseCacheService) });
+  logger.info('Response cache backend', { backend: 'postgres' });
+}
+
 // Middleware
-app.use(cors());
+app.use(requestContext());
+app.use(requestLogger());
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
 app.use(express.json());
 
 // Health check route
@@ -33,6 +53,11 @@ app.use("/api/ai-memory", aiMemoryRoutes);
 app.use("/api/chat", chatRoutes);
 app.use("/api/goals", goalRoutes);
 app.use("/api/calendar", calendarRoutes);
+app.use("/api/usage", usageRoutes);
+app.use("/api/routing", routingRoutes);
+app.use("/api/devices", deviceRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Auto-updating Swagger middleware (after routes are registered)
 app.use(createSwaggerMiddleware(app));
@@ -53,7 +78,7 @@ app.get('/api-docs', async (req, res, next) => {
     });
     setup(req, res, next);
   } catch (error) {
-    console.error('Error generating Swagger docs:', error);
+    logger.error('Error generating Swagger docs', { err: error });
     return res.status(500).send('Failed to generate API documentation');
   }
 });
@@ -65,23 +90,31 @@ app.post('/api-docs/regenerate', (req, res) => {
   res.json({ success: true, message: 'Documentation will be regenerated on next request' });
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Server error:', error);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: error.message 
-  });
+// 404 for unknown routes, then the error envelope for anything thrown (see routes/errors.js)
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Background job: deliver due reminders as push notifications (disable with REMINDER_SCHEDULER=off)
+const reminderScheduler = new ReminderScheduler({
+  store: reminderDeliveryService,
+  deliver: notificationService.notifyReminder,
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
+// Background job: reopen daily goals after midnight in each user's time zone (disable with GOAL_ROLLOVER=off)
+const goalRollover = new GoalRollover({ store: goalService });
+
+// Background job: nudge users about daily goals still open at GOAL_NUDGE_HOUR (disable with GOAL_NUDGES=off)
+const goalNudges = new GoalNudgeScheduler({
+  store: goalService,
+  deliver: notificationService.notifyGoal,
 });
 
 // Graceful shutdown
 const gracefulShutdown = async () => {
-  console.log('Shutting down gracefully...');
+  logger.info('Shutting down gracefully');
+  reminderScheduler.stop();
+  goalRollover.stop();
+  goalNudges.stop();
   await disconnect();
   process.exit(0);
 };
@@ -90,6 +123,15 @@ process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
 app.listen(PORT, () => {
-  console.log(`🚀 AI Life Coach API Server running on port ${PORT}`);
-  console.log(`📖 API endpoints available at http://localhost:${PORT}/api`);
+  logger.info('AI Life Coach API Server running', { port: Number(PORT), api: `http://localhost:${PORT}/api` });
+
+  if (process.env.REMINDER_SCHEDULER !== 'off') {
+    reminderScheduler.start();
+  }
+  if (process.env.GOAL_ROLLOVER !== 'off') {
+    goalRollover.start();
+  }
+  if (process.env.GOAL_NUDGES !== 'off') {
+    goalNudges.start();
+  }
 });
\ No newline at end of file
@@ -0,0 +1,143 @@
+import { logger } from '../logging/index.js';
+import { addDays, atLocalHour, localDay } from '../goals/days.js';
+
+/**
+ * Daily goal nudges
+ *
+ * A daily goal comes due every day at GOAL_NUDGE_HOUR (default 18:00) in its owner's time
+ * zone. If it hasn't been ticked off by then, its owner gets one notification for it that
+ * day, written by the same composer as reminders. The goal's lastNudgedAt is claimed
+ * before sending, so restarts or overlapping instances never nudge twice for the same day.
+ *
+ * The store (goalService), clock and deliver function are injected so the job can be
+ * driven step by step in tests.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_NUDGE_HOUR = Number(process.env.GOAL_NUDGE_HOUR) || 18;
+
+// A daily goal counts as done today while it's ticked with today's completion date
+function isDoneOn(goal, day, timeZone) {
+  return Boolean(goal.completed && goal.lastCompletedDate && localDay(goal.lastCompletedDate, timeZone) === day);
+}
+
+const nudgedOn = (goal, day, timeZone) => Boolean(goal.lastNudgedAt && localDay(goal.lastNudgedAt, timeZone) === day);
+
+/**
+ * Whether a daily goal should be nudged at `now`: its time today has come and it
+ * has been neither done nor nudged today, in `timeZone`
+ */
+export function isNudgeDue(goal, now, { hour = DEFAULT_NUDGE_HOUR, timeZone } = {}) {
+  if (goal.type !== 'daily') return false;
+  const today = localDay(now, timeZone);
+  if (now < atLocalHour(today, hour, timeZone)) return false;
+  return !isDoneOn(goal, today, timeZone) && !nudgedOn(goal, today, timeZone);
+}
+
+/**
+ * The next `count` times a daily goal will be nudged, starting with today's
+ * (which may already be past if the job hasn't picked it up yet)
+ */
+export function getUpcomingNudges(goal, now, count, { hour = DEFAULT_NUDGE_HOUR, timeZone } = {}) {
+  if (goal.type !== 'daily') return [];
+
+  const today = localDay(now, timeZone);
+  const skipToday = isDoneOn(goal, today, timeZone) || nudgedOn(goal, today, timeZone);
+
+  const nudges = [];
+  for (let day = skipToday ? 1 : 0; nudges.length < count; day++) {
+    nudges.push(atLocalHour(addDays(today, day), hour, timeZone));
+  }
+  return nudges;
+}
+
+// Default delivery: log it (push notifications plug in here)
+async function logNudge(goal) {
+  logger.info('Daily goal due', { userId: goal.userId, goalId: goal.id });
+}
+
+export class GoalNudgeScheduler {
+  /**
+   * options:
+   * - store       goalService (findNudgeCandidates, claimNudge)
+   * - clock       { now(): Date } (default: system clock)
+   * - deliver     async (goal, scheduledFor) => void - throw to log a failed nudge
+   * - intervalMs  how often to check (default GOAL_NUDGE_INTERVAL_MS or 5 minutes)
+   * - hour        local hour a daily goal comes due (default GOAL_NUDGE_HOUR or 18)
+   */
+  constructor({ store, clock, deliver, intervalMs, hour } = {}) {
+    if (!store) throw new Error('GoalNudgeScheduler requires a store');
+    this.store = store;
+    this.clock = clock || { now: () => new Date() };
+    this.deliver = deliver || logNudge;
+    this.intervalMs = intervalMs || Number(process.env.GOAL_NUDGE_INTERVAL_MS) || 5 * 60_000;
+    this.hour = hour ?? DEFAULT_NUDGE_HOUR;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Nudge every daily goal that has come due and isn't done
+   * Returns { nudged, skipped, failed }
+   */
+  async tick() {
+    if (this.running) return { nudged: 0, skipped: 0, failed: 0 };
+    this.running = true;
+
+    const result = { nudged: 0, skipped: 0, failed: 0 };
+    try {
+      const now = this.clock.now();
+      // Anything due today was last nudged before local midnight, at least `hour` hours ago
+      const candidates = await this.store.findNudgeCandidates(new Date(now.getTime() - this.hour * HOUR_MS));
+
+      for (const goal of candidates) {
+        const timeZone = goal.user?.timezone;
+        if (!isNudgeDue(goal, now, { hour: this.hour, timeZone })) continue;
+
+        try {
+          // Already nudged by another run
+          if (!(await this.store.claimNudge(goal, now))) {
+            result.skipped++;
+            continue;
+          }
+          await this.deliver(goal, atLocalHour(localDay(now, timeZone), this.hour, timeZone));
+          result.nudged++;
+        } catch (error) {
+          logger.error('Error nudging goal', { err: error, goalId: goal.id });
+          result.failed++;
+        }
+      }
+
+      if (result.nudged + result.skipped + result.failed > 0) {
+        logger.info('Goal nudges tick', result);
+      }
+    } catch (error) {
+      logger.error('Error running goal nudges', { err: error });
+    } finally {
+      this.running = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Start polling (runs one tick immediately)
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref?.();
+    this.tick();
+    logger.info('Goal nudges started', { intervalMs: this.intervalMs, hour: this.hour });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
@@ -0,0 +1,85 @@
+import { logger } from '../logging/index.js';
+import { localDay } from '../goals/days.js';
+
+/**
+ * Daily goal rollover
+ *
+ * A daily goal is ticked off for one day. Once that day is over - midnight in the user's own
+ * time zone, not the server's - this job clears `completed` so the goal is open again. What was
+ * done stays in the GoalCompletion log. GET /api/goals applies the same rule to the caller's
+ * goals, so nobody sees yesterday's ticks while waiting for the next run.
+ */
+
+/**
+ * Whether a daily goal is still marked done from an earlier day in `timeZone`
+ */
+export function isStaleCompletion(goal, timeZone, now) {
+  if (goal.type !== 'daily' || !goal.completed) return false;
+  if (!goal.lastCompletedDate) return true;
+  return localDay(goal.lastCompletedDate, timeZone) < localDay(now, timeZone);
+}
+
+export class GoalRollover {
+  /**
+   * options:
+   * - store       goalService (getCompletedDaily, resetDaily)
+   * - clock       { now(): Date } (default: system clock)
+   * - intervalMs  how often to check (default GOAL_ROLLOVER_INTERVAL_MS or 15 minutes)
+   */
+  constructor({ store, clock, intervalMs } = {}) {
+    if (!store) throw new Error('GoalRollover requires a store');
+    this.store = store;
+    this.clock = clock || { now: () => new Date() };
+    this.intervalMs = intervalMs || Number(process.env.GOAL_ROLLOVER_INTERVAL_MS) || 15 * 60_000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Reopen every daily goal whose day is over for its user
+   * Returns { reset }
+   */
+  async tick() {
+    if (this.running) return { reset: 0 };
+    this.running = true;
+
+    const result = { reset: 0 };
+    try {
+      const now = this.clock.now();
+      const completed = await this.store.getCompletedDaily();
+      const stale = completed.filter(goal => isStaleCompletion(goal, goal.user?.timezone, now));
+
+      if (stale.length > 0) {
+        // Goals ticked again since `now` keep their new tick
+        result.reset = await this.store.resetDaily(stale.map(goal => goal.id), { completedBefore: now });
+        logger.info('Daily goals rolled over', result);
+      }
+    } catch (error) {
+      logger.error('Error rolling over daily goals', { err: error });
+    } finally {
+      this.running = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Start polling (runs one tick immediately)
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref?.();
+    this.tick();
+    logger.info('Goal rollover started', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
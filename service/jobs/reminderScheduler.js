@@ -0,0 +1,191 @@
+import { logger } from '../logging/index.js';
+
+/**
+ * In-process reminder scheduler
+ *
+ * Every tick it finds reminders whose dueDate has passed, records a delivery and
+ * moves repeating reminders to their next occurrence. Firing an occurrence and
+ * advancing the reminder happen in one transaction, and deliveries are unique per
+ * (reminder, dueDate), so restarts or overlapping instances never fire twice.
+ *
+ * The store (reminderDeliveryService), clock and deliver function are injected so
+ * the scheduler can be driven step by step in tests.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CATCH_UP_STEPS = 10_000;
+
+// Add months in UTC, clamping to the last day of the month (Jan 31 + 1 month → Feb 28/29)
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * The occurrence after `date` for a repeat rule, or null if it doesn't repeat
+ * DAILY/WEEKLY/MONTHLY/YEARLY repeat every `interval` (default 1) units;
+ * CUSTOM repeats every `interval` days.
+ */
+export function addRepeatInterval(date, repeatType, interval) {
+  const step = interval && interval > 0 ? interval : 1;
+
+  switch (repeatType) {
+    case 'DAILY':
+      return new Date(date.getTime() + step * DAY_MS);
+    case 'WEEKLY':
+      return new Date(date.getTime() + step * 7 * DAY_MS);
+    case 'MONTHLY':
+      return addMonths(date, step);
+    case 'YEARLY':
+      return addMonths(date, step * 12);
+    case 'CUSTOM':
+      return interval && interval > 0 ? new Date(date.getTime() + interval * DAY_MS) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Next dueDate for a reminder after it fires at `now`
+ * Missed occurrences (e.g. the server was down) are skipped, not replayed.
+ * Returns null when the reminder doesn't repeat or the next occurrence is past repeatUntil.
+ */
+export function getNextOccurrence(reminder, now) {
+  if (!reminder.repeatType) return null;
+
+  let next = new Date(reminder.dueDate);
+  for (let i = 0; i < MAX_CATCH_UP_STEPS; i++) {
+    next = addRepeatInterval(next, reminder.repeatType, reminder.interval);
+    if (!next) return null;
+    if (next > now) break;
+  }
+
+  if (next <= now) return null;
+  if (reminder.repeatUntil && next > new Date(reminder.repeatUntil)) return null;
+  return next;
+}
+
+/**
+ * The next `count` times a reminder will fire, starting with its current dueDate
+ * (which may already be past if the scheduler hasn't picked it up yet)
+ */
+export function getUpcomingOccurrences(reminder, count) {
+  if (reminder.completed || reminder.deliveredAt) return [];
+
+  const occurrences = [];
+  let next = new Date(reminder.dueDate);
+  while (next && occurrences.length < count) {
+    if (reminder.repeatUntil && next > new Date(reminder.repeatUntil)) break;
+    occurrences.push(next);
+    next = addRepeatInterval(next, reminder.repeatType, reminder.interval);
+  }
+  return occurrences;
+}
+
+// Default delivery: log it (push notifications plug in here)
+async function logDelivery(reminder) {
+  logger.info('Reminder due', { userId: reminder.userId, reminderId: reminder.id });
+}
+
+export class ReminderScheduler {
+  /**
+   * options:
+   * - store       reminderDeliveryService (findDue, fire, markDelivered, markFailed)
+   * - clock       { now(): Date } (default: system clock)
+   * - deliver     async (reminder, delivery) => void - throw to mark the delivery failed
+   * - intervalMs  how often to check (default REMINDER_SCHEDULER_INTERVAL_MS or 60s)
+   * - batchSize   reminders per query (default 100)
+   */
+  constructor({ store, clock, deliver, intervalMs, batchSize } = {}) {
+    if (!store) throw new Error('ReminderScheduler requires a store');
+    this.store = store;
+    this.clock = clock || { now: () => new Date() };
+    this.deliver = deliver || logDelivery;
+    this.intervalMs = intervalMs || Number(process.env.REMINDER_SCHEDULER_INTERVAL_MS) || 60_000;
+    this.batchSize = batchSize || 100;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Process everything that is due right now
+   * Returns { fired, skipped, failed }
+   */
+  async tick() {
+    // Never overlap runs - a slow tick just delays the next one
+    if (this.running) return { fired: 0, skipped: 0, failed: 0 };
+    this.running = true;
+
+    const result = { fired: 0, skipped: 0, failed: 0 };
+    try {
+      const now = this.clock.now();
+      const due = await this.store.findDue(now, this.batchSize);
+
+      for (const reminder of due) {
+        let delivery;
+        try {
+          delivery = await this.store.fire(reminder, {
+            nextDueDate: getNextOccurrence(reminder, now),
+            firedAt: now,
+          });
+        } catch (error) {
+          // One broken reminder mustn't hold up the rest of the batch
+          logger.error('Error firing reminder', { err: error, reminderId: reminder.id });
+          result.failed++;
+          continue;
+        }
+
+        // Already fired by another run
+        if (!delivery) {
+          result.skipped++;
+          continue;
+        }
+
+        try {
+          await this.deliver(reminder, delivery);
+          await this.store.markDelivered(delivery.id, this.clock.now());
+          result.fired++;
+        } catch (error) {
+          logger.error('Error delivering reminder', { err: error, reminderId: reminder.id });
+          await this.store.markFailed(delivery.id, error.message);
+          result.failed++;
+        }
+      }
+
+      if (due.length > 0) {
+        logger.info('Reminder scheduler tick', result);
+      }
+    } catch (error) {
+      logger.error('Error running reminder scheduler', { err: error });
+    } finally {
+      this.running = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Start polling (runs one tick immediately)
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref?.(); // Don't keep the process alive just for reminders
+    this.tick();
+    logger.info('Reminder scheduler started', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
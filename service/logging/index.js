@@ -0,0 +1,41 @@
+import { createLogger } from './logger.js';
+import { getRequestContext } from './requestContext.js';
+
+/**
+ * The service's logger
+ *
+ * LOG_LEVEL      debug | info | warn | error | silent (default info)
+ * LOG_MESSAGE_TEXT=true keeps what users type in the logs (local debugging only)
+ */
+export const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  redactText: process.env.LOG_MESSAGE_TEXT !== 'true',
+  context: getRequestContext,
+});
+
+/**
+ * Middleware: one line per finished request with its status and duration
+ * Logs the path without the query string, which may carry search text.
+ */
+export function requestLogger(log = logger) {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      log[level]('Request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.baseUrl + req.path,
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        ...(req.userId && { userId: req.userId }),
+      });
+    });
+
+    next();
+  };
+}
+
+export { createLogger, redact, serializeError, LOG_LEVELS } from './logger.js';
+export { requestContext, getRequestId, getRequestContext, runWithRequestContext, REQUEST_ID_HEADER } from './requestContext.js';
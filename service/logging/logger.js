@@ -0,0 +1,108 @@
+/**
+ * Structured JSON logger
+ *
+ * One JSON object per line, so log shipping can index fields instead of grepping emoji:
+ *
+ *   {"time":"2025-06-01T08:00:00.000Z","level":"info","msg":"Chat request","requestId":"…","userId":"…"}
+ *
+ * Fields are redacted before they are written: credentials (passwords, tokens, secrets, API keys)
+ * always, and what users type (message text, prompts, replies) unless `redactText` is off. Text is
+ * replaced by its length, which is usually all a log reader needs.
+ */
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Keys whose values are credentials, matched case-insensitively against the end of the key
+const SECRET_KEY = /(password|passwordhash|secret|authorization|cookie|apikey|api_key|recoverycode|token)$/i;
+
+// Keys whose values are user-written text
+const TEXT_KEY = /^(message|messages|text|content|prompt|reply|response|responsetext|usermessage|title|description)$/i;
+
+const MAX_DEPTH = 5;
+
+export const serializeError = error => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.status !== undefined && { status: error.status }),
+  stack: error.stack,
+  ...(error.cause instanceof Error && { cause: serializeError(error.cause) }),
+});
+
+/**
+ * Copy of `value` that is safe to log
+ * Errors are serialized (their messages are kept: they describe the failure, not the user's input).
+ */
+export function redact(value, { redactText = true } = {}, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, { redactText }, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_KEY.test(key) && item != null && item !== '') {
+      result[key] = '[REDACTED]';
+    } else if (redactText && TEXT_KEY.test(key) && item != null && !(item instanceof Error)) {
+      result[key] = typeof item === 'string' ? `[REDACTED ${item.length} chars]` : '[REDACTED]';
+    } else {
+      result[key] = redact(item, { redactText }, depth + 1);
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.level] - Minimum level written (debug, info, warn, error, or silent)
+ * @param {boolean} [options.redactText] - Replace user-written text with its length
+ * @param {object} [options.fields] - Fields added to every line (see `child`)
+ * @param {() => object} [options.context] - Fields of the current request, e.g. its requestId
+ * @param {(line: string, level: string) => void} [options.write]
+ * @param {() => Date} [options.clock]
+ */
+export function createLogger({
+  level = 'info',
+  redactText = true,
+  fields = {},
+  context = () => ({}),
+  write = line => process.stdout.write(`${line}\n`),
+  clock = () => new Date(),
+} = {}) {
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  const log = (entryLevel, msg, data = {}) => {
+    if (LOG_LEVELS[entryLevel] < threshold) return;
+
+    const entry = {
+      time: clock().toISOString(),
+      level: entryLevel,
+      msg,
+      ...context(),
+      ...redact({ ...fields, ...data }, { redactText }),
+    };
+
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch {
+      line = JSON.stringify({ time: entry.time, level: entryLevel, msg, logError: 'Unserializable fields' });
+    }
+    write(line, entryLevel);
+  };
+
+  return {
+    level,
+    debug: (msg, data) => log('debug', msg, data),
+    info: (msg, data) => log('info', msg, data),
+    warn: (msg, data) => log('warn', msg, data),
+    error: (msg, data) => log('error', msg, data),
+    isLevelEnabled: entryLevel => LOG_LEVELS[entryLevel] >= threshold,
+    // Logger that adds `extra` to every line, e.g. logger.child({ module: 'chat' })
+    child: extra => createLogger({ level, redactText, fields: { ...fields, ...extra }, context, write, clock }),
+  };
+}
@@ -0,0 +1,37 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Per-request context (the request ID) that follows the request through async calls
+ *
+ * The logger reads it, so every line written while handling a request carries its `requestId`
+ * without threading `req` through services.
+ */
+
+const storage = new AsyncLocalStorage();
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Accept a caller's ID (a proxy or the app tracing a retry) only if it looks like one
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+export const getRequestContext = () => storage.getStore() || {};
+
+export const getRequestId = () => storage.getStore()?.requestId;
+
+export const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Middleware: give the request an ID, echo it in `X-Request-Id` and run the rest of the
+ * request inside its context. Sets `req.id`.
+ */
+export function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+    storage.run({ requestId }, next);
+  };
+}
@@ -0,0 +1,96 @@
+import http2 from 'http2';
+import jwt from 'jsonwebtoken';
+
+// Apple Push Notification service for iOS devices (token-based auth over HTTP/2).
+// Needs APNS_KEY_ID, APNS_TEAM_ID, APNS_PRIVATE_KEY (.p8 contents) and APNS_BUNDLE_ID.
+// Uses the sandbox host unless APNS_PRODUCTION=true.
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+let providerToken = null; // { value, issuedAt }
+
+// Apple rejects provider tokens older than an hour; refresh every 50 minutes
+function getProviderToken() {
+  if (providerToken && Date.now() - providerToken.issuedAt < 50 * 60 * 1000) {
+    return providerToken.value;
+  }
+
+  const value = jwt.sign(
+    { iss: process.env.APNS_TEAM_ID },
+    (process.env.APNS_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+    { algorithm: 'ES256', keyid: process.env.APNS_KEY_ID },
+  );
+  providerToken = { value, issuedAt: Date.now() };
+  return value;
+}
+
+function getHost() {
+  return process.env.APNS_PRODUCTION === 'true'
+    ? 'https://api.push.apple.com'
+    : 'https://api.sandbox.push.apple.com';
+}
+
+// One request per send keeps this simple; reminder volume doesn't need a pooled session
+function request(token, payload) {
+  return new Promise((resolve, reject) => {
+    const client = http2.connect(getHost());
+    client.on('error', reject);
+
+    const req = client.request({
+      ':method': 'POST',
+      ':path': `/3/device/${token}`,
+      authorization: `bearer ${getProviderToken()}`,
+      'apns-topic': process.env.APNS_BUNDLE_ID,
+      'apns-push-type': 'alert',
+      'content-type': 'application/json',
+    });
+
+    let status = 0;
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('response', headers => { status = headers[':status']; });
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      client.close();
+      resolve({ status, body });
+    });
+    req.on('error', error => {
+      client.close();
+      reject(error);
+    });
+
+    req.end(JSON.stringify(payload));
+  });
+}
+
+const apns = {
+  name: 'apns',
+
+  isConfigured() {
+    return !!(process.env.APNS_KEY_ID && process.env.APNS_TEAM_ID && process.env.APNS_PRIVATE_KEY && process.env.APNS_BUNDLE_ID);
+  },
+
+  async send(device, notification) {
+    const { status, body } = await request(device.token, {
+      aps: {
+        alert: { title: notification.title, body: notification.body },
+        sound: 'default',
+      },
+      ...(notification.data || {}),
+    });
+
+    if (status === 200) return { ok: true };
+
+    let reason = 'send failed';
+    try {
+      reason = JSON.parse(body).reason || reason;
+    } catch {}
+
+    return {
+      ok: false,
+      error: `APNs ${status}: ${reason}`,
+      invalidToken: status === 410 || INVALID_TOKEN_REASONS.includes(reason),
+    };
+  },
+};
+
+export default apns;
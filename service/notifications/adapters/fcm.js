@@ -0,0 +1,86 @@
+import jwt from 'jsonwebtoken';
+
+// Firebase Cloud Messaging (HTTP v1) for Android devices.
+// Authenticates with a service account: FCM_PROJECT_ID, FCM_CLIENT_EMAIL, FCM_PRIVATE_KEY
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+let accessToken = null; // { value, expiresAt }
+
+function getPrivateKey() {
+  // Keys pasted into .env usually have escaped newlines
+  return (process.env.FCM_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+}
+
+// Exchange a signed service-account assertion for an OAuth access token (cached ~1h)
+async function getAccessToken() {
+  if (accessToken && accessToken.expiresAt > Date.now() + 60_000) {
+    return accessToken.value;
+  }
+
+  const assertion = jwt.sign(
+    { iss: process.env.FCM_CLIENT_EMAIL, scope: SCOPE, aud: TOKEN_URL },
+    getPrivateKey(),
+    { algorithm: 'RS256', expiresIn: '1h' },
+  );
+
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion,
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`FCM auth failed (${response.status})`);
+  }
+
+  const data = await response.json();
+  accessToken = { value: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+  return accessToken.value;
+}
+
+const fcm = {
+  name: 'fcm',
+
+  isConfigured() {
+    return !!(process.env.FCM_PROJECT_ID && process.env.FCM_CLIENT_EMAIL && process.env.FCM_PRIVATE_KEY);
+  },
+
+  async send(device, notification) {
+    const response = await fetch(
+      `https://fcm.googleapis.com/v1/projects/${process.env.FCM_PROJECT_ID}/messages:send`,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${await getAccessToken()}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          message: {
+            token: device.token,
+            notification: { title: notification.title, body: notification.body },
+            // FCM data values must be strings
+            data: Object.fromEntries(
+              Object.entries(notification.data || {}).map(([key, value]) => [key, String(value)]),
+            ),
+          },
+        }),
+      },
+    );
+
+    if (response.ok) return { ok: true };
+
+    const body = await response.json().catch(() => ({}));
+    const errorCode = body.error?.details?.find(detail => detail.errorCode)?.errorCode;
+    return {
+      ok: false,
+      error: `FCM ${response.status}${errorCode ? ` ${errorCode}` : ''}: ${body.error?.message || 'send failed'}`,
+      // App was uninstalled or the token expired
+      invalidToken: response.status === 404 || errorCode === 'UNREGISTERED',
+    };
+  },
+};
+
+export default fcm;
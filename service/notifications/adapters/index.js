@@ -0,0 +1,37 @@
+import fcm from './fcm.js';
+import apns from './apns.js';
+import local from './local.js';
+
+/**
+ * Push adapter registry
+ * PUSH_DELIVERY=local (default) sends everything to the local adapter (console/outbox file);
+ * PUSH_DELIVERY=live sends through the adapter matching each device's provider.
+ *
+ * An adapter is a plain object:
+ * {
+ *   name,
+ *   isConfigured(): boolean,
+ *   send(device, { title, body, data }): Promise<{ ok, error?, invalidToken? }>,
+ * }
+ * `invalidToken: true` means the token is permanently dead and the device should be removed.
+ */
+const adapters = { fcm, apns, local };
+
+export function isLiveDelivery() {
+  return process.env.PUSH_DELIVERY === 'live';
+}
+
+/**
+ * Adapter that should handle a device
+ */
+export function getAdapterForDevice(device) {
+  if (!isLiveDelivery()) return adapters.local;
+  return adapters[device.provider] || null;
+}
+
+/**
+ * Register an additional adapter (e.g. Expo push, web push) at startup
+ */
+export function registerAdapter(adapter) {
+  adapters[adapter.name] = adapter;
+}
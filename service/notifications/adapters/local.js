@@ -0,0 +1,40 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../../logging/index.js';
+
+// Development adapter: nothing leaves the machine. Each notification is logged and,
+// if NOTIFICATION_OUTBOX_FILE is set, appended to that file as one JSON line.
+const local = {
+  name: 'local',
+
+  isConfigured() {
+    return true;
+  },
+
+  async send(device, notification) {
+    logger.info('Local push', {
+      platform: device.platform,
+      deviceId: device.id,
+      userId: device.userId,
+      title: notification.title,
+      text: notification.body,
+    });
+
+    const outbox = process.env.NOTIFICATION_OUTBOX_FILE;
+    if (outbox) {
+      await fs.promises.mkdir(path.dirname(outbox), { recursive: true });
+      await fs.promises.appendFile(outbox, JSON.stringify({
+        sentAt: new Date().toISOString(),
+        deviceId: device.id,
+        userId: device.userId,
+        provider: device.provider,
+        token: device.token,
+        ...notification,
+      }) + '\n');
+    }
+
+    return { ok: true };
+  },
+};
+
+export default local;
@@ -0,0 +1,22 @@
+import { deviceService } from '../db/index.js';
+import { getCoachingProfile } from '../LLM/userContext.js';
+import { recordTokenUsage, checkBudget, USAGE_ENDPOINTS } from '../LLM/usageTracker.js';
+import { createMessageComposer } from './messageComposer.js';
+import { createNotificationService } from './notificationService.js';
+
+/**
+ * App-wide notification instances, wired to the database
+ * (the factories themselves stay database-free for tests)
+ */
+
+export const messageComposer = createMessageComposer({
+  loadProfile: getCoachingProfile,
+  checkBudget,
+  recordUsage: (userId, response, model) =>
+    recordTokenUsage({ userId, endpoint: USAGE_ENDPOINTS.REMINDER, model, response }),
+});
+
+export const notificationService = createNotificationService({
+  store: deviceService,
+  composer: messageComposer,
+});
@@ -0,0 +1,274 @@
+import { getCheapLLM, getModelName, isLLMConfigured } from '../LLM/aiService.js';
+import { logger } from '../logging/index.js';
+
+/**
+ * Personalized notification text
+ *
+ * Instead of pushing a reminder's raw title (or a daily goal's text when it comes due, see
+ * jobs/goalNudges.js), the cheap model writes a short message in the tone the user asked
+ * for during onboarding, informed by their recent progress.
+ *
+ * One LLM call writes a pool of variants for a (user, reminder, tone); the pool is cached
+ * per user for REMINDER_MESSAGE_CACHE_HOURS, and each occurrence picks a variant by its
+ * date, so a daily reminder costs one call per cache period rather than one per day and
+ * the preview shows exactly what will be sent. When the LLM isn't configured, fails,
+ * returns something unusable or the user is over their hard budget cap, a template in
+ * the same tone is used instead.
+ *
+ * loadProfile (getCoachingProfile from LLM/userContext.js), checkBudget and recordUsage
+ * are injected so this can run without a database.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_MESSAGE_LENGTH = 160;
+
+const DEFAULT_VARIANTS = Number(process.env.REMINDER_MESSAGE_VARIANTS) || 5;
+const DEFAULT_TTL_MS = (Number(process.env.REMINDER_MESSAGE_CACHE_HOURS) || 72) * 60 * 60 * 1000;
+const DEFAULT_MAX_USERS = Number(process.env.REMINDER_MESSAGE_CACHE_USERS) || 1000;
+
+// Tone words from onboarding (see onboarding/extraction.js) → template set
+const TONE_ALIASES = {
+  encouraging: 'encouraging',
+  motivating: 'encouraging',
+  motivational: 'encouraging',
+  uplifting: 'encouraging',
+  positive: 'encouraging',
+  supportive: 'gentle',
+  gentle: 'gentle',
+  compassionate: 'gentle',
+  firm: 'firm',
+  strict: 'firm',
+  direct: 'firm',
+  realistic: 'firm',
+  energizing: 'energetic',
+  energetic: 'energetic',
+};
+
+// {task} is the reminder title as a phrase ("Drink water" → "drink water")
+export const MESSAGE_TEMPLATES = {
+  encouraging: [
+    "You've got this - time to {task}.",
+    'Small steps add up. Ready to {task}?',
+    'Time to {task}. Every bit of progress counts!',
+    "Keep the momentum going: {task}.",
+  ],
+  gentle: [
+    "A gentle nudge: {task} whenever you're ready.",
+    'No pressure - just a reminder to {task}.',
+    'Be kind to yourself today, and remember to {task}.',
+  ],
+  firm: [
+    "Time to {task}. Let's get it done.",
+    'You committed to this: {task}. Follow through.',
+    'No excuses today - {task}.',
+  ],
+  energetic: [
+    "Let's go! Time to {task} 💪",
+    "It's go time: {task}!",
+    'Bring the energy - {task} now!',
+  ],
+  neutral: [
+    'Reminder: {task}.',
+    "It's time to {task}.",
+    "Don't forget to {task}.",
+  ],
+};
+
+/**
+ * Template set for a free-form tone preference ('' → neutral)
+ */
+export function resolveTone(tone) {
+  const words = String(tone || '').toLowerCase().split(/[^a-z]+/);
+  for (const word of words) {
+    if (TONE_ALIASES[word]) return TONE_ALIASES[word];
+  }
+  return 'neutral';
+}
+
+// "Drink water" → "drink water", but leave "API docs" alone
+function asPhrase(title) {
+  const text = String(title).trim().replace(/[.!]+$/, '');
+  if (/^[A-Z][a-z]/.test(text)) return text[0].toLowerCase() + text.slice(1);
+  return text;
+}
+
+/**
+ * Which variant an occurrence uses - changes daily, stable for a given date
+ */
+export function variantIndex(date, poolSize) {
+  if (poolSize <= 0) return 0;
+  const day = Math.floor(new Date(date).getTime() / DAY_MS);
+  return ((day % poolSize) + poolSize) % poolSize;
+}
+
+/**
+ * Templated message for when the LLM can't be used
+ */
+export function renderTemplate(tone, title, date = new Date()) {
+  const templates = MESSAGE_TEMPLATES[resolveTone(tone)];
+  const template = templates[variantIndex(date, templates.length)];
+  return template.replace('{task}', asPhrase(title));
+}
+
+/**
+ * Pull the message variants out of an LLM reply (a JSON array of strings)
+ * Returns [] if the reply isn't usable.
+ */
+export function parseVariants(text) {
+  const match = String(text || '').match(/\[[\s\S]*\]/);
+  if (!match) return [];
+
+  try {
+    const parsed = JSON.parse(match[0]);
+    if (!Array.isArray(parsed)) return [];
+    return parsed
+      .filter(item => typeof item === 'string')
+      .map(item => item.trim().replace(/^["']|["']$/g, ''))
+      .filter(item => item.length > 0 && item.length <= MAX_MESSAGE_LENGTH);
+  } catch {
+    return [];
+  }
+}
+
+function buildPrompt(subject, profile, count) {
+  const what = subject.kind === 'goal' ? 'working on their daily goal' : 'their reminder';
+  return `Write ${count} different push notification messages for a life coaching app, reminding the user about ${what}: "${subject.title}".
+
+Tone the user asked for: ${profile.tone || 'friendly and encouraging'}
+
+What the coach knows about the user:
+${profile.context || 'Nothing yet'}
+
+Recent progress:
+${profile.progress || 'No goal activity yet'}
+
+Rules:
+- Each message under ${MAX_MESSAGE_LENGTH} characters, written directly to the user
+- Make it clear what the ${subject.kind === 'goal' ? 'goal' : 'reminder'} is about
+- Mention their progress only when it is true and motivating
+- Vary the wording; at most one emoji per message; no hashtags
+
+Return ONLY a JSON array of ${count} strings, no other text.`;
+}
+
+export function createMessageComposer({
+  loadProfile,
+  checkBudget,
+  recordUsage,
+  getLLM = getCheapLLM,
+  isConfigured = isLLMConfigured,
+  variants = DEFAULT_VARIANTS,
+  ttlMs = DEFAULT_TTL_MS,
+  maxUsers = DEFAULT_MAX_USERS,
+  clock = { now: () => new Date() },
+} = {}) {
+  if (!loadProfile) throw new Error('Message composer requires loadProfile');
+
+  // userId → Map(cacheKey → { messages, expiresAt }); users kept in LRU order
+  const cache = new Map();
+  const stats = { generated: 0, hits: 0, fallbacks: 0 };
+
+  function cacheKey(subject, tone) {
+    return `${subject.kind || 'reminder'}:${subject.id || subject.title}:${subject.title}:${resolveTone(tone)}`;
+  }
+
+  function getCached(userId, key) {
+    const entries = cache.get(userId);
+    const entry = entries?.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= clock.now().getTime()) {
+      entries.delete(key);
+      return null;
+    }
+    // Refresh LRU position
+    cache.delete(userId);
+    cache.set(userId, entries);
+    return entry.messages;
+  }
+
+  function setCached(userId, key, messages) {
+    const entries = cache.get(userId) || new Map();
+    entries.set(key, { messages, expiresAt: clock.now().getTime() + ttlMs });
+    cache.delete(userId);
+    cache.set(userId, entries);
+
+    while (cache.size > maxUsers) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  // Ask the LLM for a pool of variants; null means "use a template"
+  async function generate(userId, subject, profile) {
+    if (!isConfigured()) return null;
+
+    if (checkBudget) {
+      const budget = await checkBudget(userId);
+      if (budget?.status === 'hard') return null;
+    }
+
+    try {
+      const response = await getLLM().invoke(buildPrompt(subject, profile, variants));
+      if (recordUsage) await recordUsage(userId, response, getModelName('cheap'));
+
+      const text = typeof response === 'string' ? response : response.content;
+      const messages = parseVariants(text);
+      if (messages.length === 0) {
+        logger.warn('Unusable reminder message reply, using template', { userId });
+        return null;
+      }
+      stats.generated++;
+      return messages;
+    } catch (error) {
+      logger.error('Error generating reminder message', { err: error, userId });
+      return null;
+    }
+  }
+
+  /**
+   * Notification for one occurrence of a reminder or goal
+   * subject: { kind?: 'reminder' | 'goal', id, title }
+   * scheduledFor: when the occurrence is due (picks the variant)
+   * Returns { title, body, source: 'llm' | 'cache' | 'template' } - never throws.
+   */
+  async function compose(userId, subject, scheduledFor = clock.now()) {
+    let profile = { context: '', tone: '', progress: '' };
+    try {
+      profile = await loadProfile(userId);
+    } catch (error) {
+      logger.error('Error loading profile for reminder message', { err: error, userId });
+    }
+
+    const key = cacheKey(subject, profile.tone);
+    let messages = getCached(userId, key);
+    let source = 'cache';
+
+    if (messages) {
+      stats.hits++;
+    } else {
+      messages = await generate(userId, subject, profile);
+      source = 'llm';
+      if (messages) setCached(userId, key, messages);
+    }
+
+    if (!messages) {
+      stats.fallbacks++;
+      return {
+        title: subject.title,
+        body: renderTemplate(profile.tone, subject.title, scheduledFor),
+        source: 'template',
+      };
+    }
+
+    return {
+      title: subject.title,
+      body: messages[variantIndex(scheduledFor, messages.length)],
+      source,
+    };
+  }
+
+  function getStats() {
+    return { ...stats, users: cache.size };
+  }
+
+  return { compose, getStats };
+}
@@ -0,0 +1,154 @@
+import { getAdapterForDevice } from './adapters/index.js';
+import { logger } from '../logging/index.js';
+
+/**
+ * Push notification service
+ *
+ * Sends a notification to every registered device of a user through the matching
+ * adapter, records each attempt, and prunes dead tokens:
+ * - immediately when the provider says the token is invalid (app uninstalled)
+ * - after `maxFailures` consecutive failures otherwise
+ *
+ * `store` is deviceService from db/index.js (injected so this can run without a database).
+ * `composer` (from messageComposer.js) writes personalized reminder and goal text; without
+ * it the reminder title or goal text is sent as-is.
+ */
+
+const DEFAULT_MAX_FAILURES = Number(process.env.PUSH_MAX_FAILURES) || 5;
+
+export function createNotificationService({
+  store,
+  getAdapter = getAdapterForDevice,
+  maxFailures = DEFAULT_MAX_FAILURES,
+  composer,
+} = {}) {
+  if (!store) throw new Error('Notification service requires a store');
+
+  // Send to one device and turn every outcome into { ok, error?, invalidToken? }
+  async function sendToDevice(device, notification) {
+    const adapter = getAdapter(device);
+    if (!adapter) {
+      return { adapter: device.provider, ok: false, error: `No push adapter for provider "${device.provider}"` };
+    }
+    if (!adapter.isConfigured()) {
+      return { adapter: adapter.name, ok: false, error: `${adapter.name} push is not configured` };
+    }
+
+    try {
+      return { adapter: adapter.name, ...(await adapter.send(device, notification)) };
+    } catch (error) {
+      return { adapter: adapter.name, ok: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a notification to all of a user's devices
+   * notification: { title, body, data? }
+   * options: { reminderDeliveryId? } to link attempts to a reminder delivery
+   * Returns { attempted, sent, failed, pruned }
+   */
+  async function sendToUser(userId, notification, options = {}) {
+    const devices = await store.getByUser(userId);
+    const summary = { attempted: devices.length, sent: 0, failed: 0, pruned: 0 };
+
+    for (const device of devices) {
+      const result = await sendToDevice(device, notification);
+
+      await store.recordAttempt({
+        deviceId: device.id,
+        userId,
+        adapter: result.adapter,
+        status: result.ok ? 'sent' : result.invalidToken ? 'invalid_token' : 'failed',
+        error: result.error || null,
+        title: notification.title,
+        reminderDeliveryId: options.reminderDeliveryId || null,
+      });
+
+      if (result.ok) {
+        summary.sent++;
+        await store.markSuccess(device.id);
+        continue;
+      }
+
+      summary.failed++;
+      const failures = result.invalidToken ? maxFailures : await store.markFailure(device.id);
+      if (failures >= maxFailures) {
+        await store.remove(device.id);
+        summary.pruned++;
+        logger.info('Pruned push device', { userId, deviceId: device.id, platform: device.platform, reason: result.error });
+      } else {
+        logger.warn('Push to device failed', { deviceId: device.id, failures, maxFailures, reason: result.error });
+      }
+    }
+
+    return summary;
+  }
+
+  // Title/body for a reminder occurrence - personalized when a composer is wired in
+  async function reminderMessage(reminder, delivery) {
+    if (!composer) return { title: 'Reminder', body: reminder.title };
+
+    const { title, body } = await composer.compose(
+      reminder.userId,
+      { kind: 'reminder', id: reminder.id, title: reminder.title },
+      delivery.scheduledFor || reminder.dueDate,
+    );
+    return { title, body };
+  }
+
+  /**
+   * Deliver a fired reminder (plugs into ReminderScheduler's `deliver`)
+   * Throws when nothing reached the user so the delivery is recorded as failed.
+   */
+  async function notifyReminder(reminder, delivery) {
+    // Don't spend tokens on a message nobody can receive
+    if (composer && (await store.getByUser(reminder.userId)).length === 0) {
+      throw new Error('No registered devices');
+    }
+
+    const { title, body } = await reminderMessage(reminder, delivery);
+    const summary = await sendToUser(
+      reminder.userId,
+      {
+        title,
+        body,
+        data: { type: 'reminder', reminderId: reminder.id, deliveryId: delivery.id },
+      },
+      { reminderDeliveryId: delivery.id },
+    );
+
+    if (summary.attempted === 0) {
+      throw new Error('No registered devices');
+    }
+    if (summary.sent === 0) {
+      throw new Error(`Push failed on all ${summary.attempted} device(s)`);
+    }
+    return summary;
+  }
+
+  /**
+   * Nudge a user about a daily goal that's still open (plugs into GoalNudgeScheduler's `deliver`)
+   * A user without devices is skipped quietly; throws when every push failed.
+   */
+  async function notifyGoal(goal, scheduledFor) {
+    if ((await store.getByUser(goal.userId)).length === 0) {
+      return { attempted: 0, sent: 0, failed: 0, pruned: 0 };
+    }
+
+    const { title, body } = composer
+      ? await composer.compose(goal.userId, { kind: 'goal', id: goal.id, title: goal.text }, scheduledFor)
+      : { title: 'Daily goal', body: goal.text };
+    const summary = await sendToUser(goal.userId, {
+      title,
+      body,
+      data: { type: 'goal', goalId: goal.id },
+    });
+
+    if (summary.attempted > 0 && summary.sent === 0) {
+      throw new Error(`Push failed on all ${summary.attempted} device(s)`);
+    }
+    return summary;
+  }
+
+  return { sendToUser, notifyReminder, notifyGoal };
+}
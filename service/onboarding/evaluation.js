@@ -0,0 +1,92 @@
+/**
+ * Accuracy of onboarding extraction against labeled replies (fixtures/replies.json)
+ *
+ * Each fixture is { text, expected: { isProfileAnswer, name?, goals?, tone?, constraints? } }.
+ * A report covers:
+ * - detection: replies correctly told apart from ordinary messages
+ * - name, tone: exact name / tone containing the expected word, over the onboarding answers
+ * - goals: precision and recall, a goal matching when it shares at least half its words
+ * - categories: matched goals filed under the expected category
+ */
+
+const GOAL_MATCH_OVERLAP = 0.5;
+
+const words = text => new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+// Word overlap (Jaccard) of two goal texts is high enough to call them the same goal
+export function sameGoal(a, b) {
+  const left = words(a);
+  const right = words(b);
+  const shared = [...left].filter(word => right.has(word)).length;
+  const total = new Set([...left, ...right]).size;
+  return total > 0 && shared / total >= GOAL_MATCH_OVERLAP;
+}
+
+const ratio = (count, total) => (total === 0 ? 1 : count / total);
+
+/**
+ * Score one extraction (a profile from the extractor, or null) against its label
+ */
+export function scoreCase(expected, profile) {
+  const detected = profile !== null;
+  const score = { detected: detected === expected.isProfileAnswer, misses: [] };
+  if (!score.detected) score.misses.push('detection');
+  if (!expected.isProfileAnswer) return score;
+
+  const name = profile?.summary || null;
+  score.name = (name?.toLowerCase() ?? null) === (expected.name?.toLowerCase() ?? null);
+  if (!score.name) score.misses.push('name');
+
+  const tone = profile?.preferences?.tone?.toLowerCase() || '';
+  score.tone = expected.tone ? tone.includes(expected.tone.toLowerCase()) : !tone;
+  if (!score.tone) score.misses.push('tone');
+
+  const found = profile?.goals || [];
+  const remaining = [...found];
+  score.goalsExpected = expected.goals?.length || 0;
+  score.goalsFound = found.length;
+  score.goalsMatched = 0;
+  score.categoriesCorrect = 0;
+  for (const goal of expected.goals || []) {
+    const index = remaining.findIndex(candidate => sameGoal(candidate.text, goal.text));
+    if (index === -1) continue;
+    score.goalsMatched++;
+    if (remaining[index].category === goal.category) score.categoriesCorrect++;
+    remaining.splice(index, 1);
+  }
+  if (score.goalsMatched < score.goalsExpected || score.goalsFound > score.goalsMatched) {
+    score.misses.push('goals');
+  }
+  if (score.categoriesCorrect < score.goalsMatched) score.misses.push('categories');
+  return score;
+}
+
+/**
+ * Run `extract(text)` over the fixtures and summarize its accuracy
+ */
+export async function evaluateExtraction(fixtures, extract) {
+  const scores = [];
+  for (const fixture of fixtures) {
+    scores.push({ text: fixture.text, ...scoreCase(fixture.expected, await extract(fixture.text)) });
+  }
+
+  const answers = scores.filter((score, index) => fixtures[index].expected.isProfileAnswer);
+  const sum = key => answers.reduce((total, score) => total + (score[key] || 0), 0);
+  const matched = sum('goalsMatched');
+  const precision = ratio(matched, sum('goalsFound'));
+  const recall = ratio(matched, sum('goalsExpected'));
+
+  return {
+    cases: fixtures.length,
+    detection: ratio(scores.filter(score => score.detected).length, scores.length),
+    name: ratio(answers.filter(score => score.name).length, answers.length),
+    tone: ratio(answers.filter(score => score.tone).length, answers.length),
+    goals: {
+      precision,
+      recall,
+      f1: precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall),
+    },
+    categories: ratio(sum('categoriesCorrect'), matched),
+    failures: scores.filter(score => score.misses.length > 0).map(({ text, misses }) => ({ text, misses })),
+  };
+}
@@ -0,0 +1,401 @@
+import { onboardingExtractionSchema, PROFILE_CONFIDENCE_SURE } from 'common';
+import { getCheapLLM, getModelName, isLLMConfigured } from '../LLM/aiService.js';
+import { logger } from '../logging/index.js';
+
+/**
+ * Onboarding profile extraction
+ *
+ * Turns the user's answer to the onboarding questions into a profile: name, goals with
+ * categories, coaching tone and constraints. The cheap model fills onboardingExtractionSchema
+ * (common) through structured output, with a confidence per field; it also decides whether the
+ * message is an onboarding answer at all, so "I'm tired today" isn't read as a profile.
+ *
+ * Without a configured LLM, over the hard budget cap, or when the call fails, the keyword/regex
+ * parser below is used instead. Both paths return the same shape:
+ *
+ *   { summary, goals: [{ text, category }], preferences: { tone?, constraints? },
+ *     confidence: 'high' | 'medium' | 'low', warnings: [...], fieldConfidence }
+ *
+ * fieldConfidence (ProfileFieldConfidence in common) is saved with the profile so the app can
+ * point out fields worth double-checking. The labeled replies in fixtures/replies.json measure
+ * both paths (see evaluation.js and `pnpm onboarding:eval`).
+ */
+
+const log = logger.child({ module: 'onboarding' });
+
+// Fields the model is less sure about than KEEP are left out; below SURE they are saved but flagged
+export const CONFIDENCE_KEEP = 0.5;
+export const CONFIDENCE_SURE = PROFILE_CONFIDENCE_SURE;
+
+// Confidence given to regex matches: explicit "Goals:"/"Tone:"/"My name is" vs. inferred
+const REGEX_EXPLICIT = 0.9;
+const REGEX_INFERRED = 0.6;
+
+const MIN_REPLY_LENGTH = 12;
+const MAX_GOALS = 10;
+
+const SYSTEM_PROMPT = `You read a user's reply to the onboarding questions of a life coaching app:
+- Who are you (your name or a short summary)?
+- Which 2-4 goals do you want to work on?
+- How would you like to be motivated (e.g. encouraging, supportive, energizing, firm)?
+
+Record only what the user actually said - never guess or fill in examples from the questions.
+Leave out anything they didn't mention (null or an empty list), and give a lower confidence to
+anything implied rather than stated. Keep goals in the user's own words.`;
+
+// First matching category wins, so the more specific ones come first
+const CATEGORY_KEYWORDS = [
+  ['fitness', /\b(run|running|marathon|5k|10k|gym|workout|exercis|fit\b|fitness|lift|strength|swim|cycl|bike|yoga|hike|steps)/i],
+  ['mindfulness', /\b(meditat|mindful|stress|anxi|journal|calm|gratitude|breath)/i],
+  ['health', /\b(sleep|diet|eat|water|weight|health|sugar|smok|alcohol|drink|vegetable|doctor)/i],
+  ['finance', /\b(sav(e|ing)|money|budget|debt|invest|spend|financ|retire)/i],
+  ['career', /\b(job|career|promot|business|startup|interview|resume|portfolio|client|salary)/i],
+  ['relationships', /\b(family|friend|partner|relationship|dating|kids|children|parents|wife|husband)/i],
+  ['creativity', /\b(writ|paint|draw|music|guitar|piano|sing|photo|novel|poem|art\b)/i],
+  ['learning', /\b(learn|study|read|course|language|spanish|french|python|rust|code|coding|program|degree|exam)/i],
+  ['productivity', /\b(focus|productiv|procrastinat|organi[sz]|habit|routine|time|morning|inbox|screen)/i],
+];
+
+/**
+ * Category for a goal written in free text ('other' when nothing matches)
+ * Used for regex-parsed goals; the LLM picks categories itself.
+ */
+export function categorizeGoal(text) {
+  const match = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'other';
+}
+
+// high: name, goals and tone, all sure; medium: goals plus a name or tone; low: anything less
+export function rateConfidence({ hasName, hasGoals, hasTone, unsure }) {
+  if (hasName && hasGoals && hasTone) return unsure ? 'medium' : 'high';
+  if ((hasName && hasGoals) || (hasGoals && hasTone)) return 'medium';
+  return 'low';
+}
+
+function uniqueBy(items, key) {
+  const seen = new Set();
+  return items.filter(item => {
+    const value = key(item).toLowerCase();
+    if (seen.has(value)) return false;
+    seen.add(value);
+    return true;
+  });
+}
+
+/**
+ * Profile from a validated onboardingExtractionSchema result
+ * Applies the confidence thresholds and records why fields were dropped or flagged.
+ */
+export function normalizeExtraction(extraction) {
+  const profile = { summary: null, goals: [], preferences: {} };
+  const warnings = [];
+  const fieldConfidence = { source: 'llm' };
+  let unsure = false;
+
+  // Whether to keep a field, noting low confidence
+  const keep = (label, confidence) => {
+    if (confidence < CONFIDENCE_KEEP) {
+      warnings.push(`Left out ${label}: confidence ${confidence.toFixed(2)}`);
+      return false;
+    }
+    if (confidence < CONFIDENCE_SURE) {
+      unsure = true;
+      warnings.push(`Unsure about ${label}: confidence ${confidence.toFixed(2)}`);
+    }
+    return true;
+  };
+
+  const name = extraction.name.value?.trim();
+  if (!name) {
+    warnings.push('No name given');
+  } else if (keep('name', extraction.name.confidence)) {
+    profile.summary = name;
+    fieldConfidence.summary = extraction.name.confidence;
+  }
+
+  const goals = uniqueBy(
+    extraction.goals.map(goal => ({ ...goal, text: goal.text.trim() })).filter(goal => goal.text),
+    goal => goal.text,
+  );
+  if (goals.length === 0) warnings.push('No goals given');
+  for (const goal of goals.slice(0, MAX_GOALS)) {
+    if (!keep(`goal "${goal.text}"`, goal.confidence)) continue;
+    profile.goals.push({ text: goal.text, category: goal.category });
+    fieldConfidence.goals = { ...fieldConfidence.goals, [goal.text]: goal.confidence };
+  }
+
+  const tone = extraction.tone.value?.trim();
+  if (!tone) {
+    warnings.push('No tone/motivation preference given');
+  } else if (keep('tone', extraction.tone.confidence)) {
+    profile.preferences.tone = tone.toLowerCase();
+    fieldConfidence.tone = extraction.tone.confidence;
+  }
+
+  const constraints = uniqueBy(
+    extraction.constraints.map(item => ({ ...item, text: item.text.trim() })).filter(item => item.text),
+    item => item.text,
+  ).filter(item => keep(`constraint "${item.text}"`, item.confidence));
+  if (constraints.length > 0) {
+    profile.preferences.constraints = constraints.map(item => item.text);
+    fieldConfidence.constraints = Object.fromEntries(constraints.map(item => [item.text, item.confidence]));
+  }
+
+  return {
+    ...profile,
+    confidence: rateConfidence({
+      hasName: !!profile.summary,
+      hasGoals: profile.goals.length > 0,
+      hasTone: !!profile.preferences.tone,
+      unsure,
+    }),
+    warnings,
+    fieldConfidence,
+  };
+}
+
+/**
+ * Keyword gate for the regex parser: could this message be an onboarding answer at all?
+ */
+export function looksLikeOnboardingReply(text) {
+  const lower = text.toLowerCase();
+  const hasName = /my name is|i am\b|i'm\b/.test(lower);
+  const hasGoals = /goals?:|goal:|i want to|i'd like to|i would like to|i'm aiming|aiming to/.test(lower);
+  const hasTone = /tone:|encourag|support|energiz|firm|strict|gentle|motiv|prefer/.test(lower);
+  return hasName || hasGoals || hasTone;
+}
+
+/**
+ * Robust onboarding parser using lightweight extraction + validation.
+ * Prioritizes accuracy over comprehensiveness to avoid data loss.
+ * This is the offline fallback for the LLM extraction.
+ *
+ * Returns: { summary, goals, preferences, confidence, warnings, fieldConfidence }
+ * - confidence: 'high'|'medium'|'low' - whether we're sure about extraction
+ * - warnings: array of issues found (for logging/debugging)
+ * - fieldConfidence: explicit fields ("Goals: ...") score higher than inferred ones
+ */
+export function parseOnboardingReply(text) {
+  const result = {
+    summary: '',
+    goals: [],
+    preferences: {},
+    confidence: 'low',
+    warnings: [],
+    fieldConfidence: { source: 'regex' },
+  };
+
+  if (!text || text.trim().length < 20) {
+    result.warnings.push('Text too short to parse reliably');
+    return result;
+  }
+
+  // --- EXTRACT SUMMARY/NAME (Robust) ---
+  let extractedName = '';
+  let nameConfidence = REGEX_EXPLICIT;
+
+  // Priority 1: Explicit "My name is X" pattern
+  const nameMatch = text.match(/my name is\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i);
+  if (nameMatch && nameMatch[1]) {
+    extractedName = nameMatch[1].trim();
+  }
+
+  // Priority 2: "I am X" or "I'm X" - but only if followed by goal/tone indicators
+  if (!extractedName) {
+    const iAmMatch = text.match(/^(?:i am|i'm)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i);
+    if (iAmMatch && iAmMatch[1] && /goals?:|tone:|i want to|i'd like to|prefer/i.test(text)) {
+      extractedName = iAmMatch[1].trim();
+      nameConfidence = REGEX_INFERRED;
+    }
+  }
+
+  // Only use summary if we have clear extraction (avoid "That sounds good" as summary)
+  if (extractedName && extractedName.length > 1 && extractedName.length < 50) {
+    result.summary = extractedName;
+    result.fieldConfidence.summary = nameConfidence;
+  } else if (!extractedName) {
+    result.warnings.push('Could not extract name/summary explicitly - falling back to user contact');
+    // Don't auto-assign first sentence - too error-prone
+    result.summary = '[Pending explicit response]';
+  }
+
+  // --- EXTRACT GOALS (Robust) ---
+  let extractedGoals = [];
+  let goalConfidence = REGEX_EXPLICIT;
+
+  // Priority 1: Explicit "Goals:" or "Goal:" field
+  const goalsMatch = text.match(/goals?:\s*([^\n]*?)(?=tone:|preference:|$)/i);
+  if (goalsMatch && goalsMatch[1]) {
+    // Split carefully: only on semicolons, commas, or sentence boundaries
+    // Avoid splitting on "and" to prevent "machine and deep learning" → ["machine", "deep learning"]
+    const goalsText = goalsMatch[1];
+    extractedGoals = goalsText
+      .split(/;\s*|,\s*|(?:\n\s*-\s*)/) // split on ;, comma, or bullet-list items
+      .map(g => g.replace(/^(?:and|or)\s+/i, '').trim().replace(/\.$/, '')) // remove leading "and"/"or" and a trailing period
+      .filter(g => g.length > 2 && g.length < 100); // filter invalid entries
+  }
+
+  // Priority 2: Look for "I want to" / "I'd like to" sentences
+  if (extractedGoals.length === 0) {
+    goalConfidence = REGEX_INFERRED;
+    const lines = text.split(/[\.\n]/).map(l => l.trim()).filter(Boolean);
+    for (const line of lines) {
+      if (/i want to|i'd like to|i would like to|i'm aiming to|goal is to/i.test(line)) {
+        // Extract just the goal part, not the intro
+        const goalPart = line
+          .replace(/^.*?(?:i want to|i'd like to|i would like to|i'm aiming to|goal is to)\s+/i, '')
+          .trim();
+        if (goalPart.length > 2 && goalPart.length < 100) {
+          extractedGoals.push(goalPart);
+        }
+      }
+    }
+  }
+
+  if (extractedGoals.length === 0) {
+    result.warnings.push('No goals detected - user may not have provided them');
+  } else if (extractedGoals.length > MAX_GOALS) {
+    result.warnings.push(`Extracted ${extractedGoals.length} goals - may be too many, truncating to ${MAX_GOALS}`);
+    extractedGoals = extractedGoals.slice(0, MAX_GOALS);
+  }
+
+  // Remove duplicates (case-insensitive)
+  result.goals = uniqueBy(extractedGoals, goal => goal)
+    .map(goal => ({ text: goal, category: categorizeGoal(goal) }));
+  if (result.goals.length > 0) {
+    result.fieldConfidence.goals = Object.fromEntries(result.goals.map(goal => [goal.text, goalConfidence]));
+  }
+
+  // --- EXTRACT TONE/PREFERENCES (Robust) ---
+  let extractedTone = '';
+  let toneConfidence = REGEX_EXPLICIT;
+
+  // Priority 1: Explicit "Tone:" field
+  const toneMatch = text.match(/tone:\s*([a-zA-Z\- ]+?)(?:[,\.\n]|$)/i);
+  if (toneMatch && toneMatch[1]) {
+    extractedTone = toneMatch[1].trim().toLowerCase();
+  }
+
+  // Priority 2: Keyword scan - but ONLY from a specific "preference/tone" section
+  if (!extractedTone) {
+    toneConfidence = REGEX_INFERRED;
+    const toneKeywords = [
+      'encouraging', 'supportive', 'energizing', 'energetic',
+      'firm', 'strict', 'gentle', 'motivating', 'motivational',
+      'uplifting', 'positive', 'realistic', 'direct', 'compassionate'
+    ];
+
+    // Look in "tone:" or "prefer:" or "motivat:" context to avoid false positives
+    const contextMatch = text.match(/(?:tone|prefer|motivat)[^.]*?\b([\w\- ]+)\b/i);
+    if (contextMatch) {
+      for (const keyword of toneKeywords) {
+        if (contextMatch[0].toLowerCase().includes(keyword)) {
+          extractedTone = keyword;
+          break;
+        }
+      }
+    }
+  }
+
+  if (extractedTone) {
+    result.preferences.tone = extractedTone;
+    result.fieldConfidence.tone = toneConfidence;
+  } else {
+    result.warnings.push('No tone/motivation preference detected');
+  }
+
+  // --- CONFIDENCE SCORING ---
+  result.confidence = rateConfidence({
+    hasName: result.summary && result.summary !== '[Pending explicit response]',
+    hasGoals: result.goals.length > 0,
+    hasTone: !!result.preferences.tone,
+  });
+
+  return result;
+}
+
+// Regex fallback: null unless the message looks like an answer and something was found
+function extractWithRegex(text) {
+  if (!looksLikeOnboardingReply(text)) return null;
+
+  const parsed = parseOnboardingReply(text);
+  const summary = parsed.summary && parsed.summary !== '[Pending explicit response]' ? parsed.summary : null;
+  if (!summary && parsed.goals.length === 0 && !parsed.preferences.tone) return null;
+
+  return { ...parsed, summary };
+}
+
+/**
+ * AIMemory fields for an extracted profile (see aiMemoryService.upsert), or null if it is empty
+ */
+export function toMemoryPayload(profile, now = new Date()) {
+  const payload = {};
+  if (profile.summary) payload.summary = profile.summary;
+  if (profile.goals.length > 0) payload.goals = { [String(now.getFullYear())]: profile.goals };
+  if (Object.keys(profile.preferences).length > 0) payload.preferences = profile.preferences;
+  if (Object.keys(payload).length === 0) return null;
+
+  // Saved with confidence metadata for future reference
+  payload._extractedAt = now;
+  payload._extractionConfidence = profile.confidence;
+  if (profile.warnings.length > 0) payload._extractionWarnings = profile.warnings;
+  payload._fieldConfidence = profile.fieldConfidence;
+  return payload;
+}
+
+/**
+ * checkBudget (LLM/usageTracker.js) and recordUsage are injected like in the message composer;
+ * recordUsage(userId, response, model) is called after each LLM call.
+ */
+export function createOnboardingExtractor({
+  getLLM = getCheapLLM,
+  isConfigured = isLLMConfigured,
+  checkBudget,
+  recordUsage,
+} = {}) {
+  async function extractWithLLM(userId, text) {
+    const model = getLLM().withStructuredOutput(onboardingExtractionSchema, {
+      name: 'record_onboarding_profile',
+      includeRaw: true,
+    });
+    const { raw, parsed } = await model.invoke([
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'human', content: text },
+    ]);
+    if (recordUsage) await recordUsage(userId, raw, getModelName('cheap'));
+
+    const result = onboardingExtractionSchema.safeParse(parsed);
+    if (!result.success) {
+      throw new Error(`Unusable extraction: ${result.error.issues[0]?.message}`);
+    }
+    return result.data;
+  }
+
+  async function canUseLLM(userId) {
+    // Structured output needs tool calling (the fake provider's model has none)
+    if (!isConfigured() || typeof getLLM().bindTools !== 'function') return false;
+    if (!checkBudget) return true;
+    const budget = await checkBudget(userId);
+    return budget?.status !== 'hard';
+  }
+
+  /**
+   * Profile found in an onboarding reply, or null when the message isn't one
+   * Never throws: falls back to the regex parser.
+   */
+  async function extract(userId, text) {
+    if (!text || text.trim().length < MIN_REPLY_LENGTH) return null;
+
+    try {
+      if (await canUseLLM(userId)) {
+        const extraction = await extractWithLLM(userId, text);
+        return extraction.isProfileAnswer ? normalizeExtraction(extraction) : null;
+      }
+    } catch (error) {
+      log.warn('LLM onboarding extraction failed, using the regex parser', { err: error, userId });
+    }
+    return extractWithRegex(text);
+  }
+
+  return { extract };
+}
@@ -0,0 +1,319 @@
+import { CONFIDENCE_SURE, categorizeGoal, rateConfidence, toMemoryPayload } from './extraction.js';
+
+/**
+ * Guided onboarding
+ *
+ * New users are asked one thing at a time - name → goals → schedule constraints → motivation
+ * tone - then shown what was collected and asked to confirm. Every reply goes through the
+ * extractor first, so an answer that covers several questions ("I'm Sam, I want to run a 10k,
+ * be firm with me") fills them all and only the missing ones are asked. When the extractor finds
+ * nothing for the current question, the reply itself is read as the answer (readAnswer).
+ *
+ * At any question the user can say "Skip"; after MAX_ATTEMPTS unusable answers the question is
+ * skipped for them, so nobody gets stuck. "Start over" clears everything and "Change goals" (etc.)
+ * asks one question again. Confirming saves the profile to AI memory as manually verified.
+ *
+ * The state is persisted per user (OnboardingSession): { step, draft, skipped, attempts }.
+ * Each reply comes with an OnboardingState (common) whose quick replies the app shows as chips.
+ */
+
+export const QUESTION_STEPS = ['name', 'goals', 'schedule', 'tone'];
+export const MAX_ATTEMPTS = 2;
+
+// Confidence given to an answer to the question that was asked
+const DIRECT_ANSWER = 1;
+const MAX_GOALS = 10;
+
+const INTRO = "Thanks for starting a chat! Before we begin, I'd love to learn a bit about you so I can personalize my coaching. Just a few quick questions - skip any you like.";
+
+const QUESTIONS = {
+  name: 'What should I call you?',
+  goals: 'What would you like to work on? Tell me 2-4 goals - fitness, learning, career, anything.',
+  schedule: 'When do you usually have time for them, and is there anything I should plan around (work shifts, an injury, weekends away)?',
+  tone: 'How would you like me to motivate you - encouraging, supportive, energizing or firm?',
+};
+
+const QUICK_REPLIES = {
+  name: ['Skip'],
+  goals: ['Get fit', 'Sleep better', 'Learn something new', 'Save money', 'Skip'],
+  schedule: ['Mornings work best', 'Evenings work best', 'Only weekends', 'Skip'],
+  tone: ['Encouraging', 'Supportive', 'Energizing', 'Firm', 'Skip'],
+  confirm: ['Looks good', 'Change name', 'Change goals', 'Change schedule', 'Change tone'],
+  done: [],
+};
+
+const COMMANDS = [
+  ['skip', /^(skip|skip (this|it)|next|pass|rather not say|no thanks)$/],
+  ['restart', /^(start over|start again|restart|reset)$/],
+  ['confirm', /^(looks good|yes|yep|yeah|correct|confirm|save|save it|that's right|all good)$/],
+];
+const EDIT_COMMAND = /^(?:change|edit|fix) (?:my )?(name|goals|schedule|tone)$/;
+
+const NAME_PREFIX = /^(?:(?:hi|hey|hello)\b[,!.\s]*)?(?:(?:my name is|my name's|i'm|i am|call me|it's|it is)\s+)?/i;
+const NAME = /^\p{L}[\p{L}'’-]*(?:\s+\p{L}[\p{L}'’-]*){0,2}$/u;
+const GOAL_PREFIX = /^(?:and|or|-|i want to|i'd like to|i would like to)\s+/i;
+
+export function emptyDraft() {
+  return { name: null, goals: [], constraints: [], tone: null, confidence: {} };
+}
+
+/**
+ * Control phrases (usually quick replies): { type: 'skip' | 'restart' | 'confirm' }
+ * or { type: 'edit', step }, null for anything else
+ */
+export function parseCommand(text) {
+  const normalized = text.trim().toLowerCase().replace(/[.!]+$/, '');
+  const edit = normalized.match(EDIT_COMMAND);
+  if (edit) return { type: 'edit', step: edit[1] };
+  const match = COMMANDS.find(([, pattern]) => pattern.test(normalized));
+  return match ? { type: match[0] } : null;
+}
+
+export function isAnswered(draft, step) {
+  switch (step) {
+    case 'name': return !!draft.name;
+    case 'goals': return draft.goals.length > 0;
+    case 'schedule': return draft.constraints.length > 0;
+    case 'tone': return !!draft.tone;
+    default: return true;
+  }
+}
+
+// First question neither answered nor skipped; confirmation once there are none left
+export function nextStep(draft, skipped = []) {
+  return QUESTION_STEPS.find(step => !isAnswered(draft, step) && !skipped.includes(step)) || 'confirm';
+}
+
+export function quickRepliesFor(step) {
+  return step === 'name' || step === 'done' ? QUICK_REPLIES[step] : [...QUICK_REPLIES[step], 'Start over'];
+}
+
+const splitList = text => text.split(/[;\n,]+/)
+  .map(item => item.trim().replace(GOAL_PREFIX, '').replace(/[.!]+$/, '').trim());
+
+const capitalize = name => name.replace(/(^|\s)\p{L}/gu, letter => letter.toUpperCase());
+
+/**
+ * Read a reply as the answer to the question that was asked, in the extractor's profile shape
+ * (see extraction.js), or null if it can't be one - e.g. a whole sentence as a name
+ */
+export function readAnswer(step, text) {
+  const profile = { summary: null, goals: [], preferences: {}, fieldConfidence: { source: 'onboarding' } };
+  const trimmed = text.trim();
+
+  if (step === 'name') {
+    const name = trimmed.replace(NAME_PREFIX, '').replace(/[.!]+$/, '').trim();
+    if (!NAME.test(name)) return null;
+    profile.summary = capitalize(name);
+    profile.fieldConfidence.summary = DIRECT_ANSWER;
+  } else if (step === 'goals') {
+    profile.goals = splitList(trimmed)
+      .filter(goal => goal.length > 2 && goal.length < 100)
+      .slice(0, MAX_GOALS)
+      .map(goal => ({ text: goal, category: categorizeGoal(goal) }));
+    if (profile.goals.length === 0) return null;
+    profile.fieldConfidence.goals = Object.fromEntries(profile.goals.map(goal => [goal.text, DIRECT_ANSWER]));
+  } else if (step === 'schedule') {
+    const constraints = trimmed.split(/[;\n]+/).map(item => item.trim()).filter(item => item.length > 1 && item.length <= 200);
+    if (constraints.length === 0) return null;
+    profile.preferences.constraints = constraints;
+    profile.fieldConfidence.constraints = Object.fromEntries(constraints.map(item => [item, DIRECT_ANSWER]));
+  } else if (step === 'tone') {
+    const tone = trimmed.replace(/[.!]+$/, '').toLowerCase();
+    if (tone.length < 2 || tone.length > 60 || tone.split(/\s+/).length > 6) return null;
+    profile.preferences.tone = tone;
+    profile.fieldConfidence.tone = DIRECT_ANSWER;
+  }
+  return profile;
+}
+
+/**
+ * Add what an extracted profile found to the draft; later answers win over earlier ones.
+ * Returns the same draft when nothing is new.
+ */
+export function mergeProfile(draft, profile) {
+  if (!profile) return draft;
+  const found = profile.fieldConfidence || {};
+  const next = {
+    ...draft,
+    goals: [...draft.goals],
+    constraints: [...draft.constraints],
+    confidence: { ...draft.confidence },
+  };
+  let changed = false;
+
+  if (profile.summary && profile.summary !== draft.name) {
+    next.name = profile.summary;
+    next.confidence.summary = found.summary;
+    changed = true;
+  }
+  for (const goal of profile.goals || []) {
+    if (next.goals.some(known => known.text.toLowerCase() === goal.text.toLowerCase())) continue;
+    next.goals.push(goal);
+    next.confidence.goals = { ...next.confidence.goals, [goal.text]: found.goals?.[goal.text] };
+    changed = true;
+  }
+  for (const item of profile.preferences?.constraints || []) {
+    if (next.constraints.some(known => known.toLowerCase() === item.toLowerCase())) continue;
+    next.constraints.push(item);
+    next.confidence.constraints = { ...next.confidence.constraints, [item]: found.constraints?.[item] };
+    changed = true;
+  }
+  const tone = profile.preferences?.tone;
+  if (tone && tone !== draft.tone) {
+    next.tone = tone;
+    next.confidence.tone = found.tone;
+    changed = true;
+  }
+  return changed ? next : draft;
+}
+
+// Forget one answer so its question is asked again
+function clearAnswer(draft, step) {
+  const confidence = { ...draft.confidence };
+  const cleared = { name: { name: null }, goals: { goals: [] }, schedule: { constraints: [] }, tone: { tone: null } }[step];
+  const key = { name: 'summary', goals: 'goals', schedule: 'constraints', tone: 'tone' }[step];
+  delete confidence[key];
+  return { ...draft, ...cleared, confidence };
+}
+
+/**
+ * The draft as an extracted profile, ready for toMemoryPayload
+ */
+export function toProfile(draft, skipped = []) {
+  const preferences = {};
+  if (draft.tone) preferences.tone = draft.tone;
+  if (draft.constraints.length > 0) preferences.constraints = draft.constraints;
+
+  const fieldConfidence = { source: 'onboarding', ...draft.confidence };
+  const scores = [
+    fieldConfidence.summary,
+    fieldConfidence.tone,
+    ...Object.values(fieldConfidence.goals || {}),
+    ...Object.values(fieldConfidence.constraints || {}),
+  ].filter(score => typeof score === 'number');
+
+  return {
+    summary: draft.name,
+    goals: draft.goals,
+    preferences,
+    confidence: rateConfidence({
+      hasName: !!draft.name,
+      hasGoals: draft.goals.length > 0,
+      hasTone: !!draft.tone,
+      unsure: scores.some(score => score < CONFIDENCE_SURE),
+    }),
+    warnings: skipped.map(step => `Skipped ${step}`),
+    fieldConfidence,
+  };
+}
+
+export function summarizeDraft(draft) {
+  const lines = [
+    `- Name: ${draft.name || 'not set'}`,
+    `- Goals: ${draft.goals.map(goal => goal.text).join('; ') || 'not set'}`,
+    `- Schedule: ${draft.constraints.join('; ') || 'not set'}`,
+    `- Motivation: ${draft.tone || 'not set'}`,
+  ];
+  return `Here's what I have:\n${lines.join('\n')}\n\nDoes that look right? Tap "Looks good" to save it, or tell me what to change.`;
+}
+
+const ask = session => (session.step === 'confirm' ? summarizeDraft(session.draft) : QUESTIONS[session.step]);
+
+/**
+ * sessions: { getByUser, save } (onboardingSessionService), extractor: createOnboardingExtractor(),
+ * saveProfile(userId, memoryPayload) writes AI memory.
+ */
+export function createOnboardingFlow({ sessions, extractor, saveProfile, now = () => new Date() }) {
+  const stateOf = session => ({ step: session.step, quickReplies: quickRepliesFor(session.step) });
+
+  async function respond(userId, session, reply) {
+    const { step, draft, skipped, attempts, completedAt = null } = session;
+    await sessions.save(userId, { step, draft, skipped, attempts, completedAt });
+    return { reply, state: stateOf(session) };
+  }
+
+  async function extract(userId, draft, text) {
+    return mergeProfile(draft, await extractor.extract(userId, text));
+  }
+
+  async function complete(userId, session) {
+    const payload = toMemoryPayload(toProfile(session.draft, session.skipped), now());
+    const done = { ...session, step: 'done', attempts: 0, completedAt: now() };
+    if (!payload) {
+      return respond(userId, done, 'No problem - you can tell me about yourself any time. How can I help you today?');
+    }
+
+    await saveProfile(userId, { ...payload, _manuallyVerified: true });
+    const name = session.draft.name ? `, ${session.draft.name}` : '';
+    return respond(userId, done, `Perfect${name}! I saved your profile. Now, how can I help you today?`);
+  }
+
+  /**
+   * Current onboarding state, or null if the user never started
+   */
+  async function getState(userId) {
+    const session = await sessions.getByUser(userId);
+    return session ? stateOf(session) : null;
+  }
+
+  /**
+   * Answer a message during onboarding: { reply, state }, or null once onboarding is over
+   * (the message is for the coach). An empty message starts onboarding.
+   */
+  async function handle(userId, text) {
+    const message = text.trim();
+    const session = await sessions.getByUser(userId);
+    if (session?.step === 'done') return null;
+
+    const command = message ? parseCommand(message) : null;
+    if (!session || command?.type === 'restart') {
+      // A first message may already answer some of the questions
+      const draft = !session && message ? await extract(userId, emptyDraft(), message) : emptyDraft();
+      const fresh = { step: nextStep(draft), draft, skipped: [], attempts: 0 };
+      const intro = session ? "Sure, let's start over." : INTRO;
+      return respond(userId, fresh, `${intro}\n\n${ask(fresh)}`);
+    }
+
+    const { step } = session;
+    let draft = session.draft;
+    let skipped = session.skipped || [];
+    let lead;
+
+    if (command?.type === 'edit') {
+      const edited = { ...session, step: command.step, draft: clearAnswer(draft, command.step), attempts: 0 };
+      edited.skipped = skipped.filter(item => item !== command.step);
+      return respond(userId, edited, QUESTIONS[command.step]);
+    }
+
+    if (step === 'confirm') {
+      if (command?.type === 'confirm') return complete(userId, session);
+      // Anything else may be a correction ("actually, call me Sammy")
+      draft = await extract(userId, draft, message);
+      if (draft === session.draft) {
+        return respond(userId, session, 'Tap "Looks good" to save your profile, or tell me what to change.');
+      }
+      lead = 'Updated!';
+    } else if (command?.type === 'skip') {
+      skipped = [...skipped, step];
+      lead = 'No problem, we can come back to that.';
+    } else {
+      draft = await extract(userId, draft, message);
+      if (!isAnswered(draft, step)) draft = mergeProfile(draft, readAnswer(step, message));
+
+      if (isAnswered(draft, step)) {
+        lead = step === 'name' ? `Nice to meet you, ${draft.name}!` : 'Got it.';
+      } else if (session.attempts + 1 < MAX_ATTEMPTS) {
+        return respond(userId, { ...session, draft, attempts: session.attempts + 1 }, `Sorry, I didn't quite catch that. ${QUESTIONS[step]}`);
+      } else {
+        skipped = [...skipped, step];
+        lead = "Let's leave that one for now.";
+      }
+    }
+
+    const next = { ...session, step: nextStep(draft, skipped), draft, skipped, attempts: 0 };
+    return respond(userId, next, `${lead} ${ask(next)}`);
+  }
+
+  return { getState, handle };
+}
@@ -0,0 +1,15 @@
+import { rateLimitService } from '../db/index.js';
+import { MemoryRateLimitStore, PostgresRateLimitStore } from './stores.js';
+import { createLoginLimiter } from './loginLimiter.js';
+
+/**
+ * App-wide login limiter, wired to the configured store
+ * RATE_LIMIT_STORE=memory (default) keeps counters in this process;
+ * RATE_LIMIT_STORE=postgres shares them across server instances.
+ */
+
+const store = process.env.RATE_LIMIT_STORE === 'postgres'
+  ? new PostgresRateLimitStore(rateLimitService)
+  : new MemoryRateLimitStore();
+
+export const loginLimiter = createLoginLimiter({ store });
@@ -0,0 +1,196 @@
+import { createHash } from 'crypto';
+import { MemoryRateLimitStore } from './stores.js';
+import { logger } from '../logging/index.js';
+
+/**
+ * Throttling for login and registration
+ *
+ * Every check happens before any bcrypt work, so hammering the endpoints costs the
+ * server a store lookup rather than a 12-round hash.
+ *
+ * - Per IP: at most `ipMaxAttempts` login attempts and `registerIpMax` registrations
+ *   per sliding window.
+ * - Per email: after `delayAfter` failed logins within the window, each further attempt
+ *   must wait twice as long as the last (from `delayBaseMs` up to `delayMaxMs`); after
+ *   `lockAfter` failures the email is locked for `lockMs`. Unknown emails count too, so
+ *   the limiter doesn't reveal which accounts exist.
+ * - A successful login clears the email's failures. Admins can unlock an email early.
+ *
+ * Blocked checks return { code, message, retryAfter } (seconds, for the Retry-After header).
+ */
+
+const MINUTE_MS = 60 * 1000;
+const SECOND_MS = 1000;
+
+export const LIMIT_CODES = {
+  RATE_LIMITED: 'RATE_LIMITED',
+  TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+};
+
+const LIMIT_MESSAGES = {
+  [LIMIT_CODES.RATE_LIMITED]: 'Too many requests from this address, please try again later',
+  [LIMIT_CODES.TOO_MANY_ATTEMPTS]: 'Too many failed sign-in attempts, please wait before trying again',
+  [LIMIT_CODES.ACCOUNT_LOCKED]: 'Too many failed sign-in attempts; sign-in is temporarily locked for this account',
+};
+
+export function getLimiterConfig() {
+  return {
+    windowMs: (Number(process.env.LOGIN_WINDOW_MINUTES) || 15) * MINUTE_MS,
+    ipMaxAttempts: Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 30,
+    delayAfter: Number(process.env.LOGIN_DELAY_AFTER) || 3,
+    delayBaseMs: (Number(process.env.LOGIN_DELAY_BASE_SECONDS) || 1) * SECOND_MS,
+    delayMaxMs: (Number(process.env.LOGIN_DELAY_MAX_SECONDS) || 60) * SECOND_MS,
+    lockAfter: Number(process.env.LOGIN_LOCK_AFTER) || 10,
+    lockMs: (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * MINUTE_MS,
+    registerWindowMs: 60 * MINUTE_MS,
+    registerIpMax: Number(process.env.REGISTER_IP_MAX_ATTEMPTS) || 10,
+  };
+}
+
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Logs identify an email by a hash, so lockouts can be correlated without storing the address
+function emailHash(email) {
+  return createHash('sha256').update(normalizeEmail(email)).digest('hex').slice(0, 16);
+}
+
+const keys = {
+  loginIp: (ip) => `login:ip:${ip}`,
+  loginEmail: (email) => `login:email:${normalizeEmail(email)}`,
+  registerIp: (ip) => `register:ip:${ip}`,
+};
+
+export function createLoginLimiter({
+  store = new MemoryRateLimitStore(),
+  config = {},
+  clock = { now: () => new Date() },
+} = {}) {
+  const settings = { ...getLimiterConfig(), ...config };
+  let lastPrune = 0;
+
+  const blocked = (code, retryAt, now) => ({
+    code,
+    message: LIMIT_MESSAGES[code],
+    retryAfter: Math.max(1, Math.ceil((retryAt - now) / SECOND_MS)),
+  });
+
+  // Sliding window: returns when the key drops back under `max`, or null if it is under already
+  async function limitedUntil(key, max, windowMs, now) {
+    const hits = await store.list(key, new Date(now - windowMs));
+    if (hits.length < max) return null;
+    return hits[hits.length - max].getTime() + windowMs;
+  }
+
+  // Old hits are dropped at most once per window
+  async function maybePrune(now) {
+    if (now - lastPrune < settings.windowMs) return;
+    lastPrune = now;
+    try {
+      await store.prune(new Date(now - Math.max(settings.windowMs, settings.registerWindowMs)));
+    } catch (error) {
+      logger.error('Error pruning rate limit store', { err: error });
+    }
+  }
+
+  /**
+   * Whether a login attempt may go ahead; counts the attempt against the IP when it may
+   */
+  async function checkLogin({ ip, email }) {
+    const now = clock.now().getTime();
+    const emailKey = keys.loginEmail(email);
+
+    const lock = await store.getLock(emailKey);
+    if (lock && new Date(lock.until).getTime() > now) {
+      return blocked(LIMIT_CODES.ACCOUNT_LOCKED, new Date(lock.until).getTime(), now);
+    }
+
+    const ipRetryAt = await limitedUntil(keys.loginIp(ip), settings.ipMaxAttempts, settings.windowMs, now);
+    if (ipRetryAt) {
+      return blocked(LIMIT_CODES.RATE_LIMITED, ipRetryAt, now);
+    }
+
+    const failures = await store.list(emailKey, new Date(now - settings.windowMs));
+    if (failures.length >= settings.delayAfter) {
+      const delay = Math.min(
+        settings.delayBaseMs * 2 ** (failures.length - settings.delayAfter),
+        settings.delayMaxMs,
+      );
+      const nextAttemptAt = failures[failures.length - 1].getTime() + delay;
+      if (now < nextAttemptAt) {
+        return blocked(LIMIT_CODES.TOO_MANY_ATTEMPTS, nextAttemptAt, now);
+      }
+    }
+
+    await store.add(keys.loginIp(ip), new Date(now));
+    return null;
+  }
+
+  /**
+   * Count a failed login (wrong password or unknown email)
+   * Returns a blocked result if this failure locked the email, otherwise null.
+   */
+  async function recordFailure({ email }) {
+    const now = clock.now().getTime();
+    const emailKey = keys.loginEmail(email);
+
+    await store.add(emailKey, new Date(now));
+    await maybePrune(now);
+
+    const failures = await store.list(emailKey, new Date(now - settings.windowMs));
+    if (failures.length < settings.lockAfter) return null;
+
+    const until = new Date(now + settings.lockMs);
+    await store.setLock(emailKey, until, `${failures.length} failed sign-ins`);
+    await store.clear(emailKey);
+    logger.warn('Sign-in locked', { emailHash: emailHash(email), until });
+    return blocked(LIMIT_CODES.ACCOUNT_LOCKED, until.getTime(), now);
+  }
+
+  /**
+   * A successful login forgets the email's failures
+   */
+  async function recordSuccess({ email }) {
+    await store.clear(keys.loginEmail(email));
+  }
+
+  /**
+   * Whether a registration may go ahead; counts it against the IP when it may
+   */
+  async function checkRegister({ ip }) {
+    const now = clock.now().getTime();
+    const retryAt = await limitedUntil(keys.registerIp(ip), settings.registerIpMax, settings.registerWindowMs, now);
+    if (retryAt) {
+      return blocked(LIMIT_CODES.RATE_LIMITED, retryAt, now);
+    }
+
+    await store.add(keys.registerIp(ip), new Date(now));
+    return null;
+  }
+
+  /**
+   * Lift a lock and forget the failures for an email; returns whether it was locked
+   */
+  async function unlock(email) {
+    const emailKey = keys.loginEmail(email);
+    const lock = await store.getLock(emailKey);
+    await store.deleteLock(emailKey);
+    await store.clear(emailKey);
+    return Boolean(lock && new Date(lock.until) > clock.now());
+  }
+
+  /**
+   * Emails that are locked right now
+   */
+  async function listLocks() {
+    const prefix = keys.loginEmail('');
+    const locks = await store.listLocks(clock.now());
+    return locks
+      .filter(lock => lock.key.startsWith(prefix))
+      .map(lock => ({ email: lock.key.slice(prefix.length), until: lock.until, reason: lock.reason }));
+  }
+
+  return { checkLogin, recordFailure, recordSuccess, checkRegister, unlock, listLocks };
+}
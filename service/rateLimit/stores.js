@@ -0,0 +1,122 @@
+/**
+ * Rate limit stores
+ *
+ * A store keeps a log of hits per key (for sliding windows) and temporary locks:
+ * {
+ *   name,
+ *   add(key, at): Promise<void>,
+ *   list(key, since): Promise<Date[]>   hits after `since`, oldest first
+ *   clear(key): Promise<number>,
+ *   setLock(key, until, reason), getLock(key): Promise<{ until, reason } | null>, deleteLock(key),
+ *   listLocks(now): Promise<{ key, until, reason }[]>   locks still in force
+ *   prune(before): Promise<number>   drop hits older than `before` and expired locks
+ * }
+ *
+ * - memory   (default) in-process; fine for a single server and for tests
+ * - postgres RateLimitHit / RateLimitLock tables, shared across server instances
+ *   (RATE_LIMIT_STORE=postgres, see rateLimit/index.js)
+ */
+
+export class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.hits = new Map(); // key -> Date[] (oldest first)
+    this.locks = new Map(); // key -> { until, reason }
+  }
+
+  async add(key, at) {
+    const hits = this.hits.get(key) || [];
+    hits.push(at);
+    this.hits.set(key, hits);
+  }
+
+  async list(key, since) {
+    const hits = (this.hits.get(key) || []).filter(at => at > since);
+    // Old hits are never needed again; keep the log bounded
+    if (hits.length) this.hits.set(key, hits);
+    else this.hits.delete(key);
+    return [...hits];
+  }
+
+  async clear(key) {
+    const removed = this.hits.get(key)?.length || 0;
+    this.hits.delete(key);
+    return removed;
+  }
+
+  async setLock(key, until, reason) {
+    this.locks.set(key, { until, reason });
+  }
+
+  async getLock(key) {
+    return this.locks.get(key) || null;
+  }
+
+  async deleteLock(key) {
+    return this.locks.delete(key);
+  }
+
+  async listLocks(now) {
+    return [...this.locks]
+      .filter(([, lock]) => lock.until > now)
+      .map(([key, lock]) => ({ key, ...lock }));
+  }
+
+  async prune(before) {
+    let removed = 0;
+    for (const [key, hits] of this.hits) {
+      const kept = hits.filter(at => at >= before);
+      removed += hits.length - kept.length;
+      if (kept.length) this.hits.set(key, kept);
+      else this.hits.delete(key);
+    }
+    for (const [key, lock] of this.locks) {
+      if (lock.until <= before) this.locks.delete(key);
+    }
+    return removed;
+  }
+}
+
+/**
+ * Postgres store on top of rateLimitService (db/index.js)
+ */
+export class PostgresRateLimitStore {
+  constructor(store) {
+    this.name = 'postgres';
+    this.store = store;
+  }
+
+  async add(key, at) {
+    await this.store.addHit(key, at);
+  }
+
+  async list(key, since) {
+    return await this.store.listHits(key, since);
+  }
+
+  async clear(key) {
+    return await this.store.clearHits(key);
+  }
+
+  async setLock(key, until, reason) {
+    await this.store.setLock(key, until, reason);
+  }
+
+  async getLock(key) {
+    const lock = await this.store.getLock(key);
+    return lock && { until: lock.lockedUntil, reason: lock.reason };
+  }
+
+  async deleteLock(key) {
+    return await this.store.deleteLock(key);
+  }
+
+  async listLocks(now) {
+    const locks = await this.store.listLocks(now);
+    return locks.map(lock => ({ key: lock.key, until: lock.lockedUntil, reason: lock.reason }));
+  }
+
+  async prune(before) {
+    return await this.store.prune(before);
+  }
+}
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+/**
+ * Fill the full-text search vector of messages that don't have one yet
+ * (messages stored before search existed, or written outside messageService.create)
+ * Usage: pnpm messages:reindex
+ *
+ * Safe to re-run: only messages without a vector are touched.
+ */
+
+import 'dotenv/config';
+import { messageService, disconnect } from './db/index.js';
+
+async function reindexMessages() {
+  try {
+    const count = await messageService.indexForSearch();
+    console.log(`✅ Indexed ${count} messages for search`);
+  } catch (err) {
+    console.error('❌ Reindex failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await disconnect();
+  }
+}
+
+reindexMessages();
@@ -0,0 +1,243 @@
+import express from 'express';
+import { userService, sessionService, adminAuditLogService } from '../db/index.js';
+import { getTokenStats } from '../LLM/aiService.js';
+import { clearResponseCache, invalidateUserCache, getCacheStats } from '../LLM/responseCache.js';
+import { createSessionManager } from '../auth/sessionManager.js';
+import { loginLimiter } from '../rateLimit/index.js';
+import { authenticateToken, requireRole } from './auth.js';
+import { ROLES } from './authorization.js';
+import { validate } from './validation.js';
+import { adminUserSearchQuerySchema, setRoleSchema, disableUserSchema, clearCacheQuerySchema, adminAuditQuerySchema } from 'common';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { sendError } from './errors.js';
+
+/**
+ * Admin API
+ * Every route requires the admin role, and every request is written to AdminAuditLog
+ * (who did what to which target) - reads included, since listing users exposes their data.
+ */
+
+const router = express.Router();
+const sessions = createSessionManager({ store: sessionService });
+
+router.use(authenticateToken, requireRole(ROLES.ADMIN));
+
+// Never send password hashes to clients
+const withoutPassword = ({ passwordHash: _, totpSecret: __, ...user }) => user;
+
+// Write one audit entry for the current request
+const audit = (req, action, { targetType, targetId, details } = {}) =>
+  adminAuditLogService.record({
+    actorId: req.userId,
+    action,
+    targetType,
+    targetId,
+    details,
+    ip: req.ip,
+  });
+
+// GET /api/admin/users - List and search users
+// Query: q (email or name contains), role, status (active|disabled), limit (default 50), offset
+router.get('/users', validate({ query: adminUserSearchQuerySchema }), async (req, res) => {
+  try {
+    const { q, role, status, limit: take, offset: skip } = req.query;
+
+    const { users, total } = await userService.search({ query: q, role, status, skip, take });
+    await audit(req, 'users.list', { details: { q, role, status, limit: take, offset: skip } });
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(withoutPassword),
+        total,
+        limit: take,
+        offset: skip,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list users');
+  }
+});
+
+// GET /api/admin/users/:id - One user's account details
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await userService.getById(req.params.id);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    await audit(req, 'users.view', { targetType: 'user', targetId: user.id });
+    res.json({ success: true, data: withoutPassword(user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch user');
+  }
+});
+
+// PUT /api/admin/users/:id/role - Change a user's role
+// Body: { role: "user" | "coach" | "admin" }. Takes effect on the user's next token refresh.
+router.put('/users/:id/role', validate({ body: setRoleSchema }), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (req.params.id === req.userId && role !== ROLES.ADMIN) {
+      throw new BadRequestError('Admins cannot remove their own admin role');
+    }
+
+    const existing = await userService.getAuthInfo(req.params.id);
+    if (!existing) {
+      throw new NotFoundError('User not found');
+    }
+
+    const user = await userService.update(req.params.id, { role });
+    await audit(req, 'users.role', {
+      targetType: 'user',
+      targetId: user.id,
+      details: { from: existing.role, to: role },
+    });
+
+    res.json({ success: true, data: withoutPassword(user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to update user role');
+  }
+});
+
+// POST /api/admin/users/:id/disable - Disable an account and sign it out everywhere
+// Body: { reason? }. Access tokens already issued stay valid until they expire.
+router.post('/users/:id/disable', validate({ body: disableUserSchema }), async (req, res) => {
+  try {
+    const reason = req.body.reason || null;
+
+    if (req.params.id === req.userId) {
+      throw new BadRequestError('Admins cannot disable their own account');
+    }
+
+    const existing = await userService.getAuthInfo(req.params.id);
+    if (!existing) {
+      throw new NotFoundError('User not found');
+    }
+
+    const user = await userService.update(req.params.id, {
+      disabledAt: existing.disabledAt || new Date(),
+      disabledReason: reason,
+    });
+    const revoked = await sessions.endAllSessions(user.id);
+    await audit(req, 'users.disable', {
+      targetType: 'user',
+      targetId: user.id,
+      details: { reason, sessionsRevoked: revoked },
+    });
+
+    res.json({ success: true, data: withoutPassword(user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to disable user');
+  }
+});
+
+// POST /api/admin/users/:id/enable - Re-enable a disabled account
+router.post('/users/:id/enable', async (req, res) => {
+  try {
+    const existing = await userService.getAuthInfo(req.params.id);
+    if (!existing) {
+      throw new NotFoundError('User not found');
+    }
+
+    const user = await userService.update(req.params.id, { disabledAt: null, disabledReason: null });
+    await audit(req, 'users.enable', { targetType: 'user', targetId: user.id });
+
+    res.json({ success: true, data: withoutPassword(user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to enable user');
+  }
+});
+
+// GET /api/admin/lockouts - Emails whose sign-in is locked after repeated failures
+router.get('/lockouts', async (req, res) => {
+  try {
+    const locks = await loginLimiter.listLocks();
+    await audit(req, 'lockouts.list');
+
+    res.json({ success: true, data: locks });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch lockouts');
+  }
+});
+
+// POST /api/admin/users/:id/unlock - Lift a sign-in lock and reset the failed attempt count
+router.post('/users/:id/unlock', async (req, res) => {
+  try {
+    const user = await userService.getById(req.params.id);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const wasLocked = await loginLimiter.unlock(user.email);
+    await audit(req, 'users.unlock', {
+      targetType: 'user',
+      targetId: user.id,
+      details: { wasLocked },
+    });
+
+    res.json({ success: true, data: { userId: user.id, wasLocked } });
+  } catch (error) {
+    sendError(res, error, 'Failed to unlock user');
+  }
+});
+
+// GET /api/admin/stats/tokens - In-process LLM token totals (getTokenStats) and cache metrics
+// Persisted per-user and per-endpoint usage is under GET /api/usage/admin.
+router.get('/stats/tokens', async (req, res) => {
+  try {
+    const cache = await getCacheStats();
+    await audit(req, 'stats.tokens');
+
+    res.json({
+      success: true,
+      data: {
+        tokens: getTokenStats(),
+        cache,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch token stats');
+  }
+});
+
+// DELETE /api/admin/cache - Clear the response cache
+// Query: userId (only clear that user's cached replies)
+router.delete('/cache', validate({ query: clearCacheQuerySchema }), async (req, res) => {
+  try {
+    const { userId } = req.query;
+    const removed = userId
+      ? await invalidateUserCache(userId)
+      : await clearResponseCache();
+
+    await audit(req, 'cache.clear', {
+      targetType: 'cache',
+      targetId: userId || null,
+      details: { removed },
+    });
+
+    res.json({ success: true, data: { removed } });
+  } catch (error) {
+    sendError(res, error, 'Failed to clear response cache');
+  }
+});
+
+// GET /api/admin/audit - Recent admin actions
+// Query: actorId, action, targetId, take (default 50)
+router.get('/audit', validate({ query: adminAuditQuerySchema }), async (req, res) => {
+  try {
+    const { actorId, action, targetId, take } = req.query;
+
+    const entries = await adminAuditLogService.getRecent({ actorId, action, targetId, take });
+    await audit(req, 'audit.view', { details: { actorId, action, targetId } });
+
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch admin audit log');
+  }
+});
+
+export default router;
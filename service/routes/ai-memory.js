@@ -1,28 +1,102 @@
 import express from 'express';
 import { aiMemoryService } from '../db/index.js';
+import { authenticateToken } from './auth.js';
+import { authorizeUser } from './authorization.js';
+import { validate } from './validation.js';
+import {
+  upsertAiMemorySchema,
+  aiMemoryGoalsSchema,
+  aiMemoryPreferencesSchema,
+  updateAiMemoryProfileSchema,
+  PROFILE_GOAL_CATEGORIES,
+} from 'common';
+import { categorizeGoal } from '../onboarding/extraction.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { sendError } from './errors.js';
 
 const router = express.Router();
 
-// GET /api/ai-memory/:userId - Get AI memory for a user
-router.get('/:userId', async (req, res) => {
+// One goal as { text, category } - profiles saved before goal categories hold plain strings
+function toProfileGoal(goal) {
+  if (typeof goal === 'string') return { text: goal, category: categorizeGoal(goal) };
+  if (!goal?.text) return null;
+  const text = String(goal.text);
+  return { text, category: PROFILE_GOAL_CATEGORIES.includes(goal.category) ? goal.category : categorizeGoal(text) };
+}
+
+/**
+ * The memory as shown on the app's "What your coach knows" screen (AiMemoryProfile in common):
+ * goals always grouped as { [year]: [{ text, category }] }, metadata with defaults
+ */
+function toProfile(memory) {
+  const goals = memory.goals && typeof memory.goals === 'object' ? memory.goals : {};
+  return {
+    summary: memory.summary ?? null,
+    goals: Object.fromEntries(Object.entries(goals).map(([year, items]) => [
+      year,
+      (Array.isArray(items) ? items : [items]).map(toProfileGoal).filter(Boolean),
+    ])),
+    preferences: memory.preferences && typeof memory.preferences === 'object' ? memory.preferences : {},
+    extractionConfidence: memory.extractionConfidence ?? null,
+    extractionWarnings: Array.isArray(memory.extractionWarnings) ? memory.extractionWarnings : [],
+    fieldConfidence: memory.fieldConfidence ?? null,
+    extractedAt: memory.extractedAt ?? null,
+    manuallyVerified: Boolean(memory.manuallyVerified),
+    lastSync: memory.lastSync,
+  };
+}
+
+// GET /api/ai-memory/me - What the coach knows about the caller (null if nothing yet)
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const memory = await aiMemoryService.getByUser(req.userId);
+    res.json({ success: true, data: memory ? toProfile(memory) : null });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch AI memory');
+  }
+});
+
+// PUT /api/ai-memory/me - Save the caller's reviewed profile; marks it verified
+router.put('/me', authenticateToken, validate({ body: updateAiMemoryProfileSchema }), async (req, res) => {
+  try {
+    const { summary, goals, preferences } = req.body;
+
+    // Years left without goals are dropped rather than kept as empty lists
+    const memory = await aiMemoryService.saveVerified(req.userId, {
+      summary: summary || null,
+      goals: Object.fromEntries(Object.entries(goals).filter(([, items]) => items.length > 0)),
+      preferences,
+    });
+
+    res.json({ success: true, data: toProfile(memory) });
+  } catch (error) {
+    if (error.code === 'P2003') {
+      return sendError(res, new NotFoundError('User not found'));
+    }
+
+    sendError(res, error, 'Failed to save AI memory');
+  }
+});
+
+// GET /api/ai-memory/:userId - Get AI memory for a user (the caller's own profile view: GET /me)
+router.get('/:userId', authenticateToken, authorizeUser(), async (req, res) => {
   try {
     const { userId } = req.params;
     
     const memory = await aiMemoryService.getByUser(userId);
     
     if (!memory) {
-      return res.status(404).json({ error: 'AI memory not found for this user' });
+      throw new NotFoundError('AI memory not found for this user');
     }
     
     res.json({ success: true, data: memory });
   } catch (error) {
-    console.error('Error fetching AI memory:', error);
-    res.status(500).json({ error: 'Failed to fetch AI memory' });
+    sendError(res, error, 'Failed to fetch AI memory');
   }
 });
 
 // POST /api/ai-memory/:userId - Create or update AI memory
-router.post('/:userId', async (req, res) => {
+router.post('/:userId', authenticateToken, authorizeUser(), validate({ body: upsertAiMemorySchema }), async (req, res) => {
   try {
     const { userId } = req.params;
     const { summary, goals, preferences } = req.body;
@@ -35,85 +109,70 @@ router.post('/:userId', async (req, res) => {
     
     res.json({ success: true, data: memory });
   } catch (error) {
-    console.error('Error updating AI memory:', error);
-    
     // Handle specific error cases
     if (error.message.includes('User with ID') && error.message.includes('not found')) {
-      return res.status(404).json({ error: 'User not found' });
+      return sendError(res, new NotFoundError('User not found'));
     }
     
     if (error.code === 'P2003') {
-      return res.status(400).json({ error: 'Invalid user ID - user does not exist' });
+      return sendError(res, new BadRequestError('Invalid user ID - user does not exist'));
     }
     
-    res.status(500).json({ error: 'Failed to update AI memory' });
+    sendError(res, error, 'Failed to update AI memory');
   }
 });
 
 // PATCH /api/ai-memory/:userId/goals - Update user goals
-router.patch('/:userId/goals', async (req, res) => {
+router.patch('/:userId/goals', authenticateToken, authorizeUser(), validate({ body: aiMemoryGoalsSchema }), async (req, res) => {
   try {
     const { userId } = req.params;
     const goals = req.body; // Accept the entire body as goals JSON
     
-    if (!goals || Object.keys(goals).length === 0) {
-      return res.status(400).json({ error: 'Goals data is required' });
-    }
-    
     const memory = await aiMemoryService.updateGoals(userId, goals);
     res.json({ success: true, data: memory });
   } catch (error) {
-    console.error('Error updating goals:', error);
-    
     // Handle specific error cases
     if (error.message.includes('User with ID') && error.message.includes('not found')) {
-      return res.status(404).json({ error: 'User not found' });
+      return sendError(res, new NotFoundError('User not found'));
     }
     
     if (error.code === 'P2003') {
-      return res.status(400).json({ error: 'Invalid user ID - user does not exist' });
+      return sendError(res, new BadRequestError('Invalid user ID - user does not exist'));
     }
     
-    res.status(500).json({ error: 'Failed to update goals' });
+    sendError(res, error, 'Failed to update goals');
   }
 });
 
 // PATCH /api/ai-memory/:userId/preferences - Update user preferences
-router.patch('/:userId/preferences', async (req, res) => {
+router.patch('/:userId/preferences', authenticateToken, authorizeUser(), validate({ body: aiMemoryPreferencesSchema }), async (req, res) => {
   try {
     const { userId } = req.params;
     const preferences = req.body; // Accept the entire body as preferences JSON
     
-    if (!preferences || Object.keys(preferences).length === 0) {
-      return res.status(400).json({ error: 'Preferences data is required' });
-    }
-    
     const memory = await aiMemoryService.updatePreferences(userId, preferences);
     res.json({ success: true, data: memory });
   } catch (error) {
-    console.error('Error updating preferences:', error);
-    
     // Handle specific error cases
     if (error.message.includes('User with ID') && error.message.includes('not found')) {
-      return res.status(404).json({ error: 'User not found' });
+      return sendError(res, new NotFoundError('User not found'));
     }
     
     if (error.code === 'P2003') {
-      return res.status(400).json({ error: 'Invalid user ID - user does not exist' });
+      return sendError(res, new BadRequestError('Invalid user ID - user does not exist'));
     }
     
-    res.status(500).json({ error: 'Failed to update preferences' });
+    sendError(res, error, 'Failed to update preferences');
   }
 });
 
 // DELETE /api/ai-memory/:userId - Delete AI memory
-router.delete('/:userId', async (req, res) => {
+router.delete('/:userId', authenticateToken, authorizeUser(), async (req, res) => {
   try {
     await aiMemoryService.delete(req.params.userId);
     res.json({ success: true, message: 'AI memory deleted successfully' });
   } catch (error) {
-    console.error('Error deleting AI memory:', error);
-    res.status(500).json({ error: 'Failed to delete AI memory' });
+    sendError(res, error, 'Failed to delete AI memory');
   }
 });
 
@@ -1,47 +1,137 @@
 import express from 'express';
+import QRCode from 'qrcode';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
-import { userService } from '../db/index.js';
+import { userService, sessionService, authTokenService, linkedIdentityService, recoveryCodeService } from '../db/index.js';
+import { createSessionManager, SessionError } from '../auth/sessionManager.js';
+import { createAccountTokens, TOKEN_PURPOSES } from '../auth/accountTokens.js';
+import { createIdTokenVerifier, IdentityError, IDENTITY_ERRORS } from '../auth/idTokenVerifier.js';
+import { createFederatedAuth } from '../auth/federatedAuth.js';
+import { createTwoFactor, TwoFactorError, TWO_FACTOR_ERRORS } from '../auth/twoFactor.js';
+import { sendEmail } from '../email/index.js';
+import { loginLimiter } from '../rateLimit/index.js';
+import { passwordResetEmail, emailVerificationEmail } from '../email/templates.js';
+import { isAdmin, ROLES } from './authorization.js';
+import { validate } from './validation.js';
+import { sendError } from './errors.js';
+import {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+} from '../errors/index.js';
+import { logger } from '../logging/index.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  oauthSignInSchema,
+  linkIdentitySchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema,
+  twoFactorProofSchema,
+} from 'common';
 
 const router = express.Router();
 const SALT_ROUNDS = 12;
 
-// Helper function to generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
+// Role goes into the access token; disabled accounts can't start or refresh sessions
+const loadSessionClaims = async (userId) => {
+  const user = await userService.getAuthInfo(userId);
+  if (!user || user.disabledAt) return null;
+  return { role: user.role || ROLES.USER };
 };
 
+const sessions = createSessionManager({ store: sessionService, loadClaims: loadSessionClaims });
+const accountTokens = createAccountTokens({ store: authTokenService });
+const federatedAuth = createFederatedAuth({
+  verifier: createIdTokenVerifier(),
+  identities: linkedIdentityService,
+  users: userService,
+});
+const twoFactor = createTwoFactor({ users: userService, recoveryCodes: recoveryCodeService });
+
+const IDENTITY_ERROR_STATUS = {
+  [IDENTITY_ERRORS.UNKNOWN_PROVIDER]: 404,
+  [IDENTITY_ERRORS.NOT_CONFIGURED]: 503,
+  [IDENTITY_ERRORS.INVALID]: 401,
+  [IDENTITY_ERRORS.EMAIL_REQUIRED]: 400,
+  [IDENTITY_ERRORS.ACCOUNT_EXISTS]: 409,
+  [IDENTITY_ERRORS.IDENTITY_IN_USE]: 409,
+  [IDENTITY_ERRORS.NOT_LINKED]: 404,
+  [IDENTITY_ERRORS.LAST_SIGN_IN_METHOD]: 400,
+};
+
+// Errors from the auth/ modules carry their own code; answer with it and the given status
+const sendAuthError = (res, error, status) => sendError(res, new AppError(error.message, { status, code: error.code, cause: error }));
+
+const sendIdentityError = (res, error) => sendAuthError(res, error, IDENTITY_ERROR_STATUS[error.code] || 400);
+
+const TWO_FACTOR_ERROR_STATUS = {
+  [TWO_FACTOR_ERRORS.ALREADY_ENABLED]: 409,
+  [TWO_FACTOR_ERRORS.NOT_ENABLED]: 400,
+  [TWO_FACTOR_ERRORS.SETUP_REQUIRED]: 400,
+  [TWO_FACTOR_ERRORS.INVALID_CODE]: 400, // Not 401: the session itself is fine
+  [TWO_FACTOR_ERRORS.INVALID_CHALLENGE]: 401,
+};
+
+const sendTwoFactorError = (res, error) => sendAuthError(res, error, TWO_FACTOR_ERROR_STATUS[error.code] || 400);
+
+// Password (or Google/Apple) accepted but 2FA is on: answer with a challenge instead of a session
+const sendTwoFactorChallenge = (res, user) => res.json({
+  success: true,
+  message: 'Two-factor code required',
+  data: {
+    twoFactorRequired: true,
+    ...twoFactor.issueChallenge(user.id)
+  }
+});
+
+const ACCOUNT_EMAILS = {
+  [TOKEN_PURPOSES.PASSWORD_RESET]: passwordResetEmail,
+  [TOKEN_PURPOSES.EMAIL_VERIFICATION]: emailVerificationEmail,
+};
+
+// Issue a single-use token and mail it to the user
+async function sendAccountEmail(user, purpose) {
+  const { token, expiresAt } = await accountTokens.issue(user.id, purpose);
+  const content = ACCOUNT_EMAILS[purpose]({ name: user.name, token, expiresAt });
+  await sendEmail({ to: user.email, ...content });
+}
+
+// Answer a throttled request: 429 with a standard Retry-After header (seconds)
+const sendThrottled = (res, limit) => {
+  res.set('Retry-After', String(limit.retryAfter));
+  return sendError(res, new RateLimitError(limit.message, { code: limit.code, details: { retryAfter: limit.retryAfter } }));
+};
+
+// Device info stored with each session
+const sessionMeta = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ip: req.ip,
+});
+
 // POST /api/auth/register - Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', validate({ body: registerSchema }), async (req, res) => {
   try {
     const { email, password, name } = req.body;
     
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({ 
-        error: 'Email and password are required',
-        success: false 
-      });
-    }
-    
-    if (password.length < 6) {
-      return res.status(400).json({ 
-        error: 'Password must be at least 6 characters long',
-        success: false 
-      });
+    // Throttle per IP before any hashing
+    const limit = await loginLimiter.checkRegister({ ip: req.ip });
+    if (limit) {
+      return sendThrottled(res, limit);
     }
     
     // Check if user already exists
     const existingUser = await userService.getByEmail(email);
     if (existingUser) {
-      return res.status(409).json({ 
-        error: 'User with this email already exists',
-        success: false 
-      });
+      throw new ConflictError('User with this email already exists');
     }
     
     // Hash password
@@ -54,89 +144,494 @@ router.post('/register', async (req, res) => {
       passwordHash 
     });
     
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Ask the user to confirm their address; registration still succeeds if mail is down
+    try {
+      await sendAccountEmail(user, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    } catch (emailError) {
+      logger.error('Error sending verification email', { err: emailError, userId: user.id });
+    }
+    
+    // Start a session: access token + refresh token
+    const tokens = await sessions.startSession(user.id, sessionMeta(req));
     
-    // Return user data without password hash
-    const { passwordHash: _, ...userWithoutPassword } = user;
+    // Return user data without password hash or 2FA secret
+    const { passwordHash: _, totpSecret: __, ...userWithoutPassword } = user;
     
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: userWithoutPassword,
-        token
+        ...tokens
       }
     });
   } catch (error) {
-    console.error('Error registering user:', error);
-    res.status(500).json({ 
-      error: 'Failed to register user',
-      success: false 
-    });
+    sendError(res, error, 'Failed to register user');
   }
 });
 
 // POST /api/auth/login - Login user
-router.post('/login', async (req, res) => {
+router.post('/login', validate({ body: loginSchema }), async (req, res) => {
   try {
     const { email, password } = req.body;
     
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({ 
-        error: 'Email and password are required',
-        success: false 
-      });
+    // Throttle per IP and per email before any password check
+    const limit = await loginLimiter.checkLogin({ ip: req.ip, email });
+    if (limit) {
+      return sendThrottled(res, limit);
     }
     
-    // Find user by email
+    // Find user by email, then verify password
     const user = await userService.getByEmail(email);
-    if (!user) {
-      return res.status(401).json({ 
-        error: 'Invalid email or password',
-        success: false 
-      });
+    // Accounts created with Google/Apple have no password
+    const isValidPassword = user?.passwordHash ? await bcrypt.compare(password, user.passwordHash) : false;
+    if (!isValidPassword) {
+      const lock = await loginLimiter.recordFailure({ email });
+      if (lock) {
+        return sendThrottled(res, lock);
+      }
+      throw new UnauthorizedError('Invalid email or password');
     }
     
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.passwordHash);
-    if (!isValidPassword) {
-      return res.status(401).json({ 
-        error: 'Invalid email or password',
-        success: false 
-      });
+    if (user.disabledAt) {
+      throw new ForbiddenError('Account is disabled', { code: 'ACCOUNT_DISABLED' });
     }
     
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // With 2FA on, the password only earns a challenge; failures keep counting until the code is in
+    if (user.totpEnabledAt) {
+      return sendTwoFactorChallenge(res, user);
+    }
+    
+    await loginLimiter.recordSuccess({ email });
+    
+    // Start a session: access token + refresh token
+    const tokens = await sessions.startSession(user.id, sessionMeta(req));
     
-    // Return user data without password hash
-    const { passwordHash: _, ...userWithoutPassword } = user;
+    // Return user data without password hash or 2FA secret
+    const { passwordHash: _, totpSecret: __, ...userWithoutPassword } = user;
     
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user: userWithoutPassword,
-        token
+        ...tokens
       }
     });
   } catch (error) {
-    console.error('Error logging in user:', error);
-    res.status(500).json({ 
-      error: 'Failed to login user',
-      success: false 
+    sendError(res, error, 'Failed to login user');
+  }
+});
+
+// POST /api/auth/oauth/:provider - Sign in or sign up with a Google or Apple ID token
+// Body: { idToken, nonce?, name? }. Returns the same session as /login (201 if the account is new).
+router.post('/oauth/:provider', validate({ body: oauthSignInSchema }), async (req, res) => {
+  try {
+    const { idToken, nonce, name } = req.body;
+    
+    const { user, created, linked } = await federatedAuth.signIn(req.params.provider, idToken, { nonce, name });
+    
+    if (user.totpEnabledAt) {
+      return sendTwoFactorChallenge(res, user);
+    }
+    
+    // Start a session: access token + refresh token
+    const tokens = await sessions.startSession(user.id, sessionMeta(req));
+    
+    // Return user data without password hash or 2FA secret
+    const { passwordHash: _, totpSecret: __, ...userWithoutPassword } = user;
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'User registered successfully' : 'Login successful',
+      data: {
+        user: userWithoutPassword,
+        created,
+        linked,
+        ...tokens
+      }
     });
+  } catch (error) {
+    if (error instanceof IdentityError) {
+      return sendIdentityError(res, error);
+    }
+    if (error instanceof SessionError) {
+      return sendAuthError(res, error, 403);
+    }
+    
+    sendError(res, error, 'Failed to sign in');
   }
 });
 
-// POST /api/auth/logout - Logout user (client-side token removal)
-router.post('/logout', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful. Please remove the token from client storage.'
-  });
+// POST /api/auth/login/2fa - Second sign-in step when two-factor authentication is on
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }. Returns the same session as /login.
+router.post('/login/2fa', validate({ body: twoFactorLoginSchema }), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    const user = await userService.getById(twoFactor.readChallenge(challengeToken));
+    if (!user || !user.totpEnabledAt) {
+      throw new TwoFactorError(TWO_FACTOR_ERRORS.INVALID_CHALLENGE);
+    }
+    
+    // Codes are guessable in a way passwords aren't: same throttle and lockout as passwords
+    const limit = await loginLimiter.checkLogin({ ip: req.ip, email: user.email });
+    if (limit) {
+      return sendThrottled(res, limit);
+    }
+    
+    if (!(await twoFactor.verify(user, { code, recoveryCode }))) {
+      const lock = await loginLimiter.recordFailure({ email: user.email });
+      if (lock) {
+        return sendThrottled(res, lock);
+      }
+      throw new UnauthorizedError('Invalid two-factor code', { code: TWO_FACTOR_ERRORS.INVALID_CODE });
+    }
+    
+    await loginLimiter.recordSuccess({ email: user.email });
+    
+    // Start a session: access token + refresh token
+    const tokens = await sessions.startSession(user.id, sessionMeta(req));
+    
+    // Return user data without password hash or 2FA secret
+    const { passwordHash: _, totpSecret: __, ...userWithoutPassword } = user;
+    
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: userWithoutPassword,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    if (error instanceof SessionError) {
+      return sendAuthError(res, error, 403);
+    }
+    
+    sendError(res, error, 'Failed to login user');
+  }
+});
+
+// GET /api/auth/2fa - Two-factor status of the current user
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await userService.getById(req.userId);
+    
+    res.json({
+      success: true,
+      data: await twoFactor.status(user)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch two-factor status');
+  }
+});
+
+// POST /api/auth/2fa/setup - Start enrolling an authenticator app
+// Returns { secret, otpauthUri, qrCode } (qrCode is a PNG data URL of the URI). Not active until /2fa/enable.
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await userService.getById(req.userId);
+    const { secret, otpauthUri } = await twoFactor.beginSetup(user);
+    
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri,
+        qrCode: await QRCode.toDataURL(otpauthUri)
+      }
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    
+    sendError(res, error, 'Failed to start two-factor setup');
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm setup with a code from the app
+// Body: { code }. Returns the recovery codes; they are not shown again.
+router.post('/2fa/enable', authenticateToken, validate({ body: twoFactorCodeSchema }), async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await userService.getById(req.userId);
+    const recoveryCodes = await twoFactor.enable(user, code);
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    
+    sendError(res, error, 'Failed to enable two-factor authentication');
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn two-factor authentication off
+// Body: { code } or { recoveryCode }
+router.post('/2fa/disable', authenticateToken, validate({ body: twoFactorProofSchema }), async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    
+    const user = await userService.getById(req.userId);
+    await twoFactor.disable(user, { code, recoveryCode });
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    
+    sendError(res, error, 'Failed to disable two-factor authentication');
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes (old ones stop working)
+// Body: { code }
+router.post('/2fa/recovery-codes', authenticateToken, validate({ body: twoFactorCodeSchema }), async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await userService.getById(req.userId);
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(user, { code });
+    
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    
+    sendError(res, error, 'Failed to regenerate recovery codes');
+  }
+});
+
+// GET /api/auth/identities - Google/Apple accounts linked to the current user
+router.get('/identities', authenticateToken, async (req, res) => {
+  try {
+    const identities = await linkedIdentityService.getByUser(req.userId);
+    
+    res.json({
+      success: true,
+      data: identities.map(({ provider, email, createdAt, lastUsedAt }) => ({ provider, email, createdAt, lastUsedAt }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch linked accounts');
+  }
+});
+
+// POST /api/auth/identities/:provider - Link a Google or Apple account to the current user
+// Body: { idToken, nonce? }
+router.post('/identities/:provider', authenticateToken, validate({ body: linkIdentitySchema }), async (req, res) => {
+  try {
+    const { idToken, nonce } = req.body;
+    
+    const identity = await federatedAuth.link(req.userId, req.params.provider, idToken, { nonce });
+    
+    res.status(201).json({
+      success: true,
+      data: { provider: identity.provider, email: identity.email, createdAt: identity.createdAt }
+    });
+  } catch (error) {
+    if (error instanceof IdentityError) {
+      return sendIdentityError(res, error);
+    }
+    
+    sendError(res, error, 'Failed to link account');
+  }
+});
+
+// DELETE /api/auth/identities/:provider - Unlink a Google or Apple account
+router.delete('/identities/:provider', authenticateToken, async (req, res) => {
+  try {
+    await federatedAuth.unlink(req.userId, req.params.provider);
+    
+    res.json({
+      success: true,
+      message: 'Account unlinked'
+    });
+  } catch (error) {
+    if (error instanceof IdentityError) {
+      return sendIdentityError(res, error);
+    }
+    
+    sendError(res, error, 'Failed to unlink account');
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new access + refresh token
+// Body: { refreshToken }. The presented refresh token can't be used again.
+router.post('/refresh', validate({ body: refreshTokenSchema }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const tokens = await sessions.refresh(refreshToken, sessionMeta(req));
+    
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return sendAuthError(res, error, 401);
+    }
+    
+    sendError(res, error, 'Failed to refresh session');
+  }
+});
+
+// POST /api/auth/logout - Sign out this device (revokes the refresh token's session)
+// Body: { refreshToken }
+router.post('/logout', validate({ body: refreshTokenSchema }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    // Unknown tokens are fine - the client is signed out either way
+    await sessions.endSession(refreshToken);
+    
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to logout user');
+  }
+});
+
+// POST /api/auth/logout-all - Sign out of all devices (revokes every session of the user)
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await sessions.endAllSessions(req.userId);
+    
+    res.json({
+      success: true,
+      message: 'Signed out of all devices',
+      data: { revoked }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to sign out of all devices');
+  }
+});
+
+// POST /api/auth/forgot-password - Email a password reset code
+// Body: { email }. Always answers the same way so it can't be used to find accounts.
+router.post('/forgot-password', validate({ body: forgotPasswordSchema }), async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    const user = await userService.getByEmail(email);
+    if (user && !user.disabledAt) {
+      try {
+        await sendAccountEmail(user, TOKEN_PURPOSES.PASSWORD_RESET);
+      } catch (emailError) {
+        logger.error('Error sending password reset email', { err: emailError, userId: user.id });
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset code has been sent'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to request password reset');
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a reset code
+// Body: { token, password }. Signs the user out on every device.
+router.post('/reset-password', validate({ body: resetPasswordSchema }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    const userId = await accountTokens.consume(token, TOKEN_PURPOSES.PASSWORD_RESET);
+    if (!userId) {
+      throw new BadRequestError('Invalid or expired reset code', { code: 'INVALID_TOKEN' });
+    }
+    
+    const user = await userService.getById(userId);
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    
+    // Receiving the code proves the user owns the address
+    await userService.update(userId, {
+      passwordHash,
+      ...(user?.emailVerifiedAt ? {} : { emailVerifiedAt: new Date() })
+    });
+    
+    // Whoever knew the old password must not stay signed in
+    await sessions.endAllSessions(userId);
+    
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reset password');
+  }
+});
+
+// POST /api/auth/verify-email - Confirm the user's email address
+// Body: { token }
+router.post('/verify-email', validate({ body: verifyEmailSchema }), async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    const userId = await accountTokens.consume(token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    if (!userId) {
+      throw new BadRequestError('Invalid or expired verification code', { code: 'INVALID_TOKEN' });
+    }
+    
+    const user = await userService.update(userId, { emailVerifiedAt: new Date() });
+    
+    res.json({
+      success: true,
+      message: 'Email verified',
+      data: { emailVerifiedAt: user.emailVerifiedAt }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to verify email');
+  }
+});
+
+// POST /api/auth/resend-verification - Send a new verification code to the current user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await userService.getById(req.userId);
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    if (user.emailVerifiedAt) {
+      return res.json({
+        success: true,
+        message: 'Email is already verified'
+      });
+    }
+    
+    await sendAccountEmail(user, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to send verification email');
+  }
 });
 
 // GET /api/auth/me - Get current user profile (requires token)
@@ -145,25 +640,18 @@ router.get('/me', authenticateToken, async (req, res) => {
     const user = await userService.getById(req.userId);
     
     if (!user) {
-      return res.status(404).json({ 
-        error: 'User not found',
-        success: false 
-      });
+      throw new NotFoundError('User not found');
     }
     
-    // Return user data without password hash
-    const { passwordHash: _, ...userWithoutPassword } = user;
+    // Return user data without password hash or 2FA secret
+    const { passwordHash: _, totpSecret: __, ...userWithoutPassword } = user;
     
     res.json({
       success: true,
       data: userWithoutPassword
     });
   } catch (error) {
-    console.error('Error fetching user profile:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch user profile',
-      success: false 
-    });
+    sendError(res, error, 'Failed to fetch user profile');
   }
 });
 
@@ -173,24 +661,47 @@ export function authenticateToken(req, res, next) {
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
   
   if (!token) {
-    return res.status(401).json({ 
-      error: 'Access token required',
-      success: false 
-    });
+    return sendError(res, new UnauthorizedError('Access token required'));
   }
   
   jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return res.status(403).json({ 
-        error: 'Invalid or expired token',
-        success: false 
-      });
+    // Expired tokens get a 401 so clients know to refresh
+    if (err && err.name === 'TokenExpiredError') {
+      return sendError(res, new UnauthorizedError('Access token expired', { code: 'TOKEN_EXPIRED' }));
+    }
+    
+    // 2FA challenge tokens are signed with the same secret but aren't access tokens
+    if (err || !decoded.userId || decoded.typ) {
+      return sendError(res, new ForbiddenError('Invalid token'));
     }
     
     req.userId = decoded.userId;
-    req.user = { id: decoded.userId }; // Also attach user object for convenience
+    req.role = decoded.role || ROLES.USER;
+    req.user = { id: decoded.userId, role: req.role }; // Also attach user object for convenience
     next();
   });
 }
 
+// Middleware to restrict a route to some roles, e.g. requireRole('coach')
+// Admins pass every role check. Must run after authenticateToken.
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.role) && !isAdmin(req)) {
+      return sendError(res, new ForbiddenError(`Requires role: ${roles.join(' or ')}`));
+    }
+    
+    next();
+  };
+}
+
+// Middleware to restrict a route to admins (role "admin" or listed in ADMIN_USER_IDS)
+// Must run after authenticateToken
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req)) {
+    return sendError(res, new ForbiddenError('Admin access required'));
+  }
+  
+  next();
+}
+
 export default router;
\ No newline at end of file
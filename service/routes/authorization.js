@@ -0,0 +1,100 @@
+import {
+  goalService,
+  calendarEventService,
+  reminderService,
+  messageService,
+} from '../db/index.js';
+import { ForbiddenError, NotFoundError } from '../errors/index.js';
+import { sendError } from './errors.js';
+
+/**
+ * Authorization for user-scoped routes
+ *
+ * Everything here runs after authenticateToken. A user may only touch their own data;
+ * admins may act on anyone's. Unknown resources are 404, other users' resources are 403.
+ */
+
+export const ROLES = {
+  USER: 'user',
+  COACH: 'coach',
+  ADMIN: 'admin',
+};
+
+// Whether the authenticated caller is an admin: role "admin" in their access token, or
+// listed in ADMIN_USER_IDS (bootstrap for promoting the first admin)
+export function isAdmin(req) {
+  if (req.role === ROLES.ADMIN) return true;
+
+  const adminIds = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  return adminIds.includes(req.userId);
+}
+
+// Whether the caller may read or change data belonging to `userId`
+export function canAccessUser(req, userId) {
+  return Boolean(userId) && (userId === req.userId || isAdmin(req));
+}
+
+/**
+ * Guard a `/:userId`-style route
+ * "me" resolves to the caller, so `/api/messages/user/me` works without knowing the ID.
+ */
+export function authorizeUser(param = 'userId') {
+  return (req, res, next) => {
+    if (req.params[param] === 'me') {
+      req.params[param] = req.userId;
+    }
+
+    if (!canAccessUser(req, req.params[param])) {
+      return sendError(res, new ForbiddenError('Not allowed to access another user\'s data'));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Guard a `/:id` route on a resource that has a userId
+ * `load(id)` returns the resource or null; the loaded resource is kept on `req.resource`
+ * so handlers don't fetch it twice.
+ */
+export function authorizeResource(name, load, param = 'id') {
+  const label = name.toLowerCase();
+
+  return async (req, res, next) => {
+    try {
+      const resource = await load(req.params[param]);
+
+      if (!resource) {
+        throw new NotFoundError(`${name} not found`);
+      }
+
+      if (!canAccessUser(req, resource.userId)) {
+        throw new ForbiddenError(`Not allowed to access this ${label}`);
+      }
+
+      req.resource = resource;
+    } catch (error) {
+      return sendError(res, error, `Failed to fetch ${label}`);
+    }
+    next();
+  };
+}
+
+// Ownership resolvers, one per resource
+export const authorizeGoal = authorizeResource('Goal', id => goalService.getById(id));
+export const authorizeCalendarEvent = authorizeResource('Event', id => calendarEventService.getById(id));
+export const authorizeReminder = authorizeResource('Reminder', id => reminderService.getById(id));
+export const authorizeMessage = authorizeResource('Message', id => messageService.getById(id));
+
+/**
+ * User a create request is for: the caller, unless an admin names someone else in the body
+ * Returns null when the caller may not create data for the requested user.
+ */
+export function resolveTargetUser(req) {
+  const userId = req.body?.userId && req.body.userId !== 'me' ? req.body.userId : req.userId;
+  return canAccessUser(req, userId) ? userId : null;
+}
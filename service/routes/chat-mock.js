@@ -1,6 +1,11 @@
 import express from 'express';
 import { messageService, aiMemoryService } from '../db/index.js';
 import { authenticateToken } from './auth.js';
+import { validate } from './validation.js';
+import { chatStreamSchema, chatMemorySchema } from 'common';
+import { ForbiddenError } from '../errors/index.js';
+import { sendError } from './errors.js';
+import { logger } from '../logging/index.js';
 
 const router = express.Router();
 
@@ -40,7 +45,7 @@ async function getUserContext(userId) {
     
     return context;
   } catch (error) {
-    console.error('Error retrieving user context:', error);
+    logger.error('Error retrieving user context', { err: error, userId });
     return '';
   }
 }
@@ -76,7 +81,7 @@ async function generateChatResponse(userId, userMessage) {
     
     return response;
   } catch (error) {
-    console.error('Error generating chat response:', error);
+    logger.error('Error generating chat response', { err: error, userId });
     throw error;
   }
 }
@@ -88,36 +93,30 @@ async function generateChatResponse(userId, userMessage) {
  * Requires: userId, message
  * Returns: { success, data: { userMessage, aiResponse } }
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, validate({ body: chatStreamSchema }), async (req, res) => {
   try {
     const { message } = req.body;
     const userId = req.user.id;
 
-    // Validate input
-    if (!message || message.trim().length === 0) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
-
-    console.log(`\n💬 Chat request from user ${userId}: "${message}"`);
+    logger.info('Chat request', { userId, message });
 
     // Save user message to database
     const userMsg = await messageService.create({
       text: message,
       userId,
     });
-    console.log(`✓ Saved user message: ${userMsg.id}`);
+    logger.debug('Saved user message', { messageId: userMsg.id });
 
     // Generate mock AI response
-    console.log('🤖 Generating AI response...');
     const aiResponse = await generateChatResponse(userId, message);
-    console.log(`✓ AI response generated (${aiResponse.length} chars)`);
+    logger.debug('Mock response generated', { length: aiResponse.length });
 
     // Save AI response to database
     const aiMsg = await messageService.create({
       text: aiResponse,
       userId,
     });
-    console.log(`✓ Saved AI message: ${aiMsg.id}`);
+    logger.debug('Saved AI message', { messageId: aiMsg.id });
 
     res.json({
       success: true,
@@ -127,11 +126,7 @@ router.post('/', authenticateToken, async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('❌ Error in chat endpoint:', error);
-    res.status(500).json({
-      error: 'Failed to process chat message',
-      message: error.message,
-    });
+    sendError(res, error, 'Failed to process chat message');
   }
 });
 
@@ -146,7 +141,7 @@ router.get('/history/:userId', authenticateToken, async (req, res) => {
 
     // Verify user is requesting their own history or is admin
     if (req.user.id !== userId) {
-      return res.status(403).json({ error: 'Unauthorized' });
+      throw new ForbiddenError('Unauthorized');
     }
 
     const messages = await messageService.getByUser(userId, limit);
@@ -155,11 +150,7 @@ router.get('/history/:userId', authenticateToken, async (req, res) => {
       data: messages,
     });
   } catch (error) {
-    console.error('Error fetching chat history:', error);
-    res.status(500).json({
-      error: 'Failed to fetch chat history',
-      message: error.message,
-    });
+    sendError(res, error, 'Failed to fetch chat history');
   }
 });
 
@@ -168,17 +159,12 @@ router.get('/history/:userId', authenticateToken, async (req, res) => {
  * Requires: content
  * Returns: { success, data: { stored } }
  */
-router.post('/memory', authenticateToken, async (req, res) => {
+router.post('/memory', authenticateToken, validate({ body: chatMemorySchema }), async (req, res) => {
   try {
     const { content } = req.body;
     const userId = req.user.id;
 
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Content is required' });
-    }
-
-    // Log the memory content
-    console.log(`📝 Storing memory for user ${userId}: ${content}`);
+    logger.info('Storing memory', { userId, content });
 
     res.json({
       success: true,
@@ -189,11 +175,7 @@ router.post('/memory', authenticateToken, async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('Error storing memory:', error);
-    res.status(500).json({
-      error: 'Failed to store memory',
-      message: error.message,
-    });
+    sendError(res, error, 'Failed to store memory');
   }
 });
 
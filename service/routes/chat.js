@@ -1,21 +1,42 @@
 import express from 'express';
-import { messageService, aiMemoryService } from '../db/index.js';
+import {
+  messageService,
+  aiMemoryService,
+  tokenUsageService,
+  userService,
+  routingDecisionService,
+  onboardingSessionService,
+} from '../db/index.js';
 import { authenticateToken } from './auth.js';
+import { authorizeUser } from './authorization.js';
+import { validate } from './validation.js';
+import { chatMessageSchema, chatStreamSchema, chatMemorySchema, messageHistoryQuerySchema } from 'common';
 import { 
   getLLM, 
   getCheapLLM,
-  selectModelForTask,
-  getCachedResponse,
-  setCachedResponse,
-  trackTokenUsage,
-  getTokenStats,
+  getModelName,
+  isLLMConfigured,
+  estimateTokenUsage,
 } from '../LLM/aiService.js';
+import { getProviderName } from '../LLM/providers/index.js';
+import { recordTokenUsage, checkBudget, USAGE_ENDPOINTS } from '../LLM/usageTracker.js';
+import { getQuotaMessage, formatQuota } from '../LLM/budget.js';
+import { routeRequest } from '../LLM/requestRouter.js';
+import { createCacheKey, getCachedResponse, setCachedResponse } from '../LLM/responseCache.js';
+import { rememberMessages, addMemories, searchMemories, formatMemories } from '../LLM/memoryStore.js';
+import { getUserContext } from '../LLM/userContext.js';
+import { createOnboardingExtractor } from '../onboarding/extraction.js';
+import { createOnboardingFlow } from '../onboarding/flow.js';
+import { RateLimitError } from '../errors/index.js';
+import { logger } from '../logging/index.js';
+import { sendError } from './errors.js';
 
 const router = express.Router();
+const log = logger.child({ module: 'chat' });
 
 // Check for required environment variables
-if (!process.env.OPENAI_API_KEY) {
-  console.warn('⚠️ OPENAI_API_KEY not set in environment');
+if (!isLLMConfigured()) {
+  log.warn('LLM provider is not configured (is OPENAI_API_KEY set?)', { provider: getProviderName() });
 }
 
 /**
@@ -30,147 +51,236 @@ async function getConversationHistory(userId, limit = 10) {
 }
 
 /**
- * Get user context from AI memory
+ * Retrieve relevant memories from vector store
+ * Skips snippets already present in the recent conversation history
  */
-async function getUserContext(userId) {
+async function getRelevantMemories(userId, query, limit = 3, recentHistory = []) {
   try {
-    const memory = await aiMemoryService.getByUser(userId);
-    if (!memory) return '';
-    
-    let context = '';
-    if (memory.summary) context += `Summary: ${memory.summary}\n`;
-    if (memory.goals) context += `Goals: ${JSON.stringify(memory.goals)}\n`;
-    if (memory.preferences) context += `Preferences: ${JSON.stringify(memory.preferences)}\n`;
-    
-    return context;
+    const memories = await searchMemories(userId, query, {
+      k: limit,
+      exclude: recentHistory.map(msg => msg.content),
+    });
+    if (memories.length === 0) return '';
+
+    log.debug('Relevant memories found', { userId, count: memories.length });
+    return formatMemories(memories);
   } catch (error) {
-    console.error('Error retrieving user context:', error);
+    log.error('Error retrieving memories', { err: error, userId });
     return '';
   }
 }
 
 /**
- * Retrieve relevant memories from vector store (optional feature)
+ * Pick the model tier for a message using the routing rules (LLM/routing.config.json)
+ * Records which rule fired - best-effort, a failed audit write doesn't block chat
  */
-async function getRelevantMemories(userId, query, limit = 3) {
+async function routeChatRequest(userId, userMessage, { budget, historyLength, onboarded }) {
+  let tier = 'free';
   try {
-    // For now, we'll skip Qdrant integration
-    // In production, implement with @langchain/qdrant package
-    return '';
+    tier = await userService.getTier(userId);
   } catch (error) {
-    console.error('Error retrieving memories:', error);
-    return '';
+    log.error('Error loading user tier', { err: error, userId });
+  }
+
+  const route = routeRequest(userMessage, {
+    tier,
+    budget: budget?.status,
+    historyLength,
+    onboarded,
+  });
+  log.info('Chat request routed', {
+    userId,
+    model: route.model,
+    ruleId: route.ruleId,
+    intent: route.intent.name,
+    confidence: route.intent.confidence,
+  });
+
+  try {
+    await routingDecisionService.record({
+      userId,
+      ruleId: route.ruleId,
+      modelTier: route.model,
+      model: getModelName(route.model),
+      intent: route.intent.name,
+      confidence: route.intent.confidence,
+      messageLength: userMessage.length,
+    });
+  } catch (error) {
+    log.error('Error recording routing decision', { err: error, userId });
   }
+
+  return route;
 }
 
 /**
- * Generate AI response using conversation history and context
- * Implements cost optimization: caching, model selection, max tokens
+ * Respond 429 with a friendly coaching message once a hard budget cap is hit
  */
-async function generateChatResponse(userId, userMessage) {
-  try {
-    // COST OPTIMIZATION 1: Check cache first
-    const cachedResponse = getCachedResponse(userId, userMessage);
-    if (cachedResponse) {
-      return cachedResponse;
-    }
-    
-    // COST OPTIMIZATION 2: Select model based on task complexity
-    const modelType = selectModelForTask(userMessage);
-    const model = modelType === 'cheap' ? getCheapLLM() : getLLM();
-    console.log(`🤖 Using model: ${modelType === 'cheap' ? 'gpt-3.5-turbo (cheap)' : 'gpt-4o-mini'}`);
-    
-    // Get conversation history
-    const conversationHistory = await getConversationHistory(userId);
-    
-    // Get user context from AI memory
-    const userContext = await getUserContext(userId);
-    
-    // Check if onboarding has already been initiated (onboarding message exists in history)
-    const onboardingInitiated = conversationHistory.length > 0;
-    console.log(`Onboarding initiated: ${onboardingInitiated}, User context exists: ${!!userContext && userContext.trim().length > 0}`);
-
-    // ONBOARDING: If no user context exists AND onboarding hasn't been started, ask onboarding questions
-    // Only show onboarding prompt on first interaction (when conversation is empty)
-    if ((!userContext || userContext.trim().length === 0) && !onboardingInitiated) {
-      const onboardingPrompt = `Thanks for starting a chat! Before we begin, I'd love to learn a bit about you so I can personalize my responses.
-Please reply with a short answer containing:
-- Who you are (name or short summary)
-- 2–4 goals you want to work on (fitness, learning, career, etc.)
-- How you'd like to be motivated (e.g. encouraging, supportive, energizing, firm)
-
-Example reply:
-My name is Sam. Goals: Run a half marathon; Learn Rust; Improve sleep. Tone: encouraging
-
-You can just write naturally — I'll take care of saving this in your profile.`;
-
-      // Return onboarding prompt directly (don't invoke LLM on first-contact)
-      return onboardingPrompt;
-    }
+function sendQuotaExceeded(res, budget) {
+  if (budget.resetsAt) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((budget.resetsAt - Date.now()) / 1000))));
+  }
+  sendError(res, new RateLimitError(getQuotaMessage(budget), {
+    code: 'QUOTA_EXCEEDED',
+    details: { quota: formatQuota(budget) },
+  }));
+}
 
-    // If the user message *looks like* an onboarding answer, try to parse and save it
-    // (This is a lightweight heuristic parser to avoid extra LLM calls.)
-    const onboardingSaved = await tryHandleOnboardingReply(userId, userMessage);
-    if (onboardingSaved) {
-      // Give a friendly acknowledgement
-      return 'Perfect! I saved your profile and preferences. Now, how can I help you today?';
+/**
+ * Build the model call for a chat message
+ * Returns either { reply, onboarding? } when no LLM call is needed (onboarding step, cache hit)
+ * or { model, modelType, messages, cacheKey } ready to be invoked or streamed
+ * `budget` (from checkBudget) is passed to the request router (soft cap → cheap model)
+ */
+async function prepareChatResponse(userId, userMessage, budget) {
+  // Get conversation history
+  const conversationHistory = await getConversationHistory(userId);
+  
+  // Get user context from AI memory
+  const userContext = await getUserContext(userId);
+  
+  // ONBOARDING: until the user has a profile, the guided flow (onboarding/flow.js) answers
+  // instead of the LLM - it asks only for what's missing and ends once the user confirms or skips
+  if (!userContext || userContext.trim().length === 0) {
+    const onboarding = await onboardingFlow.handle(userId, userMessage);
+    if (onboarding) {
+      log.debug('Onboarding step', { userId, step: onboarding.state.step });
+      return { reply: onboarding.reply, onboarding: onboarding.state };
     }
-    
-    // If we tried to parse but confidence was low, ask for clarification
-    // This prevents data loss from ambiguous input
-    const lower = userMessage.toLowerCase();
-    const hasOnboardingKeywords = /my name is|i am\b|i'm\b|goals?:|goal:|i want to|i'd like to|tone:|prefer/.test(lower);
-    if (hasOnboardingKeywords && !userContext) {
-      // Only ask for clarification if user context still doesn't exist
-      return `I caught some profile info, but I want to make sure I get it right. Could you re-phrase using this format?
+  }
 
-My name is [your name]. Goals: [goal 1]; [goal 2]; [goal 3]. Tone: [encouraging/supportive/energizing/firm/etc].
+  // Nothing to answer - the app starting a chat after onboarding is over
+  if (userMessage.trim().length === 0) {
+    return { reply: 'How can I help you today?' };
+  }
 
-Example: My name is Alex. Goals: Run a half-marathon; Learn Python; Improve sleep. Tone: supportive`;
-    }
-    
-    // Build system prompt with context
-    let systemPrompt = 'You are a helpful personal AI assistant for a life coaching application. ';
-    if (userContext) systemPrompt += `User Context:\n${userContext}\n`;
-    
-    // Create messages array for the model
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...conversationHistory,
-      { role: 'human', content: userMessage },
-    ];
-    
-    console.log(`📤 Sending to ${modelType === 'cheap' ? 'GPT-3.5' : 'GPT-4o-mini'}: ${messages.length} messages`);
-    
-    // Generate response using the selected model
-    // maxTokens is already set in aiService.js to prevent expensive responses
-    const response = await model.invoke(messages);
-    
-    const responseText = response.content || response.text || '';
-    console.log(`📥 Response received: ${responseText.length} chars`);
-    
-    // COST OPTIMIZATION 3: Cache the response for future use
-    setCachedResponse(userId, userMessage, responseText);
-    
-    // COST OPTIMIZATION 4: Track token usage
-    // LangChain stores usage in response_metadata after invoke
-    if (response.response_metadata) {
-      const usage = response.response_metadata.usage;
-      if (usage) {
-        console.log(`📊 Token Usage - Input: ${usage.prompt_tokens}, Output: ${usage.completion_tokens}`);
-        trackTokenUsage(usage.prompt_tokens, usage.completion_tokens);
-      } else {
-        console.log('⚠️ No usage data in response metadata');
+  // COST OPTIMIZATION 1: Check cache - only an identical message, context and recent history hits
+  const cacheKey = createCacheKey({ userId, message: userMessage, userContext, history: conversationHistory });
+  const cachedResponse = await getCachedResponse(cacheKey);
+  if (cachedResponse) {
+    return { reply: cachedResponse };
+  }
+
+  // COST OPTIMIZATION 2: Route to a model tier via the configurable rules
+  const { model: modelType } = await routeChatRequest(userId, userMessage, {
+    budget,
+    historyLength: conversationHistory.length,
+    onboarded: !!userContext && userContext.trim().length > 0,
+  });
+  const model = modelType === 'cheap' ? getCheapLLM() : getLLM();
+  log.debug('Using model', { userId, model: getModelName(modelType), modelType });
+  
+  // Get relevant snippets from long-term memory
+  const relevantMemories = await getRelevantMemories(userId, userMessage, 3, conversationHistory);
+  
+  // Build system prompt with context
+  let systemPrompt = 'You are a helpful personal AI assistant for a life coaching application. ';
+  if (userContext) systemPrompt += `User Context:\n${userContext}\n`;
+  if (relevantMemories) systemPrompt += `Relevant past conversation:\n${relevantMemories}\n`;
+  
+  // Create messages array for the model
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    ...conversationHistory,
+    { role: 'human', content: userMessage },
+  ];
+  
+  return { model, modelType, messages, cacheKey };
+}
+
+/**
+ * Cache the finished response and record token usage
+ * `response` is the LangChain result (or the stream chunk carrying usage)
+ */
+async function finalizeChatResponse(userId, cacheKey, responseText, response, modelType) {
+  // COST OPTIMIZATION 3: Cache the response for future use
+  await setCachedResponse(userId, cacheKey, responseText);
+  
+  // COST OPTIMIZATION 4: Track token usage, priced by the model that ran
+  await recordTokenUsage({
+    userId,
+    endpoint: USAGE_ENDPOINTS.CHAT,
+    model: getModelName(modelType),
+    response,
+  });
+}
+
+/**
+ * Generate AI response using conversation history and context
+ * Implements cost optimization: caching, model selection, max tokens
+ * Returns { text, onboarding } - onboarding is the OnboardingState while the user is onboarding
+ */
+async function generateChatResponse(userId, userMessage, budget) {
+  const prepared = await prepareChatResponse(userId, userMessage, budget);
+  if (prepared.reply !== undefined) {
+    return { text: prepared.reply, onboarding: prepared.onboarding || null };
+  }
+  
+  const { model, modelType, messages, cacheKey } = prepared;
+  log.debug('Invoking model', { model: getModelName(modelType), messageCount: messages.length });
+  
+  // Generate response using the selected model
+  // maxTokens is already set in aiService.js to prevent expensive responses
+  const response = await model.invoke(messages);
+  
+  const responseText = response.content || response.text || '';
+  log.debug('Model response received', { length: responseText.length });
+  
+  await finalizeChatResponse(userId, cacheKey, responseText, response, modelType);
+  
+  return { text: responseText, onboarding: null };
+}
+
+/**
+ * Stream AI response token by token
+ * onToken is called with each text chunk; aborting `signal` stops generation.
+ * Returns { text, aborted, onboarding } - partial responses are never cached.
+ */
+async function streamChatResponse(userId, userMessage, onToken, signal, budget) {
+  const prepared = await prepareChatResponse(userId, userMessage, budget);
+  if (prepared.reply !== undefined) {
+    onToken(prepared.reply);
+    return { text: prepared.reply, aborted: false, onboarding: prepared.onboarding || null };
+  }
+  
+  const { model, modelType, messages, cacheKey } = prepared;
+  log.debug('Streaming from model', { model: getModelName(modelType), messageCount: messages.length });
+  
+  let responseText = '';
+  let usageChunk = null;
+  try {
+    const stream = await model.stream(messages, { signal });
+    for await (const chunk of stream) {
+      const token = typeof chunk.content === 'string' ? chunk.content : '';
+      if (token) {
+        responseText += token;
+        onToken(token);
+      }
+      // With streamUsage enabled the final chunk carries the totals
+      if (chunk.usage_metadata) {
+        usageChunk = chunk;
       }
-    } else {
-      console.log('⚠️ No response_metadata available');
     }
-    
-    return responseText;
   } catch (error) {
-    console.error('❌ Error generating chat response:', error);
+    if (signal?.aborted) {
+      log.info('Stream cancelled by client', { userId, length: responseText.length });
+      // The tokens so far were generated (and billed) all the same; estimate them if the usage chunk never came
+      await recordTokenUsage({
+        userId,
+        endpoint: USAGE_ENDPOINTS.CHAT,
+        model: getModelName(modelType),
+        response: usageChunk,
+        usage: usageChunk ? undefined : estimateTokenUsage(messages, responseText),
+      });
+      return { text: responseText, aborted: true, onboarding: null };
+    }
     throw error;
   }
+  
+  log.debug('Stream complete', { length: responseText.length });
+  await finalizeChatResponse(userId, cacheKey, responseText, usageChunk, modelType);
+  
+  return { text: responseText, aborted: false, onboarding: null };
 }
 
 // --- API Routes ---
@@ -178,22 +288,28 @@ Example: My name is Alex. Goals: Run a half-marathon; Learn Python; Improve slee
 /**
  * POST /api/chat - Send a chat message and get AI response
  * Requires: userId, message
- * Returns: { success, data: { userMessage, aiResponse, messageId } }
+ * Returns: { success, data: { userMessage, aiResponse, onboarding } }
+ * onboarding is { step, quickReplies } while the user goes through guided onboarding, else null
+ * 429 with { code: 'QUOTA_EXCEEDED', error: <coaching message>, details: { quota } } once the user's hard budget cap is hit
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, validate({ body: chatMessageSchema }), async (req, res) => {
   try {
     const { message } = req.body;
     const userId = req.user.id;
 
-    // Allow empty message for fetching onboarding prompt on first interaction
-    if (message === undefined) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
-
-    // Empty message is allowed - used to fetch onboarding prompt
+    // Empty message is allowed - used to start onboarding
     const isOnboardingFetch = message.trim().length === 0;
 
-    console.log(`\n💬 Chat request from user ${userId}: ${isOnboardingFetch ? '[ONBOARDING FETCH]' : `"${message}"`}`);
+    log.info('Chat request', { userId, onboardingFetch: isOnboardingFetch, message });
+
+    // Budget check before anything is saved - at the hard cap the LLM is never called
+    let budget;
+    if (!isOnboardingFetch) {
+      budget = await checkBudget(userId);
+      if (budget.status === 'hard') {
+        return sendQuotaExceeded(res, budget);
+      }
+    }
 
     // Only save user message if it's not empty
     let userMsg;
@@ -203,13 +319,11 @@ router.post('/', authenticateToken, async (req, res) => {
         userId,
         role: "user", // Explicitly mark as user message
       });
-      console.log(`✓ Saved user message: ${userMsg.id}`);
+      log.debug('Saved user message', { messageId: userMsg.id });
     }
 
     // Generate AI response
-    console.log('🤖 Generating AI response...');
-    const aiResponse = await generateChatResponse(userId, message);
-    console.log(`✓ AI response generated (${aiResponse.length} chars)`);
+    const { text: aiResponse, onboarding } = await generateChatResponse(userId, message, budget);
 
     // Save AI response to database
     const aiMsg = await messageService.create({
@@ -217,21 +331,107 @@ router.post('/', authenticateToken, async (req, res) => {
       userId,
       role: "assistant", // Explicitly mark as AI response
     });
-    console.log(`✓ Saved AI message: ${aiMsg.id}`);
+    log.debug('Saved AI message', { messageId: aiMsg.id, length: aiResponse.length });
+
+    // Embed both messages into long-term memory (best-effort, don't block the response)
+    if (!isOnboardingFetch) {
+      rememberMessages(userId, [userMsg, aiMsg]);
+    }
 
     res.json({
       success: true,
       data: {
         userMessage: userMsg || null,
         aiResponse: aiMsg,
+        onboarding,
       },
     });
   } catch (error) {
-    console.error('❌ Error in chat endpoint:', error);
-    res.status(500).json({
-      error: 'Failed to process chat message',
-      message: error.message,
+    sendError(res, error, 'Failed to process chat message');
+  }
+});
+
+/**
+ * POST /api/chat/stream - Send a chat message and stream the AI response (Server-Sent Events)
+ * Requires: message
+ * Events:
+ *   start - { userMessage }
+ *   token - { token }            (repeated while the model generates)
+ *   done  - { messageId, aiResponse, cancelled, onboarding }   (onboarding as in POST /api/chat)
+ *   error - { error, code, requestId }
+ * Closing the connection cancels generation; any partial text is still saved.
+ * Past the hard budget cap this responds 429 (JSON, not a stream) like POST /api/chat.
+ */
+router.post('/stream', authenticateToken, validate({ body: chatStreamSchema }), async (req, res) => {
+  const { message } = req.body;
+  const userId = req.user.id;
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Abort generation if the client goes away before we're done
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    log.info('Streaming chat request', { userId, message });
+
+    const budget = await checkBudget(userId);
+    if (budget.status === 'hard') {
+      return sendQuotaExceeded(res, budget);
+    }
+
+    const userMsg = await messageService.create({
+      text: message,
+      userId,
+      role: "user",
+    });
+    log.debug('Saved user message', { messageId: userMsg.id });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+    });
+    sendEvent('start', { userMessage: userMsg });
+
+    const { text, aborted, onboarding } = await streamChatResponse(
+      userId,
+      message,
+      token => sendEvent('token', { token }),
+      controller.signal,
+      budget,
+    );
+
+    // Nothing generated before the user cancelled - nothing to save
+    if (aborted && text.trim().length === 0) {
+      return res.end();
+    }
+
+    const aiMsg = await messageService.create({
+      text,
+      userId,
+      role: "assistant",
     });
+    log.debug('Saved AI message', { messageId: aiMsg.id, length: text.length, partial: aborted });
+
+    rememberMessages(userId, [userMsg, aiMsg]);
+
+    sendEvent('done', { messageId: aiMsg.id, aiResponse: aiMsg, cancelled: aborted, onboarding });
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return sendError(res, error, 'Failed to process chat message');
+    }
+    // Mid-stream the status is already 200: report the failure as an event with the same envelope
+    log.error('Error in chat stream', { err: error, userId });
+    sendEvent('error', { error: 'Failed to process chat message', code: 'INTERNAL_ERROR', requestId: req.id });
+    res.end();
   }
 });
 
@@ -239,7 +439,7 @@ router.post('/', authenticateToken, async (req, res) => {
  * GET /api/chat/suggestion/:userId - Generate AI suggestion based on recent chat
  * Returns: { success, data: { suggestion } }
  */
-router.get('/suggestion/:userId', authenticateToken, async (req, res) => {
+router.get('/suggestion/:userId', authenticateToken, authorizeUser(), async (req, res) => {
   try {
     const userId = req.params.userId;
     
@@ -253,6 +453,15 @@ router.get('/suggestion/:userId', authenticateToken, async (req, res) => {
       });
     }
     
+    // Suggestions are optional - skip them once the hard budget cap is hit
+    const budget = await checkBudget(userId);
+    if (budget.status === 'hard') {
+      return res.json({
+        success: true,
+        data: { suggestion: null, quota: formatQuota(budget) },
+      });
+    }
+    
     // Generate AI suggestion
     const suggestion = await generateAISuggestion(userId, recentMessages);
     
@@ -261,11 +470,23 @@ router.get('/suggestion/:userId', authenticateToken, async (req, res) => {
       data: { suggestion },
     });
   } catch (error) {
-    console.error('Error generating suggestion:', error);
-    res.status(500).json({
-      error: 'Failed to generate suggestion',
-      message: error.message,
+    sendError(res, error, 'Failed to generate suggestion');
+  }
+});
+
+/**
+ * GET /api/chat/onboarding - The caller's guided onboarding state, to show its quick replies
+ * Returns: { success, data: { step, quickReplies } | null } (null if onboarding never started)
+ */
+router.get('/onboarding', authenticateToken, async (req, res) => {
+  try {
+    const state = await onboardingFlow.getState(req.user.id);
+    res.json({
+      success: true,
+      data: state,
     });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch onboarding state');
   }
 });
 
@@ -273,15 +494,10 @@ router.get('/suggestion/:userId', authenticateToken, async (req, res) => {
  * GET /api/chat/history/:userId - Get conversation history
  * Returns: { success, data: messages[] }
  */
-router.get('/history/:userId', authenticateToken, async (req, res) => {
+router.get('/history/:userId', authenticateToken, authorizeUser(), validate({ query: messageHistoryQuerySchema }), async (req, res) => {
   try {
     const { userId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
-
-    // Verify user is requesting their own history or is admin
-    if (req.user.id !== userId) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
+    const { limit } = req.query;
 
     const messages = await messageService.getByUser(userId, limit);
     
@@ -291,21 +507,14 @@ router.get('/history/:userId', authenticateToken, async (req, res) => {
       role: msg.role || 'user', // Fallback to 'user' if role is missing
     }));
     
-    console.log(`📤 Returning ${messagesWithRole.length} messages for user ${userId}`);
-    if (messagesWithRole.length > 0) {
-      console.log(`   First message role: ${messagesWithRole[0].role}, Last message role: ${messagesWithRole[messagesWithRole.length - 1].role}`);
-    }
+    log.debug('Returning chat history', { userId, count: messagesWithRole.length });
     
     res.json({
       success: true,
       data: messagesWithRole,
     });
   } catch (error) {
-    console.error('Error fetching chat history:', error);
-    res.status(500).json({
-      error: 'Failed to fetch chat history',
-      message: error.message,
-    });
+    sendError(res, error, 'Failed to fetch chat history');
   }
 });
 
@@ -314,291 +523,70 @@ router.get('/history/:userId', authenticateToken, async (req, res) => {
  * Requires: userId, content
  * Returns: { success, data: { embedded } }
  */
-router.post('/memory', authenticateToken, async (req, res) => {
+router.post('/memory', authenticateToken, validate({ body: chatMemorySchema }), async (req, res) => {
   try {
     const { content } = req.body;
     const userId = req.user.id;
 
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Content is required' });
-    }
-
-    // For now, we'll log the memory content
-    // In production, implement vector embedding with Qdrant
-    console.log(`Storing memory for user ${userId}: ${content}`);
+    const stored = await addMemories(userId, [{ text: content, role: 'user', source: 'manual' }]);
+    log.info('Stored manual memory', { userId, embedded: stored > 0 });
 
     res.json({
       success: true,
       data: { 
-        embedded: true, 
+        embedded: stored > 0, 
         content,
-        message: 'Memory stored (vector embedding coming soon)'
       },
     });
   } catch (error) {
-    console.error('Error storing memory:', error);
-    res.status(500).json({
-      error: 'Failed to store memory',
-      message: error.message,
-    });
+    sendError(res, error, 'Failed to store memory');
   }
 });
 
 /**
- * GET /api/chat/stats - Get token usage and cost statistics (admin only)
- * Returns: { success, data: { tokenUsage, estimatedCost } }
+ * GET /api/chat/stats - Get the caller's token usage and cost (today and this month)
+ * Returns: { success, data: { today, month } }
+ * Detailed rollups: GET /api/usage/me, system-wide: GET /api/usage/admin
  */
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
-    const stats = getTokenStats();
+    const userId = req.user.id;
+    const now = new Date();
+    const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    const [today, month] = await Promise.all([
+      tokenUsageService.getTotals({ userId, since: startOfDay }),
+      tokenUsageService.getTotals({ userId, since: startOfMonth }),
+    ]);
+
     res.json({
       success: true,
-      data: {
-        ...stats,
-        message: '💰 Token usage tracking (all times in aggregates since last reset)',
-      },
+      data: { today, month },
     });
   } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({
-      error: 'Failed to fetch statistics',
-      message: error.message,
-    });
+    sendError(res, error, 'Failed to fetch statistics');
   }
 });
 
 export default router;
 
 // --- Onboarding helpers ---
-/**
- * Try to detect an onboarding-style reply and save it to AI memory.
- * Uses confidence scoring to determine if extraction is reliable.
- * Returns: true if HIGH/MEDIUM confidence data saved, false if LOW confidence or errors
- */
-async function tryHandleOnboardingReply(userId, message) {
-  try {
-    if (!message || message.trim().length < 20) {
-      console.log('⚠️ Message too short for onboarding parsing');
-      return false;
-    }
-
-    const lower = message.toLowerCase();
-
-    // Gate: look for keywords that indicate an onboarding response (not just any message)
-    const hasName = /my name is|i am\b|i'm\b/.test(lower);
-    const hasGoals = /goals?:|goal:|i want to|i'd like to|i would like to|i'm aiming|aiming to/.test(lower);
-    const hasTone = /tone:|encourag|support|energiz|firm|strict|gentle|motiv|prefer/.test(lower);
-
-    console.log(`🔍 Onboarding keyword check: hasName=${hasName}, hasGoals=${hasGoals}, hasTone=${hasTone}`);
-
-    if (!(hasName || hasGoals || hasTone)) {
-      console.log('⚠️ No onboarding keywords detected - treating as regular chat');
-      return false;
-    }
-
-    const parsed = parseOnboardingReply(message);
-    console.log(`📋 Parsed onboarding: confidence=${parsed.confidence}, summary=${parsed.summary}, goals=${parsed.goals.length}, tone=${parsed.preferences.tone}`);
-
-    // Confidence check: only save if we're reasonably sure
-    if (parsed.confidence === 'low') {
-      console.log('⚠️ LOW confidence extraction - requesting clarification');
-      console.log('   Warnings:', parsed.warnings);
-      // Return false so AI asks follow-up questions
-      return false;
-    }
-
-    // Build memory payload - only include fields we extracted
-    const memoryPayload = {};
-    if (parsed.summary && parsed.summary !== '[Pending explicit response]') {
-      memoryPayload.summary = parsed.summary;
-    }
-    if (parsed.goals && parsed.goals.length > 0) {
-      const year = String(new Date().getFullYear());
-      memoryPayload.goals = { [year]: parsed.goals };
-    }
-    if (parsed.preferences && Object.keys(parsed.preferences).length > 0) {
-      memoryPayload.preferences = parsed.preferences;
-    }
-
-    if (Object.keys(memoryPayload).length === 0) {
-      console.log('⚠️ No valid data extracted after filtering');
-      return false;
-    }
-
-    // Save with confidence metadata for future reference
-    memoryPayload._extractedAt = new Date();
-    memoryPayload._extractionConfidence = parsed.confidence;
-    if (parsed.warnings.length > 0) {
-      memoryPayload._extractionWarnings = parsed.warnings;
-    }
-
-    console.log(`💾 Attempting to save AI memory for user ${userId}...`);
-    await aiMemoryService.upsert(userId, memoryPayload);
-    console.log(`✅ Onboarding data saved [${parsed.confidence} confidence] for user ${userId}`);
-    console.log('   Saved:', memoryPayload);
-    return true;
-  } catch (err) {
-    console.error('❌ Error handling onboarding reply:', err);
-    return false;
-  }
-}
-
-/**
- * Robust onboarding parser using lightweight extraction + validation.
- * Prioritizes accuracy over comprehensiveness to avoid data loss.
- * 
- * Returns: { summary, goals, preferences, confidence, warnings }
- * - confidence: 'high'|'medium'|'low' - whether we're sure about extraction
- * - warnings: array of issues found (for logging/debugging)
- */
-function parseOnboardingReply(text) {
-  const result = {
-    summary: '',
-    goals: [],
-    preferences: {},
-    confidence: 'low',
-    warnings: [],
-  };
-
-  if (!text || text.trim().length < 20) {
-    result.warnings.push('Text too short to parse reliably');
-    return result;
-  }
-
-  // --- EXTRACT SUMMARY/NAME (Robust) ---
-  let extractedName = '';
-  
-  // Priority 1: Explicit "My name is X" pattern
-  const nameMatch = text.match(/my name is\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i);
-  if (nameMatch && nameMatch[1]) {
-    extractedName = nameMatch[1].trim();
-  }
-  
-  // Priority 2: "I am X" or "I'm X" - but only if followed by goal/tone indicators
-  if (!extractedName) {
-    const iAmMatch = text.match(/^(?:i am|i'm)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i);
-    if (iAmMatch && iAmMatch[1] && /goals?:|tone:|i want to|i'd like to|prefer/i.test(text)) {
-      extractedName = iAmMatch[1].trim();
-    }
-  }
-  
-  // Only use summary if we have clear extraction (avoid "That sounds good" as summary)
-  if (extractedName && extractedName.length > 1 && extractedName.length < 50) {
-    result.summary = extractedName;
-  } else if (!extractedName) {
-    result.warnings.push('Could not extract name/summary explicitly - falling back to user contact');
-    // Don't auto-assign first sentence - too error-prone
-    result.summary = '[Pending explicit response]';
-  }
-
-  // --- EXTRACT GOALS (Robust) ---
-  let extractedGoals = [];
-  
-  // Priority 1: Explicit "Goals:" or "Goal:" field
-  const goalsMatch = text.match(/goals?:\s*([^\n]*?)(?=tone:|preference:|$)/i);
-  if (goalsMatch && goalsMatch[1]) {
-    // Split carefully: only on semicolons, commas, or sentence boundaries
-    // Avoid splitting on "and" to prevent "machine and deep learning" → ["machine", "deep learning"]
-    const goalsText = goalsMatch[1];
-    extractedGoals = goalsText
-      .split(/;\s*|,\s*|(?:\n\s*-\s*)/) // split on ;, comma, or bullet-list items
-      .map(g => g.replace(/^(?:and|or)\s+/i, '').trim()) // remove leading "and"/"or"
-      .filter(g => g.length > 2 && g.length < 100); // filter invalid entries
-  }
-  
-  // Priority 2: Look for "I want to" / "I'd like to" sentences
-  if (extractedGoals.length === 0) {
-    const lines = text.split(/[\.\n]/).map(l => l.trim()).filter(Boolean);
-    for (const line of lines) {
-      if (/i want to|i'd like to|i would like to|i'm aiming to|goal is to/i.test(line)) {
-        // Extract just the goal part, not the intro
-        const goalPart = line
-          .replace(/^.*?(?:i want to|i'd like to|i would like to|i'm aiming to|goal is to)\s+/i, '')
-          .trim();
-        if (goalPart.length > 2 && goalPart.length < 100) {
-          extractedGoals.push(goalPart);
-        }
-      }
-    }
-  }
-  
-  if (extractedGoals.length === 0) {
-    result.warnings.push('No goals detected - user may not have provided them');
-  } else if (extractedGoals.length > 10) {
-    result.warnings.push(`Extracted ${extractedGoals.length} goals - may be too many, truncating to 10`);
-    extractedGoals = extractedGoals.slice(0, 10);
-  }
-  
-  // Remove duplicates (case-insensitive)
-  const uniqueGoals = [];
-  const seen = new Set();
-  for (const goal of extractedGoals) {
-    const lower = goal.toLowerCase();
-    if (!seen.has(lower)) {
-      seen.add(lower);
-      uniqueGoals.push(goal);
-    }
-  }
-  result.goals = uniqueGoals;
-
-  // --- EXTRACT TONE/PREFERENCES (Robust) ---
-  let extractedTone = '';
-  
-  // Priority 1: Explicit "Tone:" field
-  const toneMatch = text.match(/tone:\s*([a-zA-Z\- ]+?)(?:[,\.\n]|$)/i);
-  if (toneMatch && toneMatch[1]) {
-    extractedTone = toneMatch[1].trim().toLowerCase();
-  }
-  
-  // Priority 2: Keyword scan - but ONLY from a specific "preference/tone" section
-  if (!extractedTone) {
-    const toneKeywords = [
-      'encouraging', 'supportive', 'energizing', 'energetic',
-      'firm', 'strict', 'gentle', 'motivating', 'motivational',
-      'uplifting', 'positive', 'realistic', 'direct', 'compassionate'
-    ];
-    
-    // Look in "tone:" or "prefer:" or "motivat:" context to avoid false positives
-    const contextMatch = text.match(/(?:tone|prefer|motivat)[^.]*?\b([\w\- ]+)\b/i);
-    if (contextMatch) {
-      for (const keyword of toneKeywords) {
-        if (contextMatch[0].toLowerCase().includes(keyword)) {
-          extractedTone = keyword;
-          break;
-        }
-      }
-    }
-  }
-  
-  if (extractedTone) {
-    result.preferences.tone = extractedTone;
-  } else {
-    result.warnings.push('No tone/motivation preference detected');
-  }
-
-  // --- CONFIDENCE SCORING ---
-  const hasName = result.summary && result.summary !== '[Pending explicit response]';
-  const hasGoals = result.goals.length > 0;
-  const hasTone = result.preferences.tone;
-  
-  if (hasName && hasGoals && hasTone) {
-    result.confidence = 'high';
-  } else if ((hasName && hasGoals) || (hasGoals && hasTone)) {
-    result.confidence = 'medium';
-  } else {
-    result.confidence = 'low';
-  }
-  
-  console.log(`📋 Onboarding parse result:`, {
-    summary: result.summary,
-    goalsCount: result.goals.length,
-    tone: result.preferences.tone || 'not set',
-    confidence: result.confidence,
-    warnings: result.warnings.length > 0 ? result.warnings : 'none',
-  });
+const onboardingExtractor = createOnboardingExtractor({
+  checkBudget,
+  recordUsage: (userId, response, model) => recordTokenUsage({
+    userId,
+    endpoint: USAGE_ENDPOINTS.ONBOARDING,
+    model,
+    response,
+  }),
+});
 
-  return result;
-}
+const onboardingFlow = createOnboardingFlow({
+  sessions: onboardingSessionService,
+  extractor: onboardingExtractor,
+  saveProfile: (userId, payload) => aiMemoryService.upsert(userId, payload),
+});
 
 /**
  * Parse natural language time expressions into ISO date and time
@@ -691,14 +679,7 @@ async function generateAISuggestion(userId, recentMessages) {
     
     // Get the user's most recent message - this is what we should focus on
     const userMessages = recentMessages.filter(msg => msg.role === 'user');
-    console.log(`📋 Total messages in history: ${recentMessages.length}`);
-    console.log(`📋 User messages: ${userMessages.length}`);
-    recentMessages.forEach((msg, idx) => {
-      console.log(`   [${idx}] ${msg.role}: ${msg.content.substring(0, 50)}...`);
-    });
-    
     const mostRecentUserMessage = userMessages[userMessages.length - 1]?.content || '';
-    console.log(`📝 Most recent USER message: "${mostRecentUserMessage.substring(0, 100)}..."`);
     
     // PRE-PROCESSING: Check for red flag patterns that MUST be events
     const msgLower = mostRecentUserMessage.toLowerCase();
@@ -719,8 +700,7 @@ async function generateAISuggestion(userId, recentMessages) {
       return patterns.some(p => new RegExp(p, 'i').test(msgLower));
     }) || msgLower.includes('every other') || /\d+x a week|twice a|twice a week|weekly|biweekly/.test(msgLower);
     
-    console.log(`🔍 PRE-PROCESSING: Message="${mostRecentUserMessage}"`);
-    console.log(`   Recurring pattern detected: ${hasRecurringPattern}`);
+    log.debug('Suggestion pre-processing', { userId, messageCount: recentMessages.length, hasRecurringPattern });
     
     // Build context from recent messages for broader understanding
     const messageContext = recentMessages
@@ -846,19 +826,23 @@ EXAMPLE 3: User says "I should read more every day"
 
 Return ONLY valid JSON, no other text.`;
 
-    console.log('🤖 Generating suggestion with prompt:', prompt.slice(0, 200) + '...');
-    
     const response = await llm.invoke(prompt);
+    await recordTokenUsage({
+      userId,
+      endpoint: USAGE_ENDPOINTS.SUGGESTION,
+      model: getModelName('cheap'),
+      response,
+    });
     
     // Handle different response formats
     const responseText = typeof response === 'string' ? response : response.content;
-    console.log('💬 LLM suggestion response:', responseText.slice(0, 200));
+    log.debug('Suggestion response received', { length: responseText.length });
     
     // Parse the response
     try {
       const jsonMatch = responseText.match(/\{[\s\S]*\}/);
       if (!jsonMatch) {
-        console.log('⚠️ No JSON found in suggestion response');
+        log.warn('No JSON found in suggestion response', { userId });
         return null;
       }
       
@@ -869,9 +853,6 @@ Return ONLY valid JSON, no other text.`;
       const dayNames = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
       const dayMap = { monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6, sunday: 0 };
       
-      console.log(`🔍 Post-processing check: Message="${mostRecentUserMessage}"`);
-      console.log(`   Current suggestion type from LLM: ${suggestion.type}`);
-      
       const hasRedFlagPattern = dayNames.some(day => {
         const patterns = [
           `every ${day}`,
@@ -881,28 +862,17 @@ Return ONLY valid JSON, no other text.`;
           `${day}\\s+afternoon`,
           `${day}\\s+evening`,
         ];
-        const matchedPattern = patterns.find(pattern => {
-          const regex = new RegExp(pattern, 'i');
-          const isMatch = regex.test(msgLower);
-          if (isMatch) {
-            console.log(`   ✓ Matched pattern: "${pattern}"`);
-          }
-          return isMatch;
-        });
-        return !!matchedPattern;
+        return patterns.some(pattern => new RegExp(pattern, 'i').test(msgLower));
       }) || msgLower.includes('every other') || /\d+x a week|twice a|twice a week|weekly|biweekly/.test(msgLower);
       
-      console.log(`🔍 Red flag pattern detected: ${hasRedFlagPattern}`);
-      
       // If red flag pattern detected, MUST create event (even if LLM said null or daily_goal)
       if (hasRedFlagPattern) {
-        console.log(`⚠️ RED FLAG: User mentioned scheduled activity. Forcing EVENT type.`);
+        log.debug('Scheduled activity mentioned, forcing event suggestion', { userId, llmType: suggestion.type });
         
         // Extract day of week
         let recurringDays = [];
         for (const [day, num] of Object.entries(dayMap)) {
           if (msgLower.includes(day)) {
-            console.log(`   Found day: ${day} (${num})`);
             recurringDays.push(num);
           }
         }
@@ -925,19 +895,15 @@ Return ONLY valid JSON, no other text.`;
           const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
           return days[num];
         }))).join(' and ')} - creating as a recurring event.`;
-        
-        console.log(`   ✅ Generated suggestion: type=event, text="${suggestion.text}", recurring=weekly, days=${JSON.stringify(recurringDays)}, time=${timeStr}`);
+
       }
       
       if (!suggestion.type) {
-        console.log('💭 No actionable suggestion generated (type is null and no red flags)');
         return null;
       }
       
       // If LLM returned daily_goal but we have red flags, correct it
       if (hasRedFlagPattern && suggestion.type === 'daily_goal') {
-        console.log(`⚠️ CORRECTING: LLM said daily_goal but red flags detected. Forcing EVENT type.`);
-        
         // Extract day of week
         let recurringDays = [];
         for (const [day, num] of Object.entries(dayMap)) {
@@ -961,7 +927,7 @@ Return ONLY valid JSON, no other text.`;
         suggestion.eventTime = timeStr;
       }
       
-      console.log(`✨ Generated AI suggestion: ${suggestion.type} - ${suggestion.text}`);
+      log.info('Generated AI suggestion', { userId, type: suggestion.type });
       
       // Build response based on suggestion type
       let responseObj = {
@@ -1000,11 +966,11 @@ Return ONLY valid JSON, no other text.`;
       
       return responseObj;
     } catch (parseError) {
-      console.error('❌ Failed to parse suggestion response:', parseError, 'Response was:', responseText);
+      log.error('Failed to parse suggestion response', { err: parseError, userId, response: responseText });
       return null;
     }
   } catch (error) {
-    console.error('❌ Error generating AI suggestion:', error);
+    log.error('Error generating AI suggestion', { err: error, userId });
     return null;
   }
 }
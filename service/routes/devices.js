@@ -0,0 +1,51 @@
+import express from 'express';
+import { deviceService } from '../db/index.js';
+import { authenticateToken } from './auth.js';
+import { validate } from './validation.js';
+import { registerDeviceSchema, unregisterDeviceSchema } from 'common';
+import { NotFoundError } from '../errors/index.js';
+import { sendError } from './errors.js';
+
+const router = express.Router();
+
+const PLATFORM_PROVIDERS = { ios: 'apns', android: 'fcm' };
+
+// POST /api/devices - Register a push token for the current user
+// Body: { token, platform: "ios" | "android", provider?: "apns" | "fcm", appVersion? }
+router.post('/', authenticateToken, validate({ body: registerDeviceSchema }), async (req, res) => {
+  try {
+    const { token, platform, appVersion } = req.body;
+    const provider = req.body.provider || PLATFORM_PROVIDERS[platform];
+
+    const device = await deviceService.register({
+      userId: req.user.id,
+      token,
+      platform,
+      provider,
+      appVersion,
+    });
+
+    res.status(201).json({ success: true, data: device });
+  } catch (error) {
+    sendError(res, error, 'Failed to register device');
+  }
+});
+
+// DELETE /api/devices - Unregister a push token (e.g. on sign-out)
+// Body: { token }
+router.delete('/', authenticateToken, validate({ body: unregisterDeviceSchema }), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const removed = await deviceService.unregister(req.user.id, token);
+    if (removed === 0) {
+      throw new NotFoundError('Device not found');
+    }
+
+    res.json({ success: true, message: 'Device unregistered' });
+  } catch (error) {
+    sendError(res, error, 'Failed to unregister device');
+  }
+});
+
+export default router;
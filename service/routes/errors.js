@@ -0,0 +1,36 @@
+import { toErrorResponse, isClientError, NotFoundError } from '../errors/index.js';
+import { logger } from '../logging/index.js';
+
+/**
+ * Error responses
+ *
+ * Every failure leaves the API as the one envelope from errors/index.js. Route handlers end their
+ * catch blocks with `sendError(res, error, 'Failed to …')`; errors thrown past a handler (or passed
+ * to `next`) reach `errorHandler`. Either way AppErrors keep their status, code and message, and
+ * anything else is logged with its stack and answered with the fallback message only.
+ */
+
+export function sendError(res, error, fallbackMessage) {
+  const requestId = res.req?.id;
+  const { status, body } = toErrorResponse(error, { fallbackMessage, requestId });
+
+  if (!isClientError(error)) {
+    logger.error(fallbackMessage || 'Unhandled error', { err: error, requestId });
+  }
+
+  return res.status(status).json(body);
+}
+
+// Last middleware: errors from next(error) and async handlers that threw
+// (Express recognizes error middleware by its four parameters, so `next` stays)
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    logger.error('Error after response started', { err: error, requestId: req.id });
+    return res.end();
+  }
+  sendError(res, error);
+}
+
+export function notFoundHandler(req, res) {
+  sendError(res, new NotFoundError('Route not found'));
+}
@@ -1,54 +1,150 @@
 import express from 'express';
-import { goalService } from '../db/index.js';
+import { goalService, goalCompletionService, userService } from '../db/index.js';
 import { authenticateToken } from './auth.js';
+import { authorizeGoal } from './authorization.js';
+import { validate } from './validation.js';
+import {
+  acceptGoalPlanSchema,
+  canNestGoal,
+  createGoalSchema,
+  decomposeGoalSchema,
+  goalAnalyticsQuerySchema,
+  updateGoalSchema,
+} from 'common';
+import { sendError } from './errors.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { logger } from '../logging/index.js';
+import { createGoalDecomposer } from '../goals/decomposition.js';
+import {
+  categoryTrends,
+  goalProgress,
+  goalStreaks,
+  lastWeeks,
+  progressSince,
+  weeklyCompletion,
+} from '../goals/analytics.js';
+import { localDay } from '../goals/days.js';
+import { isStaleCompletion } from '../jobs/goalRollover.js';
+import { recordTokenUsage, checkBudget, USAGE_ENDPOINTS } from '../LLM/usageTracker.js';
 
 const router = express.Router();
 
+const goalDecomposer = createGoalDecomposer({
+  checkBudget,
+  recordUsage: (userId, response, model) => recordTokenUsage({
+    userId,
+    endpoint: USAGE_ENDPOINTS.GOAL_PLAN,
+    model,
+    response,
+  }),
+});
+
+/**
+ * What the analytics need for one user: current goals and the completion log, in local days
+ * `weeks` limits the log to that many weeks back (streaks need all of it)
+ */
+async function loadHistory(userId, { weeks } = {}) {
+  const timeZone = await userService.getTimeZone(userId);
+  const today = localDay(new Date(), timeZone);
+  const [goals, completions] = await Promise.all([
+    goalService.getByUser(userId),
+    goalCompletionService.getByUser(userId, { since: weeks ? lastWeeks(today, weeks)[0] : undefined }),
+  ]);
+  return { goals, completions, today, timeZone };
+}
+
+/**
+ * Check that a goal of `type` may sit under `parentId`: one of the owner's goals, of a type
+ * allowed above it (longterm -> milestone -> daily, see canNestGoal)
+ */
+async function checkParent(ownerId, type, parentId, goalId) {
+  const parent = await goalService.getById(parentId);
+  if (!parent || parent.userId !== ownerId) {
+    throw new NotFoundError('Parent goal not found');
+  }
+  if (parent.id === goalId || !canNestGoal(type, parent.type)) {
+    throw new BadRequestError(`A ${type} goal can't be placed under a ${parent.type} goal`);
+  }
+}
+
 // GET /api/goals - Get all goals for the user
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
+    const now = new Date();
     
-    const goals = await goalService.getByUser(userId);
+    const [goals, timeZone] = await Promise.all([
+      goalService.getByUser(userId),
+      userService.getTimeZone(userId),
+    ]);
+
+    // Daily goals done on an earlier day are open again, even if the rollover job hasn't run yet
+    const stale = goals.filter(goal => isStaleCompletion(goal, timeZone, now));
+    if (stale.length > 0) {
+      await goalService.resetDaily(stale.map(goal => goal.id), { completedBefore: now });
+      for (const goal of stale) goal.completed = false;
+    }
+
+    // 0-1 per goal, rolled up from its sub-goals; planned daily tasks count their logged days
+    const today = localDay(now, timeZone);
+    const since = progressSince({ goals, today, timeZone });
+    const completions = since ? await goalCompletionService.getByUser(userId, { since }) : [];
+    const progress = goalProgress({ goals, completions, today, timeZone });
     
-    res.json({ success: true, data: goals });
+    res.json({ success: true, data: goals.map(goal => ({ ...goal, progress: progress.get(goal.id) })) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch goals');
+  }
+});
+
+// GET /api/goals/analytics/streaks - Current and longest streaks, overall and per daily goal
+router.get('/analytics/streaks', authenticateToken, async (req, res) => {
+  try {
+    const { goals, completions, today } = await loadHistory(req.user.id);
+    res.json({ success: true, data: goalStreaks({ goals, completions, today }) });
   } catch (error) {
-    console.error('Error fetching goals:', error);
-    res.status(500).json({ error: 'Failed to fetch goals' });
+    sendError(res, error, 'Failed to fetch streaks');
+  }
+});
+
+// GET /api/goals/analytics/weekly?weeks=8 - Daily goal completion rate per week
+router.get('/analytics/weekly', authenticateToken, validate({ query: goalAnalyticsQuerySchema }), async (req, res) => {
+  try {
+    const { weeks } = req.query;
+    const history = await loadHistory(req.user.id, { weeks });
+    res.json({ success: true, data: weeklyCompletion({ ...history, weeks }) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch weekly completion');
+  }
+});
+
+// GET /api/goals/analytics/categories?weeks=8 - Completions per category per week
+router.get('/analytics/categories', authenticateToken, validate({ query: goalAnalyticsQuerySchema }), async (req, res) => {
+  try {
+    const { weeks } = req.query;
+    const { completions, today } = await loadHistory(req.user.id, { weeks });
+    res.json({ success: true, data: categoryTrends({ completions, today, weeks }) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch category trends');
   }
 });
 
 // GET /api/goals/:id - Get specific goal
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateToken, authorizeGoal, async (req, res) => {
   try {
-    const goal = await goalService.getById(req.params.id);
-    
-    if (!goal) {
-      return res.status(404).json({ error: 'Goal not found' });
-    }
-    
-    // Skip ownership check for testing
-    
-    res.json({ success: true, data: goal });
+    res.json({ success: true, data: req.resource });
   } catch (error) {
-    console.error('Error fetching goal:', error);
-    res.status(500).json({ error: 'Failed to fetch goal' });
+    sendError(res, error, 'Failed to fetch goal');
   }
 });
 
 // POST /api/goals - Create new goal
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, validate({ body: createGoalSchema }), async (req, res) => {
   try {
-    const { text, category = 'general', priority = 'medium', type = 'daily' } = req.body;
+    const { text, category, priority, type, parentId, targetDate, targetValue, unit } = req.body;
     const userId = req.user.id;
-    
-    if (!text) {
-      return res.status(400).json({ error: 'Goal text is required' });
-    }
-    
-    if (!['daily', 'longterm'].includes(type)) {
-      return res.status(400).json({ error: 'Goal type must be "daily" or "longterm"' });
-    }
+
+    if (parentId) await checkParent(userId, type, parentId);
     
     const goal = await goalService.create({
       userId,
@@ -56,73 +152,116 @@ router.post('/', authenticateToken, async (req, res) => {
       category,
       priority,
       type,
+      parentId,
+      targetDate,
+      targetValue,
+      unit,
     });
     
-    console.log(`✅ Goal created for user ${userId}: "${text}" (${type})`);
+    logger.info('Goal created', { userId, goalId: goal.id, type, parentId });
     res.status(201).json({ success: true, data: goal });
   } catch (error) {
-    console.error('Error creating goal:', error);
-    res.status(500).json({ error: 'Failed to create goal' });
+    sendError(res, error, 'Failed to create goal');
   }
 });
 
 // PUT /api/goals/:id - Update goal
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, authorizeGoal, validate({ body: updateGoalSchema }), async (req, res) => {
   try {
-    const { text, category, priority, completed, type, lastCompletedDate } = req.body;
-    const userId = req.user.id;
-    
-    const goal = await goalService.getById(req.params.id);
-    if (!goal) {
-      return res.status(404).json({ error: 'Goal not found' });
-    }
-    
-    // Verify ownership
-    if (goal.userId !== userId) {
-      return res.status(403).json({ error: 'Unauthorized to update this goal' });
+    const {
+      text, category, priority, completed, type, lastCompletedDate,
+      parentId, targetDate, targetValue, currentValue, unit,
+    } = req.body;
+    const goal = req.resource;
+
+    // Moving the goal, or changing its type, must keep the hierarchy valid both ways
+    const newType = type ?? goal.type;
+    const newParentId = parentId !== undefined ? parentId : goal.parentId;
+    if (newParentId && (newType !== goal.type || newParentId !== goal.parentId)) {
+      await checkParent(goal.userId, newType, newParentId, goal.id);
     }
-    
-    // Validate type if provided
-    if (type && !['daily', 'longterm'].includes(type)) {
-      return res.status(400).json({ error: 'Goal type must be "daily" or "longterm"' });
+    if (newType !== goal.type) {
+      const children = await goalService.getChildren(goal.id);
+      if (children.some(child => !canNestGoal(child.type, newType))) {
+        throw new BadRequestError(`Move or delete this goal's sub-goals before making it ${newType}`);
+      }
     }
     
     const updateData = {};
     if (text !== undefined) updateData.text = text;
     if (category !== undefined) updateData.category = category;
     if (priority !== undefined) updateData.priority = priority;
-    if (completed !== undefined) updateData.completed = completed;
     if (type !== undefined) updateData.type = type;
     if (lastCompletedDate !== undefined) updateData.lastCompletedDate = lastCompletedDate ? new Date(lastCompletedDate) : null;
+    if (parentId !== undefined) updateData.parentId = parentId;
+    if (targetDate !== undefined) updateData.targetDate = targetDate ? new Date(targetDate) : null;
+    if (targetValue !== undefined) updateData.targetValue = targetValue;
+    if (currentValue !== undefined) updateData.currentValue = currentValue;
+    if (unit !== undefined) updateData.unit = unit;
     
-    const updated = await goalService.update(req.params.id, updateData);
+    let updated = Object.keys(updateData).length > 0
+      ? await goalService.update(goal.id, updateData)
+      : goal;
+
+    // Completing goes through the completion log, on the owner's local day
+    if (completed !== undefined) {
+      const now = new Date();
+      const timeZone = await userService.getTimeZone(goal.userId);
+      updated = await goalService.setCompleted(goal.id, completed, { day: localDay(now, timeZone), at: now });
+    }
     
     res.json({ success: true, data: updated });
   } catch (error) {
-    console.error('Error updating goal:', error);
-    res.status(500).json({ error: 'Failed to update goal' });
+    sendError(res, error, 'Failed to update goal');
   }
 });
 
-// DELETE /api/goals/:id - Delete goal
-router.delete('/:id', authenticateToken, async (req, res) => {
+// POST /api/goals/:id/decompose - Propose weekly milestones and daily tasks for a long-term goal
+// Nothing is saved; the user reviews the plan and accepts it with POST /api/goals/:id/plan
+router.post('/:id/decompose', authenticateToken, authorizeGoal, validate({ body: decomposeGoalSchema }), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const goal = await goalService.getById(req.params.id);
-    if (!goal) {
-      return res.status(404).json({ error: 'Goal not found' });
+    const goal = req.resource;
+    if (goal.type !== 'longterm') {
+      throw new BadRequestError('Only long-term goals can be broken down into a plan');
     }
-    
-    // Verify ownership
-    if (goal.userId !== userId) {
-      return res.status(403).json({ error: 'Unauthorized to delete this goal' });
+
+    const plan = await goalDecomposer.decompose(req.user.id, goal, req.body);
+
+    res.json({ success: true, data: { goalId: goal.id, ...plan } });
+  } catch (error) {
+    sendError(res, error, 'Failed to plan goal');
+  }
+});
+
+// POST /api/goals/:id/plan - Save a reviewed plan as the goal's milestones and daily tasks
+router.post('/:id/plan', authenticateToken, authorizeGoal, validate({ body: acceptGoalPlanSchema }), async (req, res) => {
+  try {
+    const goal = req.resource;
+    if (goal.type !== 'longterm') {
+      throw new BadRequestError('Only long-term goals can have a plan');
     }
-    
+
+    const milestones = await goalService.createPlan(goal.id, req.body);
+
+    logger.info('Goal plan accepted', {
+      userId: goal.userId,
+      goalId: goal.id,
+      milestones: milestones.length,
+      replace: req.body.replace,
+    });
+    res.status(201).json({ success: true, data: milestones });
+  } catch (error) {
+    sendError(res, error, 'Failed to save goal plan');
+  }
+});
+
+// DELETE /api/goals/:id - Delete goal
+router.delete('/:id', authenticateToken, authorizeGoal, async (req, res) => {
+  try {
     await goalService.delete(req.params.id);
     res.json({ success: true, message: 'Goal deleted successfully' });
   } catch (error) {
-    console.error('Error deleting goal:', error);
-    res.status(500).json({ error: 'Failed to delete goal' });
+    sendError(res, error, 'Failed to delete goal');
   }
 });
 
@@ -1,61 +1,91 @@
 import express from 'express';
 import { messageService } from '../db/index.js';
+import { authenticateToken } from './auth.js';
+import { authorizeUser, authorizeMessage, resolveTargetUser } from './authorization.js';
+import { validate } from './validation.js';
+import {
+  createMessageSchema,
+  messageHistoryQuerySchema,
+  conversationQuerySchema,
+  messageSearchQuerySchema,
+  messageContextQuerySchema,
+} from 'common';
+import { ForbiddenError } from '../errors/index.js';
+import { sendError } from './errors.js';
+import { searchMessages } from '../search/messageSearch.js';
 
 const router = express.Router();
 
-// GET /api/messages/user/:userId - Get messages for a user
-router.get('/user/:userId', async (req, res) => {
+// GET /api/messages/user/:userId - Get messages for a user ("me" for the current user)
+router.get('/user/:userId', authenticateToken, authorizeUser(), validate({ query: messageHistoryQuerySchema }), async (req, res) => {
   try {
     const { userId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
-    
+    const { limit } = req.query;
+
     const messages = await messageService.getByUser(userId, limit);
     res.json({ success: true, data: messages });
   } catch (error) {
-    console.error('Error fetching messages:', error);
-    res.status(500).json({ error: 'Failed to fetch messages' });
+    sendError(res, error, 'Failed to fetch messages');
   }
 });
 
-// GET /api/messages/conversation/:userId - Get recent conversation
-router.get('/conversation/:userId', async (req, res) => {
+// GET /api/messages/conversation/:userId - Get recent conversation ("me" for the current user)
+router.get('/conversation/:userId', authenticateToken, authorizeUser(), validate({ query: conversationQuerySchema }), async (req, res) => {
   try {
     const { userId } = req.params;
-    const limit = parseInt(req.query.limit) || 10;
-    
+    const { limit } = req.query;
+
     const messages = await messageService.getConversation(userId, limit);
     res.json({ success: true, data: messages });
   } catch (error) {
-    console.error('Error fetching conversation:', error);
-    res.status(500).json({ error: 'Failed to fetch conversation' });
+    sendError(res, error, 'Failed to fetch conversation');
+  }
+});
+
+// GET /api/messages/search - Search the current user's messages (keyword or semantic)
+router.get('/search', authenticateToken, validate({ query: messageSearchQuerySchema }), async (req, res) => {
+  try {
+    const page = await searchMessages(req.userId, req.query);
+    res.json({ success: true, data: page });
+  } catch (error) {
+    sendError(res, error, 'Failed to search messages');
   }
 });
 
-// POST /api/messages - Create new message
-router.post('/', async (req, res) => {
+// GET /api/messages/:id/context - Messages around one message (to jump to a search hit)
+router.get('/:id/context', authenticateToken, authorizeMessage, validate({ query: messageContextQuerySchema }), async (req, res) => {
   try {
-    const { text, userId } = req.body;
-    
-    if (!text || !userId) {
-      return res.status(400).json({ error: 'Text and userId are required' });
+    const messages = await messageService.getAround(req.params.id, req.query.span);
+    res.json({ success: true, data: messages });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch message context');
+  }
+});
+
+// POST /api/messages - Create new message for the current user
+router.post('/', authenticateToken, validate({ body: createMessageSchema }), async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    const userId = resolveTargetUser(req);
+    if (!userId) {
+      throw new ForbiddenError('Not allowed to create messages for another user');
     }
-    
+
     const message = await messageService.create({ text, userId });
     res.status(201).json({ success: true, data: message });
   } catch (error) {
-    console.error('Error creating message:', error);
-    res.status(500).json({ error: 'Failed to create message' });
+    sendError(res, error, 'Failed to create message');
   }
 });
 
 // DELETE /api/messages/:id - Delete message
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateToken, authorizeMessage, async (req, res) => {
   try {
     await messageService.delete(req.params.id);
     res.json({ success: true, message: 'Message deleted successfully' });
   } catch (error) {
-    console.error('Error deleting message:', error);
-    res.status(500).json({ error: 'Failed to delete message' });
+    sendError(res, error, 'Failed to delete message');
   }
 });
 
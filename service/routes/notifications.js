@@ -0,0 +1,65 @@
+import express from 'express';
+import { reminderService, goalService, userService } from '../db/index.js';
+import { authenticateToken } from './auth.js';
+import { validate } from './validation.js';
+import { notificationPreviewQuerySchema } from 'common';
+import { getUpcomingOccurrences } from '../jobs/reminderScheduler.js';
+import { getUpcomingNudges } from '../jobs/goalNudges.js';
+import { messageComposer } from '../notifications/index.js';
+import { NotFoundError } from '../errors/index.js';
+import { sendError } from './errors.js';
+
+const router = express.Router();
+
+// GET /api/notifications/preview - The next N reminder and daily goal notifications, as they will be sent
+// Query: count (default 5, max 20), reminderId (optional, preview a single reminder)
+// Generating the preview fills the message cache, so the real deliveries reuse it.
+router.get('/preview', authenticateToken, validate({ query: notificationPreviewQuerySchema }), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { count, reminderId } = req.query;
+
+    let reminders = await reminderService.getByUser(userId);
+    if (reminderId) {
+      reminders = reminders.filter(reminder => reminder.id === reminderId);
+      if (reminders.length === 0) {
+        throw new NotFoundError('Reminder not found');
+      }
+    }
+
+    const now = new Date();
+    const goals = reminderId ? [] : await goalService.getByUser(userId);
+    const timeZone = goals.length > 0 ? await userService.getTimeZone(userId) : null;
+
+    const upcoming = [
+      ...reminders.flatMap(reminder =>
+        getUpcomingOccurrences(reminder, count).map(scheduledFor => ({ reminder, scheduledFor }))),
+      ...goals.flatMap(goal =>
+        getUpcomingNudges(goal, now, count, { timeZone }).map(scheduledFor => ({ goal, scheduledFor }))),
+    ]
+      .sort((a, b) => a.scheduledFor - b.scheduledFor)
+      .slice(0, count);
+
+    const data = [];
+    for (const { reminder, goal, scheduledFor } of upcoming) {
+      if (goal) {
+        const message = await messageComposer.compose(userId, { kind: 'goal', id: goal.id, title: goal.text }, scheduledFor);
+        data.push({ goalId: goal.id, scheduledFor, ...message });
+        continue;
+      }
+
+      const message = await messageComposer.compose(
+        userId,
+        { kind: 'reminder', id: reminder.id, title: reminder.title },
+        scheduledFor,
+      );
+      data.push({ reminderId: reminder.id, scheduledFor, ...message });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Failed to preview notifications');
+  }
+});
+
+export default router;
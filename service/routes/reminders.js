@@ -1,45 +1,67 @@
 import express from 'express';
-import { reminderService } from '../db/index.js';
+import { reminderService, reminderDeliveryService } from '../db/index.js';
+import { authenticateToken } from './auth.js';
+import { authorizeUser, authorizeReminder, resolveTargetUser } from './authorization.js';
+import { validate } from './validation.js';
+import {
+  createReminderSchema,
+  updateReminderSchema,
+  listRemindersQuerySchema,
+  upcomingRemindersQuerySchema,
+  reminderDeliveriesQuerySchema,
+} from 'common';
+import { ForbiddenError } from '../errors/index.js';
+import { sendError } from './errors.js';
 
 const router = express.Router();
 
-// GET /api/reminders/user/:userId - Get reminders for a user
-router.get('/user/:userId', async (req, res) => {
+// GET /api/reminders/user/:userId - Get reminders for a user ("me" for the current user)
+router.get('/user/:userId', authenticateToken, authorizeUser(), validate({ query: listRemindersQuerySchema }), async (req, res) => {
   try {
     const { userId } = req.params;
-    const includeCompleted = req.query.includeCompleted === 'true';
+    const { includeCompleted = false } = req.query;
     
     const reminders = await reminderService.getByUser(userId, includeCompleted);
     res.json({ success: true, data: reminders });
   } catch (error) {
-    console.error('Error fetching reminders:', error);
-    res.status(500).json({ error: 'Failed to fetch reminders' });
+    sendError(res, error, 'Failed to fetch reminders');
   }
 });
 
-// GET /api/reminders/upcoming/:userId - Get upcoming reminders
-router.get('/upcoming/:userId', async (req, res) => {
+// GET /api/reminders/upcoming/:userId - Get upcoming reminders ("me" for the current user)
+router.get('/upcoming/:userId', authenticateToken, authorizeUser(), validate({ query: upcomingRemindersQuerySchema }), async (req, res) => {
   try {
     const { userId } = req.params;
-    const days = parseInt(req.query.days) || 7;
+    const { days } = req.query;
     
     const reminders = await reminderService.getUpcoming(userId, days);
     res.json({ success: true, data: reminders });
   } catch (error) {
-    console.error('Error fetching upcoming reminders:', error);
-    res.status(500).json({ error: 'Failed to fetch upcoming reminders' });
+    sendError(res, error, 'Failed to fetch upcoming reminders');
   }
 });
 
-// POST /api/reminders - Create new reminder
-router.post('/', async (req, res) => {
+// GET /api/reminders/deliveries/:userId - Reminders the scheduler has fired for a user
+router.get('/deliveries/:userId', authenticateToken, authorizeUser(), validate({ query: reminderDeliveriesQuerySchema }), async (req, res) => {
   try {
-    const { userId, title, dueDate, repeatType, repeatUntil, interval } = req.body;
+    const { userId } = req.params;
+    const { take } = req.query;
+    
+    const deliveries = await reminderDeliveryService.getByUser(userId, take);
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch reminder deliveries');
+  }
+});
+
+// POST /api/reminders - Create new reminder for the current user
+router.post('/', authenticateToken, validate({ body: createReminderSchema }), async (req, res) => {
+  try {
+    const { title, dueDate, repeatType, repeatUntil, interval } = req.body;
     
-    if (!userId || !title || !dueDate) {
-      return res.status(400).json({ 
-        error: 'userId, title, and dueDate are required' 
-      });
+    const userId = resolveTargetUser(req);
+    if (!userId) {
+      throw new ForbiddenError('Not allowed to create reminders for another user');
     }
     
     const reminder = await reminderService.create({
@@ -53,24 +75,22 @@ router.post('/', async (req, res) => {
     
     res.status(201).json({ success: true, data: reminder });
   } catch (error) {
-    console.error('Error creating reminder:', error);
-    res.status(500).json({ error: 'Failed to create reminder' });
+    sendError(res, error, 'Failed to create reminder');
   }
 });
 
 // PATCH /api/reminders/:id/complete - Mark reminder as completed
-router.patch('/:id/complete', async (req, res) => {
+router.patch('/:id/complete', authenticateToken, authorizeReminder, async (req, res) => {
   try {
     const reminder = await reminderService.markCompleted(req.params.id);
     res.json({ success: true, data: reminder });
   } catch (error) {
-    console.error('Error completing reminder:', error);
-    res.status(500).json({ error: 'Failed to complete reminder' });
+    sendError(res, error, 'Failed to complete reminder');
   }
 });
 
 // PUT /api/reminders/:id - Update reminder
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticateToken, authorizeReminder, validate({ body: updateReminderSchema }), async (req, res) => {
   try {
     const { title, dueDate, repeatType, repeatUntil, interval } = req.body;
     
@@ -84,19 +104,17 @@ router.put('/:id', async (req, res) => {
     
     res.json({ success: true, data: reminder });
   } catch (error) {
-    console.error('Error updating reminder:', error);
-    res.status(500).json({ error: 'Failed to update reminder' });
+    sendError(res, error, 'Failed to update reminder');
   }
 });
 
 // DELETE /api/reminders/:id - Delete reminder
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateToken, authorizeReminder, async (req, res) => {
   try {
     await reminderService.delete(req.params.id);
     res.json({ success: true, message: 'Reminder deleted successfully' });
   } catch (error) {
-    console.error('Error deleting reminder:', error);
-    res.status(500).json({ error: 'Failed to delete reminder' });
+    sendError(res, error, 'Failed to delete reminder');
   }
 });
 
@@ -0,0 +1,104 @@
+import express from 'express';
+import {
+  messageService,
+  aiMemoryService,
+  userService,
+  routingDecisionService,
+} from '../db/index.js';
+import { getModelName } from '../LLM/aiService.js';
+import { checkBudget } from '../LLM/usageTracker.js';
+import { getRoutingConfig, routeRequest } from '../LLM/requestRouter.js';
+import { authenticateToken, requireAdmin } from './auth.js';
+import { validate } from './validation.js';
+import { routingDryRunSchema, routingAuditQuerySchema } from 'common';
+import { sendError } from './errors.js';
+
+const router = express.Router();
+
+// Same inputs the chat endpoint gives the router, read live for a user
+const loadRoutingContext = async (userId) => {
+  const [tier, history, memory, budget] = await Promise.all([
+    userService.getTier(userId),
+    messageService.getConversation(userId, 10),
+    aiMemoryService.getByUser(userId),
+    checkBudget(userId),
+  ]);
+
+  return {
+    tier,
+    budget: budget.status,
+    historyLength: history.length,
+    onboarded: !!(memory && (memory.summary || memory.goals || memory.preferences)),
+  };
+};
+
+// POST /api/routing/dry-run - Show which model a message would be routed to (admin only)
+// Body: { message, userId?, context?: { tier, budget, historyLength, onboarded } }
+// Uses the given user's live context (default: the caller), with `context` overriding fields.
+// Nothing is sent to the LLM and no audit record is written.
+router.post('/dry-run', authenticateToken, requireAdmin, validate({ body: routingDryRunSchema }), async (req, res) => {
+  try {
+    const { message, userId = req.user.id, context } = req.body;
+
+    const liveContext = await loadRoutingContext(userId);
+    const route = routeRequest(message, { ...liveContext, ...context });
+
+    res.json({
+      success: true,
+      data: {
+        ...route,
+        modelName: getModelName(route.model),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to route message');
+  }
+});
+
+// GET /api/routing/rules - Current routing rules as loaded from the config file (admin only)
+router.get('/rules', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const config = getRoutingConfig();
+    res.json({
+      success: true,
+      data: {
+        source: config.source,
+        loadedAt: config.loadedAt,
+        ...config.raw,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to load routing rules');
+  }
+});
+
+// GET /api/routing/audit - Recent routing decisions and per-rule counts (admin only)
+// Query: userId, ruleId, take (default 50), days (rule counts window, default 7)
+router.get('/audit', authenticateToken, requireAdmin, validate({ query: routingAuditQuerySchema }), async (req, res) => {
+  try {
+    const { userId, ruleId, take, days } = req.query;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [decisions, counts] = await Promise.all([
+      routingDecisionService.getRecent({ userId, ruleId, take }),
+      routingDecisionService.getRuleCounts({ since }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        since,
+        ruleCounts: counts.map(row => ({
+          ruleId: row.ruleId,
+          modelTier: row.modelTier,
+          count: row._count._all,
+        })),
+        decisions,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch routing audit');
+  }
+});
+
+export default router;
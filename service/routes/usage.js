@@ -0,0 +1,173 @@
+import express from 'express';
+import { tokenUsageService, usageLimitService } from '../db/index.js';
+import { getTokenStats } from '../LLM/aiService.js';
+import { checkBudget } from '../LLM/usageTracker.js';
+import { getCacheStats } from '../LLM/responseCache.js';
+import { messageComposer } from '../notifications/index.js';
+import { LIMIT_FIELDS, formatQuota } from '../LLM/budget.js';
+import { authenticateToken, requireAdmin } from './auth.js';
+import { validate } from './validation.js';
+import { usageRangeQuerySchema, usageLimitsSchema } from 'common';
+import { NotFoundError } from '../errors/index.js';
+import { sendError } from './errors.js';
+import { logger } from '../logging/index.js';
+
+const router = express.Router();
+
+// Turn ?period=daily|monthly&days=N|months=N (validated by usageRangeQuerySchema) into a start date (UTC)
+const parseRange = ({ period, days, months }) => {
+  const now = new Date();
+  let since;
+
+  if (period === 'monthly') {
+    since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+  } else {
+    since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (days - 1)));
+  }
+
+  return { period, since };
+};
+
+// Flatten a Prisma groupBy row into { key, calls, promptTokens, completionTokens, cost }
+const formatBreakdown = (rows, key) => rows.map(row => ({
+  [key]: row[key],
+  calls: row._count._all,
+  promptTokens: row._sum.promptTokens || 0,
+  completionTokens: row._sum.completionTokens || 0,
+  cost: row._sum.cost || 0,
+}));
+
+// GET /api/usage/me - Token usage and cost rollups for the current user
+router.get('/me', authenticateToken, validate({ query: usageRangeQuerySchema }), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { period, since } = parseRange(req.query);
+    
+    const [rollup, totals, byEndpoint, byModel, budget] = await Promise.all([
+      tokenUsageService.getRollup({ userId, period, since }),
+      tokenUsageService.getTotals({ userId, since }),
+      tokenUsageService.getBreakdown({ userId, since, by: 'endpoint' }),
+      tokenUsageService.getBreakdown({ userId, since, by: 'model' }),
+      checkBudget(userId),
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        period,
+        since,
+        totals,
+        rollup,
+        byEndpoint: formatBreakdown(byEndpoint, 'endpoint'),
+        byModel: formatBreakdown(byModel, 'model'),
+        quota: formatQuota(budget),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch token usage');
+  }
+});
+
+// GET /api/usage/admin - System-wide token usage and cost (admin only)
+router.get('/admin', authenticateToken, requireAdmin, validate({ query: usageRangeQuerySchema }), async (req, res) => {
+  try {
+    const { period, since } = parseRange(req.query);
+    const { top } = req.query;
+    
+    const [rollup, totals, byEndpoint, byModel, topUsers, cache] = await Promise.all([
+      tokenUsageService.getRollup({ period, since }),
+      tokenUsageService.getTotals({ since }),
+      tokenUsageService.getBreakdown({ since, by: 'endpoint' }),
+      tokenUsageService.getBreakdown({ since, by: 'model' }),
+      tokenUsageService.getBreakdown({ since, by: 'userId', take: top }),
+      getCacheStats(),
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        period,
+        since,
+        totals,
+        rollup,
+        byEndpoint: formatBreakdown(byEndpoint, 'endpoint'),
+        byModel: formatBreakdown(byModel, 'model'),
+        topUsers: formatBreakdown(topUsers, 'userId'),
+        process: getTokenStats(), // In-memory totals since this server started
+        cache, // Response cache hit/miss metrics since this server started
+        reminderMessages: messageComposer.getStats(), // Generated vs cached vs templated reminder texts
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch token usage');
+  }
+});
+
+// GET /api/usage/admin/limits/:userId - A user's effective budget and current status (admin only)
+router.get('/admin/limits/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const [overrides, budget] = await Promise.all([
+      usageLimitService.getByUserId(userId),
+      checkBudget(userId),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        userId,
+        overrides,
+        quota: formatQuota(budget),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch usage limits');
+  }
+});
+
+// PUT /api/usage/admin/limits/:userId - Raise (or lower) a user's budget caps (admin only)
+// Body: any of dailyCostSoft, dailyCostHard, monthlyCostSoft, monthlyCostHard,
+// dailyTokensSoft, dailyTokensHard, monthlyTokensSoft, monthlyTokensHard (null = default)
+router.put('/admin/limits/:userId', authenticateToken, requireAdmin, validate({ body: usageLimitsSchema }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const limits = {};
+
+    for (const field of LIMIT_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+      limits[field] = field.includes('Tokens') && value !== null ? Math.round(value) : value;
+    }
+
+    const overrides = await usageLimitService.upsert(userId, limits, req.user.id);
+    logger.info('Usage limits updated', { adminId: req.user.id, userId, limits });
+
+    const budget = await checkBudget(userId);
+
+    res.json({
+      success: true,
+      data: {
+        userId,
+        overrides,
+        quota: formatQuota(budget),
+      },
+    });
+  } catch (error) {
+    if (error.code === 'P2003') {
+      throw new NotFoundError('User not found');
+    }
+    sendError(res, error, 'Failed to update usage limits');
+  }
+});
+
+// DELETE /api/usage/admin/limits/:userId - Reset a user to the default caps (admin only)
+router.delete('/admin/limits/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await usageLimitService.delete(req.params.userId);
+    res.json({ success: true, message: 'Usage limits reset to defaults' });
+  } catch (error) {
+    sendError(res, error, 'Failed to reset usage limits');
+  }
+});
+
+export default router;
@@ -1,107 +1,109 @@
 import express from 'express';
 import { userService } from '../db/index.js';
+import { authenticateToken, requireAdmin } from './auth.js';
+import { authorizeUser } from './authorization.js';
+import { validate } from './validation.js';
+import { createUserSchema, updateUserSchema } from 'common';
+import { ConflictError, NotFoundError } from '../errors/index.js';
+import { sendError } from './errors.js';
 
 const router = express.Router();
 
-// GET /api/users - Get all users
-router.get('/', async (req, res) => {
+// Never send password hashes to clients
+const withoutPassword = ({ passwordHash: _, totpSecret: __, ...user }) => user;
+
+// GET /api/users - Get all users (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const users = await userService.getAll();
-    res.json({ success: true, data: users });
+    res.json({ success: true, data: users.map(withoutPassword) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch users');
+  }
+});
+
+// GET /api/users/email/:email - Get user by email (admin only)
+router.get('/email/:email', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await userService.getByEmail(req.params.email);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.json({ success: true, data: withoutPassword(user) });
   } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({ error: 'Failed to fetch users' });
+    sendError(res, error, 'Failed to fetch user');
   }
 });
 
-// GET /api/users/:id - Get user by ID
-router.get('/:id', async (req, res) => {
+// GET /api/users/:id - Get user by ID ("me" for the current user)
+router.get('/:id', authenticateToken, authorizeUser('id'), async (req, res) => {
   try {
     const user = await userService.getById(req.params.id);
-    
+
     if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
     }
-    
-    res.json({ success: true, data: user });
+
+    res.json({ success: true, data: withoutPassword(user) });
   } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({ error: 'Failed to fetch user' });
+    sendError(res, error, 'Failed to fetch user');
   }
 });
 
-// POST /api/users - Create new user
-router.post('/', async (req, res) => {
+// POST /api/users - Create new user without a password (admin only; clients use /api/auth/register)
+router.post('/', authenticateToken, requireAdmin, validate({ body: createUserSchema }), async (req, res) => {
   try {
     const { email, name } = req.body;
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-    
+
     // Check if user already exists
     const existingUser = await userService.getByEmail(email);
     if (existingUser) {
-      return res.status(409).json({ error: 'User with this email already exists' });
+      throw new ConflictError('User with this email already exists');
     }
-    
+
     const user = await userService.create({ email, name });
-    res.status(201).json({ success: true, data: user });
+    res.status(201).json({ success: true, data: withoutPassword(user) });
   } catch (error) {
-    console.error('Error creating user:', error);
-    res.status(500).json({ error: 'Failed to create user' });
+    sendError(res, error, 'Failed to create user');
   }
 });
 
-// PUT /api/users/:id - Update user
-router.put('/:id', async (req, res) => {
+// PUT /api/users/:id - Update user ("me" for the current user)
+router.put('/:id', authenticateToken, authorizeUser('id'), validate({ body: updateUserSchema }), async (req, res) => {
   try {
-    const { name } = req.body;
-    
+    const { name, timezone } = req.body;
+
     // First check if user exists
     const existingUser = await userService.getById(req.params.id);
     if (!existingUser) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
     }
-    
-    const user = await userService.update(req.params.id, { name });
-    res.json({ success: true, data: user });
+
+    const user = await userService.update(req.params.id, { name, timezone });
+    res.json({ success: true, data: withoutPassword(user) });
   } catch (error) {
-    console.error('Error updating user:', error);
-    
     // Handle specific Prisma errors
     if (error.code === 'P2025') {
-      return res.status(404).json({ error: 'User not found' });
+      return sendError(res, new NotFoundError('User not found'));
     }
-    
-    res.status(500).json({ error: 'Failed to update user' });
+
+    sendError(res, error, 'Failed to update user');
   }
 });
 
-// DELETE /api/users/:id - Delete user
-router.delete('/:id', async (req, res) => {
+// DELETE /api/users/:id - Delete user ("me" for the current user)
+router.delete('/:id', authenticateToken, authorizeUser('id'), async (req, res) => {
   try {
     await userService.delete(req.params.id);
     res.json({ success: true, message: 'User deleted successfully' });
   } catch (error) {
-    console.error('Error deleting user:', error);
-    res.status(500).json({ error: 'Failed to delete user' });
-  }
-});
-
-// GET /api/users/email/:email - Get user by email
-router.get('/email/:email', async (req, res) => {
-  try {
-    const user = await userService.getByEmail(req.params.email);
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (error.code === 'P2025') {
+      return sendError(res, new NotFoundError('User not found'));
     }
-    
-    res.json({ success: true, data: user });
-  } catch (error) {
-    console.error('Error fetching user by email:', error);
-    res.status(500).json({ error: 'Failed to fetch user' });
+
+    sendError(res, error, 'Failed to delete user');
   }
 });
 
@@ -0,0 +1,44 @@
+import { toValidationIssues } from 'common';
+import { ValidationError } from '../errors/index.js';
+import { sendError } from './errors.js';
+
+/**
+ * Request validation with the shared schemas from the `common` package
+ *
+ * `validate({ body, query })` checks each part of the request against its schema. Any failure
+ * is a 400 listing every problem with its field path:
+ *
+ *   { success: false, error: "<first message>", code: "VALIDATION_ERROR",
+ *     details: [{ location: "body", path: "repeatType", message: "..." }], requestId }
+ *
+ * On success the handler sees the parsed values: defaults filled in, query numbers coerced,
+ * unknown keys dropped. Run it after authenticateToken so anonymous callers get a 401, not a 400.
+ */
+
+export function validate({ body, query } = {}) {
+  const schemas = Object.entries({ query, body }).filter(([, schema]) => schema);
+
+  return (req, res, next) => {
+    const details = [];
+    const parsed = [];
+
+    for (const [location, schema] of schemas) {
+      const result = schema.safeParse(req[location] ?? {});
+      if (result.success) {
+        parsed.push([location, result.data]);
+      } else {
+        details.push(...toValidationIssues(result.error, location));
+      }
+    }
+
+    if (details.length > 0) {
+      return sendError(res, new ValidationError(details));
+    }
+
+    // req.query is a getter in Express 5, so define rather than assign
+    for (const [location, value] of parsed) {
+      Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+    }
+    next();
+  };
+}
@@ -0,0 +1,188 @@
+import { messageService } from '../db/index.js';
+import { searchMemories } from '../LLM/memoryStore.js';
+import { BadRequestError, ServiceUnavailableError } from '../errors/index.js';
+import { logger } from '../logging/index.js';
+
+/**
+ * Search over a user's conversation history
+ *
+ * - keyword: Postgres full-text search (Message.searchVector), newest first, with the
+ *   matching terms highlighted by ts_headline
+ * - semantic: nearest messages in the user's long-term memory (LLM/memoryStore.js), best
+ *   match first. Message ids double as vector ids, so hits are re-read from the database to
+ *   apply the filters and drop messages that have since been deleted.
+ *
+ * Both return `{ results, nextCursor }`; the cursor is opaque to clients.
+ */
+
+const log = logger.child({ module: 'messageSearch' });
+
+// Highlight markers passed to ts_headline; control characters don't occur in typed text
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_END = '\u0003';
+
+const HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_END}", MinWords=10, MaxWords=30, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// Snippet length for semantic hits, which have no headline
+const SNIPPET_LENGTH = 160;
+
+// Semantic hits considered per search; pages are cut from these
+const SEMANTIC_CANDIDATES = 100;
+
+export function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+export function decodeCursor(cursor, mode) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    value = null;
+  }
+  const valid = mode === 'keyword'
+    ? value?.mode === mode && typeof value.id === 'string' && !Number.isNaN(Date.parse(value.createdAt))
+    : value?.mode === mode && Number.isInteger(value.offset) && value.offset >= 0;
+  if (!valid) {
+    throw new BadRequestError('Invalid search cursor', { code: 'INVALID_CURSOR' });
+  }
+  return value;
+}
+
+/**
+ * Split a ts_headline result into plain text and [start, end) highlight offsets
+ */
+export function parseHeadline(headline) {
+  let text = '';
+  let start = null;
+  const highlights = [];
+  for (const char of headline) {
+    if (char === HIGHLIGHT_START) {
+      start = text.length;
+    } else if (char === HIGHLIGHT_END) {
+      if (start !== null && text.length > start) highlights.push([start, text.length]);
+      start = null;
+    } else {
+      text += char;
+    }
+  }
+  return { text, highlights };
+}
+
+const queryTerms = query => (query.toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [])
+  .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+/**
+ * Snippet of `text` around the first word starting with a query term, terms highlighted
+ * Used for semantic hits, which often share no words with the query (then: the opening words).
+ */
+export function buildSnippet(text, query, maxLength = SNIPPET_LENGTH) {
+  const terms = queryTerms(query);
+  const pattern = terms.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})[\\p{L}\\p{N}]*`, 'giu')
+    : null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    const first = pattern ? text.search(pattern) : -1;
+    start = first > maxLength / 3 ? text.lastIndexOf(' ', first - Math.floor(maxLength / 3)) + 1 : 0;
+    end = start + maxLength;
+    if (end < text.length) {
+      const lastSpace = text.lastIndexOf(' ', end);
+      if (lastSpace > start) end = lastSpace;
+    }
+  }
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < text.length ? ' …' : '';
+  const body = text.slice(start, end).trim();
+  const highlights = [];
+  if (pattern) {
+    for (const match of body.matchAll(pattern)) {
+      highlights.push([prefix.length + match.index, prefix.length + match.index + match[0].length]);
+    }
+  }
+  return { text: `${prefix}${body}${suffix}`, highlights };
+}
+
+const toResult = (message, snippet, score) => ({
+  id: message.id,
+  role: message.role || 'user',
+  text: message.text,
+  createdAt: new Date(message.createdAt).toISOString(),
+  snippet,
+  score,
+});
+
+const inRange = (message, { role, from, to }) => {
+  const createdAt = new Date(message.createdAt);
+  return (!role || (message.role || 'user') === role)
+    && (!from || createdAt >= from)
+    && (!to || createdAt <= to);
+};
+
+async function keywordSearch(userId, { q, role, from, to, cursor, limit }) {
+  const before = cursor ? decodeCursor(cursor, 'keyword') : null;
+  const rows = await messageService.search({
+    userId,
+    query: q,
+    role,
+    from,
+    to,
+    before: before && { createdAt: new Date(before.createdAt), id: before.id },
+    take: limit + 1,
+    headlineOptions: HEADLINE_OPTIONS,
+  });
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    results: page.map(row => toResult(row, parseHeadline(row.headline || row.text), Number(row.rank) || 0)),
+    nextCursor: rows.length > limit
+      ? encodeCursor({ mode: 'keyword', createdAt: new Date(last.createdAt).toISOString(), id: last.id })
+      : null,
+  };
+}
+
+async function semanticSearch(userId, { q, role, from, to, cursor, limit }) {
+  const { offset } = cursor ? decodeCursor(cursor, 'semantic') : { offset: 0 };
+
+  let hits;
+  try {
+    hits = await searchMemories(userId, q, { k: SEMANTIC_CANDIDATES });
+  } catch (error) {
+    log.error('Semantic search failed', { err: error, userId });
+    throw new ServiceUnavailableError('Semantic search is unavailable, try a keyword search', { cause: error });
+  }
+
+  const messages = new Map(
+    (await messageService.getManyByIds(userId, hits.map(hit => hit.id))).map(message => [message.id, message])
+  );
+  const matches = hits
+    .filter(hit => messages.has(hit.id) && inRange(messages.get(hit.id), { role, from, to }))
+    .map(hit => {
+      const message = messages.get(hit.id);
+      return toResult(message, buildSnippet(message.text, q), hit.score);
+    });
+
+  return {
+    results: matches.slice(offset, offset + limit),
+    nextCursor: matches.length > offset + limit ? encodeCursor({ mode: 'semantic', offset: offset + limit }) : null,
+  };
+}
+
+/**
+ * @param {string} userId
+ * @param {object} params - parsed messageSearchQuerySchema (q, mode, role, from, to, cursor, limit)
+ */
+export async function searchMessages(userId, { mode = 'keyword', from, to, ...params }) {
+  const filters = {
+    ...params,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+  };
+  return mode === 'semantic'
+    ? await semanticSearch(userId, filters)
+    : await keywordSearch(userId, filters);
+}